@@ -42,25 +42,104 @@ class FluxManagerUI {
      * const dashboard = new FluxManagerUI();
      */
     constructor() {
-        /** @type {Array} Array of all HTTP requests from the backend */
+        /** @type {Array} Loaded pages of HTTP requests matching the current filters */
         this.requests = [];
         
-        /** @type {Array} Filtered array of requests based on current filter criteria */
-        this.filteredRequests = [];
+        /** @type {number} Number of stored requests matching the current filters */
+        this.requestTotal = 0;
         
-        /** @type {Object} Current filter settings for request display */
+        /** @type {string|null} Cursor for the next page of requests, null on the last page */
+        this.nextCursor = null;
+        
+        /** @type {Object} Current filter settings, applied by the backend */
         this.currentFilters = {
             method: '',   // HTTP method filter (GET, POST, etc.)
-            status: '',   // Status code filter (200, 404, etc.)
-            path: ''      // URL path filter (partial match)
+            status: '',   // Status code or class filter (200, 4xx, etc.)
+            path: '',     // URL path filter (substring, glob or /regex/)
+            search: ''    // Search query: full text and field terms
+        };
+        
+        /** @type {string} Request list sort order (newest, oldest, slowest, fastest) */
+        this.sortOrder = 'newest';
+        
+        /** @type {Function} Debounced reload of the request list */
+        this.loadRequestsDebounced = this.debounce(() => this.loadRequests(), 300);
+        
+        /** @type {Object|null} Request shown in the detail modal */
+        this.currentRequest = null;
+        
+        /** @type {Array<string>} Ids of the requests ticked for comparison, at most two */
+        this.compareSelection = [];
+        
+        /** @type {Array} Exceptions recorded by the backend, newest first */
+        this.exceptions = [];
+        
+        /** @type {Array} Database query summaries grouped by request, newest first */
+        this.queryGroups = [];
+        
+        /** @type {number} Total number of stored database queries */
+        this.queryTotal = 0;
+        
+        /** @type {boolean} Show only requests with N+1 or slow queries */
+        this.flaggedQueriesOnly = false;
+        
+        /** @type {Function} Debounced reload of query summaries as new queries arrive */
+        this.loadQueriesDebounced = this.debounce(() => this.loadQueries(), 500);
+        
+        /** @type {Array} Captured log lines, oldest first */
+        this.logs = [];
+        
+        /** @type {Object} Current filter settings for the Console Logs section */
+        this.logFilters = {
+            level: '',    // Log level filter (info, warn, etc.)
+            search: ''    // Message text filter (partial match)
         };
         
+        /** @type {Function} Debounced log list renderer for bursts of log lines */
+        this.renderLogsDebounced = this.debounce(() => this.renderLogs(), 200);
+        
+        /** @type {Array} Mock rules in match order */
+        this.mockRules = [];
+        
+        /** @type {string|null} Id of the mock rule loaded in the editor, or null for a new rule */
+        this.editingMockId = null;
+        
+        /** @type {Function} Debounced reload of mock rules as their hit counts change */
+        this.loadMocksDebounced = this.debounce(() => this.loadMocks(), 500);
+        
+        /** @type {Array} Breakpoints in match order */
+        this.breakpointRules = [];
+        
+        /** @type {Array} Requests and responses held by breakpoints, oldest first */
+        this.pausedExchanges = [];
+        
+        /** @type {string|null} Id of the breakpoint loaded in the editor, or null for a new one */
+        this.editingBreakpointId = null;
+        
+        /** @type {Array} Per-minute traffic, latency and error buckets, oldest first */
+        this.timeSeries = [];
+        
+        /** @type {number} Time series bucket size in milliseconds */
+        this.timeSeriesInterval = 60000;
+        
+        /** @type {number|null} Timer that reloads the time series as buckets roll over */
+        this.timeSeriesTimer = null;
+        
+        /** @type {string} Sidebar section currently displayed */
+        this.currentSection = 'requests';
+        
         /** @type {WebSocket|null} WebSocket connection for real-time updates */
         this.ws = null;
         
         /** @type {boolean} WebSocket connection status indicator */
         this.isConnected = false;
-        
+
+        /** @type {number|null} Timer sending application-level pings over the WebSocket */
+        this.heartbeatTimer = null;
+
+        /** @type {number} Time the last WebSocket message arrived */
+        this.lastMessageAt = 0;
+
         // Initialize the dashboard components
         this.init();
     }
@@ -80,6 +159,12 @@ class FluxManagerUI {
         this.connectWebSocket();
         this.loadRequests();
         this.loadStats();
+        this.loadTimeSeries();
+        this.loadExceptions();
+        this.loadLogs();
+        this.loadQueries();
+        this.loadMocks();
+        this.loadBreakpoints();
     }
 
     /**
@@ -92,34 +177,113 @@ class FluxManagerUI {
      * @private
      */
     setupEventListeners() {
-        // Clear all requests button
+        // Sidebar navigation between monitoring sections
+        document.querySelectorAll('.nav-item').forEach(item => {
+            item.addEventListener('click', () => {
+                this.switchSection(item.dataset.section);
+            });
+        });
+
+        // Clear button empties the data of the visible section
         document.getElementById('clearBtn').addEventListener('click', () => {
-            this.clearRequests();
+            if (this.currentSection === 'exceptions') {
+                this.clearExceptions();
+            } else if (this.currentSection === 'logs') {
+                this.clearLogs();
+            } else if (this.currentSection === 'queries') {
+                this.clearQueries();
+            } else if (this.currentSection === 'mocks') {
+                this.clearMocks();
+            } else if (this.currentSection === 'breakpoints') {
+                this.clearBreakpoints();
+            } else {
+                this.clearRequests();
+            }
         });
 
         // Refresh requests button
         document.getElementById('refreshBtn').addEventListener('click', () => {
             this.loadRequests();
             this.loadStats();
+            this.loadTimeSeries();
         });
 
+        // Charts are drawn at the canvas' pixel size
+        window.addEventListener('resize', this.debounce(() => this.renderCharts(), 200));
+
         // Request filtering controls
         // HTTP method filter (GET, POST, PUT, DELETE, etc.)
         document.getElementById('methodFilter').addEventListener('change', (e) => {
             this.currentFilters.method = e.target.value;
-            this.applyFilters();
+            this.loadRequests();
         });
 
-        // HTTP status code filter (200, 404, 500, etc.)
+        // HTTP status code filter (200, 4xx, 500, etc.)
         document.getElementById('statusFilter').addEventListener('change', (e) => {
             this.currentFilters.status = e.target.value;
-            this.applyFilters();
+            this.loadRequests();
         });
 
         // URL path filter with debounced input for performance
         document.getElementById('pathFilter').addEventListener('input', (e) => {
             this.currentFilters.path = e.target.value;
-            this.debounce(() => this.applyFilters(), 300)();
+            this.loadRequestsDebounced();
+        });
+
+        // Search query: full text plus field terms such as status:>=500
+        document.getElementById('searchFilter').addEventListener('input', (e) => {
+            this.currentFilters.search = e.target.value;
+            this.loadRequestsDebounced();
+        });
+
+        // Request list sort order
+        document.getElementById('sortOrder').addEventListener('change', (e) => {
+            this.sortOrder = e.target.value;
+            this.loadRequests();
+        });
+
+        // HAR export of the filtered requests, and import of a HAR file
+        document.getElementById('exportHarBtn').addEventListener('click', () => {
+            this.exportHar();
+        });
+
+        document.getElementById('importHarBtn').addEventListener('click', () => {
+            document.getElementById('importHarFile').click();
+        });
+
+        document.getElementById('importHarFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importHar(file);
+            }
+        });
+
+        // Compare the two ticked requests
+        document.getElementById('compareBtn').addEventListener('click', () => {
+            this.compareRequests(...this.compareSelection);
+        });
+
+        // Next page of requests
+        document.getElementById('loadMoreBtn').addEventListener('click', () => {
+            this.loadRequests({ append: true });
+        });
+
+        // Database Queries filter
+        document.getElementById('flaggedQueriesOnly').addEventListener('change', (e) => {
+            this.flaggedQueriesOnly = e.target.checked;
+            this.renderQueries();
+        });
+
+        // Console Logs filters
+        document.getElementById('logLevelFilter').addEventListener('change', (e) => {
+            this.logFilters.level = e.target.value;
+            this.renderLogs();
+        });
+
+        document.getElementById('logSearch').addEventListener('input', (e) => {
+            this.logFilters.search = e.target.value;
+            this.renderLogsDebounced();
         });
 
         // Modal close button handler
@@ -127,6 +291,54 @@ class FluxManagerUI {
             this.closeModal();
         });
 
+        // Replay the request shown in the modal as it was captured
+        document.getElementById('replayBtn').addEventListener('click', () => {
+            this.replayRequest();
+        });
+
+        // Open the edit form for the request shown in the modal
+        document.getElementById('editResendBtn').addEventListener('click', () => {
+            document.querySelector('.modal-tab[data-tab="resend"]').click();
+        });
+
+        // Turn the request shown in the modal into a mock rule
+        document.getElementById('mockBtn').addEventListener('click', () => {
+            this.createMockFromRequest();
+        });
+
+        // Mock rule editor
+        document.getElementById('mockSaveBtn').addEventListener('click', () => {
+            this.saveMock();
+        });
+        document.getElementById('mockCancelBtn').addEventListener('click', () => {
+            this.editMock(null);
+        });
+
+        // Breakpoint editor
+        document.getElementById('breakpointSaveBtn').addEventListener('click', () => {
+            this.saveBreakpoint();
+        });
+        document.getElementById('breakpointCancelBtn').addEventListener('click', () => {
+            this.editBreakpoint(null);
+        });
+
+        // Send the edited request
+        document.getElementById('resendBtn').addEventListener('click', () => {
+            this.replayRequest({
+                method: document.getElementById('resendMethod').value.trim(),
+                url: document.getElementById('resendUrl').value.trim(),
+                headers: this.parseHeaderLines(document.getElementById('resendHeaders').value),
+                body: document.getElementById('resendBody').value
+            });
+        });
+
+        // Code snippet language
+        document.getElementById('snippetLang').addEventListener('change', () => {
+            if (this.currentRequest) {
+                this.populateCodeTab(this.currentRequest);
+            }
+        });
+
         // Close modal when clicking on backdrop (outside modal content)
         document.getElementById('requestModal').addEventListener('click', (e) => {
             if (e.target.id === 'requestModal') {
@@ -134,10 +346,22 @@ class FluxManagerUI {
             }
         });
 
+        // Comparison modal close button and backdrop
+        document.getElementById('diffModalClose').addEventListener('click', () => {
+            this.closeDiffModal();
+        });
+
+        document.getElementById('diffModal').addEventListener('click', (e) => {
+            if (e.target.id === 'diffModal') {
+                this.closeDiffModal();
+            }
+        });
+
         // ESC key to close modal for better UX
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.closeModal();
+                this.closeDiffModal();
             }
         });
     }
@@ -167,19 +391,58 @@ class FluxManagerUI {
             this.ws.onopen = () => {
                 this.isConnected = true;
                 this.updateConnectionStatus();
+                this.subscribeLive();
                 console.log('WebSocket connected');
             };
 
             // Handle incoming real-time messages from backend
             this.ws.onmessage = (event) => {
                 const message = JSON.parse(event.data);
-                if (message.type === 'new_request') {
+                this.lastMessageAt = Date.now();
+                if (message.type === 'hello') {
+                    this.startHeartbeat(message.data.heartbeatInterval);
+                } else if (message.type === 'new_request') {
                     this.addNewRequest(message.data);
+                    if (message.data.mock) {
+                        this.loadMocksDebounced();
+                    }
+                } else if (message.type === 'new_exception') {
+                    this.addNewException(message.data);
+                } else if (message.type === 'new_log') {
+                    this.addNewLog(message.data);
+                } else if (message.type === 'new_query') {
+                    this.loadQueriesDebounced();
+                } else if (message.type === 'breakpoint_paused') {
+                    this.pausedExchanges.push(message.data);
+                    this.renderPaused();
+                    this.loadBreakpoints();
+                } else if (message.type === 'breakpoint_resolved') {
+                    this.pausedExchanges = this.pausedExchanges.filter(entry => entry.id !== message.data.id);
+                    this.renderPaused();
+                } else if (message.type === 'timeseries_update') {
+                    this.applyTimeSeriesUpdate(message.data.bucket);
+                } else if (message.type === 'stats') {
+                    this.updateStats(message.data);
+                } else if (message.type === 'cleared') {
+                    this.requests = [];
+                    this.requestTotal = 0;
+                    this.nextCursor = null;
+                    this.renderRequests();
+                } else if (message.type === 'evicted') {
+                    this.removeEvictedRequests(message.data.ids);
+                } else if (message.type === 'resync') {
+                    // Updates were dropped while this tab was too slow to keep up
+                    this.loadRequests();
+                    this.loadStats();
+                    this.loadTimeSeries();
+                } else if (message.type === 'error') {
+                    console.warn('WebSocket protocol error:', message.data.message);
                 }
             };
 
             // Handle WebSocket connection closure
             this.ws.onclose = () => {
+                this.stopHeartbeat();
                 this.isConnected = false;
                 this.updateConnectionStatus();
                 console.log('WebSocket disconnected');
@@ -202,6 +465,87 @@ class FluxManagerUI {
         }
     }
 
+    /**
+     * Subscribe to every live update, with new requests filtered like the request list
+     *
+     * The backend applies the filters, so only matching requests are pushed,
+     * as summaries; details are fetched when a request is opened.
+     *
+     * @method subscribeLive
+     * @private
+     */
+    subscribeLive() {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            return;
+        }
+
+        const { method, status, path, search } = this.currentFilters;
+        this.ws.send(JSON.stringify({
+            type: 'subscribe',
+            protocol: 1,
+            filter: { method, status, path, q: search },
+            summary: true
+        }));
+    }
+
+    /**
+     * Ping the backend regularly and reconnect when it stops answering
+     *
+     * @method startHeartbeat
+     * @private
+     * @param {number} interval - Heartbeat interval announced by the backend, in milliseconds
+     */
+    startHeartbeat(interval) {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            if (Date.now() - this.lastMessageAt > interval * 2) {
+                // The connection is silently dead; closing it triggers a reconnect
+                this.ws.close();
+            } else {
+                this.ws.send(JSON.stringify({ type: 'ping' }));
+            }
+        }, interval);
+    }
+
+    /**
+     * Stop the WebSocket heartbeat
+     *
+     * @method stopHeartbeat
+     * @private
+     */
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Switch the main content area to another sidebar section
+     * 
+     * Sections without a view yet (marked "Soon" in the sidebar) are ignored.
+     * 
+     * @method switchSection
+     * @private
+     * @param {string} section - Section name from the nav item's data-section
+     */
+    switchSection(section) {
+        const view = document.getElementById(`section-${section}`);
+        if (!view) {
+            return;
+        }
+        
+        this.currentSection = section;
+        
+        document.querySelectorAll('.nav-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.section === section);
+        });
+        document.querySelectorAll('.section-view').forEach(sectionView => {
+            sectionView.classList.toggle('active', sectionView === view);
+        });
+        
+        const navLabel = document.querySelector(`.nav-item[data-section="${section}"] span`);
+        document.getElementById('pageTitle').textContent = navLabel ? navLabel.textContent : '';
+    }
+
     /**
      * Update WebSocket connection status indicator in the UI
      * 
@@ -227,26 +571,39 @@ class FluxManagerUI {
     /**
      * Load HTTP requests from the FluxManager backend API
      * 
-     * Fetches all captured HTTP requests from the backend API endpoint,
-     * updates the local requests array, applies current filters, and
-     * updates the sidebar count. Handles errors gracefully with user feedback.
+     * Fetches one page of captured HTTP requests matching the current filters
+     * and sort order. Filtering and search happen on the backend, so only the
+     * visible page is transferred. Handles errors gracefully with user feedback.
      * 
      * @method loadRequests
      * @async
+     * @param {Object} [options={}] - Load options
+     * @param {boolean} [options.append=false] - Append the next page instead of reloading
      * @returns {Promise<void>}
      * @example
      * // Refresh request data from backend
      * await this.loadRequests();
      */
-    async loadRequests() {
+    async loadRequests({ append = false } = {}) {
+        const params = this.buildFilterParams();
+        if (this.sortOrder !== 'newest') params.set('sort', this.sortOrder);
+        if (append && this.nextCursor) params.set('cursor', this.nextCursor);
+        if (!append) this.subscribeLive();
+
         try {
-            const response = await fetch(`${window.location.pathname}/api/requests`);
+            const response = await fetch(`${window.location.pathname}/api/requests?${params}`);
             const result = await response.json();
             
             if (result.success) {
-                this.requests = result.data.requests;
-                this.applyFilters();
-                this.updateSidebarCount(); // Update sidebar count on initial load
+                this.requests = append ? this.requests.concat(result.data.requests) : result.data.requests;
+                this.requestTotal = result.data.total;
+                this.nextCursor = result.data.nextCursor;
+                this.renderRequests();
+            } else {
+                this.requests = [];
+                this.requestTotal = 0;
+                this.nextCursor = null;
+                this.renderRequests(result.error);
             }
         } catch (error) {
             console.error('Failed to load requests:', error);
@@ -261,6 +618,69 @@ class FluxManagerUI {
         }
     }
 
+    /**
+     * Build API query parameters for the current request filters
+     * 
+     * @method buildFilterParams
+     * @returns {URLSearchParams} Filter parameters understood by the requests and export APIs
+     */
+    buildFilterParams() {
+        const params = new URLSearchParams();
+        const { method, status, path, search } = this.currentFilters;
+        if (method) params.set('method', method);
+        if (status) params.set('status', status);
+        if (path) params.set('path', path);
+        if (search) params.set('q', search);
+        return params;
+    }
+
+    /**
+     * Download the requests matching the current filters as a HAR file
+     * 
+     * @method exportHar
+     * @returns {void}
+     */
+    exportHar() {
+        const params = this.buildFilterParams();
+        params.set('format', 'har');
+        
+        const link = document.createElement('a');
+        link.href = `${window.location.pathname}/api/export?${params}`;
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    /**
+     * Upload a HAR file and reload the request list
+     * 
+     * @method importHar
+     * @async
+     * @param {File} file - HAR file chosen by the user
+     * @returns {Promise<void>}
+     */
+    async importHar(file) {
+        try {
+            const response = await fetch(`${window.location.pathname}/api/import`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: await file.text()
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                this.loadRequests();
+                this.loadStats();
+            } else {
+                alert(`Import failed: ${result.error}`);
+            }
+        } catch (error) {
+            console.error('Failed to import HAR file:', error);
+            alert('Import failed. Is this a valid HAR file?');
+        }
+    }
+
     async loadStats() {
         try {
             const response = await fetch(`${window.location.pathname}/api/stats`);
@@ -277,6 +697,8 @@ class FluxManagerUI {
     updateStats(stats) {
         document.getElementById('totalRequests').textContent = stats.total;
         document.getElementById('avgResponseTime').textContent = `${stats.averageResponseTime}ms`;
+        document.getElementById('p95ResponseTime').textContent = `${stats.responseTime.p95}ms`;
+        document.getElementById('throughput').textContent = `${stats.throughput['1m']}/s`;
         
         // Calculate success rate (2xx status codes)
         const successCount = Object.entries(stats.statusCodes)
@@ -284,147 +706,1775 @@ class FluxManagerUI {
             .reduce((sum, [, count]) => sum + count, 0);
         const successRate = stats.total > 0 ? Math.round((successCount / stats.total) * 100) : 0;
         document.getElementById('successRate').textContent = `${successRate}%`;
+        this.updateSidebarCount(stats.total);
+        this.renderRouteStats(stats.routes);
     }
 
-    updateSidebarCount() {
-        const requestCountElement = document.getElementById('requestCount');
-        if (requestCountElement) {
-            requestCountElement.textContent = this.requests.length;
-        }
-    }
-
-    addNewRequest(request) {
-        this.requests.unshift(request);
-        this.applyFilters();
-        this.loadStats(); // Refresh stats
-        this.updateSidebarCount(); // Update sidebar HTTP request count
-        
-        // Add a subtle animation to indicate new request
-        setTimeout(() => {
-            const firstItem = document.querySelector('.request-item');
-            if (firstItem) {
-                firstItem.style.animation = 'slideUp 0.3s ease';
-            }
-        }, 100);
-    }
-
-    applyFilters() {
-        this.filteredRequests = this.requests.filter(request => {
-            if (this.currentFilters.method && request.method !== this.currentFilters.method) {
-                return false;
-            }
-            
-            if (this.currentFilters.status && 
-                request.response && 
-                request.response.statusCode.toString() !== this.currentFilters.status) {
-                return false;
-            }
-            
-            if (this.currentFilters.path && 
-                !request.path.toLowerCase().includes(this.currentFilters.path.toLowerCase())) {
-                return false;
-            }
-            
-            return true;
-        });
-        
-        this.renderRequests();
-    }
-
-    renderRequests() {
-        const requestList = document.getElementById('requestList');
-        const loading = document.getElementById('loading');
-        
-        if (loading) {
-            loading.remove();
-        }
+    /**
+     * Render latency, throughput and error rates per route
+     * Clicking a route shows its requests in the HTTP Requests section.
+     * 
+     * @method renderRouteStats
+     * @param {Array<Object>} routes - Per-route statistics from /api/stats, busiest first
+     * @returns {void}
+     */
+    renderRouteStats(routes) {
+        const container = document.getElementById('routeStats');
+        document.getElementById('routeCount').textContent = routes.length;
         
-        if (this.filteredRequests.length === 0) {
-            requestList.innerHTML = `
+        if (routes.length === 0) {
+            container.innerHTML = `
                 <div class="loading">
-                    <i class="fas fa-search"></i>
-                    <span>No requests found</span>
+                    <i class="fas fa-route"></i>
+                    <span>No requests captured yet</span>
                 </div>
             `;
             return;
         }
         
-        const requestsHTML = this.filteredRequests.map(request => {
-            const statusClass = this.getStatusClass(request.response?.statusCode);
-            const methodClass = `method-${request.method.toLowerCase()}`;
-            const timestamp = new Date(request.timestamp).toLocaleTimeString();
-            const responseTime = request.response?.responseTime || 0;
-            
-            return `
-                <div class="request-item" data-id="${request.id}">
-                    <span class="method-badge ${methodClass}">${request.method}</span>
-                    <span class="request-path">${request.path}</span>
-                    <span class="status-badge ${statusClass}">${request.response?.statusCode || 'Pending'}</span>
-                    <span class="response-time">${responseTime}ms</span>
-                    <span class="timestamp">${timestamp}</span>
-                </div>
-            `;
-        }).join('');
-        
-        requestList.innerHTML = requestsHTML;
+        const formatRate = (rate) => `<span class="${rate > 0 ? 'error-rate' : ''}">${rate}%</span>`;
+        container.innerHTML = `
+            <table class="stats-table">
+                <thead>
+                    <tr>
+                        <th>Route</th>
+                        <th>Requests</th>
+                        <th>Req/s (1m)</th>
+                        <th>p50</th>
+                        <th>p90</th>
+                        <th>p95</th>
+                        <th>p99</th>
+                        <th>Min</th>
+                        <th>Max</th>
+                        <th>4xx</th>
+                        <th>5xx</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${routes.map((route, index) => `
+                        <tr data-index="${index}">
+                            <td>
+                                <span class="method-badge method-${this.escapeHtml(route.method.toLowerCase())}">${this.escapeHtml(route.method)}</span>
+                                <span class="route-path">${this.escapeHtml(route.path)}</span>
+                            </td>
+                            <td>${route.count}</td>
+                            <td>${route.throughput['1m']}</td>
+                            <td>${route.responseTime.p50}ms</td>
+                            <td>${route.responseTime.p90}ms</td>
+                            <td>${route.responseTime.p95}ms</td>
+                            <td>${route.responseTime.p99}ms</td>
+                            <td>${route.responseTime.min}ms</td>
+                            <td>${route.responseTime.max}ms</td>
+                            <td>${formatRate(route.errorRates['4xx'])}</td>
+                            <td>${formatRate(route.errorRates['5xx'])}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
         
-        // Add click listeners to request items
-        requestList.querySelectorAll('.request-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const requestId = item.dataset.id;
-                this.showRequestDetail(requestId);
+        container.querySelectorAll('tbody tr').forEach(row => {
+            row.addEventListener('click', () => {
+                this.showRouteRequests(routes[row.dataset.index]);
             });
         });
     }
 
-    getStatusClass(statusCode) {
-        if (!statusCode) return 'status-pending';
-        if (statusCode >= 200 && statusCode < 300) return 'status-2xx';
-        if (statusCode >= 300 && statusCode < 400) return 'status-3xx';
-        if (statusCode >= 400 && statusCode < 500) return 'status-4xx';
-        if (statusCode >= 500) return 'status-5xx';
-        return '';
+    /**
+     * Filter the request list down to one route
+     * Route parameters such as `:id` become `*` globs.
+     * 
+     * @method showRouteRequests
+     * @param {Object} route - Route statistics with method and path
+     * @returns {void}
+     */
+    showRouteRequests(route) {
+        this.currentFilters.method = route.method;
+        this.currentFilters.path = route.path.replace(/:[^/]+/g, '*');
+        document.getElementById('methodFilter').value = route.method;
+        document.getElementById('pathFilter').value = this.currentFilters.path;
+        this.switchSection('requests');
+        this.loadRequests();
     }
 
-    async showRequestDetail(requestId) {
+    /**
+     * Load the recent time series and schedule a reload for the next bucket
+     * 
+     * @method loadTimeSeries
+     * @async
+     * @returns {Promise<void>}
+     */
+    async loadTimeSeries() {
+        clearTimeout(this.timeSeriesTimer);
+        
         try {
-            const response = await fetch(`${window.location.pathname}/api/requests/${requestId}`);
+            const response = await fetch(`${window.location.pathname}/api/timeseries?buckets=30`);
             const result = await response.json();
             
             if (result.success) {
-                this.renderRequestDetail(result.data);
-                this.openModal();
+                this.timeSeries = result.data.buckets;
+                this.timeSeriesInterval = result.data.interval;
+                this.renderCharts();
             }
         } catch (error) {
-            console.error('Failed to load request detail:', error);
+            console.error('Failed to load time series:', error);
         }
+        
+        // Reload when the current bucket closes, so quiet periods still scroll the charts
+        const untilNextBucket = this.timeSeriesInterval - (Date.now() % this.timeSeriesInterval);
+        this.timeSeriesTimer = setTimeout(() => this.loadTimeSeries(), untilNextBucket + 1000);
     }
 
-    renderRequestDetail(request) {
-        // Update method badge
-        const methodBadge = document.getElementById('modalMethodBadge');
-        methodBadge.textContent = request.method;
-        methodBadge.className = `request-method-badge method-${request.method}`;
+    /**
+     * Merge a live bucket update sent over the WebSocket
+     * 
+     * @method applyTimeSeriesUpdate
+     * @param {Object} bucket - Bucket summary from the server
+     * @returns {void}
+     */
+    applyTimeSeriesUpdate(bucket) {
+        const index = this.timeSeries.findIndex(item => item.timestamp === bucket.timestamp);
+        if (index !== -1) {
+            this.timeSeries[index] = bucket;
+        } else if (this.timeSeries.length === 0 || bucket.timestamp > this.timeSeries[this.timeSeries.length - 1].timestamp) {
+            this.loadTimeSeries();
+            return;
+        }
         
-        // Populate Overview Tab
-        this.populateOverviewTab(request);
+        this.renderCharts();
+    }
+
+    /**
+     * Draw the traffic, latency and error charts
+     * 
+     * @method renderCharts
+     * @returns {void}
+     */
+    renderCharts() {
+        const series = this.timeSeries;
+        const latest = series[series.length - 1];
+        const perBucket = this.timeSeriesInterval === 60000 ? '/min' : ` per ${this.timeSeriesInterval / 1000}s`;
         
-        // Populate Headers Tab
-        this.populateHeadersTab(request);
+        this.drawChart('trafficChart', series, [
+            { label: `${latest ? latest.count : 0} req${perBucket}`, color: '#a855f7', type: 'bar', value: item => item.count }
+        ], 'trafficLegend');
+        this.drawChart('latencyChart', series, [
+            { label: `p50 ${latest ? latest.responseTime.p50 : 0}ms`, color: '#10b981', type: 'line', value: item => item.responseTime.p50 },
+            { label: `p95 ${latest ? latest.responseTime.p95 : 0}ms`, color: '#f59e0b', type: 'line', value: item => item.responseTime.p95 },
+            { label: `p99 ${latest ? latest.responseTime.p99 : 0}ms`, color: '#ef4444', type: 'line', value: item => item.responseTime.p99 }
+        ], 'latencyLegend');
+        this.drawChart('errorChart', series, [
+            { label: `4xx ${latest ? latest.errors['4xx'] : 0}`, color: '#f59e0b', type: 'bar', value: item => item.errors['4xx'] },
+            { label: `5xx ${latest ? latest.errors['5xx'] : 0}`, color: '#ef4444', type: 'bar', value: item => item.errors['5xx'] }
+        ], 'errorLegend');
+    }
+
+    /**
+     * Draw one time series chart on a canvas
+     * Bar datasets are stacked; line datasets share the same scale.
+     * 
+     * @method drawChart
+     * @param {string} canvasId - Canvas element id
+     * @param {Array<Object>} series - Buckets, oldest first
+     * @param {Array<Object>} datasets - `{ label, color, type: 'bar'|'line', value(bucket) }`
+     * @param {string} legendId - Element receiving the legend
+     * @returns {void}
+     */
+    drawChart(canvasId, series, datasets, legendId) {
+        const canvas = document.getElementById(canvasId);
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (!width || !height) {
+            return;
+        }
         
-        // Populate Request Tab
-        this.populateRequestTab(request);
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(ratio, ratio);
+        ctx.clearRect(0, 0, width, height);
+        
+        document.getElementById(legendId).innerHTML = datasets.map(dataset => `
+            <span><span class="chart-legend-swatch" style="background: ${dataset.color}"></span>${this.escapeHtml(dataset.label)}</span>
+        `).join('');
+        
+        const bars = datasets.filter(dataset => dataset.type === 'bar');
+        const lines = datasets.filter(dataset => dataset.type === 'line');
+        const totals = series.map(item => bars.reduce((sum, dataset) => sum + dataset.value(item), 0));
+        const peaks = series.map(item => Math.max(0, ...lines.map(dataset => dataset.value(item))));
+        const max = Math.max(1, ...totals, ...peaks);
+        
+        const axis = 16;
+        const plotHeight = height - axis;
+        const step = series.length > 0 ? width / series.length : width;
+        const y = value => plotHeight - (value / max) * (plotHeight - 12);
+        
+        // Scale and time labels
+        ctx.fillStyle = '#64748b';
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.fillText(String(max), 2, 0);
+        ctx.strokeStyle = '#334155';
+        ctx.beginPath();
+        ctx.moveTo(0, plotHeight + 0.5);
+        ctx.lineTo(width, plotHeight + 0.5);
+        ctx.stroke();
+        
+        if (series.length > 0) {
+            const formatTime = item => new Date(item.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            ctx.fillText(formatTime(series[0]), 2, plotHeight + 4);
+            const lastLabel = formatTime(series[series.length - 1]);
+            ctx.fillText(lastLabel, width - ctx.measureText(lastLabel).width - 2, plotHeight + 4);
+        }
+        
+        // Stacked bars
+        series.forEach((item, index) => {
+            let base = 0;
+            bars.forEach(dataset => {
+                const value = dataset.value(item);
+                if (value > 0) {
+                    ctx.fillStyle = dataset.color;
+                    ctx.fillRect(index * step + 1, y(base + value), Math.max(step - 2, 1), y(base) - y(base + value));
+                }
+                base += value;
+            });
+        });
+        
+        // Lines
+        lines.forEach(dataset => {
+            ctx.strokeStyle = dataset.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            series.forEach((item, index) => {
+                const x = index * step + step / 2;
+                if (index === 0) {
+                    ctx.moveTo(x, y(dataset.value(item)));
+                } else {
+                    ctx.lineTo(x, y(dataset.value(item)));
+                }
+            });
+            ctx.stroke();
+        });
+    }
+
+    updateSidebarCount(total) {
+        const requestCountElement = document.getElementById('requestCount');
+        if (requestCountElement) {
+            requestCountElement.textContent = total;
+        }
+    }
+
+    addNewRequest(request) {
+        if (this.sortOrder !== 'newest') {
+            // The request's place in the list depends on the other requests, so refetch
+            this.loadRequestsDebounced();
+        } else {
+            // The backend only pushes requests matching the current filters
+            this.requests.unshift(request);
+            this.requestTotal++;
+            this.renderRequests();
+        }
+
+        // Add a subtle animation to indicate new request
+        setTimeout(() => {
+            const firstItem = document.querySelector('.request-item');
+            if (firstItem) {
+                firstItem.style.animation = 'slideUp 0.3s ease';
+            }
+        }, 100);
+    }
+
+    /**
+     * Drop requests the backend evicted from storage from the loaded list
+     *
+     * @method removeEvictedRequests
+     * @private
+     * @param {Array<string>} ids - Ids of the evicted requests
+     */
+    removeEvictedRequests(ids) {
+        const evicted = new Set(ids);
+        const remaining = this.requests.filter(request => !evicted.has(request.id));
+        const removed = this.requests.length - remaining.length;
+        if (removed === 0) {
+            return;
+        }
+
+        this.requests = remaining;
+        this.requestTotal = Math.max(0, this.requestTotal - removed);
+        this.renderRequests();
+    }
+
+    /**
+     * Load recorded exceptions from the FluxManager backend API
+     * 
+     * @method loadExceptions
+     * @async
+     * @returns {Promise<void>}
+     */
+    async loadExceptions() {
+        try {
+            const response = await fetch(`${window.location.pathname}/api/exceptions`);
+            const result = await response.json();
+            
+            if (result.success) {
+                this.exceptions = result.data.exceptions;
+                this.renderExceptions();
+            }
+        } catch (error) {
+            console.error('Failed to load exceptions:', error);
+        }
+    }
+
+    addNewException(exception) {
+        this.exceptions.unshift(exception);
+        this.renderExceptions();
+    }
+
+    /**
+     * Render the exception list and the sidebar badge
+     * 
+     * Each item expands to show the stack and cause chain, and links to the
+     * request that was being handled when the error was thrown.
+     * 
+     * @method renderExceptions
+     * @private
+     */
+    renderExceptions() {
+        const exceptionList = document.getElementById('exceptionList');
+        const exceptionCount = document.getElementById('exceptionCount');
+        if (exceptionCount) {
+            exceptionCount.textContent = this.exceptions.length;
+        }
+        
+        if (this.exceptions.length === 0) {
+            exceptionList.innerHTML = `
+                <div class="loading">
+                    <i class="fas fa-check-circle"></i>
+                    <span>No exceptions recorded</span>
+                </div>
+            `;
+            return;
+        }
+        
+        exceptionList.innerHTML = this.exceptions.map(exception => {
+            const timestamp = new Date(exception.timestamp).toLocaleTimeString();
+            const causes = (exception.causes || []).map(cause => `
+                <div class="code-block">Caused by: ${this.escapeHtml(cause.stack || `${cause.name}: ${cause.message}`)}</div>
+            `).join('');
+            const requestLink = exception.requestId ? `
+                <button class="link-button" data-request-id="${exception.requestId}">
+                    ${this.escapeHtml(`${exception.method || ''} ${exception.path || ''}`.trim() || 'View request')} →
+                </button>
+            ` : '';
+            
+            return `
+                <div class="exception-item" data-id="${exception.id}">
+                    <div class="exception-header">
+                        <span class="exception-name">${this.escapeHtml(exception.name)}</span>
+                        <span class="exception-message">${this.escapeHtml(exception.message)}</span>
+                        <span class="exception-source">${this.escapeHtml(exception.source)}</span>
+                        ${requestLink}
+                        <span class="timestamp">${timestamp}</span>
+                    </div>
+                    <div class="exception-details">
+                        <div class="code-block">${this.escapeHtml(exception.stack || `${exception.name}: ${exception.message}`)}</div>
+                        ${causes}
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        exceptionList.querySelectorAll('.exception-item').forEach(item => {
+            item.addEventListener('click', () => {
+                item.classList.toggle('expanded');
+            });
+        });
+        
+        // Jump to the request that was active when the error was thrown
+        exceptionList.querySelectorAll('[data-request-id]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showRequestDetail(button.dataset.requestId);
+            });
+        });
+    }
+
+    async clearExceptions() {
+        if (!confirm('Are you sure you want to clear all exceptions?')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${window.location.pathname}/api/exceptions`, {
+                method: 'DELETE'
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                this.exceptions = [];
+                this.renderExceptions();
+            }
+        } catch (error) {
+            console.error('Failed to clear exceptions:', error);
+        }
+    }
+
+    /**
+     * Load database query summaries from the FluxManager backend API
+     * 
+     * @method loadQueries
+     * @async
+     * @returns {Promise<void>}
+     */
+    async loadQueries() {
+        try {
+            const response = await fetch(`${window.location.pathname}/api/queries`);
+            const result = await response.json();
+            
+            if (result.success) {
+                this.queryGroups = result.data.requests;
+                this.queryTotal = result.data.total;
+                this.renderQueries();
+            }
+        } catch (error) {
+            console.error('Failed to load queries:', error);
+        }
+    }
+
+    /**
+     * Build the HTML for a list of queries
+     * 
+     * @method formatQueryRows
+     * @private
+     * @param {Object[]} queries - Query records to render
+     * @returns {string} HTML markup
+     */
+    formatQueryRows(queries) {
+        return queries.map(query => {
+            const classes = ['query-row'];
+            if (query.slow) classes.push('slow');
+            if (query.error) classes.push('failed');
+            const params = query.params !== undefined ? `\n-- params: ${JSON.stringify(query.params)}` : '';
+            const error = query.error ? `\n-- error: ${query.error}` : '';
+            
+            return `
+                <div class="${classes.join(' ')}">
+                    <code>${this.escapeHtml(query.sql + params + error)}</code>
+                    <span class="query-duration">${query.durationMs}ms</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Build the N+1 and slow query badges of a request summary
+     * 
+     * @method formatQueryFlags
+     * @private
+     * @param {Object} summary - Per-request query summary from the API
+     * @returns {string} HTML markup
+     */
+    formatQueryFlags(summary) {
+        const flags = summary.nPlusOne.map(group => `
+            <span class="flag-badge flag-n-plus-one" title="${this.escapeHtml(group.fingerprint)}">N+1 ×${group.count}</span>
+        `);
+        if (summary.slowCount > 0) {
+            flags.push(`<span class="flag-badge flag-slow">${summary.slowCount} slow</span>`);
+        }
+        return flags.join('');
+    }
+
+    renderQueries() {
+        const queryGroupList = document.getElementById('queryGroupList');
+        const queryCount = document.getElementById('queryCount');
+        if (queryCount) {
+            queryCount.textContent = this.queryTotal;
+        }
+        
+        const groups = this.queryGroups.filter(group => 
+            !this.flaggedQueriesOnly || group.nPlusOne.length > 0 || group.slowCount > 0
+        );
+        
+        if (groups.length === 0) {
+            queryGroupList.innerHTML = `
+                <div class="loading">
+                    <i class="fas fa-database"></i>
+                    <span>No queries recorded. Instrument your driver or call recordQuery().</span>
+                </div>
+            `;
+            return;
+        }
+        
+        queryGroupList.innerHTML = groups.map(group => {
+            const title = group.requestId ? `
+                <button class="link-button" data-request-id="${group.requestId}">
+                    ${this.escapeHtml(`${group.method || ''} ${group.path || ''}`.trim() || 'View request')} →
+                </button>
+            ` : '<span>Outside of a request</span>';
+            
+            return `
+                <div class="query-group">
+                    <div class="query-group-header">
+                        ${title}
+                        <span>${group.count} queries</span>
+                        <span>${group.totalDuration}ms total</span>
+                        ${this.formatQueryFlags(group)}
+                    </div>
+                    ${this.formatQueryRows(group.queries.slice(0, 50))}
+                </div>
+            `;
+        }).join('');
+        
+        queryGroupList.querySelectorAll('[data-request-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.showRequestDetail(button.dataset.requestId);
+            });
+        });
+    }
+
+    async clearQueries() {
+        if (!confirm('Are you sure you want to clear all queries?')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${window.location.pathname}/api/queries`, {
+                method: 'DELETE'
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                this.queryGroups = [];
+                this.queryTotal = 0;
+                this.renderQueries();
+            }
+        } catch (error) {
+            console.error('Failed to clear queries:', error);
+        }
+    }
+
+    /**
+     * Load captured log lines from the FluxManager backend API
+     * 
+     * @method loadLogs
+     * @async
+     * @returns {Promise<void>}
+     */
+    async loadLogs() {
+        try {
+            const response = await fetch(`${window.location.pathname}/api/logs`);
+            const result = await response.json();
+            
+            if (result.success) {
+                this.logs = result.data.logs;
+                this.renderLogs();
+            }
+        } catch (error) {
+            console.error('Failed to load logs:', error);
+        }
+    }
+
+    addNewLog(log) {
+        this.logs.push(log);
+        
+        // Keep the browser responsive with chatty applications
+        if (this.logs.length > 2000) {
+            this.logs.splice(0, this.logs.length - 2000);
+        }
+        
+        this.renderLogsDebounced();
+    }
+
+    /**
+     * Map a log level to the level it is filtered and colored as
+     * 
+     * @method normalizeLogLevel
+     * @private
+     * @param {string} level - Level reported by console or the logger
+     * @returns {string} One of debug, info, warn or error
+     */
+    normalizeLogLevel(level) {
+        const normalized = String(level || 'info').toLowerCase();
+        if (normalized === 'log') return 'info';
+        if (normalized === 'trace') return 'debug';
+        if (normalized === 'fatal') return 'error';
+        if (normalized === 'warning') return 'warn';
+        return normalized;
+    }
+
+    /**
+     * Build the HTML for a list of log lines
+     * 
+     * @method formatLogLines
+     * @private
+     * @param {Object[]} logs - Log entries to render
+     * @param {boolean} linkRequests - Whether to link each line to its request
+     * @returns {string} HTML markup
+     */
+    formatLogLines(logs, linkRequests) {
+        return logs.map(log => {
+            const level = this.normalizeLogLevel(log.level);
+            const time = new Date(log.timestamp).toLocaleTimeString();
+            const meta = log.meta ? ` ${JSON.stringify(log.meta)}` : '';
+            const requestLink = linkRequests && log.requestId ? `
+                <button class="link-button" data-request-id="${log.requestId}">
+                    ${this.escapeHtml(`${log.method || ''} ${log.path || ''}`.trim() || 'View request')} →
+                </button>
+            ` : '<span></span>';
+            
+            return `
+                <div class="log-line">
+                    <span class="log-time">${time}</span>
+                    <span class="log-level log-level-${level}">${this.escapeHtml(level)}</span>
+                    <span class="log-message">${this.escapeHtml(log.message + meta)}</span>
+                    ${requestLink}
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderLogs() {
+        const logList = document.getElementById('logList');
+        const logCount = document.getElementById('logCount');
+        if (logCount) {
+            logCount.textContent = this.logs.length;
+        }
+        
+        const search = this.logFilters.search.toLowerCase();
+        const visibleLogs = this.logs.filter(log => {
+            if (this.logFilters.level && this.normalizeLogLevel(log.level) !== this.logFilters.level) {
+                return false;
+            }
+            return !search || log.message.toLowerCase().includes(search);
+        });
+        
+        if (visibleLogs.length === 0) {
+            logList.innerHTML = `
+                <div class="loading">
+                    <i class="fas fa-file-alt"></i>
+                    <span>No log lines captured. Enable the captureConsole option or add a logger adapter.</span>
+                </div>
+            `;
+            return;
+        }
+        
+        logList.innerHTML = this.formatLogLines(visibleLogs, true);
+        
+        logList.querySelectorAll('[data-request-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.showRequestDetail(button.dataset.requestId);
+            });
+        });
+    }
+
+    async clearLogs() {
+        if (!confirm('Are you sure you want to clear all logs?')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${window.location.pathname}/api/logs`, {
+                method: 'DELETE'
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                this.logs = [];
+                this.renderLogs();
+            }
+        } catch (error) {
+            console.error('Failed to clear logs:', error);
+        }
+    }
+
+    /**
+     * Load mock rules from the FluxManager backend API
+     * 
+     * @method loadMocks
+     * @async
+     * @returns {Promise<void>}
+     */
+    async loadMocks() {
+        try {
+            const response = await fetch(`${window.location.pathname}/api/mocks`);
+            const result = await response.json();
+            
+            if (result.success) {
+                this.mockRules = result.data.rules;
+                this.renderMocks();
+            }
+        } catch (error) {
+            console.error('Failed to load mock rules:', error);
+        }
+    }
+
+    /**
+     * Render the mock rules table
+     * 
+     * @method renderMocks
+     * @private
+     * @returns {void}
+     */
+    renderMocks() {
+        const mockList = document.getElementById('mockList');
+        document.getElementById('mockCount').textContent = this.mockRules.length;
+        
+        if (this.mockRules.length === 0) {
+            mockList.innerHTML = `
+                <div class="loading">
+                    <i class="fas fa-theater-masks"></i>
+                    <span>No mock rules. Add one above or use the Mock button of a captured request.</span>
+                </div>
+            `;
+            return;
+        }
+        
+        mockList.innerHTML = `
+            <table class="stats-table">
+                <thead>
+                    <tr>
+                        <th>On</th>
+                        <th>Name</th>
+                        <th>Match</th>
+                        <th>Action</th>
+                        <th>Hits</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.mockRules.map(rule => `
+                        <tr class="mock-rule${rule.enabled ? '' : ' disabled'}" data-id="${this.escapeHtml(rule.id)}">
+                            <td><input type="checkbox" data-action="toggle" ${rule.enabled ? 'checked' : ''} title="Enable or disable this rule"></td>
+                            <td>${this.escapeHtml(rule.name || '(unnamed)')}</td>
+                            <td class="mock-match">${this.escapeHtml(this.describeMatch(rule.match))}</td>
+                            <td>${this.escapeHtml(this.describeMockAction(rule))}</td>
+                            <td title="${rule.lastHitAt ? `Last hit ${new Date(rule.lastHitAt).toLocaleTimeString()}` : 'Never hit'}">${rule.hits}</td>
+                            <td class="mock-actions">
+                                <button class="link-button" data-action="edit">Edit</button>
+                                <button class="link-button" data-action="delete">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        mockList.querySelectorAll('.mock-rule').forEach(row => {
+            const rule = this.mockRules.find(item => item.id === row.dataset.id);
+            row.querySelector('[data-action="toggle"]').addEventListener('change', (e) => {
+                this.updateMock(rule.id, { enabled: e.target.checked }, 'PATCH');
+            });
+            row.querySelector('[data-action="edit"]').addEventListener('click', () => {
+                this.editMock(rule);
+            });
+            row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                this.deleteMock(rule.id);
+            });
+        });
+    }
+
+    /**
+     * Summarize the conditions of a mock rule or breakpoint
+     * 
+     * @method describeMatch
+     * @private
+     * @param {Object} match - Rule conditions
+     * @returns {string} One-line summary
+     */
+    describeMatch(match) {
+        const parts = [match.method || '*', match.path || '(any path)'];
+        Object.entries(match.headers || {}).forEach(([name, value]) => parts.push(`${name}: ${value}`));
+        Object.entries(match.query || {}).forEach(([name, value]) => parts.push(`?${name}=${value}`));
+        return parts.join(' ');
+    }
+
+    /**
+     * Summarize what a mock rule does to matching requests
+     * 
+     * @method describeMockAction
+     * @private
+     * @param {Object} rule - Mock rule
+     * @returns {string} One-line summary
+     */
+    describeMockAction(rule) {
+        const parts = [];
+        if (rule.fault === 'reset') {
+            parts.push('reset connection');
+        } else if (rule.response) {
+            parts.push(`respond ${rule.response.status}`);
+        } else {
+            parts.push('pass through');
+        }
+        if (rule.delay > 0) {
+            parts.push(`after ${rule.delay}ms`);
+        }
+        if (rule.probability < 1) {
+            parts.push(`(${Math.round(rule.probability * 100)}% of requests)`);
+        }
+        if (rule.redactedBody) {
+            parts.push('(body contains redacted values)');
+        }
+        return parts.join(' ');
+    }
+
+    /**
+     * Load a mock rule into the editor, or empty the editor for a new rule
+     * 
+     * @method editMock
+     * @param {Object|null} rule - Rule to edit, or null
+     * @returns {void}
+     */
+    editMock(rule) {
+        const match = rule ? rule.match : {};
+        const response = rule && rule.response;
+        const headers = { ...(response ? response.headers : {}) };
+        let body = response && response.body !== undefined && response.body !== null ? response.body : '';
+        
+        // Object bodies are sent as JSON, so edit them as JSON text
+        if (typeof body !== 'string') {
+            body = JSON.stringify(body, null, 2);
+            if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+                headers['content-type'] = 'application/json';
+            }
+        }
+        
+        this.editingMockId = rule ? rule.id : null;
+        document.getElementById('mockFormTitle').innerHTML =
+            `<span class="data-section-icon">🎭</span> ${rule ? `Edit ${this.escapeHtml(rule.name || 'Mock Rule')}` : 'New Mock Rule'}`;
+        document.getElementById('mockName').value = rule ? rule.name : '';
+        document.getElementById('mockMethod').value = match.method || '';
+        document.getElementById('mockPath').value = match.path || '';
+        document.getElementById('mockMatchHeaders').value = this.formatPredicateLines(match.headers);
+        document.getElementById('mockMatchQuery').value = this.formatPredicateLines(match.query);
+        document.getElementById('mockStatus').value = response ? response.status : '';
+        document.getElementById('mockHeaders').value = this.formatPredicateLines(headers);
+        document.getElementById('mockBody').value = body;
+        document.getElementById('mockDelay').value = rule && rule.delay ? rule.delay : '';
+        document.getElementById('mockFault').value = rule && rule.fault ? rule.fault : '';
+        document.getElementById('mockProbability').value = rule && rule.probability < 1 ? rule.probability : '';
+        document.getElementById('mockResult').textContent = '';
+        
+        if (rule) {
+            document.getElementById('mockName').focus();
+        }
+    }
+
+    /**
+     * Build a rule definition from the editor
+     * 
+     * @method readMockForm
+     * @private
+     * @returns {Object} Rule definition for the mocks API
+     */
+    readMockForm() {
+        const value = id => document.getElementById(id).value.trim();
+        const editing = this.mockRules.find(rule => rule.id === this.editingMockId);
+        
+        const match = {};
+        if (value('mockMethod')) match.method = value('mockMethod');
+        if (value('mockPath')) match.path = value('mockPath');
+        const matchHeaders = this.parsePredicateLines(value('mockMatchHeaders'), true);
+        if (Object.keys(matchHeaders).length > 0) match.headers = matchHeaders;
+        const matchQuery = this.parsePredicateLines(value('mockMatchQuery'), false);
+        if (Object.keys(matchQuery).length > 0) match.query = matchQuery;
+        
+        const definition = {
+            name: value('mockName'),
+            enabled: editing ? editing.enabled : true,
+            match,
+            delay: value('mockDelay') ? Number(value('mockDelay')) : 0,
+            fault: value('mockFault') || null,
+            probability: value('mockProbability') ? Number(value('mockProbability')) : 1
+        };
+        if (editing && editing.source) {
+            definition.source = editing.source;
+        }
+        
+        if (value('mockStatus')) {
+            definition.response = {
+                status: Number(value('mockStatus')),
+                headers: this.parseHeaderLines(document.getElementById('mockHeaders').value),
+                body: document.getElementById('mockBody').value,
+                // Binary bodies of captured responses stay base64 encoded while edited
+                bodyEncoding: editing && editing.response ? editing.response.bodyEncoding : 'utf8'
+            };
+        }
+        
+        return definition;
+    }
+
+    /**
+     * Parse "name: value" lines into header or query predicates
+     * 
+     * @method parsePredicateLines
+     * @private
+     * @param {string} text - One predicate per line
+     * @param {boolean} lowerCaseNames - Lower-case the names (headers)
+     * @returns {Object} Names mapped to a value, a /regex/ or true/false for present/absent
+     */
+    parsePredicateLines(text, lowerCaseNames) {
+        const predicates = {};
+        
+        text.split('\n').forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator <= 0) {
+                return;
+            }
+            const name = line.slice(0, separator).trim();
+            const value = line.slice(separator + 1).trim();
+            predicates[lowerCaseNames ? name.toLowerCase() : name] =
+                value === 'true' || value === 'false' ? value === 'true' : value;
+        });
+        
+        return predicates;
+    }
+
+    /**
+     * Format predicates or headers as "name: value" lines
+     * 
+     * @method formatPredicateLines
+     * @private
+     * @param {Object} [values] - Names mapped to values
+     * @returns {string} One line per value
+     */
+    formatPredicateLines(values) {
+        return Object.entries(values || {})
+            .flatMap(([name, value]) => [].concat(value).map(item => `${name}: ${item}`))
+            .join('\n');
+    }
+
+    /**
+     * Create or update the rule in the editor
+     * 
+     * @method saveMock
+     * @async
+     * @returns {Promise<void>}
+     */
+    async saveMock() {
+        const definition = this.readMockForm();
+        const saved = this.editingMockId ?
+            await this.updateMock(this.editingMockId, definition, 'PUT') :
+            await this.sendMockRequest(`${window.location.pathname}/api/mocks`, 'POST', definition);
+        
+        if (saved) {
+            this.editMock(null);
+            document.getElementById('mockResult').textContent = `Saved ${saved.name || 'rule'}.`;
+        }
+    }
+
+    /**
+     * Replace or patch a mock rule
+     * 
+     * @method updateMock
+     * @async
+     * @param {string} id - Rule id
+     * @param {Object} definition - Full definition (PUT) or changed fields (PATCH)
+     * @param {string} method - PUT or PATCH
+     * @returns {Promise<Object|null>} Updated rule, or null on failure
+     */
+    async updateMock(id, definition, method) {
+        return this.sendMockRequest(`${window.location.pathname}/api/mocks/${encodeURIComponent(id)}`, method, definition);
+    }
+
+    /**
+     * Send a rule to the mocks API and reload the rules
+     * 
+     * @method sendMockRequest
+     * @async
+     * @private
+     * @param {string} url - Mocks API endpoint
+     * @param {string} method - POST, PUT or PATCH
+     * @param {Object} definition - Rule definition
+     * @returns {Promise<Object|null>} Saved rule, or null on failure
+     */
+    async sendMockRequest(url, method, definition) {
+        const mockResult = document.getElementById('mockResult');
+        
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(definition)
+            });
+            const result = await response.json();
+            
+            await this.loadMocks();
+            if (!result.success) {
+                mockResult.textContent = `Not saved: ${result.error}`;
+                return null;
+            }
+            return result.data;
+        } catch (error) {
+            console.error('Failed to save mock rule:', error);
+            mockResult.textContent = 'Not saved.';
+            return null;
+        }
+    }
+
+    /**
+     * Remove a mock rule
+     * 
+     * @method deleteMock
+     * @async
+     * @param {string} id - Rule id
+     * @returns {Promise<void>}
+     */
+    async deleteMock(id) {
+        try {
+            await fetch(`${window.location.pathname}/api/mocks/${encodeURIComponent(id)}`, {
+                method: 'DELETE'
+            });
+            if (this.editingMockId === id) {
+                this.editMock(null);
+            }
+            await this.loadMocks();
+        } catch (error) {
+            console.error('Failed to delete mock rule:', error);
+        }
+    }
+
+    async clearMocks() {
+        if (!confirm('Are you sure you want to remove all mock rules?')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${window.location.pathname}/api/mocks`, {
+                method: 'DELETE'
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                this.mockRules = [];
+                this.editMock(null);
+                this.renderMocks();
+            }
+        } catch (error) {
+            console.error('Failed to clear mock rules:', error);
+        }
+    }
+
+    /**
+     * Create a mock rule answering like the request shown in the modal
+     * and open it in the editor
+     * 
+     * @method createMockFromRequest
+     * @async
+     * @returns {Promise<void>}
+     */
+    async createMockFromRequest() {
+        if (!this.currentRequest) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${window.location.pathname}/api/requests/${this.currentRequest.id}/mock`, {
+                method: 'POST'
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                alert(`Could not create a mock: ${result.error}`);
+                return;
+            }
+            
+            await this.loadMocks();
+            this.closeModal();
+            this.switchSection('mocks');
+            this.editMock(this.mockRules.find(rule => rule.id === result.data.id) || result.data);
+        } catch (error) {
+            console.error('Failed to create mock rule:', error);
+        }
+    }
+
+    /**
+     * Load breakpoints and paused requests from the FluxManager backend API
+     * 
+     * @method loadBreakpoints
+     * @async
+     * @returns {Promise<void>}
+     */
+    async loadBreakpoints() {
+        try {
+            const response = await fetch(`${window.location.pathname}/api/breakpoints`);
+            const result = await response.json();
+            
+            if (result.success) {
+                this.breakpointRules = result.data.rules;
+                this.pausedExchanges = result.data.paused;
+                this.renderBreakpoints();
+                this.renderPaused();
+            }
+        } catch (error) {
+            console.error('Failed to load breakpoints:', error);
+        }
+    }
+
+    /**
+     * Render the breakpoints table
+     * 
+     * @method renderBreakpoints
+     * @private
+     * @returns {void}
+     */
+    renderBreakpoints() {
+        const breakpointList = document.getElementById('breakpointList');
+        
+        if (this.breakpointRules.length === 0) {
+            breakpointList.innerHTML = `
+                <div class="loading">
+                    <i class="fas fa-pause-circle"></i>
+                    <span>No breakpoints. Add one above to pause matching requests.</span>
+                </div>
+            `;
+            return;
+        }
+        
+        const stages = { request: 'Request', response: 'Response', both: 'Request and response' };
+        breakpointList.innerHTML = `
+            <table class="stats-table">
+                <thead>
+                    <tr>
+                        <th>On</th>
+                        <th>Name</th>
+                        <th>Match</th>
+                        <th>Pause</th>
+                        <th>Timeout</th>
+                        <th>Hits</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.breakpointRules.map(rule => `
+                        <tr class="mock-rule${rule.enabled ? '' : ' disabled'}" data-id="${this.escapeHtml(rule.id)}">
+                            <td><input type="checkbox" data-action="toggle" ${rule.enabled ? 'checked' : ''} title="Enable or disable this breakpoint"></td>
+                            <td>${this.escapeHtml(rule.name || '(unnamed)')}</td>
+                            <td class="mock-match">${this.escapeHtml(this.describeMatch(rule.match))}</td>
+                            <td>${stages[rule.stage]}</td>
+                            <td>${rule.timeout / 1000}s</td>
+                            <td>${rule.hits}</td>
+                            <td class="mock-actions">
+                                <button class="link-button" data-action="edit">Edit</button>
+                                <button class="link-button" data-action="delete">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        breakpointList.querySelectorAll('.mock-rule').forEach(row => {
+            const rule = this.breakpointRules.find(item => item.id === row.dataset.id);
+            row.querySelector('[data-action="toggle"]').addEventListener('change', (e) => {
+                this.sendBreakpointRequest(`/api/breakpoints/${encodeURIComponent(rule.id)}`, 'PATCH', { enabled: e.target.checked });
+            });
+            row.querySelector('[data-action="edit"]').addEventListener('click', () => {
+                this.editBreakpoint(rule);
+            });
+            row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                this.deleteBreakpoint(rule.id);
+            });
+        });
+    }
+
+    /**
+     * Render the requests and responses held by breakpoints, each with an edit form
+     * 
+     * @method renderPaused
+     * @private
+     * @returns {void}
+     */
+    renderPaused() {
+        const pausedList = document.getElementById('pausedList');
+        document.getElementById('pausedCount').textContent = this.pausedExchanges.length;
+        
+        // Keep what the developer is typing when another request pauses
+        const open = new Set([...pausedList.querySelectorAll('.paused-item')].map(item => item.dataset.id));
+        pausedList.querySelectorAll('.paused-item').forEach(item => {
+            if (!this.pausedExchanges.some(entry => entry.id === item.dataset.id)) {
+                item.remove();
+            }
+        });
+        
+        this.pausedExchanges.filter(entry => !open.has(entry.id)).forEach(entry => {
+            const isRequest = entry.stage === 'request';
+            const part = isRequest ? entry.request : entry.response;
+            const item = document.createElement('div');
+            item.className = 'paused-item';
+            item.dataset.id = entry.id;
+            item.innerHTML = `
+                <div class="paused-header">
+                    <span>⏸</span>
+                    <span class="method-badge method-${this.escapeHtml(entry.request.method.toLowerCase())}">${this.escapeHtml(entry.request.method)}</span>
+                    <span class="request-path">${this.escapeHtml(entry.request.url)}</span>
+                    <span>${isRequest ? 'before the application' : 'before the response is sent'} &middot; ${this.escapeHtml(entry.ruleName || 'breakpoint')}</span>
+                    <span class="paused-expiry">Resumes unchanged at ${new Date(entry.expiresAt).toLocaleTimeString()}</span>
+                </div>
+                <div class="resend-form">
+                    ${isRequest ? `
+                        <label>Method</label>
+                        <input type="text" class="filter-input" data-field="method" value="${this.escapeHtml(part.method)}">
+                        <label>URL</label>
+                        <input type="text" class="filter-input" data-field="url" value="${this.escapeHtml(part.url)}">
+                    ` : `
+                        <label>Status</label>
+                        <input type="number" class="filter-input" data-field="statusCode" value="${part.statusCode}" min="100" max="599">
+                    `}
+                    <label>Headers</label>
+                    <textarea class="filter-input" data-field="headers">${this.escapeHtml(this.formatPredicateLines(part.headers))}</textarea>
+                    <label>Body${part.bodyEncoding === 'base64' ? ' (base64)' : ''}</label>
+                    <textarea class="filter-input" data-field="body" ${part.bodyTruncated ? 'disabled title="Larger than maxBodyBytes, so it cannot be edited"' : ''}>${this.escapeHtml(part.body || '')}</textarea>
+                    <div class="resend-actions">
+                        <button class="btn btn-secondary" data-action="resume">
+                            <i class="fas fa-play"></i>
+                            Resume
+                        </button>
+                        <button class="btn btn-danger" data-action="abort">
+                            <i class="fas fa-times"></i>
+                            Abort
+                        </button>
+                        <span class="resend-result"></span>
+                    </div>
+                </div>
+            `;
+            
+            item.querySelector('[data-action="resume"]').addEventListener('click', () => {
+                this.resolvePaused(entry, 'resume', this.readPausedEdits(item, entry));
+            });
+            item.querySelector('[data-action="abort"]').addEventListener('click', () => {
+                this.resolvePaused(entry, 'abort');
+            });
+            pausedList.appendChild(item);
+        });
+    }
+
+    /**
+     * Collect the edits made to a paused request or response
+     * Fields left as shown are ignored by the backend, including redacted values.
+     * 
+     * @method readPausedEdits
+     * @private
+     * @param {HTMLElement} item - Paused item with the edit form
+     * @param {Object} entry - Paused exchange
+     * @returns {Object} Edits for the resume API
+     */
+    readPausedEdits(item, entry) {
+        const field = name => item.querySelector(`[data-field="${name}"]`);
+        const edits = {
+            headers: this.parseHeaderLines(field('headers').value)
+        };
+        
+        if (entry.stage === 'request') {
+            edits.method = field('method').value.trim();
+            edits.url = field('url').value.trim();
+        } else {
+            edits.statusCode = Number(field('statusCode').value);
+        }
+        if (!field('body').disabled) {
+            edits.body = field('body').value;
+        }
+        
+        return edits;
+    }
+
+    /**
+     * Resume or abort a paused request or response
+     * 
+     * @method resolvePaused
+     * @async
+     * @param {Object} entry - Paused exchange
+     * @param {string} action - resume or abort
+     * @param {Object} [edits] - Edits sent with a resume
+     * @returns {Promise<void>}
+     */
+    async resolvePaused(entry, action, edits) {
+        const item = document.querySelector(`.paused-item[data-id="${entry.id}"]`);
+        const result = item && item.querySelector('.resend-result');
+        
+        try {
+            const response = await fetch(`${window.location.pathname}/api/paused/${encodeURIComponent(entry.id)}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: edits ? JSON.stringify(edits) : ''
+            });
+            const body = await response.json();
+            
+            if (!body.success && result) {
+                result.textContent = body.error;
+                if (response.status !== 404) {
+                    return;
+                }
+            }
+            
+            // Resolved here, or already resumed elsewhere or by its timeout
+            this.pausedExchanges = this.pausedExchanges.filter(paused => paused.id !== entry.id);
+            this.renderPaused();
+        } catch (error) {
+            console.error(`Failed to ${action} paused request:`, error);
+        }
+    }
+
+    /**
+     * Load a breakpoint into the editor, or empty the editor for a new one
+     * 
+     * @method editBreakpoint
+     * @param {Object|null} rule - Breakpoint to edit, or null
+     * @returns {void}
+     */
+    editBreakpoint(rule) {
+        const match = rule ? rule.match : {};
+        
+        this.editingBreakpointId = rule ? rule.id : null;
+        document.getElementById('breakpointFormTitle').innerHTML =
+            `<span class="data-section-icon">⏸</span> ${rule ? `Edit ${this.escapeHtml(rule.name || 'Breakpoint')}` : 'New Breakpoint'}`;
+        document.getElementById('breakpointName').value = rule ? rule.name : '';
+        document.getElementById('breakpointMethod').value = match.method || '';
+        document.getElementById('breakpointPath').value = match.path || '';
+        document.getElementById('breakpointMatchHeaders').value = this.formatPredicateLines(match.headers);
+        document.getElementById('breakpointMatchQuery').value = this.formatPredicateLines(match.query);
+        document.getElementById('breakpointStage').value = rule ? rule.stage : 'request';
+        document.getElementById('breakpointTimeout').value = rule ? rule.timeout / 1000 : '';
+        document.getElementById('breakpointResult').textContent = '';
+    }
+
+    /**
+     * Create or update the breakpoint in the editor
+     * 
+     * @method saveBreakpoint
+     * @async
+     * @returns {Promise<void>}
+     */
+    async saveBreakpoint() {
+        const value = id => document.getElementById(id).value.trim();
+        const editing = this.breakpointRules.find(rule => rule.id === this.editingBreakpointId);
+        
+        const match = {};
+        if (value('breakpointMethod')) match.method = value('breakpointMethod');
+        if (value('breakpointPath')) match.path = value('breakpointPath');
+        const matchHeaders = this.parsePredicateLines(value('breakpointMatchHeaders'), true);
+        if (Object.keys(matchHeaders).length > 0) match.headers = matchHeaders;
+        const matchQuery = this.parsePredicateLines(value('breakpointMatchQuery'), false);
+        if (Object.keys(matchQuery).length > 0) match.query = matchQuery;
+        
+        const definition = {
+            name: value('breakpointName'),
+            enabled: editing ? editing.enabled : true,
+            match,
+            stage: value('breakpointStage')
+        };
+        if (value('breakpointTimeout')) {
+            definition.timeout = Number(value('breakpointTimeout')) * 1000;
+        }
+        
+        const saved = editing ?
+            await this.sendBreakpointRequest(`/api/breakpoints/${encodeURIComponent(editing.id)}`, 'PUT', definition) :
+            await this.sendBreakpointRequest('/api/breakpoints', 'POST', definition);
+        
+        if (saved) {
+            this.editBreakpoint(null);
+            document.getElementById('breakpointResult').textContent = `Saved ${saved.name || 'breakpoint'}.`;
+        }
+    }
+
+    /**
+     * Send a breakpoint to the API and reload the breakpoints
+     * 
+     * @method sendBreakpointRequest
+     * @async
+     * @private
+     * @param {string} path - API path below the dashboard route
+     * @param {string} method - POST, PUT or PATCH
+     * @param {Object} definition - Breakpoint definition
+     * @returns {Promise<Object|null>} Saved breakpoint, or null on failure
+     */
+    async sendBreakpointRequest(path, method, definition) {
+        const breakpointResult = document.getElementById('breakpointResult');
+        
+        try {
+            const response = await fetch(`${window.location.pathname}${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(definition)
+            });
+            const result = await response.json();
+            
+            await this.loadBreakpoints();
+            if (!result.success) {
+                breakpointResult.textContent = `Not saved: ${result.error}`;
+                return null;
+            }
+            return result.data;
+        } catch (error) {
+            console.error('Failed to save breakpoint:', error);
+            breakpointResult.textContent = 'Not saved.';
+            return null;
+        }
+    }
+
+    /**
+     * Remove a breakpoint
+     * Requests it already paused keep waiting.
+     * 
+     * @method deleteBreakpoint
+     * @async
+     * @param {string} id - Breakpoint id
+     * @returns {Promise<void>}
+     */
+    async deleteBreakpoint(id) {
+        try {
+            await fetch(`${window.location.pathname}/api/breakpoints/${encodeURIComponent(id)}`, {
+                method: 'DELETE'
+            });
+            if (this.editingBreakpointId === id) {
+                this.editBreakpoint(null);
+            }
+            await this.loadBreakpoints();
+        } catch (error) {
+            console.error('Failed to delete breakpoint:', error);
+        }
+    }
+
+    async clearBreakpoints() {
+        if (!confirm('Are you sure you want to remove all breakpoints? Paused requests keep waiting.')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${window.location.pathname}/api/breakpoints`, {
+                method: 'DELETE'
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                this.breakpointRules = [];
+                this.editBreakpoint(null);
+                this.renderBreakpoints();
+            }
+        } catch (error) {
+            console.error('Failed to clear breakpoints:', error);
+        }
+    }
+
+    /**
+     * Render the loaded requests and the pagination footer
+     * 
+     * @method renderRequests
+     * @param {string} [error] - Error reported by the backend, e.g. an invalid path pattern
+     * @returns {void}
+     */
+    renderRequests(error) {
+        const requestList = document.getElementById('requestList');
+        const loading = document.getElementById('loading');
+        
+        if (loading) {
+            loading.remove();
+        }
+        
+        this.renderPagination();
+        this.updateCompareButton();
+        
+        if (this.requests.length === 0) {
+            requestList.innerHTML = `
+                <div class="loading">
+                    <i class="fas fa-${error ? 'exclamation-triangle' : 'search'}"></i>
+                    <span>${error ? this.escapeHtml(error) : 'No requests found'}</span>
+                </div>
+            `;
+            return;
+        }
+        
+        const requestsHTML = this.requests.map(request => {
+            const statusClass = this.getStatusClass(request.response?.statusCode);
+            const methodClass = `method-${request.method.toLowerCase()}`;
+            const timestamp = new Date(request.timestamp).toLocaleTimeString();
+            const responseTime = request.response?.responseTime || 0;
+            
+            const selected = this.compareSelection.includes(request.id);
+            
+            return `
+                <div class="request-item${selected ? ' selected' : ''}" data-id="${request.id}">
+                    <input type="checkbox" class="compare-checkbox" title="Select to compare" ${selected ? 'checked' : ''}>
+                    <span class="method-badge ${methodClass}">${request.method}</span>
+                    <span class="request-path">${request.replayOf ? '<span title="Replay">🔁</span> ' : ''}${request.mock ? '<span title="Mock rule">🎭</span> ' : ''}${request.breakpoints ? '<span title="Paused at a breakpoint">⏸</span> ' : ''}${request.path}</span>
+                    <span class="status-badge ${statusClass}">${request.response?.statusCode || 'Pending'}</span>
+                    <span class="response-time">${responseTime}ms</span>
+                    <span class="timestamp">${timestamp}</span>
+                </div>
+            `;
+        }).join('');
+        
+        requestList.innerHTML = requestsHTML;
+        
+        // Add click listeners to request items
+        requestList.querySelectorAll('.request-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const requestId = item.dataset.id;
+                this.showRequestDetail(requestId);
+            });
+            
+            const checkbox = item.querySelector('.compare-checkbox');
+            checkbox.addEventListener('click', (e) => e.stopPropagation());
+            checkbox.addEventListener('change', () => {
+                this.toggleCompareSelection(item.dataset.id, checkbox.checked);
+            });
+        });
+    }
+
+    /**
+     * Tick or untick a request for comparison
+     * Ticking a third request drops the one ticked first.
+     * 
+     * @method toggleCompareSelection
+     * @param {string} requestId - Request id
+     * @param {boolean} selected - Whether the request is ticked
+     * @returns {void}
+     */
+    toggleCompareSelection(requestId, selected) {
+        this.compareSelection = this.compareSelection.filter(id => id !== requestId);
+        if (selected) {
+            this.compareSelection.push(requestId);
+        }
+        this.compareSelection = this.compareSelection.slice(-2);
+        
+        document.querySelectorAll('#requestList .request-item').forEach(item => {
+            const isSelected = this.compareSelection.includes(item.dataset.id);
+            item.classList.toggle('selected', isSelected);
+            item.querySelector('.compare-checkbox').checked = isSelected;
+        });
+        
+        this.updateCompareButton();
+    }
+
+    /**
+     * Enable the Compare button once two requests are ticked
+     * 
+     * @method updateCompareButton
+     * @returns {void}
+     */
+    updateCompareButton() {
+        const button = document.getElementById('compareBtn');
+        button.disabled = this.compareSelection.length !== 2;
+        button.innerHTML = `<i class="fas fa-columns"></i> Compare (${this.compareSelection.length}/2)`;
+    }
+
+    /**
+     * Load the server-side diff of two requests and show it
+     * 
+     * @method compareRequests
+     * @async
+     * @param {string} a - Id of the first request
+     * @param {string} b - Id of the second request
+     * @returns {Promise<void>}
+     */
+    async compareRequests(a, b) {
+        try {
+            const params = new URLSearchParams({ a, b });
+            const response = await fetch(`${window.location.pathname}/api/diff?${params}`);
+            const result = await response.json();
+            
+            if (!result.success) {
+                alert(`Compare failed: ${result.error}`);
+                return;
+            }
+            
+            this.closeModal();
+            this.renderDiff(result.data);
+            document.getElementById('diffModal').classList.add('show');
+            document.body.style.overflow = 'hidden';
+        } catch (error) {
+            console.error('Failed to compare requests:', error);
+            alert('Compare failed. See the browser console for details.');
+        }
+    }
+
+    /**
+     * Render a request diff into the comparison modal
+     * 
+     * @method renderDiff
+     * @param {Object} diff - Diff returned by /api/diff
+     * @returns {void}
+     */
+    renderDiff(diff) {
+        const describe = (side) => `${side.method} ${side.url} · ${new Date(side.timestamp).toLocaleTimeString()}`;
+        const formatDelta = (delta) => (delta === null ? '' : ` (${delta > 0 ? '+' : ''}${delta}ms)`);
+        const summaryRows = [
+            { path: 'request', type: 'changed', a: describe(diff.a), b: describe(diff.b) },
+            { path: 'method', type: diff.method.changed ? 'changed' : '', a: diff.method.a, b: diff.method.b },
+            { path: 'url', type: diff.url.changed ? 'changed' : '', a: diff.url.a, b: diff.url.b },
+            { path: 'status', type: diff.status.changed ? 'changed' : '', a: diff.status.a ?? 'Pending', b: diff.status.b ?? 'Pending' },
+            {
+                path: 'response time',
+                type: diff.timing.delta ? 'changed' : '',
+                a: `${diff.timing.a ?? 0}ms`,
+                b: `${diff.timing.b ?? 0}ms${formatDelta(diff.timing.delta)}`
+            }
+        ];
+        
+        const sections = [
+            ['📋', 'Request Headers', diff.request.headers],
+            ['🔎', 'Query Parameters', diff.request.query],
+            ['📤', `Request Body (${diff.request.body.format})`, diff.request.body.changes],
+            ['📋', 'Response Headers', diff.response.headers],
+            ['📥', `Response Body (${diff.response.body.format})`, diff.response.body.changes]
+        ];
+        
+        document.getElementById('diffContent').innerHTML = `
+            ${diff.identical ? '<p class="diff-empty">The requests are identical apart from their timing.</p>' : ''}
+            <div class="data-section">
+                <h3><span class="data-section-icon">📊</span> Overview</h3>
+                <div class="data-content">${this.renderDiffTable(summaryRows)}</div>
+            </div>
+            ${sections.map(([icon, title, changes]) => `
+                <div class="data-section">
+                    <h3><span class="data-section-icon">${icon}</span> ${title}</h3>
+                    <div class="data-content">
+                        ${changes.length > 0 ? this.renderDiffTable(changes) : '<span class="diff-empty">No differences</span>'}
+                    </div>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Render changes as a path / A / B table
+     * 
+     * @method renderDiffTable
+     * @param {Array<Object>} changes - Changes with path, type, a and b
+     * @returns {string} HTML table
+     */
+    renderDiffTable(changes) {
+        const formatValue = (change, side) => {
+            if (!(side in change)) {
+                return '<span class="diff-empty">—</span>';
+            }
+            const value = change[side];
+            return this.escapeHtml(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+        };
+        
+        return `
+            <table class="diff-table">
+                <thead><tr><th>Field</th><th>A</th><th>B</th></tr></thead>
+                <tbody>
+                    ${changes.map(change => `
+                        <tr class="${change.type ? `diff-${change.type}` : ''}">
+                            <td>${this.escapeHtml(change.path || '(whole body)')}</td>
+                            <td>${formatValue(change, 'a')}</td>
+                            <td>${formatValue(change, 'b')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Close the request comparison modal
+     * 
+     * @method closeDiffModal
+     * @public
+     */
+    closeDiffModal() {
+        document.getElementById('diffModal').classList.remove('show');
+        document.body.style.overflow = '';
+    }
+
+    /**
+     * Show the "Load more" footer when more matching requests are stored
+     * 
+     * @method renderPagination
+     * @returns {void}
+     */
+    renderPagination() {
+        const loadMore = document.getElementById('loadMore');
+        loadMore.classList.toggle('visible', Boolean(this.nextCursor));
+        document.getElementById('requestPageInfo').textContent =
+            `Showing ${this.requests.length} of ${this.requestTotal}`;
+    }
+
+    getStatusClass(statusCode) {
+        if (!statusCode) return 'status-pending';
+        if (statusCode >= 200 && statusCode < 300) return 'status-2xx';
+        if (statusCode >= 300 && statusCode < 400) return 'status-3xx';
+        if (statusCode >= 400 && statusCode < 500) return 'status-4xx';
+        if (statusCode >= 500) return 'status-5xx';
+        return '';
+    }
+
+    async showRequestDetail(requestId) {
+        try {
+            const response = await fetch(`${window.location.pathname}/api/requests/${requestId}`);
+            const result = await response.json();
+            
+            if (result.success) {
+                this.renderRequestDetail(result.data);
+                this.openModal();
+            } else {
+                alert('This request is no longer stored.');
+            }
+        } catch (error) {
+            console.error('Failed to load request detail:', error);
+        }
+    }
+
+    renderRequestDetail(request) {
+        this.currentRequest = request;
+        
+        // Update method badge
+        const methodBadge = document.getElementById('modalMethodBadge');
+        methodBadge.textContent = request.method;
+        methodBadge.className = `request-method-badge method-${request.method}`;
+        
+        // Populate Overview Tab
+        this.populateOverviewTab(request);
+        
+        // Populate Headers Tab
+        this.populateHeadersTab(request);
+        
+        // Populate Request Tab
+        this.populateRequestTab(request);
         
         // Populate Response Tab
         this.populateResponseTab(request);
         
         // Populate Timing Tab
         this.populateTimingTab(request);
+        this.populateTraceSection(request);
+        
+        // Populate Queries Tab
+        this.populateQueriesTab(request);
+        
+        // Populate Outbound Tab
+        this.populateOutboundTab(request);
+        
+        // Populate Logs Tab
+        this.populateLogsTab(request);
+        
+        // Populate Code Tab
+        this.populateCodeTab(request);
+        
+        // Populate Resend Tab
+        this.populateResendTab(request);
         
         // Initialize tab functionality
         this.initializeModalTabs();
     }
     
+    /**
+     * Describe why a sampled request was kept
+     * @param {Object} sampling - Sampling record of a stored request
+     * @returns {string} Short description
+     */
+    describeSampling(sampling) {
+        const reasons = {
+            replay: 'Replay',
+            error: 'Server error',
+            slow: 'Slow request',
+            custom: 'Custom rule'
+        };
+        return reasons[sampling.reason] || `${Math.round(sampling.rate * 1000) / 10}% sample`;
+    }
+    
     populateOverviewTab(request) {
         // Request meta cards
         const requestMeta = document.getElementById('requestMeta');
@@ -445,13 +2495,100 @@ class FluxManagerUI {
             </div>
             <div class="meta-card">
                 <h4>Content Length</h4>
-                <div class="value">${this.formatBytes(request.response?.contentLength || 0)}</div>
+                <div class="value">${this.formatBytes(request.response?.originalSize || 0)}</div>
             </div>
+            ${request.sampling ? `
+            <div class="meta-card">
+                <h4>Sampling</h4>
+                <div class="value" title="Kept at a rate of ${request.sampling.rate}">${this.describeSampling(request.sampling)}</div>
+            </div>` : ''}
         `;
         
         // Request URL
         const requestUrl = document.getElementById('requestUrl');
         requestUrl.textContent = request.url || request.path;
+        
+        this.populateReplayBanner(request);
+        this.populateMockBanner(request);
+    }
+    
+    /**
+     * Show which request a replay repeats, with both outcomes side by side
+     * 
+     * @method populateReplayBanner
+     * @async
+     * @param {Object} request - Request shown in the modal
+     * @returns {Promise<void>}
+     */
+    async populateReplayBanner(request) {
+        const banner = document.getElementById('replayBanner');
+        banner.classList.toggle('visible', Boolean(request.replayOf));
+        
+        if (!request.replayOf) {
+            banner.innerHTML = '';
+            return;
+        }
+        
+        const replayOutcome = `${request.response?.statusCode || 'Pending'} in ${request.response?.responseTime || 0}ms`;
+        banner.innerHTML = `<span>🔁 Replay of an earlier request &middot; this replay: ${replayOutcome}</span>`;
+        
+        try {
+            const response = await fetch(`${window.location.pathname}/api/requests/${encodeURIComponent(request.replayOf)}`);
+            const result = await response.json();
+            
+            // The modal may show another request by now
+            if (this.currentRequest !== request) {
+                return;
+            }
+            
+            if (result.success) {
+                const original = result.data;
+                banner.innerHTML = `
+                    <span>🔁 Replay of ${this.escapeHtml(original.method)} ${this.escapeHtml(original.url || original.path)}</span>
+                    <span>original: ${original.response?.statusCode || 'Pending'} in ${original.response?.responseTime || 0}ms</span>
+                    <span>this replay: ${replayOutcome}</span>
+                    <button class="link-button" data-action="view">View original</button>
+                    <button class="link-button" data-action="compare">Compare with original</button>
+                `;
+                banner.querySelector('[data-action="view"]').addEventListener('click', () => {
+                    this.showRequestDetail(original.id);
+                });
+                banner.querySelector('[data-action="compare"]').addEventListener('click', () => {
+                    this.compareRequests(original.id, request.id);
+                });
+            } else {
+                banner.innerHTML += '<span>(the original request is no longer stored)</span>';
+            }
+        } catch (error) {
+            console.error('Failed to load replayed request:', error);
+        }
+    }
+    
+    /**
+     * Show which mock rule answered or delayed the request
+     * 
+     * @method populateMockBanner
+     * @param {Object} request - Request shown in the modal
+     * @returns {void}
+     */
+    populateMockBanner(request) {
+        const banner = document.getElementById('mockBanner');
+        banner.classList.toggle('visible', Boolean(request.mock));
+        
+        if (!request.mock) {
+            banner.innerHTML = '';
+            return;
+        }
+        
+        banner.innerHTML = `
+            <span>🎭 Handled by mock rule ${this.escapeHtml(request.mock.name || request.mock.id)}</span>
+            <button class="link-button">View rule</button>
+        `;
+        banner.querySelector('button').addEventListener('click', () => {
+            this.closeModal();
+            this.switchSection('mocks');
+            this.editMock(this.mockRules.find(rule => rule.id === request.mock.id) || null);
+        });
     }
     
     populateHeadersTab(request) {
@@ -469,7 +2606,10 @@ class FluxManagerUI {
     populateRequestTab(request) {
         // Request body
         const requestBody = document.getElementById('requestBody');
-        requestBody.textContent = this.formatBody(request.body);
+        requestBody.textContent = request.bodiesDropped ?
+            'Body dropped to keep request storage within its memory budget' :
+            this.formatBody(request.body) +
+            this.formatTruncationNote(request.bodyTruncated, request.body, request.bodySize);
         
         // Query parameters
         const queryParams = document.getElementById('queryParams');
@@ -491,9 +2631,43 @@ class FluxManagerUI {
     
     populateResponseTab(request) {
         const responseBody = document.getElementById('responseBody');
-        responseBody.textContent = request.response ? 
-            this.formatBody(request.response.body) : 
-            'No response body available';
+        const responsePreview = document.getElementById('responsePreview');
+        const response = request.response;
+        responsePreview.innerHTML = '';
+        
+        if (!response) {
+            responseBody.textContent = 'No response body available';
+            return;
+        }
+        
+        const notes = [];
+        if (response.decompressedFrom) {
+            notes.push(`Decompressed from ${response.decompressedFrom}`);
+        }
+        if (response.truncated) {
+            notes.push(`Truncated: ${this.formatBytes(response.originalSize)} sent, capture limit reached`);
+        }
+        if (request.bodiesDropped) {
+            notes.push('Body dropped to keep request storage within its memory budget');
+        }
+        
+        if (response.bodyEncoding === 'base64') {
+            const contentType = String(response.headers?.['content-type'] || 'application/octet-stream');
+            notes.unshift(`Binary content (${contentType}), shown as base64`);
+            
+            // Render a preview for complete images
+            if (contentType.startsWith('image/') && !response.truncated && !request.bodiesDropped) {
+                const image = document.createElement('img');
+                image.className = 'response-image';
+                image.src = `data:${contentType.split(';')[0]};base64,${response.body}`;
+                responsePreview.appendChild(image);
+            }
+            responseBody.textContent = `${notes.join('\n')}\n\n${response.body}`;
+            return;
+        }
+        
+        const prefix = notes.length > 0 ? `${notes.join('\n')}\n\n` : '';
+        responseBody.textContent = prefix + this.formatBody(response.body);
     }
     
     populateTimingTab(request) {
@@ -524,6 +2698,390 @@ class FluxManagerUI {
         `;
     }
     
+    /**
+     * Show the W3C trace context of a request and the other captured requests
+     * that belong to the same trace
+     * 
+     * @method populateTraceSection
+     * @async
+     * @param {Object} request - Request shown in the modal
+     * @returns {Promise<void>}
+     */
+    async populateTraceSection(request) {
+        const traceContext = document.getElementById('traceContext');
+        const traceRequests = document.getElementById('traceRequests');
+        const trace = request.trace;
+        
+        if (!trace) {
+            traceContext.innerHTML = '<div class="key-value-item"><div class="key-value-key">No Trace</div><div class="key-value-value">This request was captured without trace context</div></div>';
+            traceRequests.innerHTML = '';
+            return;
+        }
+        
+        const rows = [
+            ['Trace ID', trace.traceId],
+            ['Span ID', trace.spanId],
+            ['Parent Span ID', trace.parentSpanId || 'None (trace started here)'],
+            ['Sampled', trace.sampled ? 'Yes' : 'No'],
+            ['Source', trace.propagated ? 'traceparent header' : 'Generated by Flux Manager']
+        ];
+        if (trace.tracestate) {
+            rows.push(['Trace State', trace.tracestate]);
+        }
+        traceContext.innerHTML = rows.map(([key, value]) => `
+            <div class="key-value-item">
+                <div class="key-value-key">${key}</div>
+                <div class="key-value-value">${this.escapeHtml(value)}</div>
+            </div>
+        `).join('');
+        
+        traceRequests.innerHTML = '<div class="loading"><i class="fas fa-spinner"></i><span>Loading trace...</span></div>';
+        
+        try {
+            const response = await fetch(`${window.location.pathname}/api/requests?traceId=${encodeURIComponent(trace.traceId)}&sort=oldest&limit=100`);
+            const result = await response.json();
+            
+            // The modal may show another request by now
+            if (this.currentRequest !== request) {
+                return;
+            }
+            
+            const related = result.success ? result.data.requests.filter(item => item.id !== request.id) : [];
+            if (related.length === 0) {
+                traceRequests.innerHTML = '<div class="key-value-item"><div class="key-value-key">None</div><div class="key-value-value">No other captured request shares this trace</div></div>';
+                return;
+            }
+            
+            traceRequests.innerHTML = related.map(item => `
+                <div class="key-value-item">
+                    <div class="key-value-key">
+                        <button class="link-button" data-request-id="${this.escapeHtml(item.id)}">
+                            ${this.escapeHtml(item.method)} ${this.escapeHtml(item.path)}
+                        </button>
+                    </div>
+                    <div class="key-value-value">
+                        ${item.response?.statusCode || '-'} · ${item.response?.responseTime || 0}ms ·
+                        ${item.trace?.parentSpanId === request.trace.spanId ? 'child of this request' : `span ${this.escapeHtml(item.trace?.spanId || '')}`}
+                    </div>
+                </div>
+            `).join('');
+            
+            traceRequests.querySelectorAll('[data-request-id]').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.showRequestDetail(button.dataset.requestId);
+                });
+            });
+        } catch (error) {
+            console.error('Failed to load trace requests:', error);
+            traceRequests.innerHTML = '<div class="loading"><i class="fas fa-exclamation-triangle"></i><span>Failed to load trace</span></div>';
+        }
+    }
+    
+    async populateQueriesTab(request) {
+        const queryMeta = document.getElementById('queryMeta');
+        const requestQueries = document.getElementById('requestQueries');
+        queryMeta.innerHTML = '';
+        requestQueries.innerHTML = '<div class="loading"><i class="fas fa-spinner"></i><span>Loading queries...</span></div>';
+        
+        try {
+            const response = await fetch(`${window.location.pathname}/api/queries?requestId=${encodeURIComponent(request.id)}`);
+            const result = await response.json();
+            if (!result.success) {
+                return;
+            }
+            
+            const summary = result.data;
+            queryMeta.innerHTML = `
+                <div class="meta-card">
+                    <h4>Query Count</h4>
+                    <div class="value">${summary.count}</div>
+                </div>
+                <div class="meta-card">
+                    <h4>Total DB Time</h4>
+                    <div class="value">${summary.totalDuration}ms</div>
+                </div>
+                <div class="meta-card">
+                    <h4>Flags</h4>
+                    <div class="value">${this.formatQueryFlags(summary) || 'None'}</div>
+                </div>
+            `;
+            
+            requestQueries.innerHTML = summary.count > 0 ?
+                this.formatQueryRows(summary.queries) :
+                '<div class="loading"><i class="fas fa-database"></i><span>No queries were issued while handling this request</span></div>';
+        } catch (error) {
+            console.error('Failed to load request queries:', error);
+            requestQueries.innerHTML = '<div class="loading"><i class="fas fa-exclamation-triangle"></i><span>Failed to load queries</span></div>';
+        }
+    }
+    
+    /**
+     * Show the outgoing HTTP calls of a request as a waterfall
+     * 
+     * Bars are positioned on the timeline of the inbound request, from its
+     * start until its response (or the last call, if that ended later).
+     * Clicking a call shows its headers and bodies.
+     * 
+     * @method populateOutboundTab
+     * @async
+     * @param {Object} request - Request shown in the modal
+     * @returns {Promise<void>}
+     */
+    async populateOutboundTab(request) {
+        const outboundMeta = document.getElementById('outboundMeta');
+        const requestOutbound = document.getElementById('requestOutbound');
+        outboundMeta.innerHTML = '';
+        requestOutbound.innerHTML = '<div class="loading"><i class="fas fa-spinner"></i><span>Loading outgoing calls...</span></div>';
+        
+        try {
+            const response = await fetch(`${window.location.pathname}/api/outbound?parentId=${encodeURIComponent(request.id)}`);
+            const result = await response.json();
+            
+            // The modal may show another request by now
+            if (this.currentRequest !== request || !result.success) {
+                return;
+            }
+            
+            const calls = result.data.calls;
+            if (calls.length === 0) {
+                requestOutbound.innerHTML = '<div class="loading"><i class="fas fa-paper-plane"></i><span>No outgoing calls were captured for this request. Enable them with the captureOutbound option.</span></div>';
+                return;
+            }
+            
+            const start = request.startTime || Date.parse(request.timestamp);
+            const end = Math.max(
+                start + (request.response?.responseTime || 0),
+                ...calls.map(call => call.startTime + call.duration)
+            );
+            const span = Math.max(end - start, 1);
+            const failed = calls.filter(call => call.error || call.response?.statusCode >= 400).length;
+            const totalTime = calls.reduce((sum, call) => sum + call.duration, 0);
+            
+            outboundMeta.innerHTML = `
+                <div class="meta-card">
+                    <h4>Calls</h4>
+                    <div class="value">${calls.length}</div>
+                </div>
+                <div class="meta-card">
+                    <h4>Total Call Time</h4>
+                    <div class="value">${Math.round(totalTime)}ms</div>
+                </div>
+                <div class="meta-card">
+                    <h4>Failed</h4>
+                    <div class="value">${failed}</div>
+                </div>
+            `;
+            
+            requestOutbound.innerHTML = `<div class="waterfall">${calls.map(call => {
+                const offset = Math.min(Math.max((call.startTime - start) / span, 0), 1);
+                const width = Math.min(call.duration / span, 1 - offset);
+                const status = call.error ? 'ERR' : call.response?.statusCode;
+                const isFailed = call.error || call.response?.statusCode >= 400;
+                const timing = call.ttfb !== null && call.ttfb !== undefined ?
+                    `Started +${Math.max(call.startTime - start, 0)}ms, headers after ${call.ttfb}ms, done after ${call.duration}ms` :
+                    `Started +${Math.max(call.startTime - start, 0)}ms, failed after ${call.duration}ms`;
+                
+                return `
+                    <div class="waterfall-call${isFailed ? ' failed' : ''}">
+                        <div class="waterfall-row" title="${this.escapeHtml(timing)}">
+                            <span class="waterfall-label">${this.escapeHtml(status)} ${this.escapeHtml(call.method)} ${this.escapeHtml(call.url)}</span>
+                            <div class="waterfall-track">
+                                <div class="waterfall-bar" style="left: ${(offset * 100).toFixed(2)}%; width: ${(width * 100).toFixed(2)}%"></div>
+                            </div>
+                            <span class="query-duration">${call.duration}ms</span>
+                        </div>
+                        <div class="waterfall-details">
+                            ${call.error ? `<p class="diff-empty">${this.escapeHtml(call.error)}</p>` : ''}
+                            <pre>${this.escapeHtml(this.formatOutboundCall(call))}</pre>
+                        </div>
+                    </div>
+                `;
+            }).join('')}</div>`;
+            
+            requestOutbound.querySelectorAll('.waterfall-row').forEach(row => {
+                row.addEventListener('click', () => {
+                    row.parentElement.classList.toggle('expanded');
+                });
+            });
+        } catch (error) {
+            console.error('Failed to load outgoing calls:', error);
+            requestOutbound.innerHTML = '<div class="loading"><i class="fas fa-exclamation-triangle"></i><span>Failed to load outgoing calls</span></div>';
+        }
+    }
+    
+    /**
+     * Format an outgoing call as raw HTTP request and response text
+     * 
+     * @method formatOutboundCall
+     * @private
+     * @param {Object} call - Outgoing call from the API
+     * @returns {string} Plain text
+     */
+    formatOutboundCall(call) {
+        const formatHeaders = (headers) => Object.entries(headers || {})
+            .map(([name, value]) => `${name}: ${Array.isArray(value) ? value.join(', ') : value}`)
+            .join('\n');
+        const sections = [
+            `${call.method} ${call.url}`,
+            formatHeaders(call.headers),
+            '',
+            this.formatBody(call.body) + this.formatTruncationNote(call.bodyTruncated, call.body, call.bodySize)
+        ];
+        
+        if (call.response) {
+            const response = call.response;
+            const body = response.bodyEncoding === 'base64' ? `[${this.formatBytes(response.originalSize)} binary body]` : this.formatBody(response.body);
+            sections.push(
+                '',
+                `HTTP ${response.statusCode} ${response.statusMessage || ''}`.trim(),
+                formatHeaders(response.headers),
+                '',
+                body + this.formatTruncationNote(response.truncated, response.body, response.originalSize)
+            );
+        }
+        
+        return sections.join('\n');
+    }
+    
+    async populateLogsTab(request) {
+        const requestLogs = document.getElementById('requestLogs');
+        requestLogs.innerHTML = '<div class="loading"><i class="fas fa-spinner"></i><span>Loading logs...</span></div>';
+        
+        try {
+            const response = await fetch(`${window.location.pathname}/api/logs?requestId=${encodeURIComponent(request.id)}`);
+            const result = await response.json();
+            
+            if (result.success && result.data.logs.length > 0) {
+                requestLogs.innerHTML = this.formatLogLines(result.data.logs, false);
+            } else {
+                requestLogs.innerHTML = '<div class="loading"><i class="fas fa-file-alt"></i><span>No log lines were emitted while handling this request</span></div>';
+            }
+        } catch (error) {
+            console.error('Failed to load request logs:', error);
+            requestLogs.innerHTML = '<div class="loading"><i class="fas fa-exclamation-triangle"></i><span>Failed to load logs</span></div>';
+        }
+    }
+    
+    /**
+     * Show a snippet that repeats the request in the selected language
+     * 
+     * @method populateCodeTab
+     * @async
+     * @param {Object} request - Request shown in the modal
+     * @returns {Promise<void>}
+     */
+    async populateCodeTab(request) {
+        const snippet = document.getElementById('requestSnippet');
+        const lang = document.getElementById('snippetLang').value;
+        snippet.textContent = 'Generating...';
+        
+        try {
+            const response = await fetch(`${window.location.pathname}/api/requests/${encodeURIComponent(request.id)}/snippet?lang=${lang}`);
+            const result = await response.json();
+            
+            // The modal may show another request or language by now
+            if (this.currentRequest !== request || document.getElementById('snippetLang').value !== lang) {
+                return;
+            }
+            
+            snippet.textContent = result.success ? result.data.code : `Failed to generate snippet: ${result.error}`;
+        } catch (error) {
+            console.error('Failed to load snippet:', error);
+            snippet.textContent = 'Failed to generate snippet.';
+        }
+    }
+    
+    /**
+     * Fill the edit form with the request shown in the modal
+     * 
+     * @method populateResendTab
+     * @param {Object} request - Request shown in the modal
+     * @returns {void}
+     */
+    populateResendTab(request) {
+        document.getElementById('resendMethod').value = request.method;
+        document.getElementById('resendUrl').value = request.url || request.path;
+        document.getElementById('resendHeaders').value = Object.entries(request.headers || {})
+            .flatMap(([name, value]) => [].concat(value).map(item => `${name}: ${item}`))
+            .join('\n');
+        document.getElementById('resendBody').value = request.body || '';
+        document.getElementById('resendResult').textContent = request.bodyTruncated ?
+            'The captured body was truncated; complete it before sending.' :
+            '';
+    }
+    
+    /**
+     * Parse `Name: value` lines from the edit form into a header map
+     * 
+     * @method parseHeaderLines
+     * @param {string} text - One header per line
+     * @returns {Object} Header map; repeated names become arrays
+     */
+    parseHeaderLines(text) {
+        const headers = {};
+        
+        text.split('\n').forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator <= 0) {
+                return;
+            }
+            const name = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+            headers[name] = name in headers ? [].concat(headers[name], value) : value;
+        });
+        
+        return headers;
+    }
+    
+    /**
+     * Send the request shown in the modal again and open the new capture
+     * 
+     * @method replayRequest
+     * @async
+     * @param {Object} [edits] - Method, url, headers and body replacing the captured ones
+     * @returns {Promise<void>}
+     */
+    async replayRequest(edits) {
+        if (!this.currentRequest) {
+            return;
+        }
+        
+        const resendResult = document.getElementById('resendResult');
+        resendResult.textContent = 'Sending...';
+        
+        try {
+            const response = await fetch(`${window.location.pathname}/api/requests/${this.currentRequest.id}/replay`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: edits ? JSON.stringify(edits) : ''
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                resendResult.textContent = `Replay failed: ${result.error}`;
+                alert(`Replay failed: ${result.error}`);
+                return;
+            }
+            
+            const { statusCode, responseTime, requestId, captured, warnings = [] } = result.data;
+            resendResult.textContent = `Replayed: ${statusCode} in ${responseTime}ms`;
+            if (warnings.length > 0) {
+                alert(`Replayed with warnings:\n${warnings.join('\n')}`);
+            }
+            
+            if (captured) {
+                // Show the new capture, whose overview links back to the original
+                await this.showRequestDetail(requestId);
+                document.querySelector('.modal-tab[data-tab="overview"]').click();
+            } else {
+                alert(`Replayed: ${statusCode} in ${responseTime}ms. The replay was not captured.`);
+            }
+        } catch (error) {
+            console.error('Failed to replay request:', error);
+            resendResult.textContent = 'Replay failed.';
+        }
+    }
+    
     /**
      * Initialize modal tabs
      * 
@@ -608,6 +3166,25 @@ class FluxManagerUI {
         }
     }
 
+    /**
+     * Build the note appended to bodies that exceeded the capture limit
+     * 
+     * @method formatTruncationNote
+     * @private
+     * @param {boolean} truncated - Whether the body was truncated by the server
+     * @param {string} body - Captured part of the body
+     * @param {number} totalSize - Original body size in bytes
+     * @returns {string} Note text, or an empty string when nothing was dropped
+     */
+    formatTruncationNote(truncated, body, totalSize) {
+        if (!truncated) {
+            return '';
+        }
+        
+        const capturedSize = new TextEncoder().encode(body || '').length;
+        return `\n\n… [truncated: ${this.formatBytes(capturedSize)} of ${this.formatBytes(totalSize)} captured]`;
+    }
+
     /**
      * Open the request details modal
      * 
@@ -649,9 +3226,12 @@ class FluxManagerUI {
             
             if (result.success) {
                 this.requests = [];
-                this.filteredRequests = [];
+                this.requestTotal = 0;
+                this.nextCursor = null;
+                this.compareSelection = [];
                 this.renderRequests();
                 this.loadStats();
+                this.loadTimeSeries();
             }
         } catch (error) {
             console.error('Failed to clear requests:', error);
@@ -26,14 +26,104 @@ import http from 'http';
 import url from 'url';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { WebSocketServer, WebSocket } from 'ws';
+import { WebSocketServer } from 'ws';
 import { v4 as uuidv4 } from 'uuid';
 import RequestStorage from './storage/RequestStorage.js';
+import FileRequestStorage from './storage/FileRequestStorage.js';
+import RequestQuery from './storage/RequestQuery.js';
+import ExceptionStorage from './storage/ExceptionStorage.js';
+import LogStorage from './storage/LogStorage.js';
+import QueryStorage from './storage/QueryStorage.js';
+import OutboundStorage from './storage/OutboundStorage.js';
+import BodyCapture, { DEFAULT_MAX_BODY_BYTES } from './capture/BodyCapture.js';
+import CapturePolicy from './capture/CapturePolicy.js';
+import Sampler from './capture/Sampler.js';
+import RequestContext from './context/RequestContext.js';
+import LogCapture from './logging/LogCapture.js';
+import DatabaseInstrumentation from './instrumentation/DatabaseInstrumentation.js';
+import HttpClientInstrumentation from './instrumentation/HttpClientInstrumentation.js';
+import Redactor from './redaction/Redactor.js';
+import AccessControl from './security/AccessControl.js';
+import HarConverter from './export/HarConverter.js';
+import RequestReplayer from './replay/RequestReplayer.js';
+import SnippetGenerator from './export/SnippetGenerator.js';
+import RequestDiff from './diff/RequestDiff.js';
+import TimeSeries from './metrics/TimeSeries.js';
+import PrometheusExporter from './metrics/PrometheusExporter.js';
+import TraceContext from './tracing/TraceContext.js';
+import OtlpExporter from './tracing/OtlpExporter.js';
+import RealtimeHub from './realtime/RealtimeHub.js';
+import MockEngine from './mocks/MockEngine.js';
+import BreakpointManager from './breakpoints/BreakpointManager.js';
+import { normalizeRoute } from './utils/routes.js';
+import { peekRequestBody, replaceRequestBody } from './utils/requestBody.js';
 
 // ES6 module compatibility - Convert import.meta.url to __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Marks process-level listeners installed by FluxManager instances
+const PROCESS_HANDLER = Symbol('fluxManagerProcessHandler');
+
+// Largest JSON document accepted by API routes that take a request body
+const MAX_API_BODY_BYTES = 50 * 1024 * 1024;
+
+// Major Node.js version, used where runtime defaults changed between releases
+const NODE_MAJOR = Number(process.versions.node.split('.')[0]);
+
+// Unhandled rejection rethrown by a FluxManager listener, which must not be recorded a second time
+let rethrownRejection = PROCESS_HANDLER;
+
+/**
+ * Get the `--unhandled-rejections` mode the process runs with
+ * Command line flags take precedence over `NODE_OPTIONS`, as in Node.js.
+ *
+ * @returns {string} `throw`, `strict`, `warn`, `none`, `warn-with-error-code`, or `default` before Node.js 15
+ */
+function getUnhandledRejectionsMode() {
+  const args = [...String(process.env.NODE_OPTIONS || '').split(/\s+/), ...process.execArgv];
+  let mode = NODE_MAJOR >= 15 ? 'throw' : 'default';
+
+  args.forEach((arg, index) => {
+    if (arg.startsWith('--unhandled-rejections=')) {
+      mode = arg.slice('--unhandled-rejections='.length);
+    } else if (arg === '--unhandled-rejections' && args[index + 1]) {
+      mode = args[index + 1];
+    }
+  });
+  return mode;
+}
+
+/**
+ * Minimum milliseconds between time series updates sent to the dashboard
+ * @type {number}
+ */
+const TIME_SERIES_BROADCAST_MS = 1000;
+
+/**
+ * Minimum milliseconds between statistics updates sent to the dashboard
+ * @type {number}
+ */
+const STATS_BROADCAST_MS = 2000;
+
+/**
+ * Milliseconds during which evicted request ids are collected into one message
+ * @type {number}
+ */
+const EVICTION_BROADCAST_MS = 1000;
+
+/**
+ * Largest message accepted from a WebSocket client
+ * @type {number}
+ */
+const MAX_CLIENT_MESSAGE_BYTES = 64 * 1024;
+
+/**
+ * HTTP methods that never change state through the API
+ * @type {Set<string>}
+ */
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
 /**
  * FluxManager Class
  * 
@@ -66,10 +156,58 @@ class FluxManager {
    * @param {number} [options.port=3001] - Port for the built-in HTTP server
    * @param {string} [options.route='/flux-manager'] - Base route for dashboard and API
    * @param {number} [options.maxRequests=1000] - Maximum number of requests to store in memory
+   * @param {number} [options.maxStorageBytes=67108864] - Approximate memory budget for stored requests;
+   *                                                      bodies of the oldest requests are dropped first
+   * @param {string|Object} [options.storage='memory'] - Request storage backend: 'memory', 'file',
+   *                                                  `{ type: 'file', path, maxAge }`, or a custom
+   *                                                  object implementing the RequestStorage interface
+   * @param {number} [options.maxBodyBytes=102400] - Maximum number of body bytes captured per request
+   *                                                  and per response
+   * @param {Object|boolean} [options.redact] - Redaction rules applied before requests are stored or
+   *                                            broadcast (`headers`, `queryKeys`, `bodyPaths`, `patterns`,
+   *                                            `replacement`, `defaults`); `false` disables redaction
+   * @param {Object} [options.replay] - Replay settings: `target` base URL of the application
+   *                                    (defaults to the captured Host header) and `timeout` in ms
+   * @param {boolean|Object} [options.metrics=false] - Serve Prometheus metrics at `${route}/metrics`;
+   *                                                  an object sets histogram `buckets` (seconds) and
+   *                                                  `maxRoutes` before new routes are labeled `other`
+   * @param {Object} [options.timeSeries] - Chart aggregation: `interval` bucket size in ms (60000),
+   *                                        `buckets` to keep (60) and `sampleSize` per bucket (500)
+   * @param {Object[]} [options.mocks] - Mock rules applied from startup (`match`, `response`, `delay`,
+   *                                     `fault`, `probability`); manage them later through `/api/mocks`
+   * @param {Object[]} [options.breakpoints] - Breakpoints set from startup (`match`, `stage`, `timeout`);
+   *                                           manage them later through `/api/breakpoints`
+   * @param {Object} [options.tracing] - Export captured requests as OpenTelemetry spans over OTLP/HTTP:
+   *                                     `url` of the collector's traces endpoint, `headers`, `serviceName`,
+   *                                     `resource` attributes, `batchSize` (50) and `flushInterval` in ms (5000)
+   * @param {number} [options.maxExceptions=200] - Maximum number of exceptions to store in memory
+   * @param {boolean} [options.captureProcessErrors=true] - Record uncaught exceptions and unhandled rejections
+   * @param {boolean} [options.captureConsole=false] - Capture `console.*` output for the Console Logs section
+   * @param {number} [options.maxLogs=2000] - Maximum number of log entries to store in memory
+   * @param {number} [options.maxQueries=2000] - Maximum number of database queries to store in memory
+   * @param {number} [options.slowQueryMs=100] - Queries taking at least this long are flagged as slow
+   * @param {number} [options.nPlusOneThreshold=5] - Repetitions of one statement within a request
+   *                                                 that are flagged as an N+1 pattern
+   * @param {boolean} [options.captureOutbound=false] - Capture outgoing `http`, `https` and `fetch` calls
+   * @param {number} [options.maxOutbound=2000] - Maximum number of outgoing calls to store in memory
    * @param {boolean} [options.enableWebSocket=true] - Enable WebSocket for real-time updates
+   * @param {Object} [options.webSocket] - Live update protocol: `heartbeatInterval` in ms (30000) and
+   *                                       `maxBufferedBytes` per client (1 MB) before messages to a slow
+   *                                       client are dropped (see realtime/RealtimeHub.js)
    * @param {boolean} [options.autoStart=true] - Automatically start the built-in server
-   * @param {Object} [options.cors] - CORS configuration for API endpoints
-   * @param {string[]} [options.ignorePaths] - Paths to ignore during monitoring
+   * @param {Object} [options.auth] - Dashboard, API and WebSocket credentials: `{ username, password }`
+   *                                  for basic auth, `{ token }` for a bearer token, and/or an
+   *                                  `authorize(req)` callback that may return a promise
+   * @param {string[]} [options.allowedIps] - Client addresses or CIDR ranges allowed to use the dashboard
+   * @param {Object} [options.cors] - CORS configuration for API endpoints (`{ origins: [...] }`, or
+   *                                  `{ origins: '*' }` to allow any origin)
+   * @param {Object} [options.capture] - Capture policy: `include` and `exclude` lists of `status` codes or
+   *                                     classes (`3xx`), `methods`, `paths` and `headers` predicates, and a
+   *                                     `shouldCapture(req, res)` callback (see capture/CapturePolicy.js)
+   * @param {Object} [options.sampling] - Store only part of the captured traffic: a `rate` from 0 to 1,
+   *                                      a `perRoute` limit per second, `always: { errors, slowerThan }`
+   *                                      and a `decide(request)` callback (see capture/Sampler.js)
+   * @param {string[]} [options.ignorePaths] - Paths to ignore during monitoring, added to `capture.exclude.paths`
    * @param {Function} [options.onRequest] - Callback function called for each request
    * @param {Function} [options.onResponse] - Callback function called for each response
    * 
@@ -92,6 +230,16 @@ class FluxManager {
       port: options.port || 3001,
       route: options.route || '/flux-manager',
       maxRequests: options.maxRequests || 1000,
+      maxBodyBytes: options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES,
+      maxExceptions: options.maxExceptions || 200,
+      captureProcessErrors: options.captureProcessErrors !== false,
+      captureConsole: options.captureConsole === true,
+      maxLogs: options.maxLogs || 2000,
+      maxQueries: options.maxQueries || 2000,
+      slowQueryMs: options.slowQueryMs || 100,
+      nPlusOneThreshold: options.nPlusOneThreshold || 5,
+      captureOutbound: options.captureOutbound === true,
+      maxOutbound: options.maxOutbound || 2000,
       enableWebSocket: options.enableWebSocket !== false,
       autoStart: options.autoStart !== false,
       ...options
@@ -102,7 +250,182 @@ class FluxManager {
      * @type {RequestStorage}
      * @private
      */
-    this.storage = new RequestStorage(this.options.maxRequests);
+    this.storage = this._createStorage(this.options.storage);
+    
+    /**
+     * Decides which requests are intercepted and which responses are stored
+     * @type {CapturePolicy}
+     * @private
+     */
+    this.capturePolicy = new CapturePolicy(this.options.capture, this.options.ignorePaths);
+    
+    /**
+     * Picks which of the captured requests are stored and broadcast
+     * @type {Sampler}
+     * @private
+     */
+    this.sampler = new Sampler(this.options.sampling);
+    
+    /**
+     * Scrubs credentials and personal data from captured requests
+     * @type {Redactor}
+     * @private
+     */
+    this.redactor = new Redactor(this.options.redact);
+    
+    /**
+     * Authentication, IP allowlist and CORS rules for the dashboard, API and WebSocket
+     * @type {AccessControl}
+     * @private
+     */
+    this.accessControl = this._createAccessControl();
+    
+    /**
+     * Re-issues stored requests and links the new captures to the originals
+     * @type {RequestReplayer}
+     * @private
+     */
+    this.replayer = new RequestReplayer({
+      ...this.options.replay,
+      redactedValue: this.redactor.replacement
+    });
+    
+    /**
+     * Per-minute traffic, latency and error aggregates for the dashboard charts
+     * @type {TimeSeries}
+     * @private
+     */
+    this.timeSeries = new TimeSeries(this.options.timeSeries);
+    
+    /**
+     * Pending throttled time series broadcast
+     * @type {NodeJS.Timeout|null}
+     * @private
+     */
+    this.timeSeriesTimer = null;
+    
+    /**
+     * Request counters and latency histograms for the Prometheus endpoint
+     * @type {PrometheusExporter}
+     * @private
+     */
+    this.metrics = new PrometheusExporter({
+      ...(typeof this.options.metrics === 'object' ? this.options.metrics : {}),
+      gauges: () => this._metricGauges()
+    });
+    
+    /**
+     * Mock rules that answer, delay or fail matching requests instead of the application
+     * @type {MockEngine}
+     * @private
+     */
+    this.mocks = new MockEngine(this.options.mocks || []);
+    
+    /**
+     * Breakpoints that hold matching requests until they are resumed from the dashboard
+     * @type {BreakpointManager}
+     * @private
+     */
+    this.breakpoints = new BreakpointManager({
+      rules: this.options.breakpoints || [],
+      onPause: entry => this._broadcastToClients(entry, 'breakpoint_paused'),
+      onResolve: resolution => this._broadcastToClients(resolution, 'breakpoint_resolved')
+    });
+    
+    /**
+     * Sends captured requests to an OpenTelemetry collector, when `options.tracing` is set
+     * @type {OtlpExporter|null}
+     * @private
+     */
+    this.spanExporter = this.options.tracing ? new OtlpExporter(this.options.tracing) : null;
+    
+    /**
+     * Exception storage instance for errors linked to captured requests
+     * @type {ExceptionStorage}
+     * @private
+     */
+    this.exceptions = new ExceptionStorage(this.options.maxExceptions);
+    
+    /**
+     * Log storage instance for captured console and logger output
+     * @type {LogStorage}
+     * @private
+     */
+    this.logs = new LogStorage(this.options.maxLogs);
+    
+    /**
+     * Console patching and logger adapters feeding the log storage
+     * @type {LogCapture}
+     * @private
+     */
+    this.logCapture = new LogCapture(entry => this.recordLog(entry));
+    
+    /**
+     * Query storage instance for database queries linked to requests
+     * @type {QueryStorage}
+     * @private
+     */
+    this.queries = new QueryStorage(this.options.maxQueries, {
+      nPlusOneThreshold: this.options.nPlusOneThreshold
+    });
+    
+    /**
+     * Driver patches feeding the query storage
+     * @type {DatabaseInstrumentation}
+     * @private
+     */
+    this.databaseInstrumentation = new DatabaseInstrumentation(query => this.recordQuery(query));
+    
+    /**
+     * Outgoing HTTP calls linked to the requests that made them
+     * @type {OutboundStorage}
+     * @private
+     */
+    this.outbound = new OutboundStorage(this.options.maxOutbound);
+    
+    /**
+     * `http`, `https` and `fetch` patches feeding the outbound storage
+     * @type {HttpClientInstrumentation}
+     * @private
+     */
+    this.httpClientInstrumentation = new HttpClientInstrumentation(call => this.recordOutbound(call), {
+      maxBodyBytes: this.options.maxBodyBytes
+    });
+    
+    /**
+     * Guards against capturing logs emitted while a log is being recorded
+     * @type {boolean}
+     * @private
+     */
+    this.isRecordingLog = false;
+    
+    /**
+     * Async context used to correlate errors, logs and queries with the request being handled
+     * @type {RequestContext}
+     * @private
+     */
+    this.context = new RequestContext();
+    
+    /**
+     * Ids of intercepted requests, keyed by the native request object
+     * @type {WeakMap<http.IncomingMessage, string>}
+     * @private
+     */
+    this.requestIds = new WeakMap();
+    
+    /**
+     * Route templates reported by Koa and Fastify, keyed by the native request object
+     * @type {WeakMap<http.IncomingMessage, string>}
+     * @private
+     */
+    this.routeTemplates = new WeakMap();
+    
+    /**
+     * Errors that were already recorded, so each one is stored only once
+     * @type {WeakSet<Object>}
+     * @private
+     */
+    this.recordedErrors = new WeakSet();
     
     /**
      * Built-in HTTP server instance
@@ -118,6 +441,35 @@ class FluxManager {
      */
     this.wss = null;
     
+    /**
+     * Subscriptions, filters, backpressure and heartbeat of the WebSocket clients
+     * @type {RealtimeHub}
+     * @private
+     */
+    this.realtime = new RealtimeHub({
+      ...this.options.webSocket,
+      getRequest: id => this.storage.getById(id)
+    });
+    
+    /**
+     * Pending throttled statistics broadcast
+     * @type {NodeJS.Timeout|null}
+     * @private
+     */
+    this.statsTimer = null;
+    
+    /**
+     * Ids of evicted requests not yet sent to the dashboard, and the timer that sends them
+     * @type {{ids: string[], timer: NodeJS.Timeout|null}}
+     * @private
+     */
+    this.pendingEvictions = { ids: [], timer: null };
+    
+    // Backends that expose an `onEvict` hook report the requests they drop
+    if ('onEvict' in this.storage) {
+      this.storage.onEvict = request => this._scheduleEvictionBroadcast(request.id);
+    }
+    
     /**
      * Flag indicating if monitoring is enabled
      * @type {boolean}
@@ -125,12 +477,77 @@ class FluxManager {
      */
     this.isEnabled = true;
     
+    /**
+     * Process listeners recording uncaught errors, removed by `stop()`
+     * @type {{uncaughtExceptionMonitor: Function, unhandledRejection: Function}|null}
+     * @private
+     */
+    this.processHandlers = null;
+    
+    if (this.options.captureProcessErrors) {
+      this._setupProcessErrorCapture();
+    }
+    
+    if (this.options.captureConsole) {
+      this.logCapture.patchConsole();
+    }
+    
+    if (this.options.captureOutbound) {
+      this.httpClientInstrumentation.patch();
+    }
+    
     // Auto-start the built-in server if enabled
     if (this.options.autoStart) {
       this.start();
     }
   }
 
+  /**
+   * Create the access rules from `options.auth`, `options.allowedIps` and `options.cors`
+   * 
+   * @private
+   * @returns {AccessControl} Access rules for the dashboard, API and WebSocket
+   */
+  _createAccessControl() {
+    return new AccessControl({
+      auth: this.options.auth,
+      allowedIps: this.options.allowedIps,
+      cors: this.options.cors,
+      route: this.options.route
+    });
+  }
+
+  /**
+   * Create the request storage backend selected by `options.storage`
+   * 
+   * @private
+   * @param {string|Object} [storage='memory'] - Storage selection
+   * @returns {RequestStorage} Storage backend
+   * @throws {Error} If the storage type is unknown
+   */
+  _createStorage(storage = 'memory') {
+    // Custom backend implementing the RequestStorage interface
+    if (storage && typeof storage.addRequest === 'function') {
+      return storage;
+    }
+
+    const config = typeof storage === 'string' ? { type: storage } : { ...storage };
+
+    if (config.type === 'file') {
+      return new FileRequestStorage({
+        maxRequests: this.options.maxRequests,
+        maxBytes: this.options.maxStorageBytes,
+        ...config
+      });
+    }
+
+    if (!config.type || config.type === 'memory') {
+      return new RequestStorage(this.options.maxRequests, { maxBytes: this.options.maxStorageBytes });
+    }
+
+    throw new Error(`FluxManager: Unknown storage type "${config.type}"`);
+  }
+
   /**
    * Start the built-in HTTP server and WebSocket server
    * 
@@ -157,6 +574,10 @@ class FluxManager {
       return this;
     }
 
+    if (this.options.captureProcessErrors) {
+      this._setupProcessErrorCapture();
+    }
+
     this.server = http.createServer((req, res) => {
       this._handleRequest(req, res);
     });
@@ -179,13 +600,19 @@ class FluxManager {
    * 
    * This is the core method that captures HTTP request/response data for monitoring.
    * It works with any Node.js HTTP framework by intercepting the native request/response objects.
-   * The method automatically skips monitoring requests to the FluxManager dashboard itself
-   * and other system/browser requests that aren't relevant for debugging.
+   * The method automatically skips monitoring requests to the FluxManager dashboard itself,
+   * and the capture policy (`options.capture`) decides which other requests are monitored
+   * and which responses are stored.
+   * 
+   * When `next` is given, a matching mock rule may answer the request instead of
+   * the application, or delay the call to `next`, and a request breakpoint holds
+   * the request before `next` runs. Response breakpoints hold the response
+   * before it is sent, with or without `next`.
    * 
    * @param {http.IncomingMessage} req - The HTTP request object
    * @param {http.ServerResponse} res - The HTTP response object
    * @param {Function} [next] - Optional next function for middleware compatibility
-   * @returns {void}
+   * @returns {boolean|void} True if a mock rule answers the request and `next` will not be called
    * 
    * @example
    * // Express middleware usage
@@ -215,22 +642,16 @@ class FluxManager {
       return next && next();
     }
 
-    // Skip system/browser requests that aren't relevant for debugging
-    const skipPaths = [
-      '/.well-known/',
-      '/favicon.ico',
-      '/__webpack_hmr',
-      '/sockjs-node/',
-      '/_next/static/',
-      '/static/'
-    ];
-    
-    if (skipPaths.some(skipPath => parsedUrl.pathname.startsWith(skipPath))) {
+    // Skip requests the capture policy rules out, such as browser and asset requests
+    if (!this.capturePolicy.shouldIntercept({ method: req.method, path: parsedUrl.pathname, headers: req.headers })) {
       return next && next();
     }
 
+    this.replayer.observe(req);
+
     const requestId = uuidv4();
     const startTime = Date.now();
+    this.requestIds.set(req, requestId);
     
     // Capture request data (framework-agnostic)
     const requestData = {
@@ -240,66 +661,187 @@ class FluxManager {
       url: req.url,
       headers: { ...req.headers },
       query: this._parseQuery(parsedUrl.query),
-      body: this._captureBody(req),
       ip: req.connection.remoteAddress || req.socket.remoteAddress,
       userAgent: req.headers['user-agent'],
       timestamp: new Date().toISOString(),
-      startTime: startTime
+      startTime: startTime,
+      trace: TraceContext.fromHeaders(req.headers)
     };
 
+    // Link replays started from the dashboard to the request they repeat
+    const replayOf = this.replayer.claim(requestData);
+    if (replayOf) {
+      requestData.replayOf = replayOf;
+    }
+
+    // Requests sampled out on arrival are only counted, so their bodies are not recorded
+    const headDecision = this.sampler.head(requestData);
+
+    // Tee the incoming body as the application reads it
+    const requestBody = headDecision ? new BodyCapture(0) : this._teeRequestBody(req);
+
     // Override res.end to capture response (works with any framework)
     const originalEnd = res.end;
     const originalWrite = res.write;
-    let responseBody = '';
+    const originalWriteHead = res.writeHead;
+    const responseBody = new BodyCapture(headDecision ? 0 : this.options.maxBodyBytes);
+
+    // Response breakpoint, looked up once the application starts responding
+    let responseBreakpoint;
+    let responsePaused = false;
+    const findResponseBreakpoint = () => {
+      if (responseBreakpoint === undefined) {
+        responseBreakpoint = this.breakpoints.match(requestData, 'response');
+      }
+      return responseBreakpoint;
+    };
+
+    // Keep an explicit head unsent while a response breakpoint may still edit it
+    res.writeHead = function(statusCode, reason, headers) {
+      if (res.headersSent || responsePaused || !findResponseBreakpoint()) {
+        return originalWriteHead.apply(this, arguments);
+      }
+
+      if (typeof reason === 'string') {
+        res.statusMessage = reason;
+      } else {
+        headers = reason;
+      }
+      res.statusCode = statusCode;
+
+      if (Array.isArray(headers)) {
+        const pairs = Array.isArray(headers[0]) ? headers :
+          headers.filter((value, index) => index % 2 === 0).map((name, index) => [name, headers[index * 2 + 1]]);
+        pairs.forEach(([name, value]) => res.setHeader(name, value));
+      } else if (headers) {
+        Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+      }
+      return this;
+    };
 
     res.write = function(chunk, encoding) {
-      if (chunk) {
-        responseBody += chunk.toString();
+      // A streamed response goes out as it is written, so it cannot be paused
+      if (!responsePaused) {
+        responseBreakpoint = null;
       }
-      return originalWrite.call(this, chunk, encoding);
+      if (chunk && typeof chunk !== 'function') {
+        responseBody.append(chunk, encoding);
+      }
+      return originalWrite.apply(this, arguments);
     };
 
     const self = this;
     res.end = function(chunk, encoding) {
-      if (chunk) {
-        responseBody += chunk.toString();
+      // Hold the response while nothing has been sent, so all of it can still be edited
+      if (!responsePaused && !res.headersSent && findResponseBreakpoint()) {
+        responsePaused = true;
+        self._pauseResponse(responseBreakpoint, { res, requestData, args: [...arguments] });
+        return this;
+      }
+
+      if (chunk && typeof chunk !== 'function') {
+        responseBody.append(chunk, encoding);
       }
 
       const endTime = Date.now();
       const responseTime = endTime - startTime;
+      const route = self._getRouteTemplate(req);
+
+      // Metrics count every response, including the ones not captured below
+      if (self.options.metrics) {
+        self.metrics.observe({
+          method: req.method,
+          route: route || normalizeRoute(parsedUrl.pathname),
+          status: res.statusCode,
+          duration: responseTime / 1000
+        });
+      }
 
       // Capture response data (framework-agnostic)
+      const capturedBody = responseBody.serialize({
+        contentType: res.getHeader('content-type'),
+        contentEncoding: res.getHeader('content-encoding')
+      });
       const responseData = {
         statusCode: res.statusCode,
         statusMessage: res.statusMessage || '',
         headers: { ...res.getHeaders() },
-        body: responseBody,
+        body: capturedBody.body,
+        bodyEncoding: capturedBody.bodyEncoding,
+        truncated: capturedBody.truncated,
+        originalSize: capturedBody.originalSize,
+        decompressedFrom: capturedBody.decompressedFrom,
         responseTime: responseTime
       };
 
-      // Only capture successful responses or clear errors
-      const shouldCapture = res.statusCode < 300 || res.statusCode >= 400;
-      
-      if (shouldCapture) {
-        // Store the complete request/response data
-        const completeData = {
+      if (self.capturePolicy.shouldCapture(req, res)) {
+        const finishedData = {
           ...requestData,
+          body: self._captureBody(req, requestBody),
+          bodySize: requestBody.totalBytes,
+          bodyTruncated: requestBody.truncated,
           response: responseData,
           endTime: new Date().toISOString()
         };
 
+        if (route) {
+          finishedData.route = route;
+        }
+
+        const decision = headDecision || self.sampler.tail(finishedData);
+        if (!decision.keep) {
+          // Sampled-out requests still count in the charts
+          self.timeSeries.record(finishedData);
+          self._scheduleTimeSeriesBroadcast(finishedData);
+          return originalEnd.apply(this, arguments);
+        }
+        if (self.sampler.enabled) {
+          finishedData.sampling = decision.record;
+        }
+
+        // Store the complete request/response data, redacted once for both
+        // storage and the WebSocket broadcast
+        const completeData = self.redactor.redactRequest(finishedData);
+
         self.storage.addRequest(completeData);
+        self.timeSeries.record(completeData);
+        if (self.spanExporter) {
+          self.spanExporter.export(completeData);
+        }
         
         // Broadcast to WebSocket clients
         self._broadcastToClients(completeData);
+        self._scheduleTimeSeriesBroadcast(completeData);
+        self._scheduleStatsBroadcast();
       }
 
-      return originalEnd.call(res, chunk, encoding);
+      return originalEnd.apply(this, arguments);
     };
 
-    // Call next if provided (for middleware pattern)
+    // Call next if provided (for middleware pattern). Running it inside the
+    // request context lets errors thrown downstream be linked to this request.
     if (next) {
-      next();
+      const run = () => {
+        this.context.run({ requestId, method: requestData.method, path: requestData.path, trace: requestData.trace }, next);
+      };
+
+      // Request breakpoints hold the request right before the application gets it
+      const proceed = () => {
+        const breakpoint = this.breakpoints.match(requestData, 'request');
+        if (breakpoint) {
+          this._pauseRequest(breakpoint, { req, res, requestData, requestBody }, run);
+        } else {
+          run();
+        }
+      };
+
+      const rule = this.mocks.match(requestData);
+      if (rule) {
+        requestData.mock = { id: rule.id, name: rule.name };
+        return this.mocks.apply(rule, res, proceed);
+      }
+
+      proceed();
     }
   }
 
@@ -313,32 +855,7 @@ class FluxManager {
 
     // Serve dashboard and API routes
     if (pathname.startsWith(this.options.route)) {
-      const subPath = pathname.substring(this.options.route.length) || '/';
-      
-
-      
-      // API Routes
-      if (subPath.startsWith('/api/')) {
-        return this._handleApiRequest(req, res, subPath);
-      }
-      
-      // Static files - Handle all possible path variations
-      const fileName = subPath.replace(/^\/+/, ''); // Remove leading slashes
-      
-      if (fileName === 'app.js' || subPath.endsWith('/app.js')) {
-        return this._serveFile(res, path.join(__dirname, '../frontend/dist/app.js'), 'application/javascript');
-      }
-      if (fileName === 'styles.css' || subPath.endsWith('/styles.css')) {
-        return this._serveFile(res, path.join(__dirname, '../frontend/dist/styles.css'), 'text/css');
-      }
-      if (fileName === 'index.html' || subPath.endsWith('/index.html')) {
-        return this._serveFile(res, path.join(__dirname, '../frontend/dist/index.html'), 'text/html');
-      }
-      
-      // Dashboard UI
-      if (subPath === '/' || subPath === '') {
-        return this._serveDynamicHTML(res);
-      }
+      return this._guardAccess(req, res, () => this._handleDashboardRoute(req, res, pathname));
     }
 
     // Not a Flux Manager route - return 404
@@ -347,48 +864,498 @@ class FluxManager {
   }
 
   /**
-   * Handle API requests
+   * Run a dashboard, API or asset handler if the access rules allow the request
+   * 
+   * CORS preflights are answered directly because browsers never attach
+   * credentials to them. Requests that change state are refused with a 403 when
+   * they come from a foreign origin, since browsers send them cross-site with
+   * cookies and cached credentials. Denied requests get a 401 or 403 response. A bearer
+   * token passed as `?token=` is stored in a cookie, and page loads are
+   * redirected so the token does not stay in the address bar.
+   * 
+   * @private
+   * @param {http.IncomingMessage} req - HTTP request object
+   * @param {http.ServerResponse} res - HTTP response object
+   * @param {Function} next - Handler to run when access is granted
    */
-  _handleApiRequest(req, res, subPath) {
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-    if (req.method === 'OPTIONS') {
-      res.writeHead(200);
+  _guardAccess(req, res, next) {
+    if (req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
+      this.accessControl.applyCors(req, res);
+      res.writeHead(204);
       return res.end();
     }
 
-    try {
-      if (subPath === '/api/requests' && req.method === 'GET') {
-        const requests = this.storage.getAll();
-        res.writeHead(200);
-        return res.end(JSON.stringify({ success: true, data: { requests, total: requests.length } }));
+    if (!SAFE_METHODS.has(req.method) && !this.accessControl.isAllowedOrigin(req)) {
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      return res.end('Forbidden: cross-origin request');
+    }
+
+    if (!this.accessControl.enabled) {
+      return next();
+    }
+
+    this.accessControl.check(req).then(result => {
+      if (!result.allowed) {
+        res.writeHead(result.statusCode, { 'Content-Type': 'text/plain', ...result.headers });
+        return res.end(result.message);
       }
-      
-      // Individual request details route
-      if (subPath.startsWith('/api/requests/') && req.method === 'GET') {
-        const requestId = subPath.split('/api/requests/')[1];
-        const request = this.storage.getById(requestId);
-        
-        if (request) {
-          res.writeHead(200);
-          return res.end(JSON.stringify({ success: true, data: request }));
-        } else {
-          res.writeHead(404);
-          return res.end(JSON.stringify({ success: false, error: 'Request not found' }));
-        }
+
+      if (result.cookie) {
+        res.setHeader('Set-Cookie', result.cookie);
+
+        if (req.method === 'GET' && String(req.headers.accept || '').includes('text/html')) {
+          const target = new URL(req.originalUrl || req.url, 'http://localhost');
+          target.searchParams.delete('token');
+          res.writeHead(302, { Location: target.pathname + target.search });
+          return res.end();
+        }
+      }
+
+      next();
+    }).catch(error => {
+      console.error('FluxManager: Access check failed:', error);
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+      }
+      res.end('Server error');
+    });
+  }
+
+  /**
+   * Serve a dashboard, static asset or API route after access was granted
+   * 
+   * @private
+   * @param {http.IncomingMessage} req - HTTP request object
+   * @param {http.ServerResponse} res - HTTP response object
+   * @param {string} pathname - Request path, starting with the configured route
+   */
+  _handleDashboardRoute(req, res, pathname) {
+    const subPath = pathname.substring(this.options.route.length) || '/';
+    
+    // API Routes
+    if (subPath.startsWith('/api/')) {
+      return this._handleApiRequest(req, res, subPath);
+    }
+    
+    // Static files - Handle all possible path variations
+    const fileName = subPath.replace(/^\/+/, ''); // Remove leading slashes
+    
+    if (fileName === 'app.js' || subPath.endsWith('/app.js')) {
+      return this._serveFile(res, path.join(__dirname, '../frontend/dist/app.js'), 'application/javascript');
+    }
+    if (fileName === 'styles.css' || subPath.endsWith('/styles.css')) {
+      return this._serveFile(res, path.join(__dirname, '../frontend/dist/styles.css'), 'text/css');
+    }
+    if (fileName === 'index.html' || subPath.endsWith('/index.html')) {
+      return this._serveFile(res, path.join(__dirname, '../frontend/dist/index.html'), 'text/html');
+    }
+    
+    // Dashboard UI
+    if (subPath === '/' || subPath === '') {
+      return this._serveDynamicHTML(res);
+    }
+
+    if (subPath === '/metrics' && this.options.metrics) {
+      return this._serveMetrics(req, res);
+    }
+
+    // Unknown dashboard route - return 404
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not Found');
+  }
+
+  /**
+   * Handle API requests
+   */
+  _handleApiRequest(req, res, subPath) {
+    res.setHeader('Content-Type', 'application/json');
+    this.accessControl.applyCors(req, res);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(200);
+      return res.end();
+    }
+
+    try {
+      if (subPath === '/api/requests' && req.method === 'GET') {
+        const query = url.parse(req.url, true).query;
+        let criteria;
+        try {
+          criteria = this._parseRequestCriteria(query);
+        } catch (error) {
+          res.writeHead(400);
+          return res.end(JSON.stringify({ success: false, error: error.message }));
+        }
+
+        const page = this.storage.query(criteria, {
+          cursor: query.cursor,
+          limit: query.limit,
+          sort: query.sort
+        });
+        res.writeHead(200);
+        return res.end(JSON.stringify({ success: true, data: page }));
+      }
+      
+      const replayMatch = /^\/api\/requests\/([^/]+)\/replay$/.exec(subPath);
+      if (replayMatch && req.method === 'POST') {
+        const original = this.storage.getById(replayMatch[1]);
+        if (!original) {
+          res.writeHead(404);
+          return res.end(JSON.stringify({ success: false, error: 'Request not found' }));
+        }
+
+        this._readJsonBody(req, { optional: true })
+          .then(edits => this.replayer.replay(original, edits || {}))
+          .then(result => {
+            res.writeHead(200);
+            res.end(JSON.stringify({
+              success: true,
+              data: { ...result, captured: Boolean(result.requestId && this.storage.getById(result.requestId)) }
+            }));
+          })
+          .catch(error => {
+            res.writeHead(error.statusCode || 500);
+            res.end(JSON.stringify({ success: false, error: error.message }));
+          });
+        return;
+      }
+      
+      const mockFromRequestMatch = /^\/api\/requests\/([^/]+)\/mock$/.exec(subPath);
+      if (mockFromRequestMatch && req.method === 'POST') {
+        const request = this.storage.getById(mockFromRequestMatch[1]);
+        if (!request) {
+          res.writeHead(404);
+          return res.end(JSON.stringify({ success: false, error: 'Request not found' }));
+        }
+
+        let rule;
+        try {
+          rule = this.mocks.create(MockEngine.fromCapturedRequest(request, { redactedValue: this.redactor.replacement }));
+        } catch (error) {
+          res.writeHead(error.statusCode || 400);
+          return res.end(JSON.stringify({ success: false, error: error.message }));
+        }
+        res.writeHead(201);
+        return res.end(JSON.stringify({ success: true, data: rule }));
+      }
+      
+      const snippetMatch = /^\/api\/requests\/([^/]+)\/snippet$/.exec(subPath);
+      if (snippetMatch && req.method === 'GET') {
+        const query = url.parse(req.url, true).query;
+        const request = this.storage.getById(snippetMatch[1]);
+        if (!request) {
+          res.writeHead(404);
+          return res.end(JSON.stringify({ success: false, error: 'Request not found' }));
+        }
+
+        let code;
+        try {
+          code = SnippetGenerator.generate(request, query.lang || 'curl', {
+            baseUrl: this.options.replay && this.options.replay.target
+          });
+        } catch (error) {
+          res.writeHead(400);
+          return res.end(JSON.stringify({ success: false, error: error.message }));
+        }
+
+        res.writeHead(200);
+        return res.end(JSON.stringify({ success: true, data: { lang: String(query.lang || 'curl').toLowerCase(), code } }));
+      }
+      
+      // Individual request details route
+      if (subPath.startsWith('/api/requests/') && req.method === 'GET') {
+        const requestId = subPath.split('/api/requests/')[1];
+        const request = this.storage.getById(requestId);
+        
+        if (request) {
+          res.writeHead(200);
+          return res.end(JSON.stringify({ success: true, data: request }));
+        } else {
+          res.writeHead(404);
+          return res.end(JSON.stringify({ success: false, error: 'Request not found' }));
+        }
+      }
+      
+      if (subPath === '/api/diff' && req.method === 'GET') {
+        const query = url.parse(req.url, true).query;
+        if (!query.a || !query.b) {
+          res.writeHead(400);
+          return res.end(JSON.stringify({ success: false, error: 'Both a and b request ids are required' }));
+        }
+
+        const a = this.storage.getById(query.a);
+        const b = this.storage.getById(query.b);
+        if (!a || !b) {
+          res.writeHead(404);
+          return res.end(JSON.stringify({ success: false, error: `Request not found: ${!a ? query.a : query.b}` }));
+        }
+
+        res.writeHead(200);
+        return res.end(JSON.stringify({ success: true, data: RequestDiff.compare(a, b) }));
+      }
+      
+      if (subPath === '/api/exceptions' && req.method === 'GET') {
+        const query = url.parse(req.url, true).query;
+        const exceptions = query.requestId ?
+          this.exceptions.getByRequestId(query.requestId) :
+          this.exceptions.getAll();
+        res.writeHead(200);
+        return res.end(JSON.stringify({ success: true, data: { exceptions, total: exceptions.length } }));
+      }
+      
+      if (subPath.startsWith('/api/exceptions/') && req.method === 'GET') {
+        const exceptionId = subPath.split('/api/exceptions/')[1];
+        const exception = this.exceptions.getById(exceptionId);
+        
+        if (exception) {
+          res.writeHead(200);
+          return res.end(JSON.stringify({ success: true, data: exception }));
+        } else {
+          res.writeHead(404);
+          return res.end(JSON.stringify({ success: false, error: 'Exception not found' }));
+        }
+      }
+      
+      if (subPath === '/api/exceptions' && req.method === 'DELETE') {
+        this.exceptions.clear();
+        res.writeHead(200);
+        return res.end(JSON.stringify({ success: true, message: 'All exceptions cleared' }));
+      }
+      
+      if (subPath === '/api/logs' && req.method === 'GET') {
+        const query = url.parse(req.url, true).query;
+        const logs = query.requestId ?
+          this.logs.getByRequestId(query.requestId) :
+          this.logs.getAll();
+        res.writeHead(200);
+        return res.end(JSON.stringify({ success: true, data: { logs, total: logs.length } }));
+      }
+      
+      if (subPath === '/api/logs' && req.method === 'DELETE') {
+        this.logs.clear();
+        res.writeHead(200);
+        return res.end(JSON.stringify({ success: true, message: 'All logs cleared' }));
+      }
+      
+      if (subPath === '/api/queries' && req.method === 'GET') {
+        const query = url.parse(req.url, true).query;
+        const data = query.requestId ?
+          this.queries.analyzeRequest(query.requestId) :
+          { requests: this.queries.summarizeByRequest(), total: this.queries.getAll().length };
+        res.writeHead(200);
+        return res.end(JSON.stringify({ success: true, data }));
+      }
+      
+      if (subPath === '/api/queries' && req.method === 'DELETE') {
+        this.queries.clear();
+        res.writeHead(200);
+        return res.end(JSON.stringify({ success: true, message: 'All queries cleared' }));
+      }
+      
+      if (subPath === '/api/outbound' && req.method === 'GET') {
+        const query = url.parse(req.url, true).query;
+        const calls = query.parentId ? this.outbound.getByParentId(query.parentId) : this.outbound.getAll().reverse();
+        res.writeHead(200);
+        return res.end(JSON.stringify({ success: true, data: { calls, total: calls.length } }));
+      }
+      
+      if (subPath === '/api/outbound' && req.method === 'DELETE') {
+        this.outbound.clear();
+        res.writeHead(200);
+        return res.end(JSON.stringify({ success: true, message: 'All outbound calls cleared' }));
+      }
+      
+      if (subPath === '/api/mocks' && req.method === 'GET') {
+        res.writeHead(200);
+        return res.end(JSON.stringify({ success: true, data: { rules: this.mocks.list() } }));
+      }
+      
+      if (subPath === '/api/mocks' && req.method === 'POST') {
+        this._readJsonBody(req)
+          .then(definition => {
+            const rule = this.mocks.create(definition);
+            res.writeHead(201);
+            res.end(JSON.stringify({ success: true, data: rule }));
+          })
+          .catch(error => {
+            res.writeHead(error.statusCode || 400);
+            res.end(JSON.stringify({ success: false, error: error.message }));
+          });
+        return;
+      }
+      
+      if (subPath === '/api/mocks' && req.method === 'DELETE') {
+        this.mocks.clear();
+        res.writeHead(200);
+        return res.end(JSON.stringify({ success: true, message: 'All mock rules removed' }));
+      }
+      
+      const mockMatch = /^\/api\/mocks\/([^/]+)$/.exec(subPath);
+      if (mockMatch && req.method === 'GET') {
+        const rule = this.mocks.get(mockMatch[1]);
+        res.writeHead(rule ? 200 : 404);
+        return res.end(JSON.stringify(rule ? { success: true, data: rule } : { success: false, error: 'Mock rule not found' }));
+      }
+      
+      if (mockMatch && (req.method === 'PUT' || req.method === 'PATCH')) {
+        this._readJsonBody(req)
+          .then(definition => {
+            const rule = this.mocks.update(mockMatch[1], definition, { partial: req.method === 'PATCH' });
+            res.writeHead(200);
+            res.end(JSON.stringify({ success: true, data: rule }));
+          })
+          .catch(error => {
+            res.writeHead(error.statusCode || 400);
+            res.end(JSON.stringify({ success: false, error: error.message }));
+          });
+        return;
+      }
+      
+      if (mockMatch && req.method === 'DELETE') {
+        const removed = this.mocks.remove(mockMatch[1]);
+        res.writeHead(removed ? 200 : 404);
+        return res.end(JSON.stringify(removed ?
+          { success: true, message: 'Mock rule removed' } :
+          { success: false, error: 'Mock rule not found' }));
+      }
+      
+      if (subPath === '/api/breakpoints' && req.method === 'GET') {
+        res.writeHead(200);
+        return res.end(JSON.stringify({
+          success: true,
+          data: { rules: this.breakpoints.list(), paused: this.breakpoints.listPaused() }
+        }));
+      }
+      
+      if (subPath === '/api/breakpoints' && req.method === 'POST') {
+        this._readJsonBody(req)
+          .then(definition => {
+            const rule = this.breakpoints.create(definition);
+            res.writeHead(201);
+            res.end(JSON.stringify({ success: true, data: rule }));
+          })
+          .catch(error => {
+            res.writeHead(error.statusCode || 400);
+            res.end(JSON.stringify({ success: false, error: error.message }));
+          });
+        return;
+      }
+      
+      if (subPath === '/api/breakpoints' && req.method === 'DELETE') {
+        this.breakpoints.clear();
+        res.writeHead(200);
+        return res.end(JSON.stringify({ success: true, message: 'All breakpoints removed' }));
+      }
+      
+      const breakpointMatch = /^\/api\/breakpoints\/([^/]+)$/.exec(subPath);
+      if (breakpointMatch && req.method === 'GET') {
+        const rule = this.breakpoints.get(breakpointMatch[1]);
+        res.writeHead(rule ? 200 : 404);
+        return res.end(JSON.stringify(rule ? { success: true, data: rule } : { success: false, error: 'Breakpoint not found' }));
+      }
+      
+      if (breakpointMatch && (req.method === 'PUT' || req.method === 'PATCH')) {
+        this._readJsonBody(req)
+          .then(definition => {
+            const rule = this.breakpoints.update(breakpointMatch[1], definition, { partial: req.method === 'PATCH' });
+            res.writeHead(200);
+            res.end(JSON.stringify({ success: true, data: rule }));
+          })
+          .catch(error => {
+            res.writeHead(error.statusCode || 400);
+            res.end(JSON.stringify({ success: false, error: error.message }));
+          });
+        return;
+      }
+      
+      if (breakpointMatch && req.method === 'DELETE') {
+        const removed = this.breakpoints.remove(breakpointMatch[1]);
+        res.writeHead(removed ? 200 : 404);
+        return res.end(JSON.stringify(removed ?
+          { success: true, message: 'Breakpoint removed' } :
+          { success: false, error: 'Breakpoint not found' }));
+      }
+      
+      if (subPath === '/api/paused' && req.method === 'GET') {
+        res.writeHead(200);
+        return res.end(JSON.stringify({ success: true, data: { paused: this.breakpoints.listPaused() } }));
+      }
+      
+      const pausedMatch = /^\/api\/paused\/([^/]+)\/(resume|abort)$/.exec(subPath);
+      if (pausedMatch && req.method === 'POST') {
+        this._readJsonBody(req, { optional: true })
+          .then(edits => {
+            const entry = pausedMatch[2] === 'resume' ?
+              this.breakpoints.resume(pausedMatch[1], edits) :
+              this.breakpoints.abort(pausedMatch[1]);
+            res.writeHead(200);
+            res.end(JSON.stringify({ success: true, data: entry }));
+          })
+          .catch(error => {
+            res.writeHead(error.statusCode || 400);
+            res.end(JSON.stringify({ success: false, error: error.message }));
+          });
+        return;
+      }
+      
+      if (subPath === '/api/export' && req.method === 'GET') {
+        const query = url.parse(req.url, true).query;
+        if ((query.format || 'har') !== 'har') {
+          res.writeHead(400);
+          return res.end(JSON.stringify({ success: false, error: `Unsupported export format: ${query.format}` }));
+        }
+
+        let criteria;
+        try {
+          criteria = this._parseRequestCriteria(query);
+        } catch (error) {
+          res.writeHead(400);
+          return res.end(JSON.stringify({ success: false, error: error.message }));
+        }
+
+        const fileName = `flux-manager-${new Date().toISOString().replace(/[:.]/g, '-')}.har`;
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.writeHead(200);
+        return res.end(JSON.stringify(this.exportHar(criteria), null, 2));
+      }
+      
+      if (subPath === '/api/import' && req.method === 'POST') {
+        this._readJsonBody(req)
+          .then(har => {
+            const imported = this.importHar(har);
+            res.writeHead(200);
+            res.end(JSON.stringify({ success: true, data: { imported: imported.length } }));
+          })
+          .catch(error => {
+            res.writeHead(error.statusCode || 400);
+            res.end(JSON.stringify({ success: false, error: error.message }));
+          });
+        return;
       }
       
       if (subPath === '/api/stats' && req.method === 'GET') {
-        const stats = this.storage.getStats();
+        const stats = this._getStats();
         res.writeHead(200);
         return res.end(JSON.stringify({ success: true, data: stats }));
       }
       
+      if (subPath === '/api/timeseries' && req.method === 'GET') {
+        const query = url.parse(req.url, true).query;
+        const buckets = query.buckets !== undefined ? Number(query.buckets) : undefined;
+        if (buckets !== undefined && !(Number.isInteger(buckets) && buckets > 0)) {
+          res.writeHead(400);
+          return res.end(JSON.stringify({ success: false, error: 'buckets must be a positive integer' }));
+        }
+
+        res.writeHead(200);
+        return res.end(JSON.stringify({
+          success: true,
+          data: { interval: this.timeSeries.interval, buckets: this.timeSeries.getSeries({ buckets }) }
+        }));
+      }
+      
       if (subPath === '/api/requests' && req.method === 'DELETE') {
-        this.storage.clear();
+        this.clearRequests();
         res.writeHead(200);
         return res.end(JSON.stringify({ success: true, message: 'All requests cleared' }));
       }
@@ -403,164 +1370,1110 @@ class FluxManager {
   }
 
   /**
-   * Serve dynamic HTML with route-agnostic asset paths
-   * Dynamically replaces route placeholders in the HTML template
-   * to ensure frontend assets load correctly regardless of the configured route
+   * Serve dynamic HTML with route-agnostic asset paths
+   * Dynamically replaces route placeholders in the HTML template
+   * to ensure frontend assets load correctly regardless of the configured route
+   * 
+   * @private
+   * @param {http.ServerResponse} res - HTTP response object
+   */
+  _serveDynamicHTML(res) {
+    try {
+      const htmlPath = path.join(__dirname, '../frontend/dist/index.html');
+      
+      if (fs.existsSync(htmlPath)) {
+        let htmlContent = fs.readFileSync(htmlPath, 'utf8');
+        
+        // Replace route placeholders with the actual configured route
+        // This ensures frontend assets (JS, CSS) load from the correct paths
+        htmlContent = htmlContent.replace(/{{FLUX_MANAGER_ROUTE}}/g, this.options.route);
+        
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(htmlContent);
+      } else {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('HTML template not found');
+      }
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('Server error');
+    }
+  }
+
+  /**
+   * Get content type for file extension
+   * 
+   * @private
+   * @param {string} filePath - File path to determine content type for
+   * @returns {string} MIME type
+   */
+  _getContentType(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const contentTypes = {
+      '.html': 'text/html',
+      '.js': 'application/javascript',
+      '.css': 'text/css',
+      '.json': 'application/json',
+      '.png': 'image/png',
+      '.jpg': 'image/jpeg',
+      '.gif': 'image/gif',
+      '.ico': 'image/x-icon'
+    };
+    return contentTypes[ext] || 'text/plain';
+  }
+
+  /**
+   * Serve static files (CSS, JS, etc.) for the dashboard
+   * 
+   * @private
+   * @param {http.ServerResponse} res - HTTP response object
+   * @param {string} filePath - Relative path to the file to serve
+   * @param {string} contentType - MIME type for the Content-Type header
+   */
+  _serveFile(res, filePath, contentType) {
+    try {
+      const fullPath = path.join(__dirname, '../frontend/dist', filePath);
+      if (fs.existsSync(fullPath)) {
+        const content = fs.readFileSync(fullPath);
+        res.writeHead(200, { 'Content-Type': contentType });
+        res.end(content);
+      } else {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('File not found');
+      }
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('Server error');
+    }
+  }
+
+  /**
+   * Build request filter criteria from API query parameters
+   * Invalid values are rejected up front so they surface as a 400 response.
+   * 
+   * @private
+   * @param {Object} query - Parsed query string
+   * @returns {Object} Criteria accepted by `RequestStorage.filter()`
+   * @throws {Error} If a parameter has an invalid value
+   */
+  _parseRequestCriteria(query) {
+    const criteria = {};
+    const single = (value) => (Array.isArray(value) ? value[value.length - 1] : value);
+
+    for (const key of ['method', 'status', 'path', 'minResponseTime', 'maxResponseTime', 'from', 'to', 'traceId', 'q']) {
+      const value = single(query[key]);
+      if (value !== undefined && value !== '') {
+        criteria[key] = value;
+      }
+    }
+
+    for (const key of ['minResponseTime', 'maxResponseTime']) {
+      if (criteria[key] !== undefined && isNaN(Number(criteria[key]))) {
+        throw new Error(`Invalid ${key}: ${criteria[key]}`);
+      }
+    }
+
+    // Compiling the criteria reports invalid statuses, patterns, times and queries
+    RequestQuery.fromCriteria(criteria);
+
+    const cursor = single(query.cursor);
+    if (cursor) {
+      RequestStorage.decodeCursor(cursor);
+    }
+
+    return criteria;
+  }
+
+  /**
+   * Read and parse a JSON request body for an API route
+   * 
+   * Uses `req.body` when a framework body parser already consumed the stream.
+   * A body must be sent as `application/json`: HTML forms cannot send that
+   * type, so a cross-site form cannot pass a JSON-shaped body to the API.
+   * 
+   * @private
+   * @param {http.IncomingMessage} req - API request
+   * @param {Object} [options={}] - Read options
+   * @param {boolean} [options.optional=false] - Resolve `undefined` instead of failing on an empty body
+   * @returns {Promise<*>} Parsed JSON value
+   * @throws {Error} If the body is not JSON (415), not valid JSON, or exceeds the size limit (413)
+   */
+  _readJsonBody(req, { optional = false } = {}) {
+    const mimeType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const isJson = mimeType === 'application/json' || mimeType.endsWith('+json');
+    const unsupported = () => {
+      const error = new Error('Request body must be sent as application/json');
+      error.statusCode = 415;
+      return error;
+    };
+
+    if (req.body !== undefined && req.readableEnded) {
+      // Strings, buffers and parsed objects are all empty when they have no keys
+      const isEmpty = req.body === null || Object.keys(Object(req.body)).length === 0;
+      if (optional && isEmpty) {
+        return Promise.resolve(undefined);
+      }
+      if (!isJson) {
+        return Promise.reject(unsupported());
+      }
+      try {
+        const body = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : req.body;
+        return Promise.resolve(typeof body === 'string' ? JSON.parse(body) : body);
+      } catch (error) {
+        return Promise.reject(new Error(`Invalid JSON body: ${error.message}`));
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_API_BODY_BYTES) {
+          const error = new Error('Request body too large');
+          error.statusCode = 413;
+          req.destroy();
+          return reject(error);
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        if (optional && size === 0) {
+          return resolve(undefined);
+        }
+        if (!isJson) {
+          return reject(unsupported());
+        }
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (error) {
+          reject(new Error(`Invalid JSON body: ${error.message}`));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Parse query string manually (framework-agnostic)
+   */
+  _parseQuery(queryString) {
+    if (!queryString) return {};
+    
+    const params = {};
+    queryString.split('&').forEach(param => {
+      const [key, value] = param.split('=');
+      if (key) {
+        params[decodeURIComponent(key)] = value ? decodeURIComponent(value) : '';
+      }
+    });
+    return params;
+  }
+
+  /**
+   * Setup WebSocket server with the HTTP server instance
+   * Call this method after creating your HTTP server
+   */
+  setupWebSocket(server) {
+    if (this.options.enableWebSocket) {
+      this._setupWebSocket(server);
+    }
+  }
+
+  /**
+   * Setup WebSocket server for real-time updates
+   * This should be called after the HTTP server is created
+   */
+  _setupWebSocket(server) {
+    this.wss = new WebSocketServer({ 
+      server: server,
+      path: `${this.options.route}/ws`,
+      maxPayload: MAX_CLIENT_MESSAGE_BYTES,
+      verifyClient: (info, callback) => {
+        if (!this.accessControl.enabled) {
+          return callback(true);
+        }
+        // Browsers send cookies and cached credentials with cross-site upgrades,
+        // so foreign origins are refused before the credentials are checked
+        if (!this.accessControl.isAllowedOrigin(info.req)) {
+          return callback(false, 403, 'Forbidden');
+        }
+        this.accessControl.check(info.req).then(
+          result => callback(result.allowed, result.statusCode, result.message, result.headers),
+          () => callback(false, 500, 'Server error')
+        );
+      }
+    });
+
+    this.realtime.attach(this.wss);
+    this.wss.on('connection', (ws) => {
+      console.log('FluxManager: WebSocket client connected');
+      
+      ws.on('close', () => {
+        console.log('FluxManager: WebSocket client disconnected');
+      });
+      
+      ws.on('error', (error) => {
+        console.error('FluxManager: WebSocket error:', error);
+      });
+    });
+    
+    console.log(`FluxManager: WebSocket server ready at ${this.options.route}/ws`);
+  }
+
+  /**
+   * Broadcast message to the WebSocket clients subscribed to it
+   * 
+   * @private
+   * @param {Object} data - Message payload
+   * @param {string} [type='new_request'] - Message type understood by the dashboard
+   */
+  _broadcastToClients(data, type = 'new_request') {
+    if (this.wss && this.isEnabled) {
+      this.realtime.publish(type, data);
+    }
+  }
+
+  /**
+   * Statistics served by `/api/stats` and sent to `stats` subscribers
+   * 
+   * @private
+   * @returns {Object} Storage statistics, with sampling counts when sampling is enabled
+   */
+  _getStats() {
+    const stats = this.storage.getStats();
+    if (this.sampler.enabled) {
+      stats.sampling = this.sampler.getStats();
+    }
+    return stats;
+  }
+
+  /**
+   * Send fresh statistics to the dashboard
+   * Changes are coalesced into one update every two seconds, and statistics
+   * are only computed while a client subscribes to them.
+   * 
+   * @private
+   * @returns {void}
+   */
+  _scheduleStatsBroadcast() {
+    if (!this.wss || this.statsTimer || !this.realtime.hasSubscribers('stats')) {
+      return;
+    }
+
+    this.statsTimer = setTimeout(() => {
+      this.statsTimer = null;
+      this._broadcastToClients(this._getStats(), 'stats');
+    }, STATS_BROADCAST_MS);
+    this.statsTimer.unref();
+  }
+
+  /**
+   * Tell the dashboard that storage dropped a request
+   * Ids are collected for a second and sent in one `evicted` message.
+   * 
+   * @private
+   * @param {string} requestId - Id of the evicted request
+   * @returns {void}
+   */
+  _scheduleEvictionBroadcast(requestId) {
+    if (!this.wss) {
+      return;
+    }
+
+    this.pendingEvictions.ids.push(requestId);
+    if (this.pendingEvictions.timer) {
+      return;
+    }
+
+    this.pendingEvictions.timer = setTimeout(() => {
+      const ids = this.pendingEvictions.ids;
+      this.pendingEvictions = { ids: [], timer: null };
+      this._broadcastToClients({ ids }, 'evicted');
+    }, EVICTION_BROADCAST_MS);
+    this.pendingEvictions.timer.unref();
+  }
+
+  /**
+   * Serve request metrics to a Prometheus scrape
+   * 
+   * @private
+   * @param {http.IncomingMessage} req - Scrape request
+   * @param {http.ServerResponse} res - Scrape response
+   * @returns {void}
+   */
+  _serveMetrics(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { 'Content-Type': 'text/plain', 'Allow': 'GET, HEAD' });
+      return res.end('Method Not Allowed');
+    }
+
+    const { contentType, body } = this.metrics.render(req.headers.accept);
+    res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  /**
+   * Capture buffer and dashboard gauges reported with the Prometheus metrics
+   * 
+   * @private
+   * @returns {Array<{name: string, help: string, value: number}>} Gauges
+   */
+  _metricGauges() {
+    const stored = this.storage.getAll().length;
+    const capacity = this.storage.maxRequests || this.options.maxRequests;
+
+    return [
+      { name: 'flux_manager_captured_requests', help: 'Requests currently held in the capture buffer.', value: stored },
+      { name: 'flux_manager_capture_buffer_capacity', help: 'Maximum number of requests the capture buffer holds.', value: capacity },
+      {
+        name: 'flux_manager_capture_buffer_utilization_ratio',
+        help: 'Fraction of the capture buffer in use.',
+        value: capacity > 0 ? stored / capacity : 0
+      },
+      {
+        name: 'flux_manager_websocket_clients',
+        help: 'Dashboard clients connected over WebSocket.',
+        value: this.wss ? this.wss.clients.size : 0
+      }
+    ];
+  }
+
+  /**
+   * Send the bucket of a captured request to the dashboard charts
+   * Bursts of requests are coalesced into one update per second.
+   * 
+   * @private
+   * @param {Object} request - Captured request
+   * @returns {void}
+   */
+  _scheduleTimeSeriesBroadcast(request) {
+    if (!this.wss || this.timeSeriesTimer) {
+      return;
+    }
+
+    this.timeSeriesTimer = setTimeout(() => {
+      this.timeSeriesTimer = null;
+      this._broadcastToClients({
+        interval: this.timeSeries.interval,
+        bucket: this.timeSeries.summarizeBucketOf(request)
+      }, 'timeseries_update');
+    }, TIME_SERIES_BROADCAST_MS);
+    this.timeSeriesTimer.unref();
+  }
+
+  /**
+   * Hold a request at a request breakpoint until the dashboard resumes or aborts it
+   *
+   * The body is read up to `maxBodyBytes` first so it can be shown and edited;
+   * it stays in the stream for the application. Edits update both the request
+   * the application sees and the captured request.
+   *
+   * @private
+   * @param {Object} rule - Matching breakpoint
+   * @param {Object} exchange - Request being held
+   * @param {http.IncomingMessage} exchange.req - Incoming request
+   * @param {http.ServerResponse} exchange.res - Its response
+   * @param {Object} exchange.requestData - Captured request data
+   * @param {BodyCapture} exchange.requestBody - Tee of the request body
+   * @param {Function} run - Hands the request to the application
+   * @returns {void}
+   */
+  _pauseRequest(rule, { req, res, requestData, requestBody }, run) {
+    peekRequestBody(req, this.options.maxBodyBytes).then(({ body, complete }) => {
+      // The tee records the peeked bytes again when the application reads them
+      requestBody.reset();
+      if (res.destroyed) {
+        return;
+      }
+
+      const capture = new BodyCapture(this.options.maxBodyBytes);
+      capture.append(body);
+      const serialized = capture.serialize({
+        contentType: req.headers['content-type'],
+        contentEncoding: req.headers['content-encoding']
+      });
+      const shown = this.redactor.redactRequest({ url: req.url, headers: { ...req.headers }, body: serialized.body });
+      const request = {
+        method: req.method,
+        url: shown.url,
+        headers: shown.headers,
+        body: serialized.bodyEncoding === 'base64' ? serialized.body : shown.body,
+        bodyEncoding: serialized.bodyEncoding,
+        bodyTruncated: !complete || serialized.truncated
+      };
+
+      const entry = this.breakpoints.pause(rule, 'request', { requestId: requestData.id, request }, {
+        resume: (edits) => {
+          const original = JSON.stringify([req.method, req.url, req.headers]);
+          if (edits.method) {
+            req.method = edits.method;
+          }
+          if (edits.url !== undefined && edits.url !== request.url) {
+            req.url = edits.url;
+          }
+          if (edits.headers) {
+            req.headers = this._mergeEditedHeaders(req.headers, request.headers, edits.headers);
+          }
+          let edited = JSON.stringify([req.method, req.url, req.headers]) !== original;
+
+          const bodyEncoding = edits.bodyEncoding || request.bodyEncoding;
+          if (edits.body !== undefined && (edits.body !== request.body || bodyEncoding !== request.bodyEncoding)) {
+            edited = true;
+            replaceRequestBody(req, Buffer.from(edits.body, bodyEncoding === 'base64' ? 'base64' : 'utf8'));
+            requestBody.reset();
+            if (serialized.decompressedFrom) {
+              delete req.headers['content-encoding'];
+            }
+          }
+
+          const parsedUrl = url.parse(req.url);
+          Object.assign(requestData, {
+            method: req.method,
+            url: req.url,
+            path: parsedUrl.pathname,
+            query: this._parseQuery(parsedUrl.query),
+            headers: { ...req.headers }
+          });
+          requestData.breakpoints = [...(requestData.breakpoints || []),
+            { id: rule.id, name: rule.name, stage: 'request', edited }];
+          run();
+        },
+        abort: () => res.destroy()
+      });
+
+      res.once('close', () => this.breakpoints.release(entry.id));
+    });
+  }
+
+  /**
+   * Hold a response at a response breakpoint until the dashboard resumes or aborts it
+   *
+   * @private
+   * @param {Object} rule - Matching breakpoint
+   * @param {Object} exchange - Response being held
+   * @param {http.ServerResponse} exchange.res - Response whose head has not been sent
+   * @param {Object} exchange.requestData - Captured request data
+   * @param {Array} exchange.args - Arguments of the held `res.end()` call
+   * @returns {void}
+   */
+  _pauseResponse(rule, { res, requestData, args }) {
+    const [chunk, encoding] = typeof args[0] === 'function' ? [] : args;
+    const callback = args.find(arg => typeof arg === 'function');
+
+    const capture = new BodyCapture(this.options.maxBodyBytes);
+    capture.append(chunk, encoding);
+    const serialized = capture.serialize({
+      contentType: res.getHeader('content-type'),
+      contentEncoding: res.getHeader('content-encoding')
+    });
+    const shown = this.redactor.redactRequest({
+      url: requestData.url,
+      headers: requestData.headers,
+      response: { headers: { ...res.getHeaders() }, body: serialized.body, bodyEncoding: serialized.bodyEncoding }
+    });
+    const request = { method: requestData.method, url: shown.url, headers: shown.headers };
+    const response = {
+      statusCode: res.statusCode,
+      headers: shown.response.headers,
+      body: shown.response.body,
+      bodyEncoding: serialized.bodyEncoding,
+      bodyTruncated: serialized.truncated
+    };
+
+    const entry = this.breakpoints.pause(rule, 'response', { requestId: requestData.id, request, response }, {
+      resume: (edits) => {
+        if (res.destroyed) {
+          return;
+        }
+        const original = JSON.stringify([res.statusCode, res.getHeaders()]);
+        if (edits.statusCode) {
+          res.statusCode = edits.statusCode;
+          res.statusMessage = http.STATUS_CODES[edits.statusCode];
+        }
+        if (edits.headers) {
+          const headers = this._mergeEditedHeaders(res.getHeaders(), response.headers, edits.headers);
+          res.getHeaderNames().forEach(name => res.removeHeader(name));
+          Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+        }
+
+        let edited = JSON.stringify([res.statusCode, res.getHeaders()]) !== original;
+
+        let endArgs = args;
+        const bodyEncoding = edits.bodyEncoding || response.bodyEncoding;
+        if (edits.body !== undefined && (edits.body !== response.body || bodyEncoding !== response.bodyEncoding)) {
+          edited = true;
+          const body = Buffer.from(edits.body, bodyEncoding === 'base64' ? 'base64' : 'utf8');
+          if (serialized.decompressedFrom) {
+            res.removeHeader('content-encoding');
+          }
+          if (res.hasHeader('content-length')) {
+            res.setHeader('content-length', body.length);
+          }
+          endArgs = callback ? [body, callback] : [body];
+        }
+
+        requestData.breakpoints = [...(requestData.breakpoints || []),
+          { id: rule.id, name: rule.name, stage: 'response', edited }];
+        res.end(...endArgs);
+      },
+      abort: () => res.destroy()
+    });
+
+    res.once('close', () => this.breakpoints.release(entry.id));
+  }
+
+  /**
+   * Apply headers edited in the dashboard
+   * The dashboard shows redacted values, so a value left as shown keeps the original.
+   *
+   * @private
+   * @param {Object} original - Headers before the edit
+   * @param {Object} shown - Headers as shown in the dashboard
+   * @param {Object} edited - Headers sent back by the dashboard
+   * @returns {Object} New headers with lower-cased names
+   */
+  _mergeEditedHeaders(original, shown, edited) {
+    const headers = {};
+    Object.entries(edited).forEach(([name, value]) => {
+      const key = name.toLowerCase();
+      const unchanged = key in shown && String(shown[key]) === String(value) && key in original;
+      headers[key] = unchanged ? original[key] : value;
+    });
+    return headers;
+  }
+
+  /**
+   * Record the request body as the application consumes the stream
+   *
+   * Wraps `req.emit` so every `data` event is copied into a size-limited
+   * BodyCapture. The stream itself is left untouched: nothing is read until the
+   * application (or its body parser) reads it, so frameworks that parse bodies
+   * after FluxManager runs keep working as before.
+   *
+   * @private
+   * @param {http.IncomingMessage} req - The HTTP request object
+   * @returns {BodyCapture} Capture that fills up while the body is read
+   */
+  _teeRequestBody(req) {
+    const capture = new BodyCapture(this.options.maxBodyBytes);
+    const originalEmit = req.emit;
+
+    req.emit = function(event, chunk) {
+      if (event === 'data') {
+        capture.append(chunk, req.readableEncoding);
+      }
+      return originalEmit.apply(this, arguments);
+    };
+
+    return capture;
+  }
+
+  /**
+   * Route template the framework matched for a request
+   * Express exposes it on `req.route`; Koa and Fastify report it through
+   * `koaMiddleware()` and `fastifyHook()`.
+   * 
+   * @private
+   * @param {http.IncomingMessage} req - Incoming request
+   * @returns {string|null} Template such as `/users/:id`, or null if unknown
+   */
+  _getRouteTemplate(req) {
+    if (this.routeTemplates.has(req)) {
+      return this.routeTemplates.get(req);
+    }
+    if (req.route && typeof req.route.path === 'string') {
+      return `${req.baseUrl || ''}${req.route.path}`;
+    }
+    return null;
+  }
+
+  /**
+   * Capture request body safely
+   *
+   * Prefers the raw bytes teed from the request stream, decoded with the
+   * request charset. Falls back to a pre-parsed `req.body` when the stream was
+   * consumed before FluxManager was attached.
+   *
+   * @private
+   * @param {http.IncomingMessage} req - The HTTP request object
+   * @param {BodyCapture} [capture] - Capture returned by `_teeRequestBody`
+   * @returns {string} Request body text
+   */
+  _captureBody(req, capture) {
+    try {
+      if (capture && !capture.isEmpty) {
+        return capture.toText(req.headers['content-type']);
+      }
+      if (req.body) {
+        return typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
+      }
+      return '';
+    } catch (error) {
+      return '[Unable to capture body]';
+    }
+  }
+
+  /**
+   * Record an exception and link it to the request being handled
+   * 
+   * The related request is resolved from the given request object, or from the
+   * async context when the error is thrown while a request is in flight. Each
+   * error object is stored once, even if several handlers report it.
+   * 
+   * @param {*} error - Thrown value, usually an Error instance
+   * @param {Object} [details={}] - Where the error was caught
+   * @param {string} [details.source='manual'] - Reporter name (express, koa, fastify, ...)
+   * @param {http.IncomingMessage} [details.req] - Request being handled when it was thrown
+   * @param {string} [details.requestId] - Captured request id, if already known
+   * @returns {Object|null} Stored exception record, or null if it was skipped
+   * 
+   * @example
+   * try {
+   *   await chargeCustomer(order);
+   * } catch (error) {
+   *   fluxManager.recordException(error, { req });
+   *   throw error;
+   * }
+   */
+  recordException(error, details = {}) {
+    if (!this.isEnabled) {
+      return null;
+    }
+
+    if (error !== null && typeof error === 'object') {
+      if (this.recordedErrors.has(error)) {
+        return null;
+      }
+      this.recordedErrors.add(error);
+    }
+
+    const store = this.context.get() || {};
+    const req = details.req;
+    const exception = {
+      id: uuidv4(),
+      ...this._serializeError(error),
+      causes: this._collectCauses(error),
+      source: details.source || 'manual',
+      requestId: (req && this.requestIds.get(req)) || details.requestId || store.requestId || null,
+      method: req ? req.method : store.method,
+      path: req ? url.parse(req.originalUrl || req.url).pathname : store.path,
+      timestamp: new Date().toISOString()
+    };
+
+    this.exceptions.add(exception);
+    this._broadcastToClients(exception, 'new_exception');
+
+    return exception;
+  }
+
+  /**
+   * Record a log line and link it to the request being handled
+   * 
+   * Used by console capture and the logger adapters, and can be called directly
+   * to feed other loggers into the dashboard.
+   * 
+   * @param {Object} entry - Log line to record
+   * @param {string} [entry.level='info'] - Log level
+   * @param {string} entry.message - Formatted message
+   * @param {string} [entry.source='manual'] - Where the line came from (console, pino, winston, ...)
+   * @param {Object} [entry.meta] - Structured fields attached to the line
+   * @returns {Object|null} Stored log entry, or null if it was skipped
+   * 
+   * @example
+   * fluxManager.recordLog({ level: 'warn', message: 'Cache miss', meta: { key } });
+   */
+  recordLog(entry) {
+    // Broadcasting can log errors itself; never capture those recursively
+    if (!this.isEnabled || this.isRecordingLog) {
+      return null;
+    }
+
+    this.isRecordingLog = true;
+    try {
+      const store = this.context.get() || {};
+      const log = {
+        id: uuidv4(),
+        level: entry.level || 'info',
+        message: String(entry.message === undefined ? '' : entry.message),
+        source: entry.source || 'manual',
+        meta: entry.meta && Object.keys(entry.meta).length > 0 ? entry.meta : undefined,
+        requestId: store.requestId || null,
+        method: store.method,
+        path: store.path,
+        timestamp: new Date().toISOString()
+      };
+
+      this.logs.add(log);
+      this._broadcastToClients(log, 'new_log');
+
+      return log;
+    } finally {
+      this.isRecordingLog = false;
+    }
+  }
+
+  /**
+   * Record a database query and link it to the request being handled
+   * 
+   * This is the pluggable query recorder used by the bundled driver
+   * instrumentations; call it directly to report queries from any other
+   * database client or ORM.
+   * 
+   * @param {Object} query - Query to record
+   * @param {string} query.sql - SQL text (or any statement description)
+   * @param {Array|Object} [query.params] - Bound parameters
+   * @param {number} query.durationMs - Execution time in milliseconds
+   * @param {string} [query.db] - Database name or driver (postgres, mysql, sqlite, ...)
+   * @param {string} [query.error] - Error message if the query failed
+   * @param {number} [query.rowCount] - Rows returned or affected
+   * @returns {Object|null} Stored query record, or null if it was skipped
+   * 
+   * @example
+   * const start = performance.now();
+   * const rows = await db.select(sql, params);
+   * fluxManager.recordQuery({ sql, params, durationMs: performance.now() - start, db: 'analytics' });
+   */
+  recordQuery(query) {
+    if (!this.isEnabled) {
+      return null;
+    }
+
+    const store = this.context.get() || {};
+    const durationMs = Math.round((Number(query.durationMs) || 0) * 100) / 100;
+    const record = {
+      id: uuidv4(),
+      sql: String(query.sql || ''),
+      params: this._sanitizeQueryParams(query.params),
+      durationMs,
+      db: query.db || 'default',
+      error: query.error,
+      rowCount: query.rowCount,
+      slow: durationMs >= this.options.slowQueryMs,
+      requestId: store.requestId || null,
+      method: store.method,
+      path: store.path,
+      timestamp: new Date().toISOString()
+    };
+
+    this.queries.add(record);
+    this._broadcastToClients(record, 'new_query');
+
+    return record;
+  }
+
+  /**
+   * Record an outgoing HTTP call and link it to the request being handled
+   * 
+   * Used by the HTTP client instrumentation; call it directly to report calls
+   * made through other clients.
+   * 
+   * @param {Object} call - Finished call
+   * @param {string} call.method - HTTP method
+   * @param {string} call.url - Absolute URL
+   * @param {Object} [call.headers] - Request headers
+   * @param {string} [call.body] - Request body text
+   * @param {Object|null} [call.response] - Response `{ statusCode, statusMessage, headers, body, bodyEncoding }`
+   * @param {number} call.startTime - Epoch milliseconds when the call started
+   * @param {number} call.duration - Time until the response was complete, in milliseconds
+   * @param {number} [call.ttfb] - Time until the response headers arrived, in milliseconds
+   * @param {string} [call.error] - Error message if the call failed
+   * @param {string} [call.client='manual'] - Client that made the call (http, https, fetch, ...)
+   * @returns {Object|null} Stored call record, or null if it was skipped
+   * 
+   * @example
+   * fluxManager.recordOutbound({ method: 'GET', url, startTime, duration: 42, response: { statusCode: 200 } });
+   */
+  recordOutbound(call) {
+    if (!this.isEnabled) {
+      return null;
+    }
+
+    const store = this.context.get() || {};
+    const parsedUrl = url.parse(String(call.url));
+    const record = this.redactor.redactRequest({
+      id: uuidv4(),
+      parentId: store.requestId || null,
+      client: call.client || 'manual',
+      method: String(call.method || 'GET').toUpperCase(),
+      url: String(call.url),
+      host: parsedUrl.host,
+      path: parsedUrl.pathname,
+      headers: call.headers || {},
+      query: this._parseQuery(parsedUrl.query),
+      body: call.body || '',
+      bodySize: call.bodySize,
+      bodyTruncated: call.bodyTruncated,
+      response: call.response || null,
+      error: call.error,
+      startTime: call.startTime,
+      ttfb: call.ttfb,
+      duration: call.duration,
+      timestamp: new Date(call.startTime).toISOString()
+    });
+
+    this.outbound.add(record);
+    this._broadcastToClients(record, 'new_outbound');
+
+    return record;
+  }
+
+  /**
+   * Start or stop capturing outgoing `http`, `https` and `fetch` calls
    * 
-   * @private
-   * @param {http.ServerResponse} res - HTTP response object
+   * @param {boolean} [enabled=true] - True to patch the HTTP clients, false to restore them
+   * @returns {FluxManager} Returns this instance for method chaining
+   * 
+   * @example
+   * fluxManager.captureOutbound();
    */
-  _serveDynamicHTML(res) {
-    try {
-      const htmlPath = path.join(__dirname, '../frontend/dist/index.html');
-      
-      if (fs.existsSync(htmlPath)) {
-        let htmlContent = fs.readFileSync(htmlPath, 'utf8');
-        
-        // Replace route placeholders with the actual configured route
-        // This ensures frontend assets (JS, CSS) load from the correct paths
-        htmlContent = htmlContent.replace(/{{FLUX_MANAGER_ROUTE}}/g, this.options.route);
-        
-        res.writeHead(200, { 'Content-Type': 'text/html' });
-        res.end(htmlContent);
-      } else {
-        res.writeHead(404, { 'Content-Type': 'text/plain' });
-        res.end('HTML template not found');
-      }
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'text/plain' });
-      res.end('Server error');
+  captureOutbound(enabled = true) {
+    if (enabled) {
+      this.httpClientInstrumentation.patch();
+    } else {
+      this.httpClientInstrumentation.restore();
     }
+    return this;
   }
 
   /**
-   * Get content type for file extension
+   * Track queries made through the `pg` driver
    * 
-   * @private
-   * @param {string} filePath - File path to determine content type for
-   * @returns {string} MIME type
+   * @param {Object} pg - The `pg` module
+   * @returns {FluxManager} Returns this instance for method chaining
+   * 
+   * @example
+   * import pg from 'pg';
+   * fluxManager.instrumentPg(pg);
    */
-  _getContentType(filePath) {
-    const ext = path.extname(filePath).toLowerCase();
-    const contentTypes = {
-      '.html': 'text/html',
-      '.js': 'application/javascript',
-      '.css': 'text/css',
-      '.json': 'application/json',
-      '.png': 'image/png',
-      '.jpg': 'image/jpeg',
-      '.gif': 'image/gif',
-      '.ico': 'image/x-icon'
-    };
-    return contentTypes[ext] || 'text/plain';
+  instrumentPg(pg) {
+    this.databaseInstrumentation.instrumentPg(pg);
+    return this;
   }
 
   /**
-   * Serve static files (CSS, JS, etc.) for the dashboard
+   * Track queries made through the `mysql2` driver
+   * 
+   * @param {Object} mysql2 - The core `mysql2` module (also covers `mysql2/promise`)
+   * @returns {FluxManager} Returns this instance for method chaining
+   * 
+   * @example
+   * import mysql from 'mysql2';
+   * fluxManager.instrumentMysql2(mysql);
+   */
+  instrumentMysql2(mysql2) {
+    this.databaseInstrumentation.instrumentMysql2(mysql2);
+    return this;
+  }
+
+  /**
+   * Track queries made through the `better-sqlite3` driver
+   * 
+   * @param {Function} Database - The `better-sqlite3` module
+   * @returns {FluxManager} Returns this instance for method chaining
+   * 
+   * @example
+   * import Database from 'better-sqlite3';
+   * fluxManager.instrumentBetterSqlite3(Database);
+   */
+  instrumentBetterSqlite3(Database) {
+    this.databaseInstrumentation.instrumentBetterSqlite3(Database);
+    return this;
+  }
+
+  /**
+   * Make query parameters safe to store and serialize
    * 
    * @private
-   * @param {http.ServerResponse} res - HTTP response object
-   * @param {string} filePath - Relative path to the file to serve
-   * @param {string} contentType - MIME type for the Content-Type header
+   * @param {Array|Object} params - Bound parameters as passed to the driver
+   * @returns {Array|Object|undefined} JSON-safe copy of the parameters
    */
-  _serveFile(res, filePath, contentType) {
-    try {
-      const fullPath = path.join(__dirname, '../frontend/dist', filePath);
-      if (fs.existsSync(fullPath)) {
-        const content = fs.readFileSync(fullPath);
-        res.writeHead(200, { 'Content-Type': contentType });
-        res.end(content);
-      } else {
-        res.writeHead(404, { 'Content-Type': 'text/plain' });
-        res.end('File not found');
+  _sanitizeQueryParams(params) {
+    if (params === undefined || params === null) {
+      return undefined;
+    }
+
+    const sanitize = (value) => {
+      if (typeof value === 'bigint') return value.toString();
+      if (Buffer.isBuffer(value)) return `<Buffer ${value.length} bytes>`;
+      if (value instanceof Date) return value.toISOString();
+      if (typeof value === 'string' && value.length > 1000) return `${value.slice(0, 1000)}…`;
+      if (typeof value === 'function' || typeof value === 'symbol') return undefined;
+      if (value !== null && typeof value === 'object') {
+        try {
+          return JSON.stringify(value);
+        } catch (error) {
+          return String(value);
+        }
       }
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'text/plain' });
-      res.end('Server error');
+      return value;
+    };
+
+    if (Array.isArray(params)) {
+      return params.map(sanitize);
+    }
+
+    if (typeof params === 'object') {
+      const result = {};
+      Object.keys(params).forEach(key => {
+        result[key] = sanitize(params[key]);
+      });
+      return result;
     }
+
+    return sanitize(params);
   }
 
   /**
-   * Parse query string manually (framework-agnostic)
+   * Start or stop capturing `console.*` output
+   * 
+   * @param {boolean} [enabled=true] - True to patch the console, false to restore it
+   * @returns {FluxManager} Returns this instance for method chaining
+   * 
+   * @example
+   * fluxManager.captureConsole();
    */
-  _parseQuery(queryString) {
-    if (!queryString) return {};
-    
-    const params = {};
-    queryString.split('&').forEach(param => {
-      const [key, value] = param.split('=');
-      if (key) {
-        params[decodeURIComponent(key)] = value ? decodeURIComponent(value) : '';
-      }
-    });
-    return params;
+  captureConsole(enabled = true) {
+    if (enabled) {
+      this.logCapture.patchConsole();
+    } else {
+      this.logCapture.restoreConsole();
+    }
+    return this;
   }
 
   /**
-   * Setup WebSocket server with the HTTP server instance
-   * Call this method after creating your HTTP server
+   * Create a pino destination stream that feeds the Console Logs section
+   * 
+   * @returns {{write: Function}} Destination accepted by pino
+   * 
+   * @example
+   * const logger = pino(pino.multistream([
+   *   { stream: process.stdout },
+   *   { stream: fluxManager.pinoDestination() }
+   * ]));
    */
-  setupWebSocket(server) {
-    if (this.options.enableWebSocket) {
-      this._setupWebSocket(server);
-    }
+  pinoDestination() {
+    return this.logCapture.pinoDestination();
   }
 
   /**
-   * Setup WebSocket server for real-time updates
-   * This should be called after the HTTP server is created
+   * Create a winston transport that feeds the Console Logs section
+   * 
+   * @returns {Writable} Transport accepted by `logger.add()`
+   * 
+   * @example
+   * logger.add(fluxManager.winstonTransport());
    */
-  _setupWebSocket(server) {
-    this.wss = new WebSocketServer({ 
-      server: server,
-      path: `${this.options.route}/ws`
-    });
+  winstonTransport() {
+    return this.logCapture.winstonTransport();
+  }
 
-    this.wss.on('connection', (ws) => {
-      console.log('FluxManager: WebSocket client connected');
-      
-      ws.on('close', () => {
-        console.log('FluxManager: WebSocket client disconnected');
-      });
-      
-      ws.on('error', (error) => {
-        console.error('FluxManager: WebSocket error:', error);
-      });
-    });
-    
-    console.log(`FluxManager: WebSocket server ready at ${this.options.route}/ws`);
+  /**
+   * Convert a thrown value into a plain, JSON-safe description
+   * 
+   * @private
+   * @param {*} error - Thrown value
+   * @returns {{name: string, message: string, stack: string}} Error description
+   */
+  _serializeError(error) {
+    if (error instanceof Error) {
+      return {
+        name: error.name || 'Error',
+        message: error.message || '',
+        stack: error.stack || ''
+      };
+    }
+
+    let message;
+    try {
+      message = typeof error === 'string' ? error : JSON.stringify(error);
+    } catch (serializeError) {
+      message = String(error);
+    }
+
+    return { name: 'NonError', message: String(message), stack: '' };
   }
 
   /**
-   * Broadcast message to all connected WebSocket clients
+   * Walk the `cause` chain of an error
+   * 
+   * @private
+   * @param {*} error - Thrown value
+   * @returns {Object[]} Serialized causes, outermost first
    */
-  _broadcastToClients(data) {
-    if (this.wss && this.isEnabled) {
-      const message = JSON.stringify({
-        type: 'new_request',
-        data: data
-      });
-      
-      this.wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-          client.send(message);
-        }
-      });
+  _collectCauses(error) {
+    const causes = [];
+    const seen = new Set([error]);
+    let cause = error && error.cause;
+
+    while (cause !== undefined && cause !== null && !seen.has(cause) && causes.length < 10) {
+      seen.add(cause);
+      causes.push(this._serializeError(cause));
+      cause = cause.cause;
     }
+
+    return causes;
   }
 
   /**
-   * Capture request body safely
+   * Record uncaught exceptions and unhandled promise rejections
+   * 
+   * Uses the `uncaughtExceptionMonitor` event so the process still crashes as
+   * usual. Any `unhandledRejection` listener counts as handling the rejection,
+   * so when no listener of the application handles it, the last FluxManager
+   * listener carries out what the `--unhandled-rejections` mode would have
+   * done: rethrow in `throw` mode (the default since Node.js 15), warn in
+   * `warn-with-error-code` mode and before Node.js 15. In the other modes Node.js
+   * acts on its own. The listeners are removed by `stop()`.
+   * 
+   * @private
    */
-  _captureBody(req) {
-    try {
-      if (req.body) {
-        return typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
-      }
-      return '';
-    } catch (error) {
-      return '[Unable to capture body]';
+  _setupProcessErrorCapture() {
+    if (this.processHandlers) {
+      return;
     }
+
+    const onUncaughtException = (error) => {
+      if (error === rethrownRejection) {
+        return;
+      }
+      this.recordException(error, { source: 'uncaughtException' });
+    };
+
+    const onUnhandledRejection = (reason) => {
+      this.recordException(reason, { source: 'unhandledRejection' });
+
+      const listeners = process.listeners('unhandledRejection');
+      const handledElsewhere = listeners.some(listener => !listener[PROCESS_HANDLER]);
+      const isLast = listeners.filter(listener => listener[PROCESS_HANDLER]).pop() === onUnhandledRejection;
+      if (handledElsewhere || !isLast) {
+        return;
+      }
+
+      const mode = getUnhandledRejectionsMode();
+      if (mode === 'throw') {
+        rethrownRejection = reason;
+        throw reason;
+      }
+      if (mode === 'warn-with-error-code' || mode === 'default') {
+        process.emitWarning(`Unhandled promise rejection: ${reason instanceof Error ? reason.stack : String(reason)}`,
+          'UnhandledPromiseRejectionWarning');
+        if (mode === 'warn-with-error-code') {
+          process.exitCode = 1;
+        }
+      }
+    };
+    onUnhandledRejection[PROCESS_HANDLER] = true;
+
+    this.processHandlers = {
+      uncaughtExceptionMonitor: onUncaughtException,
+      unhandledRejection: onUnhandledRejection
+    };
+    Object.entries(this.processHandlers).forEach(([event, listener]) => process.on(event, listener));
   }
 
   /**
@@ -587,7 +2500,8 @@ class FluxManager {
    * Clear all stored request data
    * 
    * Removes all captured requests from memory storage and broadcasts
-   * the update to connected WebSocket clients.
+   * the update to connected WebSocket clients. The dashboard chart history
+   * and the outgoing calls made by those requests are cleared with them.
    * 
    * @returns {void}
    * 
@@ -597,6 +2511,10 @@ class FluxManager {
    */
   clearRequests() {
     this.storage.clear();
+    this.timeSeries.clear();
+    this.outbound.clear();
+    this._broadcastToClients({}, 'cleared');
+    this._scheduleStatsBroadcast();
   }
 
   /**
@@ -620,6 +2538,61 @@ class FluxManager {
     return this.storage.getAll();
   }
 
+  /**
+   * Export captured requests as a HAR 1.2 document
+   * 
+   * @param {Object} [criteria={}] - Filter criteria, as accepted by `RequestStorage.filter()`
+   * @returns {Object} HAR document, entries oldest first
+   * 
+   * @example
+   * fs.writeFileSync('errors.har', JSON.stringify(fluxManager.exportHar({ status: '5xx' })));
+   */
+  exportHar(criteria = {}) {
+    return HarConverter.toHar(this.storage.filter(criteria));
+  }
+
+  /**
+   * Load the entries of a HAR document into request storage
+   * 
+   * Imported requests get new ids and pass through the redaction rules like
+   * captured ones. They take their place among the stored requests by capture
+   * time, so when storage is full, entries older than every kept request are
+   * evicted right away.
+   * 
+   * @param {Object} har - Parsed HAR document
+   * @returns {Object[]} Stored requests, oldest first
+   * @throws {Error} If the document is not a valid HAR log
+   * 
+   * @example
+   * fluxManager.importHar(JSON.parse(fs.readFileSync('session.har', 'utf8')));
+   */
+  importHar(har) {
+    const requests = HarConverter.fromHar(har).map(request => this.redactor.redactRequest(request));
+    // Imported requests may be older than stored ones, so they are merged in by capture time
+    if (typeof this.storage.addRequests === 'function') {
+      this.storage.addRequests(requests);
+    } else {
+      requests.forEach(request => this.storage.addRequest(request));
+    }
+    return requests;
+  }
+
+  /**
+   * Get all recorded exceptions
+   * 
+   * Returns captured errors, newest first. Each record carries the id of the
+   * request that was being handled when the error was thrown, if any.
+   * 
+   * @returns {Object[]} Array of exception records
+   * 
+   * @example
+   * const unhandled = fluxManager.getExceptions()
+   *   .filter(exception => exception.source === 'unhandledRejection');
+   */
+  getExceptions() {
+    return this.exceptions.getAll();
+  }
+
   /**
    * 🔗 EXPRESS.JS Integration - Middleware pattern
    */
@@ -629,13 +2602,57 @@ class FluxManager {
     };
   }
 
+  /**
+   * 🔗 EXPRESS.JS Integration - Error middleware pattern
+   * Register after all routes so errors passed to next(err) are recorded
+   * 
+   * @example
+   * app.use(fluxManager.expressErrorHandler());
+   */
+  expressErrorHandler() {
+    return (error, req, res, next) => {
+      this.recordException(error, { source: 'express', req });
+      next(error);
+    };
+  }
+
   /**
    * 🔗 KOA.JS Integration - Async middleware pattern
    */
   koaMiddleware() {
     return async (ctx, next) => {
-      this.intercept(ctx.req, ctx.res);
-      await next();
+      // Koa reports every middleware error through ctx.onerror
+      const originalOnError = ctx.onerror;
+      ctx.onerror = (error) => {
+        if (error) {
+          this.recordException(error, { source: 'koa', req: ctx.req });
+        }
+        return originalOnError.call(ctx, error);
+      };
+
+      // Settles when the rest of the chain is done; a delaying mock rule calls next later
+      let mocked = false;
+      const downstream = new Promise((resolve, reject) => {
+        mocked = this.intercept(ctx.req, ctx.res, () => {
+          try {
+            Promise.resolve(next()).then(resolve, reject);
+          } catch (error) {
+            reject(error);
+          }
+        }) === true;
+      });
+
+      // Mock rules answer on the raw response, so Koa must not respond itself
+      if (mocked) {
+        ctx.respond = false;
+        return;
+      }
+      await downstream;
+
+      // Koa responds after the middleware chain, so the matched route is known here
+      if (typeof ctx._matchedRoute === 'string') {
+        this.routeTemplates.set(ctx.req, ctx._matchedRoute);
+      }
     };
   }
 
@@ -644,7 +2661,18 @@ class FluxManager {
    */
   fastifyHook(fastify) {
     fastify.addHook('onRequest', (request, reply, done) => {
-      this.intercept(request.raw, reply.raw);
+      const route = request.routeOptions ? request.routeOptions.url : request.routerPath;
+      if (typeof route === 'string') {
+        this.routeTemplates.set(request.raw, route);
+      }
+      // Mock rules answer on the raw response, so Fastify must not send its own
+      if (this.intercept(request.raw, reply.raw, done) === true) {
+        reply.hijack();
+      }
+    });
+
+    fastify.addHook('onError', (request, reply, error, done) => {
+      this.recordException(error, { source: 'fastify', req: request.raw });
       done();
     });
   }
@@ -658,7 +2686,12 @@ class FluxManager {
     
     server.emit = function(event, req, res) {
       if (event === 'request') {
-        self.intercept(req, res);
+        const args = arguments;
+        let handled = false;
+        self.intercept(req, res, () => {
+          handled = originalEmit.apply(this, args);
+        });
+        return handled;
       }
       return originalEmit.apply(this, arguments);
     };
@@ -673,6 +2706,7 @@ class FluxManager {
   attachTo(app, options = {}) {
     // Merge options
     Object.assign(this.options, options);
+    this.accessControl = this._createAccessControl();
     
     // Auto-detect framework and integrate
     if (app && typeof app.use === 'function') {
@@ -680,7 +2714,7 @@ class FluxManager {
       
       // 🔧 SAME-PORT FIX: Add dashboard routes as Express middleware
       // This ensures dashboard works even with complex middleware stacks and 404 handlers
-      app.use(this.options.route, (req, res, next) => {
+      app.use(this.options.route, (req, res, next) => this._guardAccess(req, res, () => {
         // Handle dashboard UI routes
         if (req.path === '/' || req.path === '') {
           return this._serveDynamicHTML(res);
@@ -691,6 +2725,11 @@ class FluxManager {
           return this._handleApiRequest(req, res, req.path);
         }
         
+        // Handle the Prometheus endpoint
+        if (req.path === '/metrics' && this.options.metrics) {
+          return this._serveMetrics(req, res);
+        }
+        
         // Handle static assets (app.js, styles.css)
         if (req.path === '/app.js') {
           return this._serveFile(res, 'app.js', 'application/javascript');
@@ -707,7 +2746,7 @@ class FluxManager {
         
         // If no FluxManager route matched, continue to next middleware
         next();
-      });
+      }));
       
       // Add monitoring middleware
       app.use(this.expressMiddleware());
@@ -758,6 +2797,8 @@ class FluxManager {
 
   /**
    * Stop the built-in server
+   * Also removes the process listeners recording uncaught errors, so a stopped
+   * instance no longer records them.
    */
   stop() {
     if (this.server) {
@@ -766,9 +2807,20 @@ class FluxManager {
       console.log('Flux Manager server stopped');
     }
     if (this.wss) {
+      this.realtime.close();
       this.wss.close();
       this.wss = null;
     }
+    this.logCapture.restoreConsole();
+    this.httpClientInstrumentation.restore();
+    this.breakpoints.resumeAll();
+    if (this.spanExporter) {
+      this.spanExporter.flush();
+    }
+    if (this.processHandlers) {
+      Object.entries(this.processHandlers).forEach(([event, listener]) => process.removeListener(event, listener));
+      this.processHandlers = null;
+    }
   }
 }
 
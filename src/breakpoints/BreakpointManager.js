@@ -0,0 +1,494 @@
+/**
+ * BreakpointManager - Pause Matching Requests and Edit Them Before They Continue
+ *
+ * Holds an ordered list of breakpoint rules. When a request matches a rule,
+ * `intercept()` pauses it before the application handles it (`request` stage),
+ * before its response is sent (`response` stage), or both. Every paused
+ * exchange is announced to the dashboard, where a developer can edit it and
+ * resume it, or abort it. An exchange that nobody resolves resumes unchanged
+ * when the rule's timeout elapses, so a forgotten breakpoint cannot hang a
+ * client forever.
+ *
+ * A rule looks like:
+ *
+ * ```javascript
+ * {
+ *   name: 'Inspect checkout',
+ *   match: { method: 'POST', path: '/api/checkout' },   // see utils/requestMatcher.js
+ *   stage: 'both',        // request, response or both
+ *   timeout: 60000,       // ms before a paused exchange resumes unchanged
+ *   enabled: true
+ * }
+ * ```
+ *
+ * The manager only keeps track of rules and paused exchanges; applying the
+ * edits to the request or response is up to the `resume` handler passed to
+ * `pause()`.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { compileRequestMatcher } from '../utils/requestMatcher.js';
+
+/**
+ * Points where a request can be paused
+ * @type {string[]}
+ */
+const STAGES = ['request', 'response', 'both'];
+
+/**
+ * Milliseconds a paused exchange waits for the dashboard by default
+ * @type {number}
+ */
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Longest a rule may hold a request, in milliseconds
+ * @type {number}
+ */
+const MAX_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Fields that may be edited at each stage
+ * @type {Object<string, string[]>}
+ */
+const EDITABLE_FIELDS = {
+  request: ['method', 'url', 'headers', 'body', 'bodyEncoding'],
+  response: ['statusCode', 'headers', 'body', 'bodyEncoding']
+};
+
+/**
+ * BreakpointManager Class
+ *
+ * @class BreakpointManager
+ * @example
+ * const breakpoints = new BreakpointManager({
+ *   onPause: entry => broadcast('breakpoint_paused', entry)
+ * });
+ * breakpoints.create({ match: { path: '/api/checkout' }, stage: 'request' });
+ * const rule = breakpoints.match(requestData, 'request');
+ * if (rule) breakpoints.pause(rule, 'request', { requestId, request }, { resume: edits => next(), abort: () => res.destroy() });
+ */
+class BreakpointManager {
+  /**
+   * Create a BreakpointManager instance
+   *
+   * @param {Object} [options={}] - Manager options
+   * @param {Object[]} [options.rules=[]] - Initial rules
+   * @param {Function} [options.onPause] - Called with each paused exchange
+   * @param {Function} [options.onResolve] - Called with `{ id, action }` when an exchange is resumed,
+   *                                         aborted, timed out or closed by the client
+   * @throws {Error} If an initial rule is invalid
+   */
+  constructor({ rules = [], onPause = () => {}, onResolve = () => {} } = {}) {
+    /**
+     * Rules in match order
+     * @type {Object[]}
+     * @private
+     */
+    this.rules = [];
+
+    /**
+     * Compiled predicates keyed by rule id
+     * @type {Map<string, Function>}
+     * @private
+     */
+    this.matchers = new Map();
+
+    /**
+     * Paused exchanges keyed by id, with their handlers and timeout timers
+     * @type {Map<string, {entry: Object, handlers: Object, timer: NodeJS.Timeout}>}
+     * @private
+     */
+    this.paused = new Map();
+
+    /**
+     * Pause listener
+     * @type {Function}
+     * @private
+     */
+    this.onPause = onPause;
+
+    /**
+     * Resolution listener
+     * @type {Function}
+     * @private
+     */
+    this.onResolve = onResolve;
+
+    rules.forEach(rule => this.create(rule));
+  }
+
+  /**
+   * Get all rules in match order
+   *
+   * @returns {Object[]} Rules
+   */
+  list() {
+    return this.rules.map(rule => ({ ...rule }));
+  }
+
+  /**
+   * Get a rule by id
+   *
+   * @param {string} id - Rule id
+   * @returns {Object|null} Rule, or null if unknown
+   */
+  get(id) {
+    const rule = this.rules.find(item => item.id === id);
+    return rule ? { ...rule } : null;
+  }
+
+  /**
+   * Add a rule after the existing ones
+   *
+   * @param {Object} definition - Rule definition
+   * @returns {Object} Created rule with its id
+   * @throws {Error} If the definition is invalid (statusCode 400)
+   */
+  create(definition) {
+    const { rule, matcher } = BreakpointManager.normalize(definition);
+    rule.id = uuidv4();
+    rule.hits = 0;
+    rule.createdAt = new Date().toISOString();
+
+    this.rules.push(rule);
+    this.matchers.set(rule.id, matcher);
+    return { ...rule };
+  }
+
+  /**
+   * Replace or patch a rule, keeping its id, position and hit count
+   * Requests that are already paused keep waiting.
+   *
+   * @param {string} id - Rule id
+   * @param {Object} definition - New definition
+   * @param {Object} [options={}] - Update options
+   * @param {boolean} [options.partial=false] - Merge the definition into the rule instead of replacing it
+   * @returns {Object} Updated rule
+   * @throws {Error} If the rule is unknown (statusCode 404) or the result is invalid (statusCode 400)
+   */
+  update(id, definition, { partial = false } = {}) {
+    const index = this.rules.findIndex(item => item.id === id);
+    if (index === -1) {
+      throw BreakpointManager._error('Breakpoint not found', 404);
+    }
+
+    const current = this.rules[index];
+    const { rule, matcher } = BreakpointManager.normalize(partial ? { ...current, ...definition } : definition);
+    const updated = {
+      ...rule,
+      id,
+      hits: current.hits,
+      lastHitAt: current.lastHitAt,
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.rules[index] = updated;
+    this.matchers.set(id, matcher);
+    return { ...updated };
+  }
+
+  /**
+   * Remove a rule
+   * Requests that are already paused keep waiting.
+   *
+   * @param {string} id - Rule id
+   * @returns {boolean} True if the rule existed
+   */
+  remove(id) {
+    const index = this.rules.findIndex(item => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.rules.splice(index, 1);
+    this.matchers.delete(id);
+    return true;
+  }
+
+  /**
+   * Remove all rules
+   *
+   * @returns {void}
+   */
+  clear() {
+    this.rules = [];
+    this.matchers.clear();
+  }
+
+  /**
+   * Find the rule that pauses a request at a stage
+   *
+   * @param {Object} request - Request data with `method`, `path`, `headers` and `query`
+   * @param {string} stage - `request` or `response`
+   * @returns {Object|null} Matching rule, or null
+   */
+  match(request, stage) {
+    const rule = this.rules.find(item =>
+      item.enabled && (item.stage === stage || item.stage === 'both') && this.matchers.get(item.id)(request));
+    if (!rule) {
+      return null;
+    }
+
+    rule.hits++;
+    rule.lastHitAt = new Date().toISOString();
+    return rule;
+  }
+
+  /**
+   * Hold an exchange until it is resumed, aborted or times out
+   *
+   * @param {Object} rule - Rule returned by `match()`
+   * @param {string} stage - `request` or `response`
+   * @param {Object} exchange - What the dashboard shows
+   * @param {string} exchange.requestId - Captured request id
+   * @param {Object} exchange.request - Method, url, headers and body of the request
+   * @param {Object} [exchange.response] - Status, headers and body of the response (response stage)
+   * @param {Object} handlers - Continuations
+   * @param {Function} handlers.resume - Called with the validated edits, `{}` when nothing changed
+   * @param {Function} handlers.abort - Called when the exchange is aborted
+   * @returns {Object} Paused exchange
+   */
+  pause(rule, stage, exchange, handlers) {
+    const pausedAt = Date.now();
+    const entry = {
+      id: uuidv4(),
+      ruleId: rule.id,
+      ruleName: rule.name,
+      stage,
+      requestId: exchange.requestId,
+      pausedAt: new Date(pausedAt).toISOString(),
+      expiresAt: new Date(pausedAt + rule.timeout).toISOString(),
+      request: exchange.request
+    };
+    if (exchange.response) {
+      entry.response = exchange.response;
+    }
+
+    const timer = setTimeout(() => {
+      if (this._settle(entry.id, 'timeout')) {
+        handlers.resume({});
+      }
+    }, rule.timeout);
+    timer.unref();
+
+    this.paused.set(entry.id, { entry, handlers, timer });
+    this.onPause(entry);
+    return entry;
+  }
+
+  /**
+   * Get the paused exchanges, oldest first
+   *
+   * @returns {Object[]} Paused exchanges
+   */
+  listPaused() {
+    return [...this.paused.values()].map(({ entry }) => entry);
+  }
+
+  /**
+   * Get a paused exchange by id
+   *
+   * @param {string} id - Paused exchange id
+   * @returns {Object|null} Paused exchange, or null if it is no longer paused
+   */
+  getPaused(id) {
+    const paused = this.paused.get(id);
+    return paused ? paused.entry : null;
+  }
+
+  /**
+   * Let a paused exchange continue, with optional edits
+   *
+   * @param {string} id - Paused exchange id
+   * @param {Object} [edits={}] - Changed fields of the request (`method`, `url`, `headers`, `body`,
+   *                              `bodyEncoding`) or response (`statusCode`, `headers`, `body`, `bodyEncoding`)
+   * @returns {Object} Resumed exchange
+   * @throws {Error} If the exchange is not paused (statusCode 404) or the edits are invalid (statusCode 400)
+   */
+  resume(id, edits = {}) {
+    const paused = this.paused.get(id);
+    if (!paused) {
+      throw BreakpointManager._error('Paused request not found', 404);
+    }
+
+    const validated = BreakpointManager.normalizeEdits(edits, paused.entry);
+    this._settle(id, 'resumed');
+    paused.handlers.resume(validated);
+    return paused.entry;
+  }
+
+  /**
+   * Abort a paused exchange
+   *
+   * @param {string} id - Paused exchange id
+   * @returns {Object} Aborted exchange
+   * @throws {Error} If the exchange is not paused (statusCode 404)
+   */
+  abort(id) {
+    const paused = this.paused.get(id);
+    if (!paused) {
+      throw BreakpointManager._error('Paused request not found', 404);
+    }
+
+    this._settle(id, 'aborted');
+    paused.handlers.abort();
+    return paused.entry;
+  }
+
+  /**
+   * Forget a paused exchange whose client has gone away
+   *
+   * @param {string} id - Paused exchange id
+   * @returns {void}
+   */
+  release(id) {
+    this._settle(id, 'closed');
+  }
+
+  /**
+   * Resume every paused exchange unchanged, e.g. when monitoring stops
+   *
+   * @returns {void}
+   */
+  resumeAll() {
+    [...this.paused.keys()].forEach(id => this.resume(id));
+  }
+
+  /**
+   * Stop tracking a paused exchange and report how it ended
+   *
+   * @private
+   * @param {string} id - Paused exchange id
+   * @param {string} action - `resumed`, `aborted`, `timeout` or `closed`
+   * @returns {boolean} True if the exchange was still paused
+   */
+  _settle(id, action) {
+    const paused = this.paused.get(id);
+    if (!paused) {
+      return false;
+    }
+
+    clearTimeout(paused.timer);
+    this.paused.delete(id);
+    this.onResolve({ id, requestId: paused.entry.requestId, stage: paused.entry.stage, action });
+    return true;
+  }
+
+  /**
+   * Validate a rule definition and fill in defaults
+   *
+   * @param {Object} definition - Rule definition
+   * @returns {{rule: Object, matcher: Function}} Normalized rule (without id) and its predicate
+   * @throws {Error} If the definition is invalid (statusCode 400)
+   */
+  static normalize(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw BreakpointManager._error('A breakpoint must be a JSON object', 400);
+    }
+
+    const match = definition.match || {};
+    let matcher;
+    try {
+      matcher = compileRequestMatcher(match);
+    } catch (error) {
+      throw BreakpointManager._error(error.message, 400);
+    }
+
+    const stage = definition.stage || 'request';
+    if (!STAGES.includes(stage)) {
+      throw BreakpointManager._error(`Invalid stage: expected one of ${STAGES.join(', ')}`, 400);
+    }
+
+    const timeout = definition.timeout === undefined ? DEFAULT_TIMEOUT_MS : Number(definition.timeout);
+    if (!Number.isFinite(timeout) || timeout < 1000 || timeout > MAX_TIMEOUT_MS) {
+      throw BreakpointManager._error(`Invalid timeout: expected 1000 to ${MAX_TIMEOUT_MS} milliseconds`, 400);
+    }
+
+    return {
+      rule: {
+        name: definition.name ? String(definition.name) : '',
+        enabled: definition.enabled !== false,
+        match,
+        stage,
+        timeout
+      },
+      matcher
+    };
+  }
+
+  /**
+   * Validate the edits sent to resume a paused exchange
+   *
+   * @param {Object} edits - Changed fields
+   * @param {Object} entry - Paused exchange the edits apply to
+   * @returns {Object} Edits that can be applied
+   * @throws {Error} If the edits are invalid for the exchange's stage (statusCode 400)
+   */
+  static normalizeEdits(edits, entry) {
+    if (!edits || typeof edits !== 'object' || Array.isArray(edits)) {
+      throw BreakpointManager._error('Edits must be a JSON object', 400);
+    }
+
+    const allowed = EDITABLE_FIELDS[entry.stage];
+    const unknown = Object.keys(edits).filter(field => !allowed.includes(field));
+    if (unknown.length > 0) {
+      throw BreakpointManager._error(`Cannot edit ${unknown.join(', ')} of a paused ${entry.stage}`, 400);
+    }
+
+    if (edits.method !== undefined && !/^[A-Za-z]+$/.test(edits.method)) {
+      throw BreakpointManager._error(`Invalid method: ${edits.method}`, 400);
+    }
+    if (edits.url !== undefined && (typeof edits.url !== 'string' || !edits.url.startsWith('/'))) {
+      throw BreakpointManager._error('Invalid url: expected a path starting with /', 400);
+    }
+    if (edits.statusCode !== undefined &&
+        !(Number.isInteger(edits.statusCode) && edits.statusCode >= 100 && edits.statusCode <= 599)) {
+      throw BreakpointManager._error(`Invalid statusCode: ${edits.statusCode}`, 400);
+    }
+    if (edits.headers !== undefined && (
+      !edits.headers || typeof edits.headers !== 'object' || Array.isArray(edits.headers) ||
+      !Object.values(edits.headers).every(value => ['string', 'number'].includes(typeof value) || Array.isArray(value)))) {
+      throw BreakpointManager._error('Invalid headers: expected names mapped to strings', 400);
+    }
+    if (edits.body !== undefined && typeof edits.body !== 'string') {
+      throw BreakpointManager._error('Invalid body: expected a string', 400);
+    }
+    if (edits.bodyEncoding !== undefined && !['utf8', 'base64'].includes(edits.bodyEncoding)) {
+      throw BreakpointManager._error('Invalid bodyEncoding: expected utf8 or base64', 400);
+    }
+
+    const shown = entry.stage === 'request' ? entry.request : entry.response;
+    if (edits.body !== undefined && shown.bodyTruncated) {
+      throw BreakpointManager._error('The body is larger than maxBodyBytes and cannot be edited', 400);
+    }
+
+    const normalized = { ...edits };
+    if (normalized.method) {
+      normalized.method = normalized.method.toUpperCase();
+    }
+    return normalized;
+  }
+
+  /**
+   * Create an error carrying an HTTP status code for the API
+   *
+   * @private
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} Error with `statusCode`
+   */
+  static _error(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+export default BreakpointManager;
@@ -0,0 +1,322 @@
+/**
+ * BodyCapture - Size-Limited HTTP Body Recorder
+ *
+ * Collects the chunks of an HTTP message body as they flow through a stream
+ * without altering or consuming them. Only the first `maxBytes` bytes are kept
+ * in memory, while the total size is still tracked so truncated bodies can be
+ * reported accurately in the dashboard.
+ *
+ * Features:
+ * - Accepts Buffer, Uint8Array and string chunks
+ * - Configurable byte cap with truncation tracking
+ * - Charset-aware decoding based on the Content-Type header
+ * - Binary detection with base64 storage
+ * - gzip, deflate and brotli decompression for display
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import zlib from 'zlib';
+
+/**
+ * Default maximum number of body bytes kept per captured message
+ * @type {number}
+ */
+export const DEFAULT_MAX_BODY_BYTES = 100 * 1024;
+
+/**
+ * MIME types outside of `text/*` whose bodies are human-readable
+ * @type {RegExp}
+ */
+const TEXT_CONTENT_TYPES = /^(application\/(json|xml|javascript|ecmascript|x-www-form-urlencoded|graphql|x-ndjson|ld\+json)|[a-z]+\/[a-z0-9.+-]*\+(json|xml))$/;
+
+/**
+ * BodyCapture Class
+ *
+ * @class BodyCapture
+ * @example
+ * const capture = new BodyCapture(1024);
+ * capture.append(chunk);
+ * const text = capture.toText(req.headers['content-type']);
+ */
+class BodyCapture {
+  /**
+   * Create a BodyCapture instance
+   *
+   * @param {number} [maxBytes=102400] - Maximum number of bytes to keep in memory
+   */
+  constructor(maxBytes = DEFAULT_MAX_BODY_BYTES) {
+    /**
+     * Maximum number of bytes kept in memory
+     * @type {number}
+     * @private
+     */
+    this.maxBytes = maxBytes;
+
+    /**
+     * Captured chunks, copied so later mutation by the application has no effect
+     * @type {Buffer[]}
+     * @private
+     */
+    this.chunks = [];
+
+    /**
+     * Number of bytes currently held in `chunks`
+     * @type {number}
+     */
+    this.capturedBytes = 0;
+
+    /**
+     * Total number of bytes seen, including the ones that were not kept
+     * @type {number}
+     */
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Record a body chunk
+   *
+   * @param {Buffer|Uint8Array|string} chunk - Chunk written to or read from the stream
+   * @param {string} [encoding='utf8'] - Encoding of string chunks
+   * @returns {void}
+   */
+  append(chunk, encoding) {
+    if (chunk === undefined || chunk === null) {
+      return;
+    }
+
+    let buffer;
+    try {
+      if (Buffer.isBuffer(chunk)) {
+        buffer = chunk;
+      } else if (chunk instanceof Uint8Array) {
+        buffer = Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+      } else {
+        buffer = Buffer.from(String(chunk), typeof encoding === 'string' ? encoding : 'utf8');
+      }
+    } catch (error) {
+      // Unknown encodings are not worth breaking the application for
+      return;
+    }
+
+    this.totalBytes += buffer.length;
+
+    const remaining = this.maxBytes - this.capturedBytes;
+    if (remaining <= 0) {
+      return;
+    }
+
+    const slice = buffer.length > remaining ? buffer.subarray(0, remaining) : buffer;
+    this.chunks.push(Buffer.from(slice));
+    this.capturedBytes += slice.length;
+  }
+
+  /**
+   * Forget everything recorded so far
+   * Used when the same bytes will flow through the stream again.
+   *
+   * @returns {void}
+   */
+  reset() {
+    this.chunks = [];
+    this.capturedBytes = 0;
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Whether part of the body was dropped because of the byte cap
+   * @type {boolean}
+   */
+  get truncated() {
+    return this.totalBytes > this.capturedBytes;
+  }
+
+  /**
+   * Whether no body bytes were seen at all
+   * @type {boolean}
+   */
+  get isEmpty() {
+    return this.totalBytes === 0;
+  }
+
+  /**
+   * Get the captured bytes as a single Buffer
+   *
+   * @returns {Buffer} Captured body (at most `maxBytes` long)
+   */
+  toBuffer() {
+    return Buffer.concat(this.chunks, this.capturedBytes);
+  }
+
+  /**
+   * Decode the captured bytes using the charset of the given Content-Type
+   *
+   * @param {string} [contentType] - Content-Type header value
+   * @returns {string} Decoded body text
+   */
+  toText(contentType) {
+    return BodyCapture.decode(this.toBuffer(), contentType);
+  }
+
+  /**
+   * Serialize the captured body for storage
+   *
+   * Compressed bodies are inflated according to `Content-Encoding` so they can be
+   * displayed. Text bodies are decoded with their charset, anything else is kept
+   * as base64 so binary content survives JSON serialization untouched.
+   *
+   * @param {Object} [headers={}] - Relevant message headers
+   * @param {string} [headers.contentType] - Content-Type header value
+   * @param {string} [headers.contentEncoding] - Content-Encoding header value
+   * @returns {Object} Serialized body
+   * @returns {string} returns.body - Body text or base64 data
+   * @returns {string} returns.bodyEncoding - `utf8` or `base64`
+   * @returns {boolean} returns.truncated - Whether bytes were dropped by the size limit
+   * @returns {number} returns.originalSize - Body size in bytes as sent over the wire
+   * @returns {string} [returns.decompressedFrom] - Content-Encoding that was undone
+   *
+   * @example
+   * const { body, bodyEncoding } = capture.serialize({
+   *   contentType: res.getHeader('content-type'),
+   *   contentEncoding: res.getHeader('content-encoding')
+   * });
+   */
+  serialize({ contentType, contentEncoding } = {}) {
+    let buffer = this.toBuffer();
+    let truncated = this.truncated;
+    let decompressedFrom;
+
+    if (buffer.length > 0 && contentEncoding) {
+      const inflated = BodyCapture.decompress(buffer, contentEncoding, this.maxBytes);
+      if (inflated) {
+        buffer = inflated.buffer;
+        truncated = truncated || inflated.truncated;
+        decompressedFrom = String(contentEncoding).toLowerCase();
+      }
+    }
+
+    const isText = BodyCapture.isTextContentType(contentType, buffer);
+
+    return {
+      body: isText ? BodyCapture.decode(buffer, contentType) : buffer.toString('base64'),
+      bodyEncoding: isText ? 'utf8' : 'base64',
+      truncated,
+      originalSize: this.totalBytes,
+      decompressedFrom
+    };
+  }
+
+  /**
+   * Decide whether a body should be stored as text
+   *
+   * Uses the Content-Type when present; otherwise the bytes are sniffed and
+   * treated as text when they are valid UTF-8 without NUL characters.
+   *
+   * @param {string} [contentType] - Content-Type header value
+   * @param {Buffer} [buffer] - Body bytes used for sniffing
+   * @returns {boolean} True if the body is human-readable text
+   */
+  static isTextContentType(contentType, buffer) {
+    if (contentType) {
+      const mimeType = String(contentType).split(';')[0].trim().toLowerCase();
+      return mimeType.startsWith('text/') || TEXT_CONTENT_TYPES.test(mimeType);
+    }
+
+    if (!buffer || buffer.length === 0) {
+      return true;
+    }
+
+    if (buffer.includes(0)) {
+      return false;
+    }
+
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Undo a Content-Encoding for display purposes
+   *
+   * Truncated input is inflated as far as possible, and the output is capped at
+   * `maxBytes` so a small compressed body cannot blow up memory. Bodies that
+   * inflate beyond 32 times the cap are left compressed.
+   *
+   * @param {Buffer} buffer - Compressed bytes
+   * @param {string} contentEncoding - Content-Encoding header value
+   * @param {number} maxBytes - Maximum number of decompressed bytes to keep
+   * @returns {{buffer: Buffer, truncated: boolean}|null} Decompressed body, or null
+   *          when the encoding is unknown or the data cannot be inflated
+   */
+  static decompress(buffer, contentEncoding, maxBytes) {
+    const encoding = String(contentEncoding).trim().toLowerCase();
+    // Inflating is all-or-nothing with the sync API, so leave room for typical
+    // compression ratios and trim the result afterwards
+    const options = { maxOutputLength: maxBytes * 32 };
+
+    try {
+      let output;
+      if (encoding === 'gzip' || encoding === 'x-gzip') {
+        output = zlib.gunzipSync(buffer, { ...options, finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      } else if (encoding === 'deflate') {
+        try {
+          output = zlib.inflateSync(buffer, { ...options, finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        } catch (error) {
+          // Some servers send raw deflate data without the zlib wrapper
+          output = zlib.inflateRawSync(buffer, { ...options, finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        }
+      } else if (encoding === 'br') {
+        output = zlib.brotliDecompressSync(buffer, {
+          ...options,
+          finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH
+        });
+      } else {
+        return null;
+      }
+
+      return output.length > maxBytes
+        ? { buffer: output.subarray(0, maxBytes), truncated: true }
+        : { buffer: output, truncated: false };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Extract the charset parameter from a Content-Type header
+   *
+   * @param {string} [contentType] - Content-Type header value
+   * @returns {string} Charset label, `utf-8` when none is specified
+   *
+   * @example
+   * BodyCapture.getCharset('text/html; charset=ISO-8859-1'); // 'iso-8859-1'
+   */
+  static getCharset(contentType) {
+    const match = /;\s*charset\s*=\s*"?([^";\s]+)"?/i.exec(contentType || '');
+    return match ? match[1].toLowerCase() : 'utf-8';
+  }
+
+  /**
+   * Decode a buffer using the charset of the given Content-Type
+   * Falls back to UTF-8 when the charset is not supported by the runtime.
+   *
+   * @param {Buffer} buffer - Raw body bytes
+   * @param {string} [contentType] - Content-Type header value
+   * @returns {string} Decoded body text
+   */
+  static decode(buffer, contentType) {
+    try {
+      return new TextDecoder(BodyCapture.getCharset(contentType)).decode(buffer);
+    } catch (error) {
+      return buffer.toString('utf8');
+    }
+  }
+}
+
+export default BodyCapture;
@@ -0,0 +1,227 @@
+/**
+ * CapturePolicy - Decide Which Requests Are Monitored and Stored
+ *
+ * Replaces the fixed rules FluxManager used to apply (skip a list of asset
+ * and dev-server paths, drop every 3xx response) with a configurable policy:
+ *
+ * ```javascript
+ * {
+ *   include: { status: ['2xx', '3xx', 404], methods: ['GET', 'POST'], paths: ['/api/**'], headers: { 'x-debug': true } },
+ *   exclude: { status: [304], methods: ['OPTIONS'], paths: ['/health', '/static/**'], headers: { 'user-agent': '/kube-probe/' } },
+ *   shouldCapture: (req, res) => !req.headers['x-synthetic']
+ * }
+ * ```
+ *
+ * A request is captured when it matches every `include` list that is given,
+ * none of the `exclude` lists, and `shouldCapture` (if any) returns true.
+ * Statuses are numbers or classes such as `3xx`; paths use the syntax of
+ * `utils/patterns.js`; header values use the syntax of `utils/requestMatcher.js`.
+ *
+ * Method, path and header conditions are known when the request arrives, so a
+ * request they exclude is not intercepted at all. Status conditions and
+ * `shouldCapture` are applied when the response ends.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import { compilePathPattern } from '../utils/patterns.js';
+import { compileRequestMatcher } from '../utils/requestMatcher.js';
+
+/**
+ * Browser, asset and dev-server paths that are not worth capturing by default
+ * @type {string[]}
+ */
+export const DEFAULT_EXCLUDED_PATHS = [
+  '/.well-known/**',
+  '/favicon.ico',
+  '/__webpack_hmr**',
+  '/sockjs-node/**',
+  '/_next/static/**',
+  '/static/**'
+];
+
+/**
+ * Status class such as `3xx`
+ * @type {RegExp}
+ */
+const STATUS_CLASS = /^([1-5])xx$/i;
+
+/**
+ * Compile a status list into a predicate
+ *
+ * @param {Array<number|string>} statuses - Status codes and classes
+ * @returns {Function} `(statusCode) => boolean`
+ * @throws {Error} If an entry is neither a status code nor a class
+ */
+function compileStatuses(statuses) {
+  const tests = statuses.map(status => {
+    const statusClass = STATUS_CLASS.exec(String(status));
+    if (statusClass) {
+      const hundreds = Number(statusClass[1]);
+      return statusCode => Math.floor(statusCode / 100) === hundreds;
+    }
+    if (Number.isInteger(Number(status)) && Number(status) >= 100 && Number(status) <= 599) {
+      return statusCode => statusCode === Number(status);
+    }
+    throw new Error(`Invalid capture status "${status}": expected a status code or a class such as 3xx`);
+  });
+
+  return statusCode => tests.some(test => test(statusCode));
+}
+
+/**
+ * Compile one `include` or `exclude` block
+ *
+ * @param {string} name - `include` or `exclude`, for error messages
+ * @param {Object} [criteria={}] - `status`, `methods`, `paths` and `headers`
+ * @returns {{request: Function[], status: Function|null}} Request predicates and the status predicate
+ * @throws {Error} If a criterion is invalid
+ */
+function compileCriteria(name, criteria = {}) {
+  if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+    throw new Error(`Invalid capture.${name}: expected an object`);
+  }
+
+  const list = (field) => {
+    const value = criteria[field];
+    if (value !== undefined && !Array.isArray(value)) {
+      throw new Error(`Invalid capture.${name}.${field}: expected an array`);
+    }
+    return value && value.length > 0 ? value : null;
+  };
+
+  const request = [];
+  const methods = list('methods');
+  if (methods) {
+    request.push(compileRequestMatcher({ method: methods.join(',') }));
+  }
+
+  const paths = list('paths');
+  if (paths) {
+    const patterns = paths.map(pattern => {
+      try {
+        return compilePathPattern(pattern);
+      } catch (error) {
+        throw new Error(`Invalid capture.${name}.paths pattern "${pattern}": ${error.message}`);
+      }
+    });
+    request.push(data => patterns.some(pattern => pattern.test(data.path)));
+  }
+
+  if (criteria.headers !== undefined) {
+    let matcher;
+    try {
+      matcher = compileRequestMatcher({ headers: criteria.headers });
+    } catch (error) {
+      throw new Error(`Invalid capture.${name}.headers: ${error.message}`);
+    }
+    // An empty map would otherwise match, and so exclude, every request
+    if (Object.keys(criteria.headers || {}).length > 0) {
+      request.push(matcher);
+    }
+  }
+
+  const statuses = list('status');
+  return { request, status: statuses ? compileStatuses(statuses) : null };
+}
+
+/**
+ * CapturePolicy Class
+ *
+ * @class CapturePolicy
+ * @example
+ * const policy = new CapturePolicy({ exclude: { paths: ['/health'], status: ['1xx'] } });
+ * if (policy.shouldIntercept({ method: 'GET', path: '/users', headers: {} })) {
+ *   // ...
+ *   if (policy.shouldCapture(req, res)) storage.addRequest(entry);
+ * }
+ */
+class CapturePolicy {
+  /**
+   * Create a CapturePolicy instance
+   *
+   * @param {Object} [options={}] - Policy (see the module documentation)
+   * @param {Object} [options.include] - Conditions every captured request meets
+   * @param {Object} [options.exclude] - Conditions no captured request meets; `exclude.paths`
+   *                                     defaults to browser, asset and dev-server paths
+   * @param {Function} [options.shouldCapture] - `(req, res) => boolean`, called when the response ends
+   * @param {string[]} [ignorePaths=[]] - More paths to exclude
+   * @throws {Error} If the policy is invalid
+   */
+  constructor(options = {}, ignorePaths = []) {
+    if (options.shouldCapture !== undefined && typeof options.shouldCapture !== 'function') {
+      throw new Error('Invalid capture.shouldCapture: expected a function');
+    }
+
+    // The default paths apply unless `exclude.paths` is given; `ignorePaths` always adds to them
+    let exclude = options.exclude;
+    if (exclude === undefined || (exclude && typeof exclude === 'object' && !Array.isArray(exclude))) {
+      const paths = exclude && exclude.paths !== undefined ? exclude.paths : DEFAULT_EXCLUDED_PATHS;
+      exclude = { ...exclude, paths: Array.isArray(paths) ? [...paths, ...ignorePaths] : paths };
+    }
+
+    /**
+     * Compiled include conditions
+     * @type {{request: Function[], status: Function|null}}
+     * @private
+     */
+    this.include = compileCriteria('include', options.include);
+
+    /**
+     * Compiled exclude conditions
+     * @type {{request: Function[], status: Function|null}}
+     * @private
+     */
+    this.exclude = compileCriteria('exclude', exclude);
+
+    /**
+     * Custom decision made when the response ends
+     * @type {Function|null}
+     * @private
+     */
+    this.custom = options.shouldCapture || null;
+  }
+
+  /**
+   * Decide from the request alone whether to monitor it
+   *
+   * @param {Object} request - Request data with `method`, `path` and `headers`
+   * @returns {boolean} False if the request can never be captured
+   */
+  shouldIntercept(request) {
+    return this.include.request.every(test => test(request)) &&
+      !this.exclude.request.some(test => test(request));
+  }
+
+  /**
+   * Decide when the response ends whether to store the request
+   * A throwing `shouldCapture` callback is reported and the request is kept.
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Its response
+   * @returns {boolean} True if the request should be stored
+   */
+  shouldCapture(req, res) {
+    if (this.include.status && !this.include.status(res.statusCode)) {
+      return false;
+    }
+    if (this.exclude.status && this.exclude.status(res.statusCode)) {
+      return false;
+    }
+    if (!this.custom) {
+      return true;
+    }
+
+    try {
+      return Boolean(this.custom(req, res));
+    } catch (error) {
+      console.warn(`FluxManager: capture.shouldCapture threw, capturing the request anyway: ${error.message}`);
+      return true;
+    }
+  }
+}
+
+export default CapturePolicy;
@@ -0,0 +1,297 @@
+/**
+ * Sampler - Keep a Representative Share of the Traffic on Busy Servers
+ *
+ * Decides which of the requests allowed by the capture policy are actually
+ * stored and broadcast:
+ *
+ * ```javascript
+ * {
+ *   rate: 0.1,                                  // keep 10% of the requests...
+ *   perRoute: 5,                                // ...and at most 5 per second for each route...
+ *   always: { errors: true, slowerThan: 1000 }, // ...but every 5xx and every request taking 1s or more
+ *   decide: (request) => request.path.startsWith('/checkout') || undefined
+ * }
+ * ```
+ *
+ * Decisions are taken in this order, the first one that applies wins:
+ * 1. replays started from the dashboard are always kept
+ * 2. `always` keeps errors (status 500 and above) and slow requests
+ * 3. `decide(request)` sees the finished request and returns true to keep it,
+ *    false to drop it, or anything else to leave the decision to the rules below
+ * 4. `rate` keeps a random share of the requests
+ * 5. `perRoute` drops requests once a route has had that many kept this second
+ *
+ * Rules 2 and 3 need the response, so a request is normally decided when it
+ * ends (tail sampling). With only `rate` and `perRoute` configured, the random
+ * draw happens when the request arrives (head sampling), and dropped requests
+ * skip body recording altogether.
+ *
+ * Every stored request gets a `sampling` record with the `reason` it was kept
+ * and the `rate` it was kept at, so counts can be scaled back up. Under a
+ * `perRoute` limit that rate is the share of the route's requests actually
+ * kept: the records kept in a second are updated as later requests of the
+ * same route are dropped in that second.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+/**
+ * Routes tracked by the per-route limiter; past it the least recently used one is forgotten
+ * @type {number}
+ */
+const MAX_TRACKED_ROUTES = 1000;
+
+/**
+ * Sampler Class
+ *
+ * @class Sampler
+ * @example
+ * const sampler = new Sampler({ rate: 0.05, always: { errors: true } });
+ * const early = sampler.head(request);
+ * // ... once the response is known
+ * const decision = early || sampler.tail(request);
+ * if (decision.keep) request.sampling = decision.record;
+ */
+class Sampler {
+  /**
+   * Create a Sampler instance
+   *
+   * @param {Object} [options={}] - Sampling rules (see the module documentation); none keeps everything
+   * @param {number} [options.rate=1] - Share of the requests to keep, from 0 to 1
+   * @param {number} [options.perRoute] - Maximum requests kept per second for each method and route
+   * @param {Object} [options.always] - Requests kept regardless of `rate` and `perRoute`
+   * @param {boolean} [options.always.errors=false] - Keep responses with status 500 and above
+   * @param {number} [options.always.slowerThan] - Keep requests taking at least this many milliseconds
+   * @param {Function} [options.decide] - `(request) => boolean|undefined`, called with the finished request
+   * @throws {Error} If an option is invalid
+   */
+  constructor(options = {}) {
+    const { rate = 1, perRoute, always = {}, decide } = options;
+
+    if (typeof rate !== 'number' || !(rate >= 0 && rate <= 1)) {
+      throw new Error('Invalid sampling.rate: expected a number from 0 to 1');
+    }
+    if (perRoute !== undefined && !(Number.isInteger(perRoute) && perRoute > 0)) {
+      throw new Error('Invalid sampling.perRoute: expected a positive integer');
+    }
+    if (!always || typeof always !== 'object' || Array.isArray(always)) {
+      throw new Error('Invalid sampling.always: expected an object');
+    }
+    if (always.slowerThan !== undefined && !(typeof always.slowerThan === 'number' && always.slowerThan >= 0)) {
+      throw new Error('Invalid sampling.always.slowerThan: expected a number of milliseconds');
+    }
+    if (decide !== undefined && typeof decide !== 'function') {
+      throw new Error('Invalid sampling.decide: expected a function');
+    }
+
+    /**
+     * Share of the requests kept by the random draw
+     * @type {number}
+     */
+    this.rate = rate;
+
+    /**
+     * Maximum requests kept per second and route, or null for no limit
+     * @type {number|null}
+     */
+    this.perRoute = perRoute || null;
+
+    /**
+     * Whether server errors are always kept
+     * @type {boolean}
+     * @private
+     */
+    this.keepErrors = always.errors === true;
+
+    /**
+     * Response time from which requests are always kept, or null
+     * @type {number|null}
+     * @private
+     */
+    this.slowerThan = always.slowerThan !== undefined ? always.slowerThan : null;
+
+    /**
+     * Custom decision taken with the finished request
+     * @type {Function|null}
+     * @private
+     */
+    this.decide = decide || null;
+
+    /**
+     * Requests reaching the per-route limit and the records of those kept, per route in the current second
+     * @type {Map<string, {second: number, offered: number, records: Object[]}>}
+     * @private
+     */
+    this.windows = new Map();
+
+    /**
+     * Requests kept and dropped so far, by reason
+     * @type {{kept: Object<string, number>, dropped: Object<string, number>}}
+     * @private
+     */
+    this.counts = { kept: {}, dropped: {} };
+  }
+
+  /**
+   * Whether any rule can drop a request
+   * @type {boolean}
+   */
+  get enabled() {
+    return this.rate < 1 || this.perRoute !== null || this.decide !== null;
+  }
+
+  /**
+   * Whether the random draw can happen as soon as the request arrives
+   * Only when no rule that looks at the response could still keep the request.
+   * @type {boolean}
+   * @private
+   */
+  get headBased() {
+    return this.rate < 1 && !this.keepErrors && this.slowerThan === null && this.decide === null;
+  }
+
+  /**
+   * Decide a request when it arrives, if its response cannot change the outcome
+   *
+   * @param {Object} request - Request data with `replayOf` when it is a dashboard replay
+   * @returns {{keep: boolean, record: Object}|null} A drop decision, or null to decide with `tail()`
+   */
+  head(request) {
+    if (!this.headBased || request.replayOf || Math.random() < this.rate) {
+      return null;
+    }
+    return this._decision(false, 'rate');
+  }
+
+  /**
+   * Decide a finished request
+   *
+   * @param {Object} request - Request with `method`, `path`, `route` and `response`
+   * @returns {{keep: boolean, record: Object}} Decision, and the `sampling` record stored with a kept request
+   */
+  tail(request) {
+    if (!this.enabled || request.replayOf) {
+      return this._decision(true, request.replayOf ? 'replay' : 'all');
+    }
+
+    const response = request.response || {};
+    if (this.keepErrors && response.statusCode >= 500) {
+      return this._decision(true, 'error');
+    }
+    if (this.slowerThan !== null && response.responseTime >= this.slowerThan) {
+      return this._decision(true, 'slow');
+    }
+
+    if (this.decide) {
+      let verdict;
+      try {
+        verdict = this.decide(request);
+      } catch (error) {
+        console.warn(`FluxManager: sampling.decide threw, sampling the request by rate: ${error.message}`);
+      }
+      if (typeof verdict === 'boolean') {
+        return this._decision(verdict, 'custom');
+      }
+    }
+
+    // Head-based samplers already drew for this request when it arrived
+    if (!this.headBased && this.rate < 1 && Math.random() >= this.rate) {
+      return this._decision(false, 'rate');
+    }
+    if (this.perRoute !== null) {
+      return this._limitRoute(`${request.method} ${request.route || request.path}`);
+    }
+
+    return this._decision(true, 'sampled', this.rate);
+  }
+
+  /**
+   * Requests kept and dropped so far
+   *
+   * @returns {Object} Sampling rules, plus `kept` and `dropped` totals and counts `byReason`
+   *
+   * @example
+   * sampler.getStats();
+   * // { rate: 0.1, perRoute: null, kept: 12, dropped: 98,
+   * //   byReason: { kept: { sampled: 10, error: 2 }, dropped: { rate: 98 } } }
+   */
+  getStats() {
+    const total = counts => Object.values(counts).reduce((sum, count) => sum + count, 0);
+    return {
+      rate: this.rate,
+      perRoute: this.perRoute,
+      kept: total(this.counts.kept),
+      dropped: total(this.counts.dropped),
+      byReason: { kept: { ...this.counts.kept }, dropped: { ...this.counts.dropped } }
+    };
+  }
+
+  /**
+   * Count a decision and build its result
+   *
+   * @private
+   * @param {boolean} keep - Whether the request is kept
+   * @param {string} reason - Rule that decided
+   * @param {number} [rate=1] - Probability with which requests like this one are kept
+   * @returns {{keep: boolean, record: Object}} Decision
+   */
+  _decision(keep, reason, rate = 1) {
+    const counts = keep ? this.counts.kept : this.counts.dropped;
+    counts[reason] = (counts[reason] || 0) + 1;
+    return { keep, record: { reason, rate } };
+  }
+
+  /**
+   * Decide a request against its route's limit for the current second
+   * A drop lowers the rate recorded for the requests of the route kept this second.
+   *
+   * @private
+   * @param {string} key - Method and route
+   * @returns {{keep: boolean, record: Object}} Decision
+   */
+  _limitRoute(key) {
+    const window = this._routeWindow(key);
+    window.offered++;
+
+    if (window.records.length >= this.perRoute) {
+      const rate = this.rate * window.records.length / window.offered;
+      window.records.forEach(record => {
+        record.rate = rate;
+      });
+      return this._decision(false, 'limit');
+    }
+
+    // Nothing was dropped yet this second, so far the route keeps every request the draw lets through
+    const decision = this._decision(true, 'sampled', this.rate);
+    window.records.push(decision.record);
+    return decision;
+  }
+
+  /**
+   * Get the current second's window of a route
+   *
+   * @private
+   * @param {string} key - Method and route
+   * @returns {{second: number, offered: number, records: Object[]}} Window
+   */
+  _routeWindow(key) {
+    const second = Math.floor(Date.now() / 1000);
+    let window = this.windows.get(key);
+
+    if (!window || window.second !== second) {
+      // Renewed windows move to the end, so the first one is always the least recently used
+      this.windows.delete(key);
+      if (this.windows.size >= MAX_TRACKED_ROUTES) {
+        this.windows.delete(this.windows.keys().next().value);
+      }
+      window = { second, offered: 0, records: [] };
+      this.windows.set(key, window);
+    }
+    return window;
+  }
+}
+
+export default Sampler;
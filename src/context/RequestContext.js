@@ -0,0 +1,72 @@
+/**
+ * RequestContext - Async Request Correlation
+ * 
+ * Tracks which captured HTTP request is currently being handled across
+ * asynchronous boundaries using Node's AsyncLocalStorage. Anything recorded
+ * while a request is in flight (exceptions, logs, queries) can look up the
+ * active request id without the application passing it around.
+ * 
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * RequestContext Class
+ * 
+ * @class RequestContext
+ * @example
+ * const context = new RequestContext();
+ * context.run({ requestId: 'req-123' }, () => {
+ *   setTimeout(() => console.log(context.getRequestId()), 10); // 'req-123'
+ * });
+ */
+class RequestContext {
+  /**
+   * Create a RequestContext instance
+   */
+  constructor() {
+    /**
+     * Underlying async storage
+     * @type {AsyncLocalStorage}
+     * @private
+     */
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run a callback with the given store as the active context
+   * 
+   * @param {Object} store - Context data for the request
+   * @param {string} store.requestId - Id of the captured request
+   * @param {Function} callback - Function to run inside the context
+   * @returns {*} Return value of the callback
+   */
+  run(store, callback) {
+    return this.storage.run(store, callback);
+  }
+
+  /**
+   * Get the active context store
+   * 
+   * @returns {Object|undefined} Active store, or undefined outside of a request
+   */
+  get() {
+    return this.storage.getStore();
+  }
+
+  /**
+   * Get the id of the request currently being handled
+   * 
+   * @returns {string|null} Active request id, or null outside of a request
+   */
+  getRequestId() {
+    const store = this.get();
+    return store && store.requestId ? store.requestId : null;
+  }
+}
+
+export default RequestContext;
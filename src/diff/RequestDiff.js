@@ -0,0 +1,327 @@
+/**
+ * RequestDiff - Structural Comparison of Two Captured Requests
+ *
+ * Explains why two calls to the same endpoint behaved differently. Headers
+ * and query parameters are compared by name, and JSON bodies key by key, so
+ * a reordered or reformatted body only reports the values that changed.
+ * Bodies that are not JSON are compared as a whole, and binary bodies by
+ * their bytes, reported as their size and a short hash.
+ *
+ * Every difference is reported as a change:
+ *
+ * - `path` - Header or parameter name, or a body path such as `items[0].id`
+ *   (`''` for the whole body)
+ * - `type` - `added` (only in b), `removed` (only in a) or `changed`
+ * - `a`, `b` - Values on each side, omitted when the side has none
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import crypto from 'crypto';
+
+/**
+ * RequestDiff Class
+ *
+ * @class RequestDiff
+ * @example
+ * const diff = RequestDiff.compare(storage.getById(a), storage.getById(b));
+ * diff.response.body.changes.forEach(change => console.log(change.path, change.a, change.b));
+ */
+class RequestDiff {
+  /**
+   * Compare two stored requests
+   *
+   * @param {Object} a - Stored request, usually the one that behaved as expected
+   * @param {Object} b - Stored request to compare against it
+   * @returns {Object} Diff
+   * @returns {Object} returns.a - Summary of request a (id, method, url, timestamp)
+   * @returns {Object} returns.b - Summary of request b
+   * @returns {Object} returns.method - `{ a, b, changed }`
+   * @returns {Object} returns.url - `{ a, b, changed }`
+   * @returns {Object} returns.status - `{ a, b, changed }` response status codes
+   * @returns {Object} returns.timing - `{ a, b, delta }` response times in milliseconds
+   * @returns {Object} returns.request - `{ headers, query, body }` changes
+   * @returns {Object} returns.response - `{ headers, body }` changes
+   * @returns {boolean} returns.identical - True if nothing but the timing differs
+   */
+  static compare(a, b) {
+    const responseA = a.response || {};
+    const responseB = b.response || {};
+    const timeA = responseA.responseTime !== undefined ? responseA.responseTime : null;
+    const timeB = responseB.responseTime !== undefined ? responseB.responseTime : null;
+
+    const diff = {
+      a: RequestDiff.summarize(a),
+      b: RequestDiff.summarize(b),
+      method: RequestDiff.compareValue(a.method, b.method),
+      url: RequestDiff.compareValue(a.url, b.url),
+      status: RequestDiff.compareValue(responseA.statusCode, responseB.statusCode),
+      timing: {
+        a: timeA,
+        b: timeB,
+        delta: timeA !== null && timeB !== null ? timeB - timeA : null
+      },
+      request: {
+        headers: RequestDiff.compareMaps(a.headers, b.headers),
+        query: RequestDiff.compareMaps(a.query, b.query),
+        body: RequestDiff.compareBodies(a.body, b.body)
+      },
+      response: {
+        headers: RequestDiff.compareMaps(responseA.headers, responseB.headers),
+        body: RequestDiff.compareBodies(responseA.body, responseB.body, {
+          binaryA: responseA.bodyEncoding === 'base64',
+          binaryB: responseB.bodyEncoding === 'base64'
+        })
+      }
+    };
+
+    diff.identical = !diff.method.changed && !diff.url.changed && !diff.status.changed &&
+      [diff.request.headers, diff.request.query, diff.request.body.changes,
+        diff.response.headers, diff.response.body.changes].every(changes => changes.length === 0);
+
+    return diff;
+  }
+
+  /**
+   * Identify a request in the diff output
+   *
+   * @param {Object} request - Stored request
+   * @returns {{id: string, method: string, url: string, timestamp: string}} Summary
+   */
+  static summarize(request) {
+    return {
+      id: request.id,
+      method: request.method,
+      url: request.url,
+      timestamp: request.timestamp
+    };
+  }
+
+  /**
+   * Compare two scalar values
+   *
+   * @param {*} a - Value of request a
+   * @param {*} b - Value of request b
+   * @returns {{a: *, b: *, changed: boolean}} Comparison
+   */
+  static compareValue(a, b) {
+    return { a: a === undefined ? null : a, b: b === undefined ? null : b, changed: a !== b };
+  }
+
+  /**
+   * Compare two name/value maps such as headers or query parameters
+   * Repeated values (arrays) are compared in order.
+   *
+   * @param {Object} [a={}] - Map of request a
+   * @param {Object} [b={}] - Map of request b
+   * @returns {Object[]} Changes, sorted by name
+   */
+  static compareMaps(a = {}, b = {}) {
+    const mapA = a || {};
+    const mapB = b || {};
+    const names = [...new Set([...Object.keys(mapA), ...Object.keys(mapB)])].sort();
+    const changes = [];
+
+    for (const name of names) {
+      const inA = Object.prototype.hasOwnProperty.call(mapA, name);
+      const inB = Object.prototype.hasOwnProperty.call(mapB, name);
+
+      if (!inB) {
+        changes.push({ path: name, type: 'removed', a: mapA[name] });
+      } else if (!inA) {
+        changes.push({ path: name, type: 'added', b: mapB[name] });
+      } else if (!RequestDiff.isEqual(mapA[name], mapB[name])) {
+        changes.push({ path: name, type: 'changed', a: mapA[name], b: mapB[name] });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Compare two bodies, key by key when both are JSON
+   *
+   * @param {string} [a] - Body of request a
+   * @param {string} [b] - Body of request b
+   * @param {Object} [encodings={}] - Which bodies are binary, stored as base64
+   * @param {boolean} [encodings.binaryA=false] - Whether body a is binary
+   * @param {boolean} [encodings.binaryB=false] - Whether body b is binary
+   * @returns {{format: string, changes: Object[]}} Format (`json`, `text` or `binary`) and changes
+   */
+  static compareBodies(a, b, { binaryA = false, binaryB = false } = {}) {
+    if (binaryA || binaryB) {
+      const bytesA = RequestDiff.toBytes(a, binaryA);
+      const bytesB = RequestDiff.toBytes(b, binaryB);
+      if (bytesA.equals(bytesB)) {
+        return { format: 'binary', changes: [] };
+      }
+
+      // One change for the whole body: a byte-level diff would not be readable
+      const change = { path: '', type: 'changed', a: RequestDiff.describeBytes(bytesA), b: RequestDiff.describeBytes(bytesB) };
+      if (bytesA.length === 0) {
+        change.type = 'added';
+        delete change.a;
+      } else if (bytesB.length === 0) {
+        change.type = 'removed';
+        delete change.b;
+      }
+      return { format: 'binary', changes: [change] };
+    }
+
+    const jsonA = RequestDiff.parseJson(a);
+    const jsonB = RequestDiff.parseJson(b);
+
+    if (jsonA !== undefined && jsonB !== undefined) {
+      return { format: 'json', changes: RequestDiff.compareJson(jsonA, jsonB) };
+    }
+
+    const textA = a || '';
+    const textB = b || '';
+    if (textA === textB) {
+      return { format: 'text', changes: [] };
+    }
+
+    const change = { path: '', type: 'changed', a: textA, b: textB };
+    if (!textA) {
+      change.type = 'added';
+      delete change.a;
+    } else if (!textB) {
+      change.type = 'removed';
+      delete change.b;
+    }
+
+    return { format: 'text', changes: [change] };
+  }
+
+  /**
+   * Decode a stored body into bytes
+   *
+   * @param {string} [body] - Stored body
+   * @param {boolean} binary - Whether the body is stored as base64
+   * @returns {Buffer} Body bytes
+   */
+  static toBytes(body, binary) {
+    return Buffer.from(body || '', binary ? 'base64' : 'utf8');
+  }
+
+  /**
+   * Describe a body by its size and a short hash, for binary comparisons
+   *
+   * @param {Buffer} bytes - Body bytes
+   * @returns {string} Description such as `2048 bytes, sha256 1f2e3d4c`
+   */
+  static describeBytes(bytes) {
+    return `${bytes.length} bytes, sha256 ${crypto.createHash('sha256').update(bytes).digest('hex').slice(0, 8)}`;
+  }
+
+  /**
+   * Compare two parsed JSON values recursively
+   * Objects are compared by key and arrays by index; anything else by value.
+   *
+   * @param {*} a - Value of request a
+   * @param {*} b - Value of request b
+   * @param {string} [path=''] - Path of the values within the body
+   * @param {Object[]} [changes=[]] - Changes collected so far
+   * @returns {Object[]} Changes
+   */
+  static compareJson(a, b, path = '', changes = []) {
+    const bothArrays = Array.isArray(a) && Array.isArray(b);
+    const bothObjects = RequestDiff.isObject(a) && RequestDiff.isObject(b);
+
+    if (bothArrays) {
+      for (let index = 0; index < Math.max(a.length, b.length); index++) {
+        const itemPath = `${path}[${index}]`;
+        if (index >= b.length) {
+          changes.push({ path: itemPath, type: 'removed', a: a[index] });
+        } else if (index >= a.length) {
+          changes.push({ path: itemPath, type: 'added', b: b[index] });
+        } else {
+          RequestDiff.compareJson(a[index], b[index], itemPath, changes);
+        }
+      }
+    } else if (bothObjects) {
+      const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+      for (const key of keys) {
+        const keyPath = RequestDiff.joinPath(path, key);
+        // Own keys only: `in` would find `constructor` or `toString` on every object
+        if (!Object.prototype.hasOwnProperty.call(b, key)) {
+          changes.push({ path: keyPath, type: 'removed', a: a[key] });
+        } else if (!Object.prototype.hasOwnProperty.call(a, key)) {
+          changes.push({ path: keyPath, type: 'added', b: b[key] });
+        } else {
+          RequestDiff.compareJson(a[key], b[key], keyPath, changes);
+        }
+      }
+    } else if (!RequestDiff.isEqual(a, b)) {
+      changes.push({ path, type: 'changed', a, b });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Append an object key to a body path
+   * Keys that are not plain identifiers are written as `["key"]`.
+   *
+   * @param {string} path - Parent path
+   * @param {string} key - Object key
+   * @returns {string} Child path
+   */
+  static joinPath(path, key) {
+    if (/^[A-Za-z_$][\w$-]*$/.test(key)) {
+      return path ? `${path}.${key}` : key;
+    }
+    return `${path}[${JSON.stringify(key)}]`;
+  }
+
+  /**
+   * Parse a body as JSON
+   *
+   * @param {string} [body] - Request or response body
+   * @returns {*} Parsed value, or undefined if the body is empty or not JSON
+   */
+  static parseJson(body) {
+    if (typeof body !== 'string' || !/^\s*[[{]/.test(body)) {
+      return undefined;
+    }
+
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Check whether a value is a plain object
+   *
+   * @param {*} value - Value to check
+   * @returns {boolean} True for non-null, non-array objects
+   */
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Deep equality for JSON values
+   *
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean} True if the values are equal
+   */
+  static isEqual(a, b) {
+    if (a === b) {
+      return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null ||
+      Array.isArray(a) !== Array.isArray(b)) {
+      return false;
+    }
+    return RequestDiff.compareJson(a, b).length === 0;
+  }
+}
+
+export default RequestDiff;
@@ -0,0 +1,284 @@
+/**
+ * HarConverter - HAR 1.2 Export and Import
+ *
+ * Converts captured requests to and from the HTTP Archive format, so a session
+ * can be shared with a teammate, attached to a bug report, or opened in
+ * browser developer tools and other HAR viewers.
+ *
+ * FluxManager-specific data without a HAR equivalent (request id, client IP,
+ * truncation flags) travels in the `_fluxManager` custom field of each entry.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ * @see http://www.softwareishard.com/blog/har-12-spec/
+ */
+
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Package metadata reported as the HAR creator
+ * @type {{name: string, version: string}}
+ */
+const PACKAGE = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+/**
+ * HarConverter Class
+ *
+ * @class HarConverter
+ * @example
+ * const har = HarConverter.toHar(storage.getAll());
+ * const entries = HarConverter.fromHar(JSON.parse(file));
+ */
+class HarConverter {
+  /**
+   * Convert captured requests to a HAR 1.2 document
+   *
+   * @param {Object[]} requests - Stored requests, in any order
+   * @returns {Object} HAR document with entries sorted by start time
+   */
+  static toHar(requests) {
+    const entries = requests
+      .map(request => HarConverter.toEntry(request))
+      .sort((a, b) => Date.parse(a.startedDateTime) - Date.parse(b.startedDateTime));
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: PACKAGE.name, version: PACKAGE.version },
+        entries
+      }
+    };
+  }
+
+  /**
+   * Convert one captured request to a HAR entry
+   *
+   * @param {Object} request - Stored request
+   * @returns {Object} HAR entry
+   */
+  static toEntry(request) {
+    const response = request.response || {};
+    const requestHeaders = HarConverter.toHeaderList(request.headers);
+    const responseHeaders = HarConverter.toHeaderList(response.headers);
+    const responseTime = response.responseTime || 0;
+    const requestContentType = HarConverter.findHeader(requestHeaders, 'content-type');
+    const responseContentType = HarConverter.findHeader(responseHeaders, 'content-type');
+
+    const entry = {
+      startedDateTime: new Date(request.startTime || request.timestamp).toISOString(),
+      time: responseTime,
+      request: {
+        method: request.method,
+        url: HarConverter.toAbsoluteUrl(request),
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: requestHeaders,
+        queryString: [...new URL(request.url || request.path, 'http://localhost').searchParams]
+          .map(([name, value]) => ({ name, value })),
+        headersSize: -1,
+        bodySize: request.bodySize !== undefined ? request.bodySize : -1
+      },
+      response: {
+        status: response.statusCode || 0,
+        statusText: response.statusMessage || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: responseHeaders,
+        content: {
+          size: HarConverter.contentSize(response),
+          mimeType: responseContentType || 'x-unknown',
+          text: response.body || ''
+        },
+        redirectURL: HarConverter.findHeader(responseHeaders, 'location') || '',
+        headersSize: -1,
+        bodySize: response.originalSize !== undefined ? response.originalSize : -1
+      },
+      cache: {},
+      timings: { send: 0, wait: responseTime, receive: 0 },
+      _fluxManager: {
+        id: request.id,
+        ip: request.ip,
+        bodyTruncated: Boolean(request.bodyTruncated),
+        responseTruncated: Boolean(response.truncated),
+        decompressedFrom: response.decompressedFrom
+      }
+    };
+
+    if (request.body) {
+      entry.request.postData = {
+        mimeType: requestContentType || 'application/octet-stream',
+        text: request.body
+      };
+    }
+
+    if (response.bodyEncoding === 'base64') {
+      entry.response.content.encoding = 'base64';
+    }
+
+    return entry;
+  }
+
+  /**
+   * Convert a HAR document back into requests ready for storage
+   *
+   * Every entry gets a new id so importing the same file twice, or into the
+   * process that exported it, never collides with stored requests.
+   *
+   * @param {Object} har - Parsed HAR document
+   * @returns {Object[]} Requests, oldest first
+   * @throws {Error} If the document is not a HAR log
+   */
+  static fromHar(har) {
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+      throw new Error('Invalid HAR file: missing log.entries');
+    }
+
+    return har.log.entries
+      .map((entry, index) => HarConverter.fromEntry(entry, index))
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Convert one HAR entry into a stored request
+   *
+   * @param {Object} entry - HAR entry
+   * @param {number} [index=0] - Entry position, used in error messages
+   * @returns {Object} Request in the shape produced by `FluxManager.intercept()`
+   * @throws {Error} If the entry has no request method or URL
+   */
+  static fromEntry(entry, index = 0) {
+    const request = entry && entry.request;
+    if (!request || !request.method || !request.url) {
+      throw new Error(`Invalid HAR entry at index ${index}: missing request method or url`);
+    }
+
+    const response = entry.response || {};
+    const content = response.content || {};
+    const extra = entry._fluxManager || {};
+    const parsedUrl = new URL(request.url, 'http://localhost');
+    const headers = HarConverter.fromHeaderList(request.headers);
+    const startTime = Date.parse(entry.startedDateTime) || Date.now();
+    const responseTime = Math.max(Math.round(Number(entry.time) || 0), 0);
+
+    const query = {};
+    for (const [name, value] of parsedUrl.searchParams) {
+      query[name] = name in query ? [].concat(query[name], value) : value;
+    }
+
+    const postData = request.postData || {};
+    const body = postData.text !== undefined ?
+      postData.text :
+      new URLSearchParams((postData.params || []).map(param => [param.name, param.value || ''])).toString();
+
+    return {
+      id: uuidv4(),
+      method: String(request.method).toUpperCase(),
+      path: parsedUrl.pathname,
+      url: parsedUrl.pathname + parsedUrl.search,
+      headers,
+      query,
+      ip: extra.ip || entry.serverIPAddress || '',
+      userAgent: headers['user-agent'],
+      timestamp: new Date(startTime).toISOString(),
+      startTime,
+      body,
+      bodySize: request.bodySize >= 0 ? request.bodySize : Buffer.byteLength(body),
+      bodyTruncated: Boolean(extra.bodyTruncated),
+      response: {
+        statusCode: response.status || 0,
+        statusMessage: response.statusText || '',
+        headers: HarConverter.fromHeaderList(response.headers),
+        body: content.text || '',
+        bodyEncoding: content.encoding === 'base64' ? 'base64' : 'utf8',
+        truncated: Boolean(extra.responseTruncated),
+        // `bodySize` is the size on the wire, which is what `originalSize` records
+        originalSize: response.bodySize >= 0 ? response.bodySize :
+          (content.size >= 0 ? content.size : Buffer.byteLength(content.text || '')),
+        decompressedFrom: extra.decompressedFrom,
+        responseTime
+      },
+      endTime: new Date(startTime + responseTime).toISOString(),
+      importedFrom: extra.id || null
+    };
+  }
+
+  /**
+   * Size of a response body once decoded, as HAR `content.size` expects
+   *
+   * @param {Object} response - Stored response
+   * @returns {number} Size in bytes, or -1 if a truncated compressed body leaves it unknown
+   */
+  static contentSize(response) {
+    if (!response.truncated) {
+      return Buffer.byteLength(response.body || '', response.bodyEncoding === 'base64' ? 'base64' : 'utf8');
+    }
+    // The wire size is the decoded size unless the body was compressed
+    return !response.decompressedFrom && response.originalSize !== undefined ? response.originalSize : -1;
+  }
+
+  /**
+   * Build the absolute URL HAR requires from the Host header
+   *
+   * @param {Object} request - Stored request
+   * @returns {string} Absolute request URL
+   */
+  static toAbsoluteUrl(request) {
+    const headers = request.headers || {};
+    const protocol = String(headers['x-forwarded-proto'] || 'http').split(',')[0].trim();
+    const host = headers['x-forwarded-host'] || headers.host || 'localhost';
+    return `${protocol}://${host}${request.url || request.path}`;
+  }
+
+  /**
+   * Convert a header map into a HAR name/value list
+   * Multi-value headers such as `set-cookie` become one item per value.
+   *
+   * @param {Object} [headers={}] - Header map
+   * @returns {Array<{name: string, value: string}>} Header list
+   */
+  static toHeaderList(headers = {}) {
+    return Object.entries(headers || {}).flatMap(([name, value]) =>
+      [].concat(value).map(item => ({ name, value: String(item) }))
+    );
+  }
+
+  /**
+   * Convert a HAR name/value list into a lower-cased header map
+   *
+   * @param {Array<{name: string, value: string}>} [list=[]] - Header list
+   * @returns {Object} Header map; repeated `set-cookie` headers become an array
+   */
+  static fromHeaderList(list = []) {
+    const headers = {};
+
+    for (const { name, value } of list || []) {
+      const key = String(name).toLowerCase();
+      if (key in headers) {
+        headers[key] = key === 'set-cookie' ?
+          [].concat(headers[key], value) :
+          `${headers[key]}, ${value}`;
+      } else {
+        headers[key] = value;
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * Find a header value in a HAR header list
+   *
+   * @param {Array<{name: string, value: string}>} list - Header list
+   * @param {string} name - Lower-cased header name
+   * @returns {string|undefined} First matching value
+   */
+  static findHeader(list, name) {
+    const header = list.find(item => item.name.toLowerCase() === name);
+    return header && header.value;
+  }
+}
+
+export default HarConverter;
@@ -0,0 +1,270 @@
+/**
+ * SnippetGenerator - Ready-to-Run Code for Captured Requests
+ *
+ * Turns a stored request into a snippet that sends the same request again
+ * from a terminal or a script:
+ *
+ * - `curl`    - cURL command line (POSIX shell quoting)
+ * - `fetch`   - JavaScript `fetch()` call
+ * - `node`    - Node.js `http`/`https` module
+ * - `httpie`  - HTTPie command line (POSIX shell quoting)
+ * - `python`  - Python `requests`
+ *
+ * Connection-level headers are left to the client; `Accept-Encoding` is only
+ * kept for cURL, as `--compressed`, so every snippet prints readable output.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import HarConverter from './HarConverter.js';
+
+/**
+ * Supported snippet languages
+ * @type {string[]}
+ */
+export const SNIPPET_LANGUAGES = ['curl', 'fetch', 'node', 'httpie', 'python'];
+
+/**
+ * Headers the generated clients compute themselves
+ * @type {string[]}
+ */
+const SKIPPED_HEADERS = [
+  'host',
+  'connection',
+  'keep-alive',
+  'content-length',
+  'transfer-encoding',
+  'accept-encoding',
+  'upgrade',
+  'expect',
+  'te',
+  'trailer'
+];
+
+/**
+ * Quote a string for a POSIX shell
+ *
+ * @param {string} value - Raw value
+ * @returns {string} Single-quoted value
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Quote a string as a JavaScript or Python string literal
+ * JSON string syntax is valid in both languages.
+ *
+ * @param {string} value - Raw value
+ * @returns {string} Double-quoted literal
+ */
+function literal(value) {
+  return JSON.stringify(String(value))
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * SnippetGenerator Class
+ *
+ * @class SnippetGenerator
+ * @example
+ * const code = SnippetGenerator.generate(storage.getById(id), 'curl');
+ */
+class SnippetGenerator {
+  /**
+   * Generate a snippet that repeats a stored request
+   *
+   * @param {Object} request - Stored request
+   * @param {string} [lang='curl'] - One of `SNIPPET_LANGUAGES`
+   * @param {Object} [options={}] - Generation options
+   * @param {string} [options.baseUrl] - Base URL replacing the captured scheme and host
+   * @returns {string} Source code
+   * @throws {Error} If the language is not supported
+   */
+  static generate(request, lang = 'curl', options = {}) {
+    const language = String(lang).toLowerCase();
+    if (!SNIPPET_LANGUAGES.includes(language)) {
+      throw new Error(`Unsupported snippet language: ${lang}. Use one of: ${SNIPPET_LANGUAGES.join(', ')}`);
+    }
+
+    const parts = {
+      method: String(request.method || 'GET').toUpperCase(),
+      url: options.baseUrl ?
+        new URL(request.url || request.path, options.baseUrl).toString() :
+        new URL(HarConverter.toAbsoluteUrl(request)).toString(),
+      headers: SnippetGenerator.snippetHeaders(request.headers),
+      body: request.body || '',
+      compressed: Boolean(request.headers && request.headers['accept-encoding'])
+    };
+
+    switch (language) {
+      case 'fetch':
+        return SnippetGenerator.toFetch(parts);
+      case 'node':
+        return SnippetGenerator.toNode(parts);
+      case 'httpie':
+        return SnippetGenerator.toHttpie(parts);
+      case 'python':
+        return SnippetGenerator.toPython(parts);
+      default:
+        return SnippetGenerator.toCurl(parts);
+    }
+  }
+
+  /**
+   * Build the header list a snippet should send
+   * Repeated values are joined the way they would be on the wire.
+   *
+   * @param {Object} [headers={}] - Stored request headers
+   * @returns {Array<[string, string]>} Header name/value pairs
+   */
+  static snippetHeaders(headers = {}) {
+    return Object.entries(headers || {})
+      .filter(([name, value]) => value !== undefined && !SKIPPED_HEADERS.includes(name.toLowerCase()))
+      .map(([name, value]) => [name, [].concat(value).join(name.toLowerCase() === 'cookie' ? '; ' : ', ')]);
+  }
+
+  /**
+   * cURL command
+   *
+   * @param {Object} parts - Method, url, headers, body and compression flag
+   * @returns {string} Shell command
+   */
+  static toCurl({ method, url, headers, body, compressed }) {
+    const args = [`curl ${shellQuote(url)}`];
+
+    if (method !== 'GET' || body) {
+      args.push(`-X ${method}`);
+    }
+    headers.forEach(([name, value]) => args.push(`-H ${shellQuote(`${name}: ${value}`)}`));
+    if (body) {
+      args.push(`--data-raw ${shellQuote(body)}`);
+    }
+    if (compressed) {
+      args.push('--compressed');
+    }
+
+    return args.join(' \\\n  ');
+  }
+
+  /**
+   * JavaScript fetch call
+   *
+   * @param {Object} parts - Method, url, headers and body
+   * @returns {string} JavaScript code
+   */
+  static toFetch({ method, url, headers, body }) {
+    const lines = [`const response = await fetch(${literal(url)}, {`, `  method: ${literal(method)},`];
+
+    if (headers.length > 0) {
+      lines.push('  headers: {');
+      lines.push(headers.map(([name, value]) => `    ${literal(name)}: ${literal(value)}`).join(',\n'));
+      lines.push('  },');
+    }
+    if (body) {
+      lines.push(`  body: ${literal(body)},`);
+    }
+
+    // Drop the trailing comma of the last option
+    lines[lines.length - 1] = lines[lines.length - 1].replace(/,$/, '');
+    lines.push('});');
+    lines.push('');
+    lines.push('console.log(response.status);');
+    lines.push('console.log(await response.text());');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Node.js http/https request
+   *
+   * @param {Object} parts - Method, url, headers and body
+   * @returns {string} JavaScript code
+   */
+  static toNode({ method, url, headers, body }) {
+    const module = new URL(url).protocol === 'https:' ? 'https' : 'http';
+    const headerLines = headers.map(([name, value]) => `    ${literal(name)}: ${literal(value)}`);
+    const lines = [
+      `const ${module} = require(${literal(module)});`,
+      '',
+      `const req = ${module}.request(${literal(url)}, {`,
+      `  method: ${literal(method)},`,
+      '  headers: {',
+      headerLines.join(',\n'),
+      '  }',
+      '}, (res) => {',
+      '  console.log(res.statusCode);',
+      '  res.setEncoding(\'utf8\');',
+      '  res.on(\'data\', (chunk) => process.stdout.write(chunk));',
+      '});',
+      '',
+      'req.on(\'error\', console.error);'
+    ];
+
+    if (headerLines.length === 0) {
+      lines.splice(4, 3, '  headers: {}');
+    }
+    if (body) {
+      lines.push(`req.write(${literal(body)});`);
+    }
+    lines.push('req.end();');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * HTTPie command
+   *
+   * @param {Object} parts - Method, url, headers and body
+   * @returns {string} Shell command
+   */
+  static toHttpie({ method, url, headers, body }) {
+    // Options go before the method and URL
+    const args = body ? [`http --raw ${shellQuote(body)} ${method} ${shellQuote(url)}`] : [`http ${method} ${shellQuote(url)}`];
+
+    headers.forEach(([name, value]) => {
+      // HTTPie sends `Name;` for headers with an empty value
+      args.push(shellQuote(value === '' ? `${name};` : `${name}:${value}`));
+    });
+
+    return args.join(' \\\n  ');
+  }
+
+  /**
+   * Python requests call
+   *
+   * @param {Object} parts - Method, url, headers and body
+   * @returns {string} Python code
+   */
+  static toPython({ method, url, headers, body }) {
+    const lines = [
+      'import requests',
+      '',
+      'response = requests.request(',
+      `    ${literal(method)},`,
+      `    ${literal(url)},`
+    ];
+
+    if (headers.length > 0) {
+      lines.push('    headers={');
+      headers.forEach(([name, value]) => lines.push(`        ${literal(name)}: ${literal(value)},`));
+      lines.push('    },');
+    }
+    if (body) {
+      lines.push(`    data=${literal(body)}.encode("utf-8"),`);
+    }
+
+    lines.push(')');
+    lines.push('');
+    lines.push('print(response.status_code)');
+    lines.push('print(response.text)');
+
+    return lines.join('\n');
+  }
+}
+
+export default SnippetGenerator;
@@ -0,0 +1,299 @@
+/**
+ * DatabaseInstrumentation - Query Tracking for Popular SQL Drivers
+ * 
+ * Patches the query methods of `pg`, `mysql2` and `better-sqlite3` so every
+ * statement is timed and reported to a recorder callback. The driver module is
+ * passed in by the application, which keeps these drivers optional and works
+ * with both CommonJS and ES module imports.
+ * 
+ * Patching is idempotent: instrumenting the same driver twice has no effect.
+ * 
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import { AsyncResource } from 'async_hooks';
+
+/**
+ * Marks prototypes that were already patched
+ * @type {symbol}
+ */
+const INSTRUMENTED = Symbol('fluxManagerInstrumented');
+
+/**
+ * DatabaseInstrumentation Class
+ * 
+ * @class DatabaseInstrumentation
+ * @example
+ * const instrumentation = new DatabaseInstrumentation(query => console.log(query));
+ * instrumentation.instrumentPg(pg);
+ */
+class DatabaseInstrumentation {
+  /**
+   * Create a DatabaseInstrumentation instance
+   * 
+   * @param {Function} recordQuery - Called with `{ sql, params, durationMs, db, error, rowCount }`
+   */
+  constructor(recordQuery) {
+    /**
+     * Callback receiving finished queries
+     * @type {Function}
+     * @private
+     */
+    this.recordQuery = recordQuery;
+  }
+
+  /**
+   * Instrument the `pg` (node-postgres) driver
+   * 
+   * Covers `Client#query` with callbacks, promises and submittables such as
+   * cursors. `Pool#query` goes through `Client#query` and is covered as well.
+   * 
+   * @param {Object} pg - The `pg` module
+   * @returns {void}
+   * @throws {Error} If the module does not look like `pg`
+   */
+  instrumentPg(pg) {
+    const Client = pg && (pg.Client || (pg.default && pg.default.Client));
+    if (!Client || !Client.prototype || typeof Client.prototype.query !== 'function') {
+      throw new Error('FluxManager: instrumentPg expects the pg module');
+    }
+
+    this._patch(Client.prototype, 'query', (args) => {
+      const config = args[0];
+      return {
+        sql: typeof config === 'string' ? config : config && config.text,
+        params: Array.isArray(args[1]) ? args[1] : config && config.values,
+        db: 'postgres'
+      };
+    }, (result) => result && result.rowCount);
+  }
+
+  /**
+   * Instrument the `mysql2` driver
+   * 
+   * Covers `Connection#query` and `Connection#execute`, which pools and the
+   * `mysql2/promise` wrappers use internally. Pass the core `mysql2` module.
+   * 
+   * @param {Object} mysql2 - The `mysql2` module
+   * @returns {void}
+   * @throws {Error} If the module does not look like `mysql2`
+   */
+  instrumentMysql2(mysql2) {
+    const Connection = mysql2 && (mysql2.Connection || (mysql2.default && mysql2.default.Connection));
+    if (!Connection || !Connection.prototype || typeof Connection.prototype.query !== 'function') {
+      throw new Error('FluxManager: instrumentMysql2 expects the core mysql2 module');
+    }
+
+    const describe = (args) => {
+      const options = args[0];
+      return {
+        sql: typeof options === 'string' ? options : options && options.sql,
+        params: Array.isArray(args[1]) ? args[1] : options && options.values,
+        db: 'mysql'
+      };
+    };
+    const rowCount = (result) => {
+      if (Array.isArray(result)) {
+        return result.length;
+      }
+      return result && result.affectedRows;
+    };
+
+    this._patch(Connection.prototype, 'query', describe, rowCount);
+    this._patch(Connection.prototype, 'execute', describe, rowCount);
+  }
+
+  /**
+   * Instrument the `better-sqlite3` driver
+   * 
+   * Covers `Database#exec` and the `run`, `get` and `all` methods of prepared
+   * statements. The statement prototype is patched the first time a statement
+   * is prepared, since better-sqlite3 does not export it.
+   * 
+   * @param {Function} Database - The `better-sqlite3` module (the Database class)
+   * @returns {void}
+   * @throws {Error} If the module does not look like `better-sqlite3`
+   */
+  instrumentBetterSqlite3(Database) {
+    const DatabaseClass = Database && Database.prototype && typeof Database.prototype.prepare === 'function' ?
+      Database :
+      Database && Database.default;
+    if (!DatabaseClass || typeof DatabaseClass.prototype.prepare !== 'function') {
+      throw new Error('FluxManager: instrumentBetterSqlite3 expects the better-sqlite3 module');
+    }
+
+    const proto = DatabaseClass.prototype;
+    if (proto[INSTRUMENTED]) {
+      return;
+    }
+    proto[INSTRUMENTED] = true;
+
+    const instrumentation = this;
+
+    this._patchSync(proto, 'exec', (args) => ({ sql: args[0], db: 'sqlite' }));
+
+    const originalPrepare = proto.prepare;
+    proto.prepare = function() {
+      const statement = originalPrepare.apply(this, arguments);
+      const statementProto = Object.getPrototypeOf(statement);
+
+      if (statementProto && !statementProto[INSTRUMENTED]) {
+        statementProto[INSTRUMENTED] = true;
+        ['run', 'get', 'all'].forEach(method => {
+          instrumentation._patchSync(statementProto, method, function(args) {
+            return {
+              sql: this.source,
+              params: args.length === 1 ? args[0] : args,
+              db: 'sqlite'
+            };
+          }, (result) => {
+            if (Array.isArray(result)) {
+              return result.length;
+            }
+            return result && typeof result.changes === 'number' ? result.changes : undefined;
+          });
+        });
+      }
+
+      return statement;
+    };
+  }
+
+  /**
+   * Wrap an asynchronous, callback or promise based query method
+   * 
+   * @private
+   * @param {Object} target - Prototype owning the method
+   * @param {string} method - Method name
+   * @param {Function} describe - Builds `{ sql, params, db }` from the call arguments
+   * @param {Function} [countRows] - Extracts a row count from the driver result
+   */
+  _patch(target, method, describe, countRows = () => undefined) {
+    const original = target[method];
+    if (typeof original !== 'function' || original[INSTRUMENTED]) {
+      return;
+    }
+
+    const instrumentation = this;
+
+    const patched = function() {
+      const args = Array.from(arguments);
+      const query = describe.call(this, args);
+      if (!query.sql) {
+        return original.apply(this, args);
+      }
+
+      const startTime = process.hrtime.bigint();
+      let finished = false;
+      // Drivers call back from their socket's context, so the query is recorded
+      // in the context of its caller to stay linked to the request
+      const finish = AsyncResource.bind((error, result) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        instrumentation._record(query, startTime, error, countRows(result));
+      });
+
+      // Callback style: the callback is the last function argument
+      const callbackIndex = args.length - 1;
+      if (typeof args[callbackIndex] === 'function') {
+        const callback = args[callbackIndex];
+        args[callbackIndex] = function(error, result) {
+          finish(error, result);
+          return callback.apply(this, arguments);
+        };
+        return original.apply(this, args);
+      }
+
+      const returned = original.apply(this, args);
+
+      // Promise style: hand back a chained promise so rejection handling is unchanged
+      if (returned && typeof returned.then === 'function' && typeof returned.on !== 'function') {
+        return returned.then(
+          (result) => {
+            finish(null, result);
+            return result;
+          },
+          (error) => {
+            finish(error);
+            throw error;
+          }
+        );
+      }
+
+      // Event style (submittables, streaming queries): only time the command,
+      // an extra 'error' listener would swallow errors the application expects
+      if (returned && typeof returned.once === 'function') {
+        returned.once('end', (result) => finish(null, result));
+      }
+
+      return returned;
+    };
+
+    patched[INSTRUMENTED] = true;
+    target[method] = patched;
+  }
+
+  /**
+   * Wrap a synchronous query method
+   * 
+   * @private
+   * @param {Object} target - Prototype owning the method
+   * @param {string} method - Method name
+   * @param {Function} describe - Builds `{ sql, params, db }`; called with the receiver as `this`
+   * @param {Function} [countRows] - Extracts a row count from the driver result
+   */
+  _patchSync(target, method, describe, countRows = () => undefined) {
+    const original = target[method];
+    if (typeof original !== 'function' || original[INSTRUMENTED]) {
+      return;
+    }
+
+    const instrumentation = this;
+
+    const patched = function() {
+      const query = describe.call(this, Array.from(arguments));
+      const startTime = process.hrtime.bigint();
+
+      try {
+        const result = original.apply(this, arguments);
+        instrumentation._record(query, startTime, null, countRows(result));
+        return result;
+      } catch (error) {
+        instrumentation._record(query, startTime, error);
+        throw error;
+      }
+    };
+
+    patched[INSTRUMENTED] = true;
+    target[method] = patched;
+  }
+
+  /**
+   * Report a finished query to the recorder
+   * 
+   * @private
+   * @param {Object} query - `{ sql, params, db }` description
+   * @param {bigint} startTime - `process.hrtime.bigint()` at the start of the call
+   * @param {Error|null} error - Driver error, if the query failed
+   * @param {number} [rowCount] - Rows returned or affected
+   */
+  _record(query, startTime, error, rowCount) {
+    try {
+      this.recordQuery({
+        ...query,
+        durationMs: Number(process.hrtime.bigint() - startTime) / 1e6,
+        error: error ? error.message || String(error) : undefined,
+        rowCount
+      });
+    } catch (recordError) {
+      // Monitoring must never break the application's queries
+    }
+  }
+}
+
+export default DatabaseInstrumentation;
@@ -0,0 +1,417 @@
+/**
+ * HttpClientInstrumentation - Outgoing HTTP Call Capture
+ *
+ * Patches `http.request`, `http.get`, `https.request`, `https.get` and the
+ * global `fetch` (Node's built-in undici client) so every call the application
+ * makes to another service is reported to a recorder callback with its method,
+ * URL, headers, bodies, status and timing.
+ *
+ * The calls themselves are left alone: bodies are copied as they flow through
+ * the existing streams, no listeners that change stream or error semantics are
+ * added, and the recorder runs in the async context the call was started in,
+ * so it can link the call to the request being handled.
+ *
+ * Requests whose options carry `UNTRACKED_REQUEST` are not recorded; FluxManager
+ * uses it for its own traffic such as replays and span exports.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import http from 'http';
+import https from 'https';
+import { syncBuiltinESMExports } from 'module';
+import { AsyncResource } from 'async_hooks';
+import BodyCapture, { DEFAULT_MAX_BODY_BYTES } from '../capture/BodyCapture.js';
+
+/**
+ * Option flag that keeps a request out of the outbound capture
+ * @type {symbol}
+ *
+ * @example
+ * http.request(url, { method: 'POST', [UNTRACKED_REQUEST]: true });
+ */
+export const UNTRACKED_REQUEST = Symbol('fluxManagerUntrackedRequest');
+
+/**
+ * Marks functions that were already patched
+ * @type {symbol}
+ */
+const INSTRUMENTED = Symbol('fluxManagerInstrumented');
+
+/**
+ * Node modules and methods that are patched
+ * @type {Array<{module: Object, method: string, client: string}>}
+ */
+const NODE_CLIENT_METHODS = [
+  { module: http, method: 'request', client: 'http' },
+  { module: http, method: 'get', client: 'http' },
+  { module: https, method: 'request', client: 'https' },
+  { module: https, method: 'get', client: 'https' }
+];
+
+/**
+ * Check whether any call argument opts out of capture
+ *
+ * @param {Array} args - Arguments of the client call
+ * @returns {boolean} True if an options object carries `UNTRACKED_REQUEST`
+ */
+function isUntracked(args) {
+  return args.some(arg => arg !== null && typeof arg === 'object' && arg[UNTRACKED_REQUEST]);
+}
+
+/**
+ * HttpClientInstrumentation Class
+ *
+ * @class HttpClientInstrumentation
+ * @example
+ * const instrumentation = new HttpClientInstrumentation(call => console.log(call.method, call.url));
+ * instrumentation.patch();
+ * // ...
+ * instrumentation.restore();
+ */
+class HttpClientInstrumentation {
+  /**
+   * Create an HttpClientInstrumentation instance
+   *
+   * @param {Function} recordCall - Called with `{ client, method, url, headers, body, bodySize,
+   *                                bodyTruncated, response, startTime, ttfb, duration, error }`
+   *                                when a call completes or fails
+   * @param {Object} [options={}] - Capture options
+   * @param {number} [options.maxBodyBytes=102400] - Maximum number of body bytes kept per request and response
+   */
+  constructor(recordCall, options = {}) {
+    /**
+     * Callback receiving finished calls
+     * @type {Function}
+     * @private
+     */
+    this.recordCall = recordCall;
+
+    /**
+     * Maximum number of body bytes kept per request and response
+     * @type {number}
+     * @private
+     */
+    this.maxBodyBytes = options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES;
+
+    /**
+     * Original functions while capture is active, so they can be restored
+     * @type {Array<{target: Object, method: string, original: Function}>|null}
+     * @private
+     */
+    this.originals = null;
+  }
+
+  /**
+   * Start capturing outgoing calls
+   *
+   * Calling this more than once has no effect. Functions already patched by
+   * another FluxManager instance are left to that instance.
+   *
+   * @returns {void}
+   */
+  patch() {
+    if (this.originals) {
+      return;
+    }
+
+    const instrumentation = this;
+    this.originals = [];
+
+    NODE_CLIENT_METHODS.forEach(({ module, method, client }) => {
+      const original = module[method];
+      if (typeof original !== 'function' || original[INSTRUMENTED]) {
+        return;
+      }
+
+      const patched = function() {
+        if (isUntracked(Array.from(arguments))) {
+          return original.apply(this, arguments);
+        }
+
+        const startTime = Date.now();
+        const request = original.apply(this, arguments);
+        instrumentation._trackClientRequest(request, client, startTime);
+        return request;
+      };
+
+      patched[INSTRUMENTED] = true;
+      this.originals.push({ target: module, method, original });
+      module[method] = patched;
+    });
+
+    const originalFetch = globalThis.fetch;
+    if (typeof originalFetch === 'function' && !originalFetch[INSTRUMENTED]) {
+      const patchedFetch = function fetch(input, init) {
+        if (init && init[UNTRACKED_REQUEST]) {
+          return originalFetch.apply(this, arguments);
+        }
+        return instrumentation._trackFetch(originalFetch, this, arguments);
+      };
+
+      patchedFetch[INSTRUMENTED] = true;
+      this.originals.push({ target: globalThis, method: 'fetch', original: originalFetch });
+      globalThis.fetch = patchedFetch;
+    }
+
+    // Named ESM imports (`import { request } from 'http'`) see the patched functions too
+    syncBuiltinESMExports();
+  }
+
+  /**
+   * Stop capturing outgoing calls and restore the original functions
+   *
+   * @returns {void}
+   */
+  restore() {
+    if (!this.originals) {
+      return;
+    }
+
+    this.originals.forEach(({ target, method, original }) => {
+      target[method] = original;
+    });
+    this.originals = null;
+    syncBuiltinESMExports();
+  }
+
+  /**
+   * Whether outgoing calls are being captured
+   * @type {boolean}
+   */
+  get isPatched() {
+    return this.originals !== null;
+  }
+
+  /**
+   * Follow a `http.ClientRequest` until its response has been read or it fails
+   *
+   * `write`, `end` and `emit` are wrapped rather than adding listeners:
+   * a `response` listener would stop Node from discarding unread responses,
+   * and an `error` listener would swallow errors the application expects.
+   *
+   * @private
+   * @param {http.ClientRequest} request - Request returned by the client
+   * @param {string} client - `http` or `https`
+   * @param {number} startTime - Epoch milliseconds when the call started
+   * @returns {void}
+   */
+  _trackClientRequest(request, client, startTime) {
+    const maxBodyBytes = this.maxBodyBytes;
+    const requestBody = new BodyCapture(maxBodyBytes);
+    let response = null;
+    let responseBody = null;
+    let ttfb = null;
+
+    const finish = this._bindFinish((error) => {
+      const headers = request.getHeaders();
+      return {
+        client,
+        method: request.method,
+        url: `${request.protocol || `${client}:`}//${request.getHeader('host') || request.host}${request.path}`,
+        headers,
+        body: requestBody.isEmpty ? '' : requestBody.toText(headers['content-type']),
+        bodySize: requestBody.totalBytes,
+        bodyTruncated: requestBody.truncated,
+        response: response ? this._serializeResponse(response.statusCode, response.statusMessage, response.headers, responseBody) : null,
+        startTime,
+        ttfb,
+        error
+      };
+    });
+
+    const originalWrite = request.write;
+    const originalEnd = request.end;
+    const originalEmit = request.emit;
+
+    request.write = function(chunk, encoding) {
+      if (chunk && typeof chunk !== 'function') {
+        requestBody.append(chunk, encoding);
+      }
+      return originalWrite.apply(this, arguments);
+    };
+
+    request.end = function(chunk, encoding) {
+      if (chunk && typeof chunk !== 'function') {
+        requestBody.append(chunk, encoding);
+      }
+      return originalEnd.apply(this, arguments);
+    };
+
+    request.emit = function(event, value) {
+      if (event === 'response') {
+        response = value;
+        responseBody = new BodyCapture(maxBodyBytes);
+        ttfb = Date.now() - startTime;
+
+        const originalResponseEmit = response.emit;
+        response.emit = function(responseEvent, chunk) {
+          if (responseEvent === 'data') {
+            responseBody.append(chunk, response.readableEncoding);
+          } else if (responseEvent === 'end') {
+            finish();
+          } else if (responseEvent === 'error' || responseEvent === 'aborted') {
+            finish(chunk && chunk.message ? chunk.message : 'Response aborted');
+          } else if (responseEvent === 'close') {
+            // Bodies nobody read end here; anything read is already recorded
+            finish(response.complete ? undefined : 'Response closed before it was complete');
+          }
+          return originalResponseEmit.apply(this, arguments);
+        };
+      } else if (event === 'error') {
+        finish(value && value.message ? value.message : String(value));
+      } else if (event === 'close' && !response) {
+        finish('Request closed before a response was received');
+      }
+      return originalEmit.apply(this, arguments);
+    };
+  }
+
+  /**
+   * Call the original `fetch` and follow the response until its body has been read
+   *
+   * The response is cloned, so the application reads its own copy untouched.
+   *
+   * @private
+   * @param {Function} originalFetch - Unpatched fetch
+   * @param {*} thisArg - Receiver of the call
+   * @param {IArguments} args - Arguments of the call
+   * @returns {Promise<Response>} The response of the original fetch
+   */
+  _trackFetch(originalFetch, thisArg, args) {
+    const input = args[0];
+    const init = args[1] || {};
+    const startTime = Date.now();
+    const inputRequest = typeof Request === 'function' && input instanceof Request ? input : null;
+    const headers = Object.fromEntries(new Headers(init.headers || (inputRequest ? inputRequest.headers : undefined)));
+    const requestBody = new BodyCapture(this.maxBodyBytes);
+    const body = init.body;
+
+    if (typeof body === 'string' || body instanceof URLSearchParams) {
+      requestBody.append(String(body));
+    } else if (body instanceof ArrayBuffer) {
+      requestBody.append(Buffer.from(body));
+    } else if (ArrayBuffer.isView(body)) {
+      requestBody.append(Buffer.from(body.buffer, body.byteOffset, body.byteLength));
+    }
+
+    let response = null;
+    let responseBody = null;
+    let ttfb = null;
+
+    const finish = this._bindFinish((error) => ({
+      client: 'fetch',
+      method: String(init.method || (inputRequest ? inputRequest.method : 'GET')).toUpperCase(),
+      url: inputRequest ? inputRequest.url : String(input instanceof URL ? input.href : input),
+      headers,
+      // Streams, blobs and form data are sent as-is and not captured
+      body: requestBody.isEmpty ? '' : requestBody.toText(headers['content-type']),
+      bodySize: requestBody.totalBytes,
+      bodyTruncated: requestBody.truncated,
+      response: response ?
+        this._serializeResponse(response.status, response.statusText, Object.fromEntries(response.headers), responseBody) :
+        null,
+      startTime,
+      ttfb,
+      error
+    }));
+
+    return originalFetch.apply(thisArg, args).then(
+      (result) => {
+        response = result;
+        responseBody = new BodyCapture(this.maxBodyBytes);
+        ttfb = Date.now() - startTime;
+
+        // Response bodies are opaque and mostly consumed once; read a tee of it
+        this._readFetchBody(result.clone(), responseBody)
+          .then(() => finish(), (error) => finish(error.message));
+
+        return result;
+      },
+      (error) => {
+        // undici reports network failures as "fetch failed" with the reason as the cause
+        const cause = error && error.cause && error.cause.message ? `: ${error.cause.message}` : '';
+        finish(error && error.message ? `${error.message}${cause}` : String(error));
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Read a fetch response body into a capture
+   *
+   * @private
+   * @param {Response} response - Cloned response
+   * @param {BodyCapture} capture - Capture receiving the chunks
+   * @returns {Promise<void>} Resolves when the body is complete
+   */
+  async _readFetchBody(response, capture) {
+    if (!response.body) {
+      return;
+    }
+
+    const reader = response.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        return;
+      }
+      capture.append(value);
+    }
+  }
+
+  /**
+   * Serialize a response for the recorder
+   *
+   * @private
+   * @param {number} statusCode - Status code
+   * @param {string} statusMessage - Reason phrase
+   * @param {Object} headers - Response headers (lower-case names)
+   * @param {BodyCapture} body - Captured body
+   * @returns {Object} Response record in the shape of captured inbound responses
+   */
+  _serializeResponse(statusCode, statusMessage, headers, body) {
+    return {
+      statusCode,
+      statusMessage: statusMessage || '',
+      headers: { ...headers },
+      ...body.serialize({
+        contentType: headers['content-type'],
+        contentEncoding: headers['content-encoding']
+      })
+    };
+  }
+
+  /**
+   * Create a once-only completion callback bound to the current async context
+   *
+   * @private
+   * @param {Function} describe - Builds the call record from an optional error message
+   * @returns {Function} `(error?) => void`
+   */
+  _bindFinish(describe) {
+    let finished = false;
+    const startTime = process.hrtime.bigint();
+
+    return AsyncResource.bind((error) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+
+      try {
+        this.recordCall({
+          ...describe(error),
+          duration: Math.round(Number(process.hrtime.bigint() - startTime) / 1e4) / 100
+        });
+      } catch (recordError) {
+        // Monitoring must never break the application's outgoing calls
+      }
+    });
+  }
+}
+
+export default HttpClientInstrumentation;
@@ -0,0 +1,199 @@
+/**
+ * LogCapture - Console and Logger Integration
+ * 
+ * Collects application log output for the dashboard's "Console Logs" section.
+ * Console methods are patched in place (and can be restored), while pino and
+ * winston loggers are supported through destination/transport adapters that
+ * can be added next to the application's existing outputs.
+ * 
+ * Every captured line is handed to a record callback, which is responsible for
+ * tagging it with the active request and storing it.
+ * 
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import util from 'util';
+import { Writable } from 'stream';
+
+/**
+ * Console methods that are captured when patching is enabled
+ * @type {string[]}
+ */
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug', 'trace'];
+
+/**
+ * pino's numeric levels mapped to their names
+ * @type {Object<number, string>}
+ */
+const PINO_LEVELS = {
+  10: 'trace',
+  20: 'debug',
+  30: 'info',
+  40: 'warn',
+  50: 'error',
+  60: 'fatal'
+};
+
+/**
+ * LogCapture Class
+ * 
+ * @class LogCapture
+ * @example
+ * const capture = new LogCapture(entry => logs.add(entry));
+ * capture.patchConsole();
+ * const logger = pino(capture.pinoDestination());
+ */
+class LogCapture {
+  /**
+   * Create a LogCapture instance
+   * 
+   * @param {Function} record - Called with `{ level, message, source, meta }` for every line
+   */
+  constructor(record) {
+    /**
+     * Callback receiving captured log lines
+     * @type {Function}
+     * @private
+     */
+    this.record = record;
+
+    /**
+     * Original console methods while console capture is active
+     * @type {Object<string, Function>|null}
+     * @private
+     */
+    this.originalConsole = null;
+  }
+
+  /**
+   * Start capturing `console.*` calls
+   * 
+   * Output still reaches the original console methods unchanged.
+   * Calling this more than once has no effect.
+   * 
+   * @returns {void}
+   */
+  patchConsole() {
+    if (this.originalConsole) {
+      return;
+    }
+
+    const capture = this;
+    this.originalConsole = {};
+
+    CONSOLE_METHODS.forEach(method => {
+      const original = console[method];
+      this.originalConsole[method] = original;
+
+      console[method] = function(...args) {
+        capture.record({
+          level: method,
+          message: util.format(...args),
+          source: 'console'
+        });
+        return original.apply(this, args);
+      };
+    });
+  }
+
+  /**
+   * Stop capturing `console.*` calls and restore the original methods
+   * 
+   * @returns {void}
+   */
+  restoreConsole() {
+    if (!this.originalConsole) {
+      return;
+    }
+
+    Object.entries(this.originalConsole).forEach(([method, original]) => {
+      console[method] = original;
+    });
+    this.originalConsole = null;
+  }
+
+  /**
+   * Create a pino destination
+   * 
+   * pino writes one JSON line per log call; the level, `msg` and remaining
+   * fields are split into the captured entry. Combine it with the existing
+   * destination through `pino.multistream` to keep regular output.
+   * 
+   * @returns {{write: Function}} Object usable as a pino destination stream
+   * 
+   * @example
+   * const logger = pino(pino.multistream([
+   *   { stream: process.stdout },
+   *   { stream: capture.pinoDestination() }
+   * ]));
+   */
+  pinoDestination() {
+    return {
+      write: (line) => {
+        let parsed;
+        try {
+          parsed = JSON.parse(line);
+        } catch (error) {
+          this.record({ level: 'info', message: String(line).trim(), source: 'pino' });
+          return;
+        }
+
+        const { level, msg, time, pid, hostname, ...meta } = parsed;
+        this.record({
+          level: typeof level === 'number' ? PINO_LEVELS[level] || String(level) : String(level || 'info'),
+          message: msg === undefined ? '' : String(msg),
+          source: 'pino',
+          meta
+        });
+      }
+    };
+  }
+
+  /**
+   * Create a winston transport
+   * 
+   * Returns an object-mode writable stream exposing the `log(info, callback)`
+   * method winston expects from transports.
+   * 
+   * @returns {Writable} Stream that can be passed to `logger.add()`
+   * 
+   * @example
+   * logger.add(capture.winstonTransport());
+   */
+  winstonTransport() {
+    const log = (info, callback) => {
+      // Object.keys skips winston's internal symbol properties
+      const meta = {};
+      Object.keys(info).forEach(key => {
+        if (key !== 'level' && key !== 'message') {
+          meta[key] = info[key];
+        }
+      });
+
+      this.record({
+        level: String(info[Symbol.for('level')] || info.level || 'info'),
+        message: typeof info.message === 'string' ? info.message : util.format(info.message),
+        source: 'winston',
+        meta
+      });
+      if (callback) {
+        callback();
+      }
+    };
+
+    const transport = new Writable({
+      objectMode: true,
+      write(info, encoding, callback) {
+        log(info, callback);
+      }
+    });
+    transport.log = log;
+
+    return transport;
+  }
+}
+
+export default LogCapture;
@@ -0,0 +1,260 @@
+/**
+ * PrometheusExporter - Request Metrics in Prometheus and OpenMetrics Format
+ *
+ * Counts every response seen by `intercept()` and renders the totals for a
+ * Prometheus scrape:
+ *
+ * - `http_requests_total` - counter labeled by method, route and status
+ * - `http_request_duration_seconds` - histogram with the same labels
+ * - gauges supplied by the caller, such as the capture buffer fill level
+ *
+ * Metrics are cumulative for the life of the process and do not depend on
+ * how many requests the capture buffer keeps. Routes are route templates, and
+ * once `maxRoutes` distinct routes have been seen, new ones are reported as
+ * `other` so a scan of random URLs cannot blow up the series count.
+ *
+ * The classic text format (0.0.4) is served by default; scrapers that accept
+ * `application/openmetrics-text` get OpenMetrics 1.0.0.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ * @see https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+/**
+ * Default histogram buckets in seconds, matching the Prometheus client libraries
+ * @type {number[]}
+ */
+export const DEFAULT_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Content type of the classic Prometheus text format
+ * @type {string}
+ */
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Content type of the OpenMetrics text format
+ * @type {string}
+ */
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+/**
+ * Route label used once the route limit is reached
+ * @type {string}
+ */
+const OTHER_ROUTE = 'other';
+
+/**
+ * Escape a label value
+ *
+ * @param {string} value - Raw label value
+ * @returns {string} Escaped value for use between double quotes
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set
+ *
+ * @param {Object<string, string>} labels - Label names and values
+ * @returns {string} `{name="value",...}`, or an empty string for no labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value
+ *
+ * @param {number} value - Sample value
+ * @returns {string} Value in exposition syntax
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * PrometheusExporter Class
+ *
+ * @class PrometheusExporter
+ * @example
+ * const exporter = new PrometheusExporter({
+ *   gauges: () => [{ name: 'flux_manager_captured_requests', help: 'Stored requests', value: storage.getAll().length }]
+ * });
+ * exporter.observe({ method: 'GET', route: '/users/:id', status: 200, duration: 0.012 });
+ * const { contentType, body } = exporter.render(req.headers.accept);
+ */
+class PrometheusExporter {
+  /**
+   * Create a PrometheusExporter instance
+   *
+   * @param {Object} [options={}] - Exporter options
+   * @param {number[]} [options.buckets] - Histogram buckets in seconds
+   * @param {number} [options.maxRoutes=500] - Distinct routes tracked before new ones become `other`
+   * @param {Function} [options.gauges] - `() => Array<{name, help, value}>`, evaluated on every scrape
+   */
+  constructor(options = {}) {
+    /**
+     * Histogram upper bounds in seconds, ascending
+     * @type {number[]}
+     * @private
+     */
+    this.buckets = [...(options.buckets || DEFAULT_DURATION_BUCKETS)].sort((a, b) => a - b);
+
+    /**
+     * Distinct routes tracked before new ones are reported as `other`
+     * @type {number}
+     * @private
+     */
+    this.maxRoutes = options.maxRoutes || 500;
+
+    /**
+     * Gauge callback
+     * @type {Function}
+     * @private
+     */
+    this.gauges = options.gauges || (() => []);
+
+    /**
+     * Series keyed by their label set
+     * @type {Map<string, Object>}
+     * @private
+     */
+    this.series = new Map();
+
+    /**
+     * Routes seen so far
+     * @type {Set<string>}
+     * @private
+     */
+    this.routes = new Set();
+  }
+
+  /**
+   * Count one response
+   *
+   * @param {Object} sample - Response to count
+   * @param {string} sample.method - HTTP method
+   * @param {string} sample.route - Route template
+   * @param {number} sample.status - Response status code
+   * @param {number} sample.duration - Response time in seconds
+   * @returns {void}
+   */
+  observe({ method, route, status, duration }) {
+    if (!this.routes.has(route) && this.routes.size >= this.maxRoutes) {
+      route = OTHER_ROUTE;
+    } else {
+      this.routes.add(route);
+    }
+
+    const labels = { method: String(method), route: String(route), status: String(status) };
+    const key = formatLabels(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, count: 0, sum: 0, buckets: this.buckets.map(() => 0), created: Date.now() / 1000 };
+      this.series.set(key, series);
+    }
+
+    series.count++;
+    series.sum += duration;
+    this.buckets.forEach((bound, index) => {
+      if (duration <= bound) {
+        series.buckets[index]++;
+      }
+    });
+  }
+
+  /**
+   * Render all metrics in the format the scraper asked for
+   *
+   * @param {string} [accept] - Accept header of the scrape request
+   * @returns {{contentType: string, body: string}} Response content type and body
+   */
+  render(accept) {
+    const openMetrics = PrometheusExporter.acceptsOpenMetrics(accept);
+    return {
+      contentType: openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE,
+      body: this.format({ openMetrics })
+    };
+  }
+
+  /**
+   * Format all metrics
+   *
+   * @param {Object} [options={}] - Format options
+   * @param {boolean} [options.openMetrics=false] - Use OpenMetrics instead of the classic text format
+   * @returns {string} Exposition text
+   */
+  format({ openMetrics = false } = {}) {
+    const series = [...this.series.values()];
+    const lines = [];
+
+    // OpenMetrics names the counter family without its _total suffix
+    lines.push(`# HELP ${openMetrics ? 'http_requests' : 'http_requests_total'} Total number of HTTP requests.`);
+    lines.push(`# TYPE ${openMetrics ? 'http_requests' : 'http_requests_total'} counter`);
+    series.forEach(item => {
+      lines.push(`http_requests_total${formatLabels(item.labels)} ${item.count}`);
+      if (openMetrics) {
+        lines.push(`http_requests_created${formatLabels(item.labels)} ${item.created}`);
+      }
+    });
+
+    lines.push('# HELP http_request_duration_seconds Duration of HTTP requests in seconds.');
+    lines.push('# TYPE http_request_duration_seconds histogram');
+    if (openMetrics) {
+      lines.push('# UNIT http_request_duration_seconds seconds');
+    }
+    series.forEach(item => {
+      this.buckets.forEach((bound, index) => {
+        // OpenMetrics requires canonical floats for bucket bounds, e.g. "1.0"
+        const le = openMetrics && Number.isInteger(bound) ? bound.toFixed(1) : formatValue(bound);
+        const labels = formatLabels({ ...item.labels, le });
+        lines.push(`http_request_duration_seconds_bucket${labels} ${item.buckets[index]}`);
+      });
+      lines.push(`http_request_duration_seconds_bucket${formatLabels({ ...item.labels, le: '+Inf' })} ${item.count}`);
+      lines.push(`http_request_duration_seconds_sum${formatLabels(item.labels)} ${item.sum}`);
+      lines.push(`http_request_duration_seconds_count${formatLabels(item.labels)} ${item.count}`);
+      if (openMetrics) {
+        lines.push(`http_request_duration_seconds_created${formatLabels(item.labels)} ${item.created}`);
+      }
+    });
+
+    this.gauges().forEach(gauge => {
+      lines.push(`# HELP ${gauge.name} ${gauge.help}`);
+      lines.push(`# TYPE ${gauge.name} gauge`);
+      lines.push(`${gauge.name} ${formatValue(gauge.value)}`);
+    });
+
+    if (openMetrics) {
+      lines.push('# EOF');
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Check whether a scraper accepts OpenMetrics
+   *
+   * @param {string} [accept] - Accept header
+   * @returns {boolean} True if `application/openmetrics-text` is acceptable
+   */
+  static acceptsOpenMetrics(accept) {
+    return String(accept || '').split(',').some(type => {
+      const [mediaType, ...params] = type.trim().toLowerCase().split(';').map(part => part.trim());
+      return mediaType === 'application/openmetrics-text' && !params.includes('q=0');
+    });
+  }
+}
+
+export default PrometheusExporter;
@@ -0,0 +1,217 @@
+/**
+ * TimeSeries - Rolling Per-Minute Traffic, Latency and Error Aggregates
+ *
+ * Aggregates every captured request into fixed-size time buckets (one minute
+ * by default) and keeps the most recent ones. Counts, error counts and
+ * min/max/average response times are exact; percentiles come from a bounded
+ * reservoir sample per bucket, so memory stays flat however busy the service is.
+ *
+ * Buckets are independent of request storage, so the history outlives
+ * requests evicted from a full buffer.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import { summarizeDurations, toPercentage } from '../utils/statistics.js';
+
+/**
+ * TimeSeries Class
+ *
+ * @class TimeSeries
+ * @example
+ * const series = new TimeSeries({ interval: 60000, buckets: 60 });
+ * series.record(request);
+ * const lastHour = series.getSeries();
+ */
+class TimeSeries {
+  /**
+   * Create a TimeSeries instance
+   *
+   * @param {Object} [options={}] - Aggregation options
+   * @param {number} [options.interval=60000] - Bucket size in milliseconds
+   * @param {number} [options.buckets=60] - Number of buckets to keep
+   * @param {number} [options.sampleSize=500] - Response times sampled per bucket for percentiles
+   */
+  constructor(options = {}) {
+    /**
+     * Bucket size in milliseconds
+     * @type {number}
+     */
+    this.interval = options.interval || 60 * 1000;
+
+    /**
+     * Number of buckets to keep
+     * @type {number}
+     */
+    this.maxBuckets = options.buckets || 60;
+
+    /**
+     * Response times sampled per bucket
+     * @type {number}
+     * @private
+     */
+    this.sampleSize = options.sampleSize || 500;
+
+    /**
+     * Buckets keyed by start time in milliseconds
+     * @type {Map<number, Object>}
+     * @private
+     */
+    this.buckets = new Map();
+  }
+
+  /**
+   * Add a completed request to its bucket
+   * Requests older than the retained window are ignored.
+   *
+   * @param {Object} request - Stored request with `startTime` and `response`
+   * @returns {void}
+   */
+  record(request) {
+    const time = request.startTime || Date.parse(request.timestamp) || Date.now();
+    const start = this._bucketStart(time);
+    if (start <= this._bucketStart(Date.now()) - this.maxBuckets * this.interval) {
+      return;
+    }
+
+    let bucket = this.buckets.get(start);
+    if (!bucket) {
+      bucket = { start, count: 0, errors4xx: 0, errors5xx: 0, totalTime: 0, min: Infinity, max: 0, seen: 0, samples: [] };
+      this.buckets.set(start, bucket);
+      this._prune();
+    }
+
+    bucket.count++;
+    if (!request.response) {
+      return;
+    }
+
+    const statusCode = request.response.statusCode;
+    if (statusCode >= 500) {
+      bucket.errors5xx++;
+    } else if (statusCode >= 400) {
+      bucket.errors4xx++;
+    }
+
+    const responseTime = request.response.responseTime || 0;
+    bucket.totalTime += responseTime;
+    bucket.min = Math.min(bucket.min, responseTime);
+    bucket.max = Math.max(bucket.max, responseTime);
+    bucket.seen++;
+
+    // Reservoir sampling keeps a uniform sample of every response time in the bucket
+    if (bucket.samples.length < this.sampleSize) {
+      bucket.samples.push(responseTime);
+    } else {
+      const index = Math.floor(Math.random() * bucket.seen);
+      if (index < this.sampleSize) {
+        bucket.samples[index] = responseTime;
+      }
+    }
+  }
+
+  /**
+   * Get the most recent buckets, oldest first
+   * Minutes without traffic are included with zero counts, so the series has
+   * no gaps and ends with the current, still open bucket.
+   *
+   * @param {Object} [options={}] - Series options
+   * @param {number} [options.buckets] - Number of buckets to return (defaults to all retained)
+   * @param {number} [options.now=Date.now()] - End of the series
+   * @returns {Object[]} Buckets with `start` (ISO time), `timestamp`, `count`, `rps`, `errors`,
+   *                     `errorRate` and `responseTime` (`min`, `max`, `avg`, `p50`, `p90`, `p95`, `p99`)
+   */
+  getSeries(options = {}) {
+    const count = Math.min(options.buckets || this.maxBuckets, this.maxBuckets);
+    const last = this._bucketStart(options.now || Date.now());
+    const series = [];
+
+    for (let start = last - (count - 1) * this.interval; start <= last; start += this.interval) {
+      series.push(this.summarizeBucket(start));
+    }
+
+    return series;
+  }
+
+  /**
+   * Summarize one bucket
+   *
+   * @param {number} start - Bucket start time in milliseconds
+   * @returns {Object} Bucket summary, with zero counts if nothing was recorded
+   */
+  summarizeBucket(start) {
+    const bucket = this.buckets.get(start);
+    const responseTime = summarizeDurations(bucket ? bucket.samples : []);
+    delete responseTime.count;
+
+    if (bucket && bucket.seen > 0) {
+      // Exact values replace the sampled ones
+      responseTime.min = bucket.min;
+      responseTime.max = bucket.max;
+      responseTime.avg = Math.round(bucket.totalTime / bucket.seen);
+    }
+
+    const count = bucket ? bucket.count : 0;
+    const errors = { '4xx': bucket ? bucket.errors4xx : 0, '5xx': bucket ? bucket.errors5xx : 0 };
+
+    return {
+      start: new Date(start).toISOString(),
+      timestamp: start,
+      count,
+      rps: Math.round((count / (this.interval / 1000)) * 1000) / 1000,
+      errors,
+      errorRate: toPercentage(errors['4xx'] + errors['5xx'], bucket ? bucket.seen : 0),
+      responseTime
+    };
+  }
+
+  /**
+   * Summary of the bucket a request falls into
+   *
+   * @param {Object} request - Stored request
+   * @returns {Object} Bucket summary
+   */
+  summarizeBucketOf(request) {
+    return this.summarizeBucket(this._bucketStart(request.startTime || Date.parse(request.timestamp) || Date.now()));
+  }
+
+  /**
+   * Remove all buckets
+   *
+   * @returns {void}
+   */
+  clear() {
+    this.buckets.clear();
+  }
+
+  /**
+   * Start of the bucket containing a time
+   *
+   * @private
+   * @param {number} time - Time in milliseconds
+   * @returns {number} Bucket start in milliseconds
+   */
+  _bucketStart(time) {
+    return Math.floor(time / this.interval) * this.interval;
+  }
+
+  /**
+   * Drop buckets that fell out of the retained window
+   *
+   * @private
+   * @returns {void}
+   */
+  _prune() {
+    const oldest = this._bucketStart(Date.now()) - (this.maxBuckets - 1) * this.interval;
+    for (const start of this.buckets.keys()) {
+      if (start < oldest) {
+        this.buckets.delete(start);
+      }
+    }
+  }
+}
+
+export default TimeSeries;
@@ -0,0 +1,442 @@
+/**
+ * MockEngine - Canned Responses, Latency and Faults for Intercepted Requests
+ *
+ * Holds an ordered list of mock rules. `intercept()` asks the engine for the
+ * first enabled rule matching each request; the rule then either answers with
+ * a configured response, delays the request before the application handles
+ * it, or drops the connection to simulate a network failure.
+ *
+ * A rule looks like:
+ *
+ * ```javascript
+ * {
+ *   name: 'Checkout is down',
+ *   match: { method: 'POST', path: '/api/checkout' },   // see utils/requestMatcher.js
+ *   response: { status: 503, headers: { 'retry-after': '30' }, body: { error: 'maintenance' } },
+ *   delay: 2000,          // ms before responding (or before the application runs, without a response)
+ *   fault: 'reset',       // destroy the connection instead of responding
+ *   probability: 0.25,    // apply to a quarter of the matching requests
+ *   enabled: true
+ * }
+ * ```
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import http from 'http';
+import { v4 as uuidv4 } from 'uuid';
+import { compileRequestMatcher } from '../utils/requestMatcher.js';
+import { escapeRegExp } from '../utils/patterns.js';
+import { REDACTED } from '../redaction/Redactor.js';
+
+/**
+ * Longest artificial latency a rule may add, in milliseconds
+ * @type {number}
+ */
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Supported connection faults
+ * @type {string[]}
+ */
+const FAULTS = ['reset'];
+
+/**
+ * Response header that marks mocked responses
+ * @type {string}
+ */
+export const MOCK_HEADER = 'x-flux-manager-mock';
+
+/**
+ * Response headers that describe the original connection or encoding and
+ * must not be replayed from a captured response
+ * @type {Set<string>}
+ */
+const UNREPLAYABLE_HEADERS = new Set([
+  'connection',
+  'content-encoding',
+  'content-length',
+  'date',
+  'keep-alive',
+  'transfer-encoding'
+]);
+
+/**
+ * MockEngine Class
+ *
+ * @class MockEngine
+ * @example
+ * const mocks = new MockEngine([{ match: { path: '/api/flags' }, response: { body: { beta: true } } }]);
+ * const rule = mocks.match({ method: 'GET', path: '/api/flags', headers: {}, query: {} });
+ * if (rule) mocks.apply(rule, res, next);
+ */
+class MockEngine {
+  /**
+   * Create a MockEngine instance
+   *
+   * @param {Object[]} [rules=[]] - Initial rules
+   * @throws {Error} If an initial rule is invalid
+   */
+  constructor(rules = []) {
+    /**
+     * Rules in match order
+     * @type {Object[]}
+     * @private
+     */
+    this.rules = [];
+
+    /**
+     * Compiled predicates keyed by rule id
+     * @type {Map<string, Function>}
+     * @private
+     */
+    this.matchers = new Map();
+
+    rules.forEach(rule => this.create(rule));
+  }
+
+  /**
+   * Get all rules in match order
+   *
+   * @returns {Object[]} Rules
+   */
+  list() {
+    return this.rules.map(rule => ({ ...rule }));
+  }
+
+  /**
+   * Get a rule by id
+   *
+   * @param {string} id - Rule id
+   * @returns {Object|null} Rule, or null if unknown
+   */
+  get(id) {
+    const rule = this.rules.find(item => item.id === id);
+    return rule ? { ...rule } : null;
+  }
+
+  /**
+   * Add a rule after the existing ones
+   *
+   * @param {Object} definition - Rule definition
+   * @returns {Object} Created rule with its id
+   * @throws {Error} If the definition is invalid (statusCode 400)
+   */
+  create(definition) {
+    const { rule, matcher } = MockEngine.normalize(definition);
+    rule.id = uuidv4();
+    rule.hits = 0;
+    rule.createdAt = new Date().toISOString();
+
+    this.rules.push(rule);
+    this.matchers.set(rule.id, matcher);
+    return { ...rule };
+  }
+
+  /**
+   * Replace or patch a rule, keeping its id, position and hit count
+   *
+   * @param {string} id - Rule id
+   * @param {Object} definition - New definition
+   * @param {Object} [options={}] - Update options
+   * @param {boolean} [options.partial=false] - Merge the definition into the rule instead of replacing it
+   * @returns {Object} Updated rule
+   * @throws {Error} If the rule is unknown (statusCode 404) or the result is invalid (statusCode 400)
+   */
+  update(id, definition, { partial = false } = {}) {
+    const index = this.rules.findIndex(item => item.id === id);
+    if (index === -1) {
+      throw MockEngine._error('Mock rule not found', 404);
+    }
+
+    const current = this.rules[index];
+    const { rule, matcher } = MockEngine.normalize(partial ? { ...current, ...definition } : definition);
+    const updated = {
+      ...rule,
+      id,
+      hits: current.hits,
+      lastHitAt: current.lastHitAt,
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.rules[index] = updated;
+    this.matchers.set(id, matcher);
+    return { ...updated };
+  }
+
+  /**
+   * Remove a rule
+   *
+   * @param {string} id - Rule id
+   * @returns {boolean} True if the rule existed
+   */
+  remove(id) {
+    const index = this.rules.findIndex(item => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.rules.splice(index, 1);
+    this.matchers.delete(id);
+    return true;
+  }
+
+  /**
+   * Remove all rules
+   *
+   * @returns {void}
+   */
+  clear() {
+    this.rules = [];
+    this.matchers.clear();
+  }
+
+  /**
+   * Find the rule that applies to a request
+   * A matching rule with a probability below 1 may let the request through.
+   *
+   * @param {Object} request - Request data with `method`, `path`, `headers` and `query`
+   * @returns {Object|null} Applied rule, or null
+   */
+  match(request) {
+    const rule = this.rules.find(item => item.enabled && this.matchers.get(item.id)(request));
+    if (!rule || (rule.probability < 1 && Math.random() >= rule.probability)) {
+      return null;
+    }
+
+    rule.hits++;
+    rule.lastHitAt = new Date().toISOString();
+    return rule;
+  }
+
+  /**
+   * Apply a rule to a request
+   *
+   * @param {Object} rule - Rule returned by `match()`
+   * @param {http.ServerResponse} res - Response of the request
+   * @param {Function} proceed - Hands the request to the application
+   * @returns {boolean} True if the rule answers the request, false if `proceed` will run
+   */
+  apply(rule, res, proceed) {
+    const respond = () => {
+      if (rule.fault === 'reset') {
+        res.destroy();
+        return;
+      }
+      if (!rule.response) {
+        proceed();
+        return;
+      }
+      if (res.writableEnded || res.destroyed) {
+        return;
+      }
+
+      const { status, headers, body, bodyEncoding } = rule.response;
+      Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+      res.setHeader(MOCK_HEADER, rule.id);
+      res.statusCode = status;
+
+      if (body === undefined || body === null) {
+        res.end();
+      } else if (typeof body === 'string') {
+        res.end(Buffer.from(body, bodyEncoding === 'base64' ? 'base64' : 'utf8'));
+      } else {
+        if (!res.hasHeader('content-type')) {
+          res.setHeader('content-type', 'application/json');
+        }
+        res.end(JSON.stringify(body));
+      }
+    };
+
+    // A timer callback that throws would crash the host process, so failures end the response instead
+    const respondSafely = () => {
+      try {
+        respond();
+      } catch (error) {
+        console.warn(`FluxManager: mock rule ${rule.id} could not respond: ${error.message}`);
+        if (res.headersSent) {
+          res.destroy();
+        } else if (!res.writableEnded) {
+          res.statusCode = 500;
+          res.end();
+        }
+      }
+    };
+
+    if (rule.delay > 0) {
+      setTimeout(respondSafely, rule.delay);
+    } else {
+      respondSafely();
+    }
+
+    return Boolean(rule.fault || rule.response);
+  }
+
+  /**
+   * Build a rule definition that answers exactly like a captured request
+   * Headers holding redaction placeholders are left out; a body holding them
+   * is kept and the rule is flagged with `redactedBody`.
+   *
+   * @param {Object} request - Captured request with a response
+   * @param {Object} [options={}] - Conversion options
+   * @param {string} [options.redactedValue='[REDACTED]'] - Placeholder the redactor stored in place of values
+   * @returns {Object} Rule definition matching the request's method and exact path
+   * @throws {Error} If the request has no complete response (statusCode 400)
+   */
+  static fromCapturedRequest(request, { redactedValue = REDACTED } = {}) {
+    const response = request.response;
+    if (!response) {
+      throw MockEngine._error('The request has no captured response', 400);
+    }
+    if (response.truncated) {
+      throw MockEngine._error('The captured response body was truncated, so a mock would be incomplete', 400);
+    }
+
+    const headers = {};
+    Object.entries(response.headers || {}).forEach(([name, value]) => {
+      const redacted = [].concat(value).some(item => String(item).includes(redactedValue));
+      if (!UNREPLAYABLE_HEADERS.has(name.toLowerCase()) && name.toLowerCase() !== MOCK_HEADER && !redacted) {
+        headers[name] = value;
+      }
+    });
+
+    const definition = {
+      name: `${request.method} ${request.path}`,
+      source: request.id,
+      match: {
+        method: request.method,
+        path: `/^${escapeRegExp(request.path)}$/`
+      },
+      response: {
+        status: response.statusCode,
+        headers,
+        body: response.body,
+        bodyEncoding: response.bodyEncoding === 'base64' ? 'base64' : 'utf8'
+      }
+    };
+    if (response.bodyEncoding !== 'base64' && typeof response.body === 'string' && response.body.includes(redactedValue)) {
+      definition.redactedBody = true;
+    }
+    return definition;
+  }
+
+  /**
+   * Validate a rule definition and fill in defaults
+   *
+   * @param {Object} definition - Rule definition
+   * @returns {{rule: Object, matcher: Function}} Normalized rule (without id) and its predicate
+   * @throws {Error} If the definition is invalid (statusCode 400)
+   */
+  static normalize(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw MockEngine._error('A mock rule must be a JSON object', 400);
+    }
+
+    const match = definition.match || {};
+    let matcher;
+    try {
+      matcher = compileRequestMatcher(match);
+    } catch (error) {
+      throw MockEngine._error(error.message, 400);
+    }
+
+    const delay = definition.delay === undefined ? 0 : Number(definition.delay);
+    if (!Number.isFinite(delay) || delay < 0 || delay > MAX_DELAY_MS) {
+      throw MockEngine._error(`Invalid delay: expected 0 to ${MAX_DELAY_MS} milliseconds`, 400);
+    }
+
+    const fault = definition.fault || null;
+    if (fault && !FAULTS.includes(fault)) {
+      throw MockEngine._error(`Invalid fault: expected one of ${FAULTS.join(', ')}`, 400);
+    }
+
+    const probability = definition.probability === undefined ? 1 : Number(definition.probability);
+    if (!(probability > 0 && probability <= 1)) {
+      throw MockEngine._error('Invalid probability: expected a number above 0 and at most 1', 400);
+    }
+
+    const response = definition.response ? MockEngine._normalizeResponse(definition.response) : null;
+    if (!response && !fault && delay === 0) {
+      throw MockEngine._error('A mock rule needs a response, a delay or a fault', 400);
+    }
+
+    const rule = {
+      name: definition.name ? String(definition.name) : '',
+      enabled: definition.enabled !== false,
+      match,
+      response,
+      delay,
+      fault,
+      probability
+    };
+    if (definition.source) {
+      rule.source = String(definition.source);
+    }
+    if (definition.redactedBody) {
+      rule.redactedBody = true;
+    }
+
+    return { rule, matcher };
+  }
+
+  /**
+   * Validate the response of a rule
+   *
+   * @private
+   * @param {Object} response - `{ status, headers, body, bodyEncoding }`
+   * @returns {Object} Response with defaults
+   * @throws {Error} If the response is invalid (statusCode 400)
+   */
+  static _normalizeResponse(response) {
+    if (typeof response !== 'object' || Array.isArray(response)) {
+      throw MockEngine._error('Invalid response: expected an object', 400);
+    }
+
+    const status = response.status === undefined ? 200 : Number(response.status);
+    if (!Number.isInteger(status) || status < 100 || status > 599) {
+      throw MockEngine._error(`Invalid response status: ${response.status}`, 400);
+    }
+
+    const headers = response.headers || {};
+    if (typeof headers !== 'object' || Array.isArray(headers) ||
+        !Object.values(headers).every(value => ['string', 'number'].includes(typeof value) || Array.isArray(value))) {
+      throw MockEngine._error('Invalid response headers: expected names mapped to strings', 400);
+    }
+    // Checked here so that a bad header is refused when the rule is saved, not when it responds
+    Object.entries(headers).forEach(([name, value]) => {
+      try {
+        http.validateHeaderName(name);
+        [].concat(value).forEach(item => http.validateHeaderValue(name, String(item)));
+      } catch (error) {
+        throw MockEngine._error(`Invalid response header "${name}": ${error.message}`, 400);
+      }
+    });
+
+    const bodyEncoding = response.bodyEncoding || 'utf8';
+    if (!['utf8', 'base64'].includes(bodyEncoding)) {
+      throw MockEngine._error('Invalid bodyEncoding: expected utf8 or base64', 400);
+    }
+
+    return { status, headers, body: response.body, bodyEncoding };
+  }
+
+  /**
+   * Create an error carrying an HTTP status code for the API
+   *
+   * @private
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} Error with `statusCode`
+   */
+  static _error(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+export default MockEngine;
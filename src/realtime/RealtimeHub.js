@@ -0,0 +1,437 @@
+/**
+ * RealtimeHub - Versioned WebSocket Protocol for Dashboard Clients
+ *
+ * Every message the server sends is an envelope `{ v, type, data }`, where
+ * `v` is the protocol version. Right after connecting a client receives
+ * `hello` with the version, the topics it can subscribe to and the heartbeat
+ * interval. Clients send JSON messages of their own:
+ *
+ * ```javascript
+ * // Choose topics, filter new requests with the search language, and get summaries only
+ * { type: 'subscribe', protocol: 1, topics: ['requests', 'stats'], filter: 'status:>=500', summary: true }
+ * { type: 'unsubscribe', topics: ['stats'] }
+ * // Fetch a full request, e.g. when a summary is clicked; answered with `request` and the same `ref`
+ * { type: 'get_request', id: '…', ref: 7 }
+ * // Application-level heartbeat for clients that cannot see ping frames, answered with `pong`
+ * { type: 'ping' }
+ * ```
+ *
+ * Until a client subscribes it receives every topic with full requests, which
+ * is what clients written before the protocol expect.
+ *
+ * Slow clients are not allowed to build up memory: while more than
+ * `maxBufferedBytes` are waiting to be written to a client, its messages are
+ * dropped, and once it catches up it gets a `resync` message with the number
+ * of dropped messages so it can reload over the REST API. Connections that do
+ * not answer a ping within `heartbeatInterval` are terminated.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import { WebSocket } from 'ws';
+import RequestQuery from '../storage/RequestQuery.js';
+
+/**
+ * Version of the message protocol, sent as `v` in every message
+ * @type {number}
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Default milliseconds between heartbeat pings
+ * @type {number}
+ */
+export const DEFAULT_HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Default bytes that may wait in a client's send buffer before messages are dropped
+ * @type {number}
+ */
+export const DEFAULT_MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * Topic of each message type; types without a topic reach every client
+ * @type {Object<string, string>}
+ */
+const TOPIC_OF_TYPE = {
+  new_request: 'requests',
+  evicted: 'requests',
+  cleared: 'requests',
+  new_exception: 'exceptions',
+  new_log: 'logs',
+  new_query: 'queries',
+  new_outbound: 'outbound',
+  breakpoint_paused: 'breakpoints',
+  breakpoint_resolved: 'breakpoints',
+  timeseries_update: 'timeseries',
+  stats: 'stats'
+};
+
+/**
+ * Topics a client can subscribe to
+ * @type {string[]}
+ */
+export const TOPICS = [...new Set(Object.values(TOPIC_OF_TYPE))];
+
+/**
+ * RealtimeHub Class
+ *
+ * @class RealtimeHub
+ * @example
+ * const hub = new RealtimeHub({ getRequest: id => storage.getById(id) });
+ * hub.attach(new WebSocketServer({ server, path: '/flux-manager/ws' }));
+ * hub.publish('new_request', request);
+ */
+class RealtimeHub {
+  /**
+   * Create a RealtimeHub instance
+   *
+   * @param {Object} [options={}] - Hub options
+   * @param {Function} [options.getRequest] - `(id) => request|undefined`, answers `get_request`
+   * @param {number} [options.heartbeatInterval=30000] - Milliseconds between heartbeat pings
+   * @param {number} [options.maxBufferedBytes=1048576] - Send buffer size from which a client's messages are dropped
+   */
+  constructor(options = {}) {
+    /**
+     * Looks up a stored request by id
+     * @type {Function}
+     * @private
+     */
+    this.getRequest = options.getRequest || (() => undefined);
+
+    /**
+     * Milliseconds between heartbeat pings
+     * @type {number}
+     */
+    this.heartbeatInterval = options.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL_MS;
+
+    /**
+     * Send buffer size from which a client's messages are dropped
+     * @type {number}
+     * @private
+     */
+    this.maxBufferedBytes = options.maxBufferedBytes || DEFAULT_MAX_BUFFERED_BYTES;
+
+    /**
+     * State of each connected client
+     * @type {Map<WebSocket, Object>}
+     * @private
+     */
+    this.clients = new Map();
+
+    /**
+     * Heartbeat timer, while a server is attached
+     * @type {NodeJS.Timeout|null}
+     * @private
+     */
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Serve the protocol to the clients of a WebSocket server
+   *
+   * @param {WebSocketServer} wss - Server whose connections are handled
+   * @returns {void}
+   */
+  attach(wss) {
+    wss.on('connection', ws => this._connect(ws));
+
+    if (!this.heartbeatTimer) {
+      this.heartbeatTimer = setInterval(() => this._heartbeat(), this.heartbeatInterval);
+      this.heartbeatTimer.unref();
+    }
+  }
+
+  /**
+   * Stop the heartbeat and forget every client
+   *
+   * @returns {void}
+   */
+  close() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.clients.clear();
+  }
+
+  /**
+   * Number of connected clients
+   * @type {number}
+   */
+  get size() {
+    return this.clients.size;
+  }
+
+  /**
+   * Whether any client receives a topic
+   *
+   * @param {string} topic - Topic name
+   * @returns {boolean} True if at least one client is subscribed
+   */
+  hasSubscribers(topic) {
+    for (const client of this.clients.values()) {
+      if (client.topics.has(topic)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Send a message to every client subscribed to its topic
+   * New requests also go through each client's filter, and are sent as
+   * summaries to clients that asked for them.
+   *
+   * @param {string} type - Message type
+   * @param {*} data - Message payload
+   * @returns {void}
+   */
+  publish(type, data) {
+    const topic = TOPIC_OF_TYPE[type];
+    const encoded = {};
+    const encode = (variant) => {
+      if (!encoded[variant]) {
+        encoded[variant] = RealtimeHub.encode(type, variant === 'summary' ? RealtimeHub.summarize(data) : data);
+      }
+      return encoded[variant];
+    };
+
+    this.clients.forEach((client, ws) => {
+      if (topic && !client.topics.has(topic)) {
+        return;
+      }
+      if (type === 'new_request' && client.filter && !RequestQuery.matches(data, client.filter)) {
+        return;
+      }
+      this._send(ws, client, encode(type === 'new_request' && client.summary ? 'summary' : 'full'));
+    });
+  }
+
+  /**
+   * Serialize a message envelope
+   *
+   * @param {string} type - Message type
+   * @param {*} data - Message payload
+   * @param {Object} [extra] - More envelope fields, such as `ref`
+   * @returns {string} JSON message
+   */
+  static encode(type, data, extra) {
+    return JSON.stringify({ v: PROTOCOL_VERSION, type, ...extra, data });
+  }
+
+  /**
+   * Fields of a request shown in the request list, without headers and bodies
+   *
+   * @param {Object} request - Stored request
+   * @returns {Object} Request summary
+   */
+  static summarize(request) {
+    const summary = {
+      id: request.id,
+      method: request.method,
+      path: request.path,
+      url: request.url,
+      route: request.route,
+      timestamp: request.timestamp,
+      startTime: request.startTime,
+      replayOf: request.replayOf,
+      mock: request.mock,
+      breakpoints: request.breakpoints,
+      sampling: request.sampling,
+      summary: true
+    };
+
+    if (request.response) {
+      summary.response = {
+        statusCode: request.response.statusCode,
+        responseTime: request.response.responseTime,
+        originalSize: request.response.originalSize
+      };
+    }
+    return summary;
+  }
+
+  /**
+   * Register a new connection and greet it
+   *
+   * @private
+   * @param {WebSocket} ws - Client connection
+   * @returns {void}
+   */
+  _connect(ws) {
+    const client = { topics: new Set(TOPICS), filter: null, summary: false, alive: true, dropped: 0 };
+    this.clients.set(ws, client);
+
+    ws.on('pong', () => {
+      client.alive = true;
+    });
+    ws.on('message', (message) => {
+      client.alive = true;
+      this._receive(ws, client, message);
+    });
+    ws.on('close', () => this.clients.delete(ws));
+
+    this._send(ws, client, RealtimeHub.encode('hello', {
+      protocol: PROTOCOL_VERSION,
+      topics: TOPICS,
+      heartbeatInterval: this.heartbeatInterval
+    }));
+  }
+
+  /**
+   * Handle a message from a client
+   *
+   * @private
+   * @param {WebSocket} ws - Client connection
+   * @param {Object} client - Client state
+   * @param {Buffer|string} raw - Message as received
+   * @returns {void}
+   */
+  _receive(ws, client, raw) {
+    const reply = (type, data, extra) => this._send(ws, client, RealtimeHub.encode(type, data, extra));
+
+    let message;
+    try {
+      message = JSON.parse(String(raw));
+    } catch (error) {
+      return reply('error', { message: 'Messages must be JSON' });
+    }
+    if (!message || typeof message !== 'object') {
+      return reply('error', { message: 'Messages must be JSON objects' });
+    }
+
+    const ref = message.ref !== undefined ? { ref: message.ref } : undefined;
+    try {
+      switch (message.type) {
+        case 'subscribe':
+          this._subscribe(client, message);
+          return reply('subscribed', {
+            topics: [...client.topics],
+            filter: message.filter || null,
+            summary: client.summary
+          }, ref);
+        case 'unsubscribe':
+          RealtimeHub._topicList(message.topics).forEach(topic => client.topics.delete(topic));
+          return reply('subscribed', { topics: [...client.topics], summary: client.summary }, ref);
+        case 'get_request':
+          return reply('request', this.getRequest(String(message.id)) || null, ref);
+        case 'ping':
+          return reply('pong', { time: Date.now() }, ref);
+        default:
+          return reply('error', { message: `Unknown message type "${message.type}"` }, ref);
+      }
+    } catch (error) {
+      return reply('error', { message: error.message }, ref);
+    }
+  }
+
+  /**
+   * Apply a `subscribe` message
+   * Validates everything before changing the subscription.
+   *
+   * @private
+   * @param {Object} client - Client state
+   * @param {Object} message - Subscribe message
+   * @returns {void}
+   * @throws {Error} If the protocol, topics or filter are invalid
+   */
+  _subscribe(client, message) {
+    if (message.protocol !== undefined && message.protocol !== PROTOCOL_VERSION) {
+      throw new Error(`Unsupported protocol version ${message.protocol}; this server speaks ${PROTOCOL_VERSION}`);
+    }
+
+    const topics = message.topics === undefined ? TOPICS : RealtimeHub._topicList(message.topics);
+    let filter = null;
+    if (message.filter) {
+      // A string is a query; an object takes the criteria of `/api/requests`
+      filter = RequestQuery.fromCriteria(typeof message.filter === 'string' ? { q: message.filter } : message.filter);
+    }
+
+    client.topics = new Set(topics);
+    client.filter = filter && filter.length > 0 ? filter : null;
+    client.summary = message.summary === true;
+  }
+
+  /**
+   * Validate a list of topics
+   *
+   * @private
+   * @param {*} topics - Topics from a client message
+   * @returns {string[]} Topics
+   * @throws {Error} If the list is not an array of known topics
+   */
+  static _topicList(topics) {
+    if (!Array.isArray(topics)) {
+      throw new Error('topics must be an array');
+    }
+    const unknown = topics.filter(topic => !TOPICS.includes(topic));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown topic "${unknown[0]}"; topics are ${TOPICS.join(', ')}`);
+    }
+    return topics;
+  }
+
+  /**
+   * Send a message unless the client is too far behind
+   *
+   * @private
+   * @param {WebSocket} ws - Client connection
+   * @param {Object} client - Client state
+   * @param {string} message - JSON message
+   * @returns {void}
+   */
+  _send(ws, client, message) {
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    if (ws.bufferedAmount > this.maxBufferedBytes) {
+      client.dropped++;
+      return;
+    }
+
+    this._flushDropped(ws, client);
+    ws.send(message);
+  }
+
+  /**
+   * Tell a client that caught up how many messages it missed
+   *
+   * @private
+   * @param {WebSocket} ws - Client connection
+   * @param {Object} client - Client state
+   * @returns {void}
+   */
+  _flushDropped(ws, client) {
+    if (client.dropped > 0 && ws.bufferedAmount <= this.maxBufferedBytes) {
+      ws.send(RealtimeHub.encode('resync', { dropped: client.dropped }));
+      client.dropped = 0;
+    }
+  }
+
+  /**
+   * Ping every client, terminate the ones that did not answer the previous ping,
+   * and send `resync` to clients that caught up while nothing was published
+   *
+   * @private
+   * @returns {void}
+   */
+  _heartbeat() {
+    this.clients.forEach((client, ws) => {
+      if (!client.alive) {
+        this.clients.delete(ws);
+        ws.terminate();
+        return;
+      }
+
+      client.alive = false;
+      if (ws.readyState === WebSocket.OPEN) {
+        this._flushDropped(ws, client);
+        ws.ping();
+      }
+    });
+  }
+}
+
+export default RealtimeHub;
@@ -0,0 +1,556 @@
+/**
+ * Redactor - Sensitive Data Scrubbing for Captured Requests
+ *
+ * Captured requests are stored and pushed to every dashboard client, so
+ * credentials and personal data are removed before either happens. Rules are
+ * applied once per request, to a copy of the captured data:
+ *
+ * - Header names (`authorization`, `cookie`, ...), request and response
+ * - Query string keys, in both `query` and `url`
+ * - JSON path patterns for request and response bodies (`**.password`)
+ * - Regex scrubbers for values anywhere (card numbers, bearer tokens, JWTs)
+ *
+ * Safe defaults are enabled out of the box; user rules are added on top.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+/**
+ * Default replacement for redacted values
+ * @type {string}
+ */
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Headers that carry credentials or session state
+ * @type {string[]}
+ */
+const DEFAULT_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'x-auth-token',
+  'x-access-token',
+  'x-csrf-token',
+  'x-xsrf-token'
+];
+
+/**
+ * Query string keys that commonly carry secrets
+ * @type {string[]}
+ */
+const DEFAULT_QUERY_KEYS = [
+  'token',
+  'access_token',
+  'refresh_token',
+  'id_token',
+  'api_key',
+  'apikey',
+  'password',
+  'secret',
+  'client_secret',
+  'signature'
+];
+
+/**
+ * Body fields that commonly carry secrets or card data, at any depth
+ * @type {string[]}
+ */
+const DEFAULT_BODY_PATHS = [
+  'password',
+  'passwd',
+  'currentPassword',
+  'newPassword',
+  'secret',
+  'token',
+  'accessToken',
+  'access_token',
+  'refreshToken',
+  'refresh_token',
+  'apiKey',
+  'api_key',
+  'clientSecret',
+  'client_secret',
+  'cardNumber',
+  'card_number',
+  'cvv',
+  'cvc',
+  'ssn'
+].map(field => `**.${field}`);
+
+/**
+ * Luhn checksum, used to tell card numbers from other long digit runs
+ *
+ * @param {string} text - Digits, optionally separated by spaces or dashes
+ * @returns {boolean} True if the digits pass the checksum
+ */
+function passesLuhn(text) {
+  const digits = text.replace(/\D/g, '');
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Redactor Class
+ *
+ * @class Redactor
+ * @example
+ * const redactor = new Redactor({
+ *   headers: ['x-session'],
+ *   bodyPaths: ['user.dateOfBirth', 'items.*.iban'],
+ *   patterns: [/\b\d{3}-\d{2}-\d{4}\b/g]
+ * });
+ * const safe = redactor.redactRequest(captured);
+ */
+class Redactor {
+  /**
+   * Create a Redactor instance
+   *
+   * @param {Object|boolean} [options={}] - Redaction rules, or `false` to store data verbatim
+   * @param {string[]} [options.headers] - Header names to redact (case-insensitive)
+   * @param {string[]} [options.queryKeys] - Query string keys to redact (case-insensitive)
+   * @param {string[]} [options.bodyPaths] - JSON path patterns to redact in bodies: dot-separated keys,
+   *                                         `*` for any one key or array index, `**` for any depth
+   * @param {Array<RegExp|Object>} [options.patterns] - Regex scrubbers applied to every value, either a
+   *                                                    RegExp or `{ pattern, replacement }`
+   * @param {string} [options.replacement='[REDACTED]'] - Text that replaces redacted values
+   * @param {boolean} [options.defaults=true] - Include the built-in rules
+   */
+  constructor(options = {}) {
+    const config = options && typeof options === 'object' ? options : {};
+    const useDefaults = options !== false && config.defaults !== false;
+
+    /**
+     * Whether any redaction happens at all
+     * @type {boolean}
+     */
+    this.enabled = options !== false;
+
+    /**
+     * Text that replaces redacted values
+     * @type {string}
+     */
+    this.replacement = config.replacement !== undefined ? String(config.replacement) : REDACTED;
+
+    /**
+     * Lower-cased header names to redact
+     * @type {Set<string>}
+     * @private
+     */
+    this.headers = new Set(
+      [...(useDefaults ? DEFAULT_HEADERS : []), ...(config.headers || [])].map(name => name.toLowerCase())
+    );
+
+    /**
+     * Lower-cased query string keys to redact
+     * @type {Set<string>}
+     * @private
+     */
+    this.queryKeys = new Set(
+      [...(useDefaults ? DEFAULT_QUERY_KEYS : []), ...(config.queryKeys || [])].map(key => key.toLowerCase())
+    );
+
+    /**
+     * Body path patterns, split into lower-cased segments
+     * @type {string[][]}
+     * @private
+     */
+    this.bodyPaths = [...(useDefaults ? DEFAULT_BODY_PATHS : []), ...(config.bodyPaths || [])]
+      .map(pattern => Redactor.parsePath(pattern));
+
+    /**
+     * Regex scrubbers as `{ pattern, replacement }` with global regular expressions
+     * @type {Object[]}
+     * @private
+     */
+    this.patterns = [
+      ...(useDefaults ? this._defaultPatterns() : []),
+      ...(config.patterns || []).map(rule => this._normalizePattern(rule))
+    ];
+  }
+
+  /**
+   * Redact a captured request/response pair
+   *
+   * @param {Object} entry - Captured request as built by `FluxManager.intercept()`
+   * @returns {Object} Redacted copy of the entry
+   */
+  redactRequest(entry) {
+    if (!this.enabled) {
+      return entry;
+    }
+
+    const headers = entry.headers || {};
+    const redacted = {
+      ...entry,
+      url: this.redactUrl(entry.url),
+      headers: this.redactHeaders(headers),
+      query: this.redactQuery(entry.query),
+      body: this.redactBody(entry.body, headers['content-type'])
+    };
+
+    if (entry.userAgent) {
+      redacted.userAgent = this.scrub(entry.userAgent);
+    }
+
+    if (entry.response) {
+      const responseHeaders = entry.response.headers || {};
+      redacted.response = {
+        ...entry.response,
+        headers: this.redactHeaders(responseHeaders),
+        body: entry.response.bodyEncoding === 'base64' ?
+          entry.response.body :
+          this.redactBody(entry.response.body, responseHeaders['content-type'])
+      };
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Redact header values by name and scrub the remaining ones
+   *
+   * @param {Object} headers - Header map
+   * @returns {Object} Redacted copy of the headers
+   */
+  redactHeaders(headers) {
+    const redacted = {};
+
+    for (const [name, value] of Object.entries(headers || {})) {
+      if (this.headers.has(name.toLowerCase())) {
+        redacted[name] = Array.isArray(value) ? value.map(() => this.replacement) : this.replacement;
+      } else if (Array.isArray(value)) {
+        redacted[name] = value.map(item => this.scrub(item));
+      } else {
+        redacted[name] = typeof value === 'string' ? this.scrub(value) : value;
+      }
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Redact query string keys in a parsed query object
+   *
+   * @param {Object} query - Parsed query parameters
+   * @returns {Object} Redacted copy of the query
+   */
+  redactQuery(query) {
+    const redacted = {};
+
+    for (const [key, value] of Object.entries(query || {})) {
+      if (this.queryKeys.has(key.toLowerCase())) {
+        redacted[key] = this.replacement;
+      } else {
+        redacted[key] = typeof value === 'string' ? this.scrub(value) : value;
+      }
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Redact query string keys in a request URL and scrub the result
+   *
+   * @param {string} rawUrl - Request URL (path and query string)
+   * @returns {string} Redacted URL
+   */
+  redactUrl(rawUrl) {
+    if (typeof rawUrl !== 'string') {
+      return rawUrl;
+    }
+
+    const queryIndex = rawUrl.indexOf('?');
+    if (queryIndex === -1) {
+      return this.scrub(rawUrl);
+    }
+
+    const query = this._redactUrlEncoded(rawUrl.slice(queryIndex + 1), key => this.queryKeys.has(key.toLowerCase()));
+    return this.scrub(`${rawUrl.slice(0, queryIndex)}?${query}`);
+  }
+
+  /**
+   * Redact a request or response body
+   *
+   * JSON bodies are redacted by path, including JSON held in string values
+   * (such as an echoed request body). A JSON body is only re-serialized when
+   * something in it was redacted; otherwise the original text is kept, with its
+   * formatting and any integers beyond what JavaScript numbers represent.
+   * Bodies that are cut off by the size limit cannot be parsed, so fields named
+   * by literal path endings are redacted textually instead. Form bodies are
+   * redacted by field name.
+   *
+   * @param {string} body - Body text
+   * @param {string} [contentType] - Content-Type header value
+   * @returns {string} Redacted body text
+   */
+  redactBody(body, contentType) {
+    if (typeof body !== 'string' || body === '') {
+      return body;
+    }
+
+    const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+    const trimmed = body.trimStart();
+
+    if (mimeType === 'application/x-www-form-urlencoded') {
+      return this.scrub(this._redactUrlEncoded(body, key => this._matchesBodyPath([key])));
+    }
+
+    if (mimeType.includes('json') || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      let parsed;
+      try {
+        parsed = JSON.parse(body);
+      } catch (error) {
+        return this.scrub(this._redactJsonText(body));
+      }
+      const redacted = this._redactJson(parsed, []);
+      return redacted === parsed ? body : JSON.stringify(redacted);
+    }
+
+    return this.scrub(body);
+  }
+
+  /**
+   * Apply the regex scrubbers to a string
+   *
+   * @param {string} text - Text to scrub
+   * @returns {string} Scrubbed text
+   */
+  scrub(text) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+
+    return this.patterns.reduce(
+      (result, { pattern, replacement }) => result.replace(pattern, replacement),
+      text
+    );
+  }
+
+  /**
+   * Split a path pattern into lower-cased segments
+   * Bracket indexes are accepted as segments: `items[0].id`, `items[*].id`.
+   *
+   * @param {string} pattern - Path pattern
+   * @returns {string[]} Path segments
+   */
+  static parsePath(pattern) {
+    return String(pattern)
+      .replace(/\[(\*|\d+)\]/g, '.$1')
+      .split('.')
+      .filter(Boolean)
+      .map(segment => segment.toLowerCase());
+  }
+
+  /**
+   * Built-in scrubbers for card numbers, bearer tokens and JWTs
+   *
+   * @private
+   * @returns {Object[]} Scrubber rules
+   */
+  _defaultPatterns() {
+    return [
+      {
+        pattern: /\b[2-6](?:[ -]?\d){12,18}\b/g,
+        replacement: match => (passesLuhn(match) ? this.replacement : match)
+      },
+      {
+        pattern: /\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/gi,
+        replacement: `$1 ${this.replacement}`
+      },
+      {
+        pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+        replacement: this.replacement
+      }
+    ];
+  }
+
+  /**
+   * Normalize a user scrubber into `{ pattern, replacement }` with a global regex
+   *
+   * @private
+   * @param {RegExp|Object} rule - RegExp or `{ pattern, replacement }`
+   * @returns {Object} Scrubber rule
+   * @throws {TypeError} If the rule has no regular expression
+   */
+  _normalizePattern(rule) {
+    const pattern = rule instanceof RegExp ? rule : rule && rule.pattern;
+    if (!(pattern instanceof RegExp)) {
+      throw new TypeError('Redaction patterns must be regular expressions or { pattern, replacement } objects');
+    }
+
+    return {
+      pattern: pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`),
+      replacement: rule.replacement !== undefined ? rule.replacement : this.replacement
+    };
+  }
+
+  /**
+   * Check a body key path against the configured path patterns
+   *
+   * @private
+   * @param {Array<string|number>} keyPath - Keys from the body root to a value
+   * @returns {boolean} True if the value must be redacted
+   */
+  _matchesBodyPath(keyPath) {
+    const segments = keyPath.map(key => String(key).toLowerCase());
+    return this.bodyPaths.some(pattern => Redactor._matchSegments(pattern, 0, segments, 0));
+  }
+
+  /**
+   * Match path segments against pattern segments, with `*` and `**` wildcards
+   *
+   * @private
+   * @param {string[]} pattern - Pattern segments
+   * @param {number} p - Current pattern index
+   * @param {string[]} segments - Path segments
+   * @param {number} s - Current path index
+   * @returns {boolean} True if the rest of the path matches the rest of the pattern
+   */
+  static _matchSegments(pattern, p, segments, s) {
+    if (p === pattern.length) {
+      return s === segments.length;
+    }
+
+    if (pattern[p] === '**') {
+      for (let skip = s; skip <= segments.length; skip++) {
+        if (Redactor._matchSegments(pattern, p + 1, segments, skip)) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    return s < segments.length &&
+      (pattern[p] === '*' || pattern[p] === segments[s]) &&
+      Redactor._matchSegments(pattern, p + 1, segments, s + 1);
+  }
+
+  /**
+   * Recursively redact a parsed JSON value
+   *
+   * @private
+   * @param {*} value - JSON value
+   * @param {Array<string|number>} keyPath - Keys leading to the value
+   * @returns {*} Redacted copy of the value, or the value itself if nothing was redacted
+   */
+  _redactJson(value, keyPath) {
+    if (Array.isArray(value)) {
+      const redacted = value.map((item, index) => this._redactValue(item, keyPath.concat(index)));
+      return redacted.every((item, index) => item === value[index]) ? value : redacted;
+    }
+
+    if (value !== null && typeof value === 'object') {
+      const redacted = {};
+      let changed = false;
+      for (const [key, item] of Object.entries(value)) {
+        redacted[key] = this._redactValue(item, keyPath.concat(key));
+        changed = changed || redacted[key] !== item;
+      }
+      return changed ? redacted : value;
+    }
+
+    return typeof value === 'string' ? this._redactString(value, keyPath) : value;
+  }
+
+  /**
+   * Redact a JSON string value, and the JSON document it holds if it is one
+   * Paths inside the embedded document continue from the string's own path.
+   *
+   * @private
+   * @param {string} value - String value
+   * @param {Array<string|number>} keyPath - Keys leading to the value
+   * @returns {string} Redacted string, or the value itself if nothing was redacted
+   */
+  _redactString(value, keyPath) {
+    const trimmed = value.trimStart();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      let embedded;
+      try {
+        embedded = JSON.parse(value);
+      } catch (error) {
+        return this.scrub(value);
+      }
+      const redacted = this._redactJson(embedded, keyPath);
+      return redacted === embedded ? value : JSON.stringify(redacted);
+    }
+    return this.scrub(value);
+  }
+
+  /**
+   * Redact one JSON member, replacing it entirely when its path matches
+   *
+   * @private
+   * @param {*} value - Member value
+   * @param {Array<string|number>} keyPath - Keys leading to the value
+   * @returns {*} Redacted value
+   */
+  _redactValue(value, keyPath) {
+    return this._matchesBodyPath(keyPath) ? this.replacement : this._redactJson(value, keyPath);
+  }
+
+  /**
+   * Redact JSON text that cannot be parsed, typically a truncated body
+   * Scalar members whose key is the literal last segment of a path pattern are replaced.
+   *
+   * @private
+   * @param {string} text - JSON text
+   * @returns {string} Redacted text
+   */
+  _redactJsonText(text) {
+    const keys = [...new Set(this.bodyPaths
+      .map(pattern => pattern[pattern.length - 1])
+      .filter(key => key && key !== '*' && key !== '**' && !/^\d+$/.test(key)))];
+
+    if (keys.length === 0) {
+      return text;
+    }
+
+    const keyPattern = keys.map(key => key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    const member = new RegExp(`("(?:${keyPattern})"\\s*:\\s*)("(?:[^"\\\\]|\\\\.)*"?|-?\\d[\\d.eE+-]*|true|false|null)`, 'gi');
+    return text.replace(member, (match, prefix) => `${prefix}${JSON.stringify(this.replacement)}`);
+  }
+
+  /**
+   * Redact the values of matching keys in `application/x-www-form-urlencoded` text
+   *
+   * @private
+   * @param {string} text - Encoded key/value pairs
+   * @param {Function} isSensitive - Receives a decoded key, returns true to redact its value
+   * @returns {string} Redacted text
+   */
+  _redactUrlEncoded(text, isSensitive) {
+    return text.split('&').map(pair => {
+      const separator = pair.indexOf('=');
+      const rawKey = separator === -1 ? pair : pair.slice(0, separator);
+      let key;
+      try {
+        key = decodeURIComponent(rawKey.replace(/\+/g, ' '));
+      } catch (error) {
+        key = rawKey;
+      }
+      return separator !== -1 && isSensitive(key) ?
+        `${rawKey}=${this.replacement}` :
+        pair;
+    }).join('&');
+  }
+}
+
+export default Redactor;
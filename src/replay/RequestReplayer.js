@@ -0,0 +1,305 @@
+/**
+ * RequestReplayer - Re-issue Captured Requests Against the Application
+ *
+ * Sends a stored request again, optionally with an edited method, URL,
+ * headers or body, so a failing request can be retried without rebuilding it
+ * by hand. Each replay carries a one-time token header; when the replayed
+ * request is intercepted, the token is exchanged for the id of the original
+ * capture so the two can be linked and compared.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import { UNTRACKED_REQUEST } from '../instrumentation/HttpClientInstrumentation.js';
+
+/**
+ * Header carrying the one-time replay token
+ * @type {string}
+ */
+export const REPLAY_TOKEN_HEADER = 'x-flux-replay-token';
+
+/**
+ * Headers that describe a connection rather than the request, and are never resent
+ * @type {string[]}
+ */
+const SKIPPED_HEADERS = [
+  'host',
+  'connection',
+  'keep-alive',
+  'transfer-encoding',
+  'content-length',
+  'upgrade',
+  'expect',
+  'proxy-connection',
+  'te',
+  'trailer'
+];
+
+/**
+ * RequestReplayer Class
+ *
+ * @class RequestReplayer
+ * @example
+ * const replayer = new RequestReplayer({ target: 'http://localhost:3000' });
+ * const result = await replayer.replay(storedRequest, { headers: { 'x-debug': '1' } });
+ */
+class RequestReplayer {
+  /**
+   * Create a RequestReplayer instance
+   *
+   * @param {Object} [options={}] - Replay options
+   * @param {string} [options.target] - Base URL of the application (defaults to the address it was reached on)
+   * @param {number} [options.timeout=30000] - Milliseconds to wait for the replayed response
+   * @param {string} [options.redactedValue='[REDACTED]'] - Header values containing this text are not resent
+   */
+  constructor(options = {}) {
+    /**
+     * Base URL of the application, or undefined to use the local address
+     * @type {string|undefined}
+     * @private
+     */
+    this.target = options.target;
+
+    /**
+     * Local address an intercepted request reached the application on, used without `target`
+     * The captured Host header is not used: clients choose it, so a replay could be sent anywhere.
+     * @type {string|null}
+     * @private
+     */
+    this.localTarget = null;
+
+    /**
+     * Milliseconds to wait for the replayed response
+     * @type {number}
+     * @private
+     */
+    this.timeout = options.timeout || 30000;
+
+    /**
+     * Placeholder left by redaction; such values cannot be replayed
+     * @type {string}
+     * @private
+     */
+    this.redactedValue = options.redactedValue || '[REDACTED]';
+
+    /**
+     * Replays in flight, keyed by token
+     * @type {Map<string, {originalId: string, captureId: string|null}>}
+     * @private
+     */
+    this.pending = new Map();
+  }
+
+  /**
+   * Replay a stored request
+   *
+   * Header values removed by redaction are not resent; pass them in
+   * `edits.headers` when the endpoint needs them. A body still holding
+   * redaction placeholders is sent as it is, with a warning in the result.
+   *
+   * @param {Object} original - Stored request
+   * @param {Object} [edits={}] - Values replacing the stored ones
+   * @param {string} [edits.method] - HTTP method
+   * @param {string} [edits.url] - Path and query string (must start with `/`)
+   * @param {Object} [edits.headers] - Complete header map to send
+   * @param {string} [edits.body] - Request body
+   * @returns {Promise<Object>} Replay result
+   * @returns {string} returns.replayOf - Id of the original request
+   * @returns {string|null} returns.requestId - Id of the new capture, if it was intercepted
+   * @returns {number} returns.statusCode - Response status code
+   * @returns {number} returns.responseTime - Round trip in milliseconds
+   * @returns {string[]} returns.warnings - Ways the replay differs from the original request
+   * @throws {Error} If the request cannot be rebuilt (`statusCode` 400) or sent (`statusCode` 502)
+   */
+  replay(original, edits = {}) {
+    const path = edits.url !== undefined ? String(edits.url) : original.url;
+    // `//host/path` is a network-path reference and would leave the application
+    if (!path || !path.startsWith('/') || path.startsWith('//')) {
+      return Promise.reject(RequestReplayer._error('Replay URL must be a path starting with a single "/"', 400));
+    }
+
+    if (original.bodyTruncated && edits.body === undefined) {
+      return Promise.reject(RequestReplayer._error(
+        'The stored request body was truncated; provide the full body to replay it', 400
+      ));
+    }
+
+    const base = this._resolveTarget();
+    if (!base) {
+      return Promise.reject(RequestReplayer._error(
+        'Cannot determine where to send the replay; set the replay.target option', 400
+      ));
+    }
+
+    const target = new URL(path, base);
+    if (target.origin !== new URL(base).origin) {
+      return Promise.reject(RequestReplayer._error('Replay URL must stay on the application', 400));
+    }
+
+    const body = edits.body !== undefined ? String(edits.body) : (original.body || '');
+    const sourceHeaders = edits.headers || original.headers || {};
+    const token = crypto.randomBytes(16).toString('hex');
+    const headers = {
+      ...this._replayableHeaders(sourceHeaders),
+      [REPLAY_TOKEN_HEADER]: token
+    };
+
+    const warnings = [];
+    const dropped = Object.keys(sourceHeaders).filter(name =>
+      [].concat(sourceHeaders[name]).some(value => String(value).includes(this.redactedValue)));
+    if (dropped.length > 0) {
+      warnings.push(`Redacted headers were not resent: ${dropped.join(', ')}`);
+    }
+    if (body.includes(this.redactedValue)) {
+      warnings.push(`The body was resent with ${this.redactedValue} placeholders in place of redacted values`);
+    }
+    if (body) {
+      headers['content-length'] = Buffer.byteLength(body);
+    }
+
+    const transport = target.protocol === 'https:' ? https : http;
+    const startTime = Date.now();
+    this.pending.set(token, { originalId: original.id, captureId: null });
+
+    return new Promise((resolve, reject) => {
+      const fail = (error) => {
+        this.pending.delete(token);
+        reject(RequestReplayer._error(`Replay failed: ${error.message}`, 502));
+      };
+
+      const request = transport.request(target, {
+        method: String(edits.method || original.method).toUpperCase(),
+        headers,
+        timeout: this.timeout,
+        // The replay shows up as an inbound capture; it is not an outgoing call of the application
+        [UNTRACKED_REQUEST]: true
+      }, (response) => {
+        response.resume();
+        // A connection closed partway through the response never emits `end`
+        response.on('aborted', () => fail(new Error('The response was aborted')));
+        response.on('error', fail);
+        response.on('end', () => {
+          const replay = this.pending.get(token);
+          this.pending.delete(token);
+          resolve({
+            replayOf: original.id,
+            requestId: replay ? replay.captureId : null,
+            statusCode: response.statusCode,
+            responseTime: Date.now() - startTime,
+            warnings
+          });
+        });
+      });
+
+      request.on('timeout', () => {
+        request.destroy(new Error(`No response within ${this.timeout}ms`));
+      });
+
+      request.on('error', fail);
+
+      request.end(body || undefined);
+    });
+  }
+
+  /**
+   * Remember the local address of the application from an intercepted request
+   * The first address seen is kept.
+   *
+   * @param {http.IncomingMessage} req - Intercepted request
+   * @returns {void}
+   */
+  observe(req) {
+    const socket = req.socket;
+    if (this.localTarget || !socket || !socket.localPort) {
+      return;
+    }
+
+    const address = socket.localAddress || 'localhost';
+    const host = address.includes(':') ? `[${address}]` : address;
+    this.localTarget = `${socket.encrypted ? 'https' : 'http'}://${host}:${socket.localPort}`;
+  }
+
+  /**
+   * Link an intercepted request to the capture it replays
+   *
+   * Removes the token header from the captured headers.
+   *
+   * @param {Object} requestData - Request data being captured (headers are modified)
+   * @returns {string|null} Id of the original request, or null if this is not a replay
+   */
+  claim(requestData) {
+    const token = requestData.headers[REPLAY_TOKEN_HEADER];
+    if (token === undefined) {
+      return null;
+    }
+
+    delete requestData.headers[REPLAY_TOKEN_HEADER];
+    const replay = this.pending.get(token);
+    if (!replay || replay.captureId) {
+      return null;
+    }
+
+    replay.captureId = requestData.id;
+    return replay.originalId;
+  }
+
+  /**
+   * Resolve the base URL replays are sent to
+   *
+   * @private
+   * @returns {string|null} Base URL
+   */
+  _resolveTarget() {
+    return this.target || this.localTarget;
+  }
+
+  /**
+   * Drop connection-level headers and values removed by redaction
+   *
+   * @private
+   * @param {Object} headers - Stored or edited headers
+   * @returns {Object} Headers to send
+   */
+  _replayableHeaders(headers) {
+    const replayable = {};
+
+    for (const [name, value] of Object.entries(headers || {})) {
+      const key = name.toLowerCase();
+      if (SKIPPED_HEADERS.includes(key) || key === REPLAY_TOKEN_HEADER) {
+        continue;
+      }
+      if (value === undefined || value === null) {
+        continue;
+      }
+
+      const values = [].concat(value).map(String).filter(item => !item.includes(this.redactedValue));
+      if (values.length > 0) {
+        replayable[key] = Array.isArray(value) ? values : values[0];
+      }
+    }
+
+    return replayable;
+  }
+
+  /**
+   * Create an error carrying the HTTP status for the API response
+   *
+   * @private
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} Error with a `statusCode` property
+   */
+  static _error(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+export default RequestReplayer;
@@ -0,0 +1,355 @@
+/**
+ * AccessControl - Authentication and Network Restrictions for the Dashboard
+ *
+ * Guards the dashboard, the REST API and the WebSocket upgrade with the same
+ * rules, so FluxManager can stay enabled in shared environments:
+ *
+ * - IP allowlist with single addresses and CIDR ranges (IPv4 and IPv6)
+ * - HTTP basic auth with a username and password
+ * - Bearer token from the `Authorization` header, a cookie, or `?token=`
+ * - Custom `authorize(req)` callback, which may be async
+ * - CORS origin allowlist for the API
+ *
+ * Credentials are compared in constant time.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+
+/**
+ * Cookie that keeps a bearer token passed as `?token=` for later requests
+ * @type {string}
+ */
+export const TOKEN_COOKIE = 'flux_manager_token';
+
+/**
+ * Compare two strings in constant time
+ * Both values are hashed first so their lengths do not leak either.
+ *
+ * @param {string} actual - Value supplied by the client
+ * @param {string} expected - Configured secret
+ * @returns {boolean} True if the values are equal
+ */
+function safeEqual(actual, expected) {
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(actual), hash(expected));
+}
+
+/**
+ * Parse a Cookie header
+ *
+ * @param {string} [header] - Cookie header value
+ * @returns {Object<string, string>} Cookie values by name
+ */
+function parseCookies(header) {
+  const cookies = {};
+
+  String(header || '').split(';').forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      const name = pair.slice(0, separator).trim();
+      try {
+        cookies[name] = decodeURIComponent(pair.slice(separator + 1).trim());
+      } catch (error) {
+        cookies[name] = pair.slice(separator + 1).trim();
+      }
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * AccessControl Class
+ *
+ * @class AccessControl
+ * @example
+ * const access = new AccessControl({
+ *   auth: { token: process.env.FLUX_TOKEN },
+ *   allowedIps: ['10.0.0.0/8', '127.0.0.1'],
+ *   cors: { origins: ['https://staging.example.com'] }
+ * });
+ * const result = await access.check(req);
+ */
+class AccessControl {
+  /**
+   * Create an AccessControl instance
+   *
+   * @param {Object} [options={}] - Access rules
+   * @param {Object} [options.auth] - Credentials; any configured method may be used
+   * @param {string} [options.auth.username] - Basic auth username
+   * @param {string} [options.auth.password] - Basic auth password
+   * @param {string|string[]} [options.auth.token] - Accepted bearer token(s)
+   * @param {Function} [options.auth.authorize] - `(req) => boolean|Promise<boolean>`, called after
+   *                                              credentials are verified
+   * @param {string} [options.auth.realm='Flux Manager'] - Realm reported in `WWW-Authenticate`
+   * @param {string[]} [options.allowedIps] - Client addresses or CIDR ranges allowed to connect
+   * @param {Object} [options.cors] - CORS settings for the API
+   * @param {string|string[]} [options.cors.origins] - Allowed origins, or `'*'` for any origin
+   * @param {string} [options.route='/flux-manager'] - Dashboard route, used as the cookie path
+   * @throws {TypeError} If an allowlist entry is not a valid address or range
+   */
+  constructor(options = {}) {
+    const auth = options.auth || {};
+
+    /**
+     * Basic auth credentials, or null when basic auth is off
+     * @type {{username: string, password: string}|null}
+     * @private
+     */
+    this.basic = auth.username !== undefined && auth.password !== undefined ?
+      { username: String(auth.username), password: String(auth.password) } :
+      null;
+
+    /**
+     * Accepted bearer tokens
+     * @type {string[]}
+     * @private
+     */
+    this.tokens = [].concat(auth.token || []).map(String);
+
+    /**
+     * Custom authorization callback
+     * @type {Function|null}
+     * @private
+     */
+    this.authorize = typeof auth.authorize === 'function' ? auth.authorize : null;
+
+    /**
+     * Realm reported to clients that need to authenticate
+     * @type {string}
+     * @private
+     */
+    this.realm = auth.realm || 'Flux Manager';
+
+    /**
+     * Allowed client addresses, or null when any address may connect
+     * @type {net.BlockList|null}
+     * @private
+     */
+    this.allowedIps = options.allowedIps ? AccessControl.createAllowlist(options.allowedIps) : null;
+
+    /**
+     * Allowed CORS origins; `'*'` allows any origin
+     * @type {string[]}
+     * @private
+     */
+    this.origins = [].concat((options.cors && options.cors.origins) || []);
+
+    /**
+     * Path scope of the token cookie
+     * @type {string}
+     * @private
+     */
+    this.route = options.route || '/flux-manager';
+  }
+
+  /**
+   * Whether any rule restricts access
+   * @type {boolean}
+   */
+  get enabled() {
+    return Boolean(this.allowedIps || this.basic || this.tokens.length > 0 || this.authorize);
+  }
+
+  /**
+   * Check whether a request may access the dashboard, API or WebSocket
+   *
+   * @param {http.IncomingMessage} req - Incoming request or upgrade request
+   * @returns {Promise<Object>} Result
+   * @returns {boolean} returns.allowed - Whether access is granted
+   * @returns {number} [returns.statusCode] - 401 or 403 when access is denied
+   * @returns {Object} [returns.headers] - Response headers for the denial (`WWW-Authenticate`)
+   * @returns {string} [returns.message] - Reason for the denial
+   * @returns {string} [returns.cookie] - `Set-Cookie` value when a token was passed as `?token=`
+   */
+  async check(req) {
+    if (this.allowedIps && !this.isAllowedAddress(req.socket && req.socket.remoteAddress)) {
+      return { allowed: false, statusCode: 403, message: 'Forbidden' };
+    }
+
+    const result = { allowed: true };
+
+    if (this.basic || this.tokens.length > 0) {
+      const credentials = this._verifyCredentials(req);
+      if (!credentials.valid) {
+        return {
+          allowed: false,
+          statusCode: 401,
+          headers: { 'WWW-Authenticate': this.basic ? `Basic realm="${this.realm}", charset="UTF-8"` : `Bearer realm="${this.realm}"` },
+          message: 'Authentication required'
+        };
+      }
+      if (credentials.fromQuery) {
+        result.cookie = this.createTokenCookie(credentials.token, req);
+      }
+    }
+
+    if (this.authorize && !(await this.authorize(req))) {
+      return { allowed: false, statusCode: 403, message: 'Forbidden' };
+    }
+
+    return result;
+  }
+
+  /**
+   * Check a client address against the IP allowlist
+   *
+   * @param {string} [address] - Remote address of the socket
+   * @returns {boolean} True if the address may connect
+   */
+  isAllowedAddress(address) {
+    if (!this.allowedIps) {
+      return true;
+    }
+    if (!address) {
+      return false;
+    }
+
+    // IPv4 clients on dual-stack sockets show up as IPv4-mapped IPv6 addresses
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    const normalized = mapped ? mapped[1] : address;
+    const family = net.isIP(normalized) === 6 ? 'ipv6' : 'ipv4';
+
+    return this.allowedIps.check(normalized, family);
+  }
+
+  /**
+   * Check the Origin of a WebSocket upgrade
+   * Same-origin pages, configured CORS origins and non-browser clients are allowed.
+   *
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @returns {boolean} True if the origin may connect
+   */
+  isAllowedOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin || this.origins.includes('*') || this.origins.includes(origin)) {
+      return true;
+    }
+
+    try {
+      return new URL(origin).host === req.headers.host;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Set the CORS response headers for an API request
+   * Nothing is sent unless the request origin is allowed, so browsers block
+   * cross-origin reads by default.
+   *
+   * @param {http.IncomingMessage} req - API request
+   * @param {http.ServerResponse} res - API response
+   * @returns {void}
+   */
+  applyCors(req, res) {
+    const origin = req.headers.origin;
+
+    if (this.origins.includes('*')) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin && this.origins.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+      res.setHeader('Vary', 'Origin');
+    } else {
+      return;
+    }
+
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  }
+
+  /**
+   * Build the cookie that remembers a bearer token for the dashboard
+   *
+   * @param {string} token - Verified bearer token
+   * @param {http.IncomingMessage} req - Request that carried the token
+   * @returns {string} Set-Cookie header value
+   */
+  createTokenCookie(token, req) {
+    const secure = req.socket && req.socket.encrypted ? '; Secure' : '';
+    return `${TOKEN_COOKIE}=${encodeURIComponent(token)}; Path=${this.route}; HttpOnly; SameSite=Strict${secure}`;
+  }
+
+  /**
+   * Build an allowlist from addresses and CIDR ranges
+   *
+   * @param {string[]} entries - Addresses (`10.0.0.1`) or ranges (`10.0.0.0/8`, `fd00::/8`)
+   * @returns {net.BlockList} Address list
+   * @throws {TypeError} If an entry is not a valid address or range
+   * @throws {Error} If this Node.js version has no `net.BlockList` (before 14.18)
+   */
+  static createAllowlist(entries) {
+    if (typeof net.BlockList !== 'function') {
+      throw new Error(`allowedIps requires Node.js 14.18 or later (running ${process.version})`);
+    }
+    const list = new net.BlockList();
+
+    for (const entry of [].concat(entries)) {
+      const [address, prefix] = String(entry).trim().split('/');
+      const version = net.isIP(address);
+      if (!version || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+        throw new TypeError(`Invalid allowedIps entry: ${entry}`);
+      }
+
+      const family = version === 6 ? 'ipv6' : 'ipv4';
+      if (prefix === undefined) {
+        list.addAddress(address, family);
+      } else {
+        list.addSubnet(address, Number(prefix), family);
+      }
+    }
+
+    return list;
+  }
+
+  /**
+   * Verify basic auth or bearer token credentials
+   *
+   * @private
+   * @param {http.IncomingMessage} req - Incoming request
+   * @returns {{valid: boolean, token?: string, fromQuery?: boolean}} Verification result
+   */
+  _verifyCredentials(req) {
+    const header = String(req.headers.authorization || '');
+    const [scheme, value = ''] = header.split(/\s+/, 2);
+
+    if (this.basic && /^basic$/i.test(scheme)) {
+      const decoded = Buffer.from(value, 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      const username = decoded.slice(0, separator);
+      const password = decoded.slice(separator + 1);
+      // Evaluate both comparisons so timing does not reveal which one failed
+      const validUser = safeEqual(username, this.basic.username);
+      const validPassword = safeEqual(password, this.basic.password);
+      if (separator !== -1 && validUser && validPassword) {
+        return { valid: true };
+      }
+    }
+
+    if (this.tokens.length > 0) {
+      const queryToken = new URLSearchParams(String(req.url || '').split('?')[1] || '').get('token');
+      const candidates = [
+        { token: /^bearer$/i.test(scheme) ? value : null },
+        { token: parseCookies(req.headers.cookie)[TOKEN_COOKIE] },
+        { token: queryToken, fromQuery: true }
+      ];
+
+      for (const candidate of candidates) {
+        if (candidate.token && this.tokens.some(token => safeEqual(candidate.token, token))) {
+          return { valid: true, token: candidate.token, fromQuery: Boolean(candidate.fromQuery) };
+        }
+      }
+    }
+
+    return { valid: false };
+  }
+}
+
+export default AccessControl;
@@ -0,0 +1,100 @@
+/**
+ * ExceptionStorage - In-Memory Exception Record Management
+ * 
+ * Stores errors captured from framework error handlers and process-level
+ * events. Like RequestStorage it keeps a bounded, latest-first list so memory
+ * usage stays predictable on long-running processes.
+ * 
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+/**
+ * ExceptionStorage Class
+ * 
+ * @class ExceptionStorage
+ * @example
+ * const exceptions = new ExceptionStorage(200);
+ * exceptions.add(record);
+ * const related = exceptions.getByRequestId('req-123');
+ */
+class ExceptionStorage {
+  /**
+   * Create an ExceptionStorage instance
+   * 
+   * @param {number} [maxExceptions=200] - Maximum number of exceptions to keep
+   */
+  constructor(maxExceptions = 200) {
+    /**
+     * Exception records, newest first
+     * @type {Object[]}
+     * @private
+     */
+    this.exceptions = [];
+
+    /**
+     * Maximum number of exceptions to keep in memory
+     * @type {number}
+     * @private
+     */
+    this.maxExceptions = maxExceptions;
+  }
+
+  /**
+   * Add an exception record, dropping the oldest one when full
+   * 
+   * @param {Object} exception - Exception record
+   * @param {string} exception.id - Unique identifier for the exception
+   * @param {string|null} exception.requestId - Id of the request active when it was thrown
+   * @returns {void}
+   */
+  add(exception) {
+    this.exceptions.unshift(exception);
+
+    if (this.exceptions.length > this.maxExceptions) {
+      this.exceptions.length = this.maxExceptions;
+    }
+  }
+
+  /**
+   * Get all stored exceptions, newest first
+   * 
+   * @returns {Object[]} Array of exception records
+   */
+  getAll() {
+    return this.exceptions;
+  }
+
+  /**
+   * Get a specific exception by its unique identifier
+   * 
+   * @param {string} id - Exception identifier
+   * @returns {Object|undefined} Exception record if found
+   */
+  getById(id) {
+    return this.exceptions.find(exception => exception.id === id);
+  }
+
+  /**
+   * Get all exceptions recorded while handling a request
+   * 
+   * @param {string} requestId - Captured request identifier
+   * @returns {Object[]} Matching exception records, newest first
+   */
+  getByRequestId(requestId) {
+    return this.exceptions.filter(exception => exception.requestId === requestId);
+  }
+
+  /**
+   * Remove all stored exceptions
+   * 
+   * @returns {void}
+   */
+  clear() {
+    this.exceptions = [];
+  }
+}
+
+export default ExceptionStorage;
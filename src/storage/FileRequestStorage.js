@@ -0,0 +1,345 @@
+/**
+ * FileRequestStorage - Persistent HTTP Request Storage
+ * 
+ * A storage backend that keeps captured requests across restarts of the
+ * monitored process. Requests are appended to a JSON Lines file as they are
+ * captured and loaded back on startup, so history survives the constant
+ * restarts of tools like nodemon.
+ * 
+ * Queries are still answered from the in-memory buffer inherited from
+ * RequestStorage; the file is only read once at startup. It is compacted
+ * whenever it holds twice as many lines as the retention limit allows, so
+ * bodies dropped from memory to meet the byte budget leave the file then too.
+ * Neither appends nor compaction run in the response path: appends are
+ * batched per event loop turn, and compaction streams the file in the
+ * background.
+ * 
+ * Features:
+ * - Append-only JSON Lines format, readable with standard tools
+ * - Retention by request count and by age
+ * - Automatic compaction of expired and evicted lines
+ * - Tolerates partially written or corrupted lines
+ * 
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import RequestStorage from './RequestStorage.js';
+
+/**
+ * FileRequestStorage Class
+ * 
+ * @class FileRequestStorage
+ * @extends RequestStorage
+ * @example
+ * const storage = new FileRequestStorage({
+ *   path: '.flux-manager/requests.jsonl',
+ *   maxRequests: 1000,
+ *   maxAge: 24 * 60 * 60 * 1000
+ * });
+ */
+class FileRequestStorage extends RequestStorage {
+  /**
+   * Create a FileRequestStorage instance and load previously stored requests
+   * 
+   * @param {Object} [options={}] - Storage options
+   * @param {string} [options.path='.flux-manager/requests.jsonl'] - Location of the JSON Lines file
+   * @param {number} [options.maxRequests=1000] - Maximum number of requests to keep
+   * @param {number} [options.maxAge=0] - Maximum request age in milliseconds (0 keeps requests forever)
+   * @param {number} [options.maxBytes] - Approximate memory budget of the in-memory buffer, in bytes
+   */
+  constructor(options = {}) {
+    super(options.maxRequests || 1000, { maxBytes: options.maxBytes });
+
+    /**
+     * Absolute path of the JSON Lines file
+     * @type {string}
+     * @private
+     */
+    this.filePath = path.resolve(options.path || path.join('.flux-manager', 'requests.jsonl'));
+
+    /**
+     * Maximum request age in milliseconds, 0 for no limit
+     * @type {number}
+     * @private
+     */
+    this.maxAge = options.maxAge || 0;
+
+    /**
+     * Number of lines currently in the file, used to schedule compaction
+     * @type {number}
+     * @private
+     */
+    this.lineCount = 0;
+
+    /**
+     * Whether the directory of the file is known to exist
+     * @type {boolean}
+     * @private
+     */
+    this.directoryReady = false;
+
+    /**
+     * Whether a write error was already reported, to avoid flooding the console
+     * @type {boolean}
+     * @private
+     */
+    this.hasReportedError = false;
+
+    /**
+     * Serialized requests waiting to be appended
+     * @type {string[]}
+     * @private
+     */
+    this.pendingLines = [];
+
+    /**
+     * Whether an append of the pending lines is scheduled
+     * @type {boolean}
+     * @private
+     */
+    this.flushScheduled = false;
+
+    /**
+     * Compaction in progress, or null
+     * @type {Promise<void>|null}
+     * @private
+     */
+    this.compaction = null;
+
+    /**
+     * Incremented by `clear()`, so a compaction started before it does not restore old lines
+     * @type {number}
+     * @private
+     */
+    this.generation = 0;
+
+    this._load();
+  }
+
+  /**
+   * Add a request and queue it for appending to the file
+   * 
+   * The requests captured during one event loop turn are appended together,
+   * synchronously, once the turn ends: the response never waits for the disk,
+   * and a process killed right after a response (as file watchers do) still
+   * finds the last captured requests in the file on restart.
+   * 
+   * @param {Object} requestData - HTTP request/response data object
+   * @returns {void}
+   */
+  addRequest(requestData) {
+    super.addRequest(requestData);
+
+    if (this.maxAge) {
+      super.pruneOlderThan(Date.now() - this.maxAge);
+    }
+
+    this.pendingLines.push(JSON.stringify(requestData) + '\n');
+    if (!this.flushScheduled) {
+      this.flushScheduled = true;
+      setImmediate(() => {
+        this.flushScheduled = false;
+        this._flush();
+      });
+    }
+  }
+
+  /**
+   * Remove requests captured before a point in time, in memory and on disk
+   * 
+   * @param {number} cutoff - Epoch milliseconds; older requests are removed
+   * @returns {number} Number of removed requests
+   */
+  pruneOlderThan(cutoff) {
+    const removed = super.pruneOlderThan(cutoff);
+    if (removed > 0) {
+      this._compact();
+    }
+    return removed;
+  }
+
+  /**
+   * Clear all stored requests and truncate the file
+   * 
+   * @returns {void}
+   */
+  clear() {
+    super.clear();
+    this.pendingLines = [];
+    this.generation++;
+    this._write(() => {
+      fs.writeFileSync(this.filePath, '');
+      this.lineCount = 0;
+    });
+  }
+
+  /**
+   * Append the pending lines, or compact the file once it has grown too long
+   * While a compaction runs, lines stay pending and are appended after it.
+   * 
+   * @private
+   * @returns {void}
+   */
+  _flush() {
+    if (this.compaction || this.pendingLines.length === 0) {
+      return;
+    }
+    if (this.lineCount + this.pendingLines.length >= this.maxRequests * 2) {
+      this._compact();
+      return;
+    }
+    this._append();
+  }
+
+  /**
+   * Append the pending lines to the file as they are
+   * 
+   * @private
+   * @returns {void}
+   */
+  _append() {
+    const lines = this.pendingLines;
+    this.pendingLines = [];
+    this._write(() => {
+      fs.appendFileSync(this.filePath, lines.join(''));
+      this.lineCount += lines.length;
+    });
+  }
+
+  /**
+   * Load stored requests from the file, applying retention
+   * 
+   * @private
+   */
+  _load() {
+    let content = '';
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this._reportError(error);
+      }
+      return;
+    }
+
+    const cutoff = this.maxAge ? Date.now() - this.maxAge : 0;
+    const entries = [];
+
+    content.split('\n').forEach(line => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        const entry = JSON.parse(line);
+        if (RequestStorage.getCapturedAt(entry) >= cutoff) {
+          entries.push(entry);
+        }
+      } catch (error) {
+        // A crash mid-write can leave a partial last line; skip it
+      }
+    });
+
+    // The file is in capture order, so the newest requests are at the end
+    entries.slice(-this.maxRequests).forEach(entry => super.addRequest(entry));
+
+    this._compact();
+  }
+
+  /**
+   * Rewrite the file with the requests that are currently retained
+   * 
+   * Streams to a temporary file first so an interrupted compaction never loses
+   * the existing history, serializing one request at a time so the event loop
+   * keeps serving the application. Requests captured meanwhile are appended
+   * once the new file is in place. If the rewrite fails, the pending requests
+   * are appended to the old file instead.
+   * 
+   * @private
+   * @returns {Promise<void>} Resolves when the compaction has finished or failed
+   */
+  _compact() {
+    if (this.compaction) {
+      return this.compaction;
+    }
+
+    // The pending lines are part of the snapshot, and stay pending until it replaces the file
+    const entries = this.getAll().slice().reverse();
+    const snapshotLines = this.pendingLines.length;
+    const tempPath = `${this.filePath}.tmp`;
+    const generation = this.generation;
+
+    this.compaction = (async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const stream = fs.createWriteStream(tempPath);
+        // Failures reject the waits below; this keeps a late one from going unhandled
+        stream.on('error', () => {});
+        for (const entry of entries) {
+          if (!stream.write(JSON.stringify(entry) + '\n')) {
+            await once(stream, 'drain');
+          }
+        }
+        stream.end();
+        await once(stream, 'finish');
+
+        if (generation !== this.generation) {
+          await fs.promises.unlink(tempPath);
+          return;
+        }
+        await fs.promises.rename(tempPath, this.filePath);
+        this.lineCount = entries.length;
+        this.pendingLines.splice(0, snapshotLines);
+      } catch (error) {
+        this._reportError(error);
+        // Compacting again right away would most likely fail the same way
+        this._append();
+      }
+    })().finally(() => {
+      this.compaction = null;
+      this._flush();
+    });
+
+    return this.compaction;
+  }
+
+  /**
+   * Run a file operation, creating the directory on demand
+   * 
+   * Storage failures are reported once and never thrown into the request path.
+   * 
+   * @private
+   * @param {Function} operation - Synchronous file operation
+   */
+  _write(operation) {
+    try {
+      if (!this.directoryReady) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.directoryReady = true;
+      }
+      operation();
+    } catch (error) {
+      this._reportError(error);
+    }
+  }
+
+  /**
+   * Report a storage error once
+   * 
+   * @private
+   * @param {Error} error - File system error
+   */
+  _reportError(error) {
+    if (!this.hasReportedError) {
+      this.hasReportedError = true;
+      console.error(`FluxManager: Unable to use request storage file ${this.filePath}:`, error.message);
+    }
+  }
+}
+
+export default FileRequestStorage;
@@ -0,0 +1,116 @@
+/**
+ * LogStorage - In-Memory Log Entry Ring Buffer
+ * 
+ * Keeps log lines captured from `console.*` and logger adapters next to the
+ * request data in RequestStorage. Entries are tagged with the id of the request
+ * that emitted them so the dashboard can show the lines for a single request.
+ * 
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+/**
+ * LogStorage Class
+ * 
+ * Fixed-size ring buffer: inserting is O(1) and once the buffer is full the
+ * oldest entry is overwritten.
+ * 
+ * @class LogStorage
+ * @example
+ * const logs = new LogStorage(2000);
+ * logs.add({ id: 'log-1', level: 'info', message: 'hello', requestId: 'req-123' });
+ * const lines = logs.getByRequestId('req-123');
+ */
+class LogStorage {
+  /**
+   * Create a LogStorage instance
+   * 
+   * @param {number} [maxEntries=2000] - Maximum number of log entries to keep
+   */
+  constructor(maxEntries = 2000) {
+    /**
+     * Maximum number of log entries to keep in memory
+     * @type {number}
+     * @private
+     */
+    this.maxEntries = maxEntries;
+
+    /**
+     * Backing array of the ring buffer
+     * @type {Object[]}
+     * @private
+     */
+    this.entries = new Array(maxEntries);
+
+    /**
+     * Index where the next entry will be written
+     * @type {number}
+     * @private
+     */
+    this.nextIndex = 0;
+
+    /**
+     * Number of entries currently stored
+     * @type {number}
+     * @private
+     */
+    this.size = 0;
+  }
+
+  /**
+   * Add a log entry, overwriting the oldest one when full
+   * 
+   * @param {Object} entry - Log entry
+   * @param {string} entry.id - Unique identifier for the entry
+   * @param {string} entry.level - Log level (log, info, warn, error, debug)
+   * @param {string} entry.message - Formatted log message
+   * @param {string|null} entry.requestId - Id of the request that emitted the line
+   * @returns {void}
+   */
+  add(entry) {
+    this.entries[this.nextIndex] = entry;
+    this.nextIndex = (this.nextIndex + 1) % this.maxEntries;
+    this.size = Math.min(this.size + 1, this.maxEntries);
+  }
+
+  /**
+   * Get all stored log entries, oldest first
+   * 
+   * @returns {Object[]} Array of log entries in emission order
+   */
+  getAll() {
+    const result = [];
+    const start = (this.nextIndex - this.size + this.maxEntries) % this.maxEntries;
+
+    for (let i = 0; i < this.size; i++) {
+      result.push(this.entries[(start + i) % this.maxEntries]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the log lines emitted while handling a request
+   * 
+   * @param {string} requestId - Captured request identifier
+   * @returns {Object[]} Matching log entries, oldest first
+   */
+  getByRequestId(requestId) {
+    return this.getAll().filter(entry => entry.requestId === requestId);
+  }
+
+  /**
+   * Remove all stored log entries
+   * 
+   * @returns {void}
+   */
+  clear() {
+    this.entries = new Array(this.maxEntries);
+    this.nextIndex = 0;
+    this.size = 0;
+  }
+}
+
+export default LogStorage;
@@ -0,0 +1,128 @@
+/**
+ * OutboundStorage - In-Memory Outgoing HTTP Call Ring Buffer
+ *
+ * Stores the HTTP calls the application makes to other services, as reported
+ * by the HTTP client instrumentation. Each call is parented to the captured
+ * request that was being handled when it was made, so the dashboard can show
+ * the calls of one request as a waterfall.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+/**
+ * OutboundStorage Class
+ *
+ * Fixed-size ring buffer: inserting is O(1) and once the buffer is full the
+ * oldest call is overwritten.
+ *
+ * @class OutboundStorage
+ * @example
+ * const outbound = new OutboundStorage(2000);
+ * outbound.add({ id: 'out-1', parentId: 'req-123', method: 'GET', url: 'https://api.example.com/users' });
+ * const calls = outbound.getByParentId('req-123');
+ */
+class OutboundStorage {
+  /**
+   * Create an OutboundStorage instance
+   *
+   * @param {number} [maxCalls=2000] - Maximum number of calls to keep
+   */
+  constructor(maxCalls = 2000) {
+    /**
+     * Maximum number of calls to keep in memory
+     * @type {number}
+     * @private
+     */
+    this.maxCalls = maxCalls;
+
+    /**
+     * Backing array of the ring buffer
+     * @type {Object[]}
+     * @private
+     */
+    this.calls = new Array(maxCalls);
+
+    /**
+     * Index where the next call will be written
+     * @type {number}
+     * @private
+     */
+    this.nextIndex = 0;
+
+    /**
+     * Number of calls currently stored
+     * @type {number}
+     * @private
+     */
+    this.size = 0;
+  }
+
+  /**
+   * Add a call record, overwriting the oldest one when full
+   *
+   * @param {Object} call - Outgoing call record
+   * @param {string} call.id - Unique identifier for the call
+   * @param {string|null} call.parentId - Id of the captured request that made the call
+   * @returns {void}
+   */
+  add(call) {
+    this.calls[this.nextIndex] = call;
+    this.nextIndex = (this.nextIndex + 1) % this.maxCalls;
+    this.size = Math.min(this.size + 1, this.maxCalls);
+  }
+
+  /**
+   * Get all stored calls, oldest first
+   *
+   * @returns {Object[]} Array of call records in completion order
+   */
+  getAll() {
+    const result = [];
+    const start = (this.nextIndex - this.size + this.maxCalls) % this.maxCalls;
+
+    for (let i = 0; i < this.size; i++) {
+      result.push(this.calls[(start + i) % this.maxCalls]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get a call by id
+   *
+   * @param {string} id - Call identifier
+   * @returns {Object|undefined} Call record, if still stored
+   */
+  getById(id) {
+    return this.getAll().find(call => call.id === id);
+  }
+
+  /**
+   * Get the calls made while handling a request, in the order they started
+   *
+   * @param {string|null} parentId - Captured request identifier, or null for
+   *                                 calls made outside of any request
+   * @returns {Object[]} Matching call records
+   */
+  getByParentId(parentId) {
+    return this.getAll()
+      .filter(call => call.parentId === parentId)
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Remove all stored calls
+   *
+   * @returns {void}
+   */
+  clear() {
+    this.calls = new Array(this.maxCalls);
+    this.nextIndex = 0;
+    this.size = 0;
+  }
+}
+
+export default OutboundStorage;
@@ -0,0 +1,241 @@
+/**
+ * QueryStorage - In-Memory Database Query Ring Buffer
+ * 
+ * Stores database queries reported by the query recorder API and the bundled
+ * driver instrumentations. Each query is linked to the request that issued it,
+ * which makes per-request analysis possible: total database time, slow
+ * queries and N+1 patterns (the same statement repeated many times while
+ * handling one request).
+ * 
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+/**
+ * Round a duration to two decimals for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {number} Rounded duration
+ */
+const roundMs = (ms) => Math.round(ms * 100) / 100;
+
+/**
+ * QueryStorage Class
+ * 
+ * Fixed-size ring buffer: inserting is O(1) and once the buffer is full the
+ * oldest query is overwritten.
+ * 
+ * @class QueryStorage
+ * @example
+ * const queries = new QueryStorage(2000);
+ * queries.add({ id: 'q-1', sql: 'SELECT 1', durationMs: 2, requestId: 'req-123' });
+ * const summary = queries.analyzeRequest('req-123');
+ */
+class QueryStorage {
+  /**
+   * Create a QueryStorage instance
+   * 
+   * @param {number} [maxQueries=2000] - Maximum number of queries to keep
+   * @param {Object} [options={}] - Analysis settings
+   * @param {number} [options.nPlusOneThreshold=5] - Repetitions of one statement within a
+   *                                                 request that are reported as N+1
+   */
+  constructor(maxQueries = 2000, options = {}) {
+    /**
+     * Maximum number of queries to keep in memory
+     * @type {number}
+     * @private
+     */
+    this.maxQueries = maxQueries;
+
+    /**
+     * Repetitions of a statement within one request reported as N+1
+     * @type {number}
+     * @private
+     */
+    this.nPlusOneThreshold = options.nPlusOneThreshold || 5;
+
+    /**
+     * Backing array of the ring buffer
+     * @type {Object[]}
+     * @private
+     */
+    this.queries = new Array(maxQueries);
+
+    /**
+     * Index where the next query will be written
+     * @type {number}
+     * @private
+     */
+    this.nextIndex = 0;
+
+    /**
+     * Number of queries currently stored
+     * @type {number}
+     * @private
+     */
+    this.size = 0;
+  }
+
+  /**
+   * Add a query record, overwriting the oldest one when full
+   * 
+   * @param {Object} query - Query record
+   * @param {string} query.id - Unique identifier for the query
+   * @param {string} query.sql - SQL text as sent to the driver
+   * @param {number} query.durationMs - Execution time in milliseconds
+   * @param {string|null} query.requestId - Id of the request that issued the query
+   * @returns {void}
+   */
+  add(query) {
+    this.queries[this.nextIndex] = {
+      ...query,
+      fingerprint: QueryStorage.normalizeSql(query.sql)
+    };
+    this.nextIndex = (this.nextIndex + 1) % this.maxQueries;
+    this.size = Math.min(this.size + 1, this.maxQueries);
+  }
+
+  /**
+   * Get all stored queries, oldest first
+   * 
+   * @returns {Object[]} Array of query records in execution order
+   */
+  getAll() {
+    const result = [];
+    const start = (this.nextIndex - this.size + this.maxQueries) % this.maxQueries;
+
+    for (let i = 0; i < this.size; i++) {
+      result.push(this.queries[(start + i) % this.maxQueries]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the queries issued while handling a request
+   * 
+   * @param {string} requestId - Captured request identifier
+   * @returns {Object[]} Matching query records, oldest first
+   */
+  getByRequestId(requestId) {
+    return this.getAll().filter(query => query.requestId === requestId);
+  }
+
+  /**
+   * Summarize the queries of one request
+   * 
+   * @param {string} requestId - Captured request identifier
+   * @returns {Object} Summary
+   * @returns {number} returns.count - Number of queries
+   * @returns {number} returns.totalDuration - Total database time in milliseconds
+   * @returns {number} returns.slowCount - Number of queries flagged as slow
+   * @returns {Object[]} returns.nPlusOne - Repeated statements `{ fingerprint, count, totalDuration }`
+   */
+  analyzeRequest(requestId) {
+    return this._summarize(this.getByRequestId(requestId));
+  }
+
+  /**
+   * Summarize stored queries grouped by the request that issued them
+   * 
+   * Queries recorded outside of a request are grouped under a `null` request id.
+   * 
+   * @returns {Object[]} Per-request summaries, most recent request first
+   */
+  summarizeByRequest() {
+    const groups = new Map();
+
+    this.getAll().forEach(query => {
+      if (!groups.has(query.requestId)) {
+        groups.set(query.requestId, []);
+      }
+      groups.get(query.requestId).push(query);
+    });
+
+    return Array.from(groups.entries())
+      .map(([requestId, queries]) => ({
+        requestId,
+        method: queries[0].method,
+        path: queries[0].path,
+        ...this._summarize(queries)
+      }))
+      .reverse();
+  }
+
+  /**
+   * Remove all stored queries
+   * 
+   * @returns {void}
+   */
+  clear() {
+    this.queries = new Array(this.maxQueries);
+    this.nextIndex = 0;
+    this.size = 0;
+  }
+
+  /**
+   * Compute count, timing and N+1 information for a group of queries
+   * 
+   * @private
+   * @param {Object[]} queries - Queries issued by the same request
+   * @returns {Object} Summary (see analyzeRequest)
+   */
+  _summarize(queries) {
+    const byFingerprint = new Map();
+    let totalDuration = 0;
+    let slowCount = 0;
+
+    queries.forEach(query => {
+      totalDuration += query.durationMs || 0;
+      if (query.slow) {
+        slowCount++;
+      }
+
+      const group = byFingerprint.get(query.fingerprint) || { fingerprint: query.fingerprint, count: 0, totalDuration: 0 };
+      group.count++;
+      group.totalDuration += query.durationMs || 0;
+      byFingerprint.set(query.fingerprint, group);
+    });
+
+    // Queries outside of a request share no handler, so repetition means nothing there
+    const nPlusOne = queries.length > 0 && queries[0].requestId ?
+      Array.from(byFingerprint.values())
+        .filter(group => group.count >= this.nPlusOneThreshold)
+        .map(group => ({ ...group, totalDuration: roundMs(group.totalDuration) })) :
+      [];
+
+    return {
+      count: queries.length,
+      totalDuration: roundMs(totalDuration),
+      slowCount,
+      nPlusOne,
+      queries
+    };
+  }
+
+  /**
+   * Reduce a SQL statement to a fingerprint shared by queries that only differ
+   * in their literal values
+   * 
+   * @param {string} sql - SQL text
+   * @returns {string} Normalized statement
+   * 
+   * @example
+   * QueryStorage.normalizeSql("SELECT * FROM users WHERE id = 42");
+   * // 'select * from users where id = ?'
+   */
+  static normalizeSql(sql) {
+    return String(sql || '')
+      .replace(/'(?:[^']|'')*'/g, '?')
+      .replace(/\$\d+|(?<!:):\w+|@\w+/g, '?')
+      .replace(/\b\d+(\.\d+)?\b/g, '?')
+      .replace(/\(\s*\?(\s*,\s*\?)*\s*\)/g, '(?)')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+}
+
+export default QueryStorage;
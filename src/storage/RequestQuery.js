@@ -0,0 +1,389 @@
+/**
+ * RequestQuery - Search Language for Stored Requests
+ *
+ * Compiles the search box text of the dashboard and the `q` parameter of the
+ * REST API into predicates over stored requests:
+ *
+ * ```
+ * status:>=500 method:POST path:/api/* duration:>200ms header:x-tenant=acme timeout
+ * ```
+ *
+ * Terms are separated by spaces and must all hold. A term is `field:value`, or
+ * plain text searched in the URL, headers and bodies. A leading `-` negates a
+ * term, and double quotes keep spaces in a value (`header:"user-agent=/curl/"`).
+ * A term whose field is unknown, such as `user:bob` or a pasted `https://` URL,
+ * is searched as plain text.
+ *
+ * | Field       | Value                                                                  |
+ * |-------------|------------------------------------------------------------------------|
+ * | `method`    | Methods, comma-separated: `method:PUT,PATCH`                           |
+ * | `status`    | Codes, classes or comparisons, comma-separated: `status:404,5xx`, `status:>=400` |
+ * | `path`      | Regex literal, glob or substring (see `utils/patterns.js`)             |
+ * | `route`     | Route template: `route:/users/:id`                                     |
+ * | `duration`  | Response time, optionally compared, in `ms` (default) or `s`: `duration:>1.5s` |
+ * | `header`    | Request header: `header:x-tenant=acme`, `header:x-tenant=/^ac/`, or `header:x-tenant` for presence |
+ * | `resheader` | Response header, same syntax                                           |
+ * | `query`     | Query string parameter, same syntax                                    |
+ * | `trace`     | W3C trace id                                                           |
+ * | `from`/`to` | Capture time: epoch milliseconds, an ISO date, or an age such as `15m` |
+ *
+ * The filter criteria accepted by `RequestStorage.filter()` (`method`, `status`,
+ * `minResponseTime`, ...) compile to the same terms, so storage can answer both
+ * through its indexes.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import { compilePathPattern } from '../utils/patterns.js';
+import { compileRequestMatcher } from '../utils/requestMatcher.js';
+import { getRouteTemplate } from '../utils/routes.js';
+
+/**
+ * Width of the buckets of the capture time index, in milliseconds
+ * @type {number}
+ */
+export const TIME_BUCKET_MS = 60 * 1000;
+
+/**
+ * One term of a query: optional `-`, optional `field:`, and a value that may be quoted
+ * @type {RegExp}
+ */
+const TERM_PATTERN = /(-?)(?:([a-z]+):)?("(?:[^"\\]|\\.)*"|\S+)/gi;
+
+/**
+ * Comparison operator and operand
+ * @type {RegExp}
+ */
+const COMPARISON_PATTERN = /^(>=|<=|>|<|=)?(.+)$/;
+
+/**
+ * Relative age such as `15m`, for `from` and `to`
+ * @type {RegExp}
+ */
+const AGE_PATTERN = /^(\d+(?:\.\d+)?)(s|m|h|d)$/;
+
+/**
+ * Milliseconds per unit of an age or a duration
+ * @type {Object<string, number>}
+ */
+const UNIT_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Comparison functions by operator
+ * @type {Object<string, Function>}
+ */
+const COMPARE = {
+  '=': (a, b) => a === b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b
+};
+
+/**
+ * Compilers for each field, from the value text to a term
+ * A term has a `test(request)` predicate and, when storage can narrow the
+ * candidates with an index, an `index` naming it and the keys it `accepts`.
+ * @type {Object<string, Function>}
+ */
+const FIELDS = {
+  method(value) {
+    const methods = value.toUpperCase().split(',').map(method => method.trim()).filter(Boolean);
+    if (methods.length === 0) {
+      throw new Error('Invalid method: expected one or more methods');
+    }
+    const accepts = method => methods.includes(method);
+    return { test: req => accepts(String(req.method).toUpperCase()), index: { name: 'method', accepts } };
+  },
+
+  status(value) {
+    const tests = value.split(',').map(status => compileStatus(status.trim()));
+    const accepts = statusCode => tests.some(test => test(statusCode));
+    return { test: req => Boolean(req.response) && accepts(req.response.statusCode), index: { name: 'status', accepts } };
+  },
+
+  path(value) {
+    let pattern;
+    try {
+      pattern = compilePathPattern(value);
+    } catch (error) {
+      throw new Error(`Invalid path pattern: ${error.message}`);
+    }
+    return { test: req => pattern.test(req.path) };
+  },
+
+  route(value) {
+    const accepts = route => route === value;
+    return { test: req => accepts(getRouteTemplate(req)), index: { name: 'route', accepts } };
+  },
+
+  duration(value) {
+    const [, operator = '=', operand] = COMPARISON_PATTERN.exec(value);
+    const duration = /^(\d+(?:\.\d+)?)(ms|s)?$/.exec(operand);
+    if (!duration) {
+      throw new Error(`Invalid duration "${value}": expected milliseconds or seconds, such as >200ms or <=2s`);
+    }
+    const limit = Number(duration[1]) * UNIT_MS[duration[2] || 'ms'];
+    return { test: req => Boolean(req.response) && COMPARE[operator](req.response.responseTime || 0, limit) };
+  },
+
+  header: value => compileNameValue('header', value, req => req),
+
+  resheader: value => compileNameValue('resheader', value, req => req.response || {}),
+
+  query: value => compileNameValue('query', value, req => req),
+
+  trace(value) {
+    if (!/^[0-9a-f]{32}$/i.test(value)) {
+      throw new Error(`Invalid traceId: ${value}`);
+    }
+    const traceId = value.toLowerCase();
+    return { test: req => Boolean(req.trace) && req.trace.traceId === traceId };
+  },
+
+  from(value) {
+    const from = parseQueryTime('from', value);
+    return {
+      test: req => RequestQuery.getCapturedAt(req) >= from,
+      index: { name: 'time', accepts: bucket => bucket + TIME_BUCKET_MS > from }
+    };
+  },
+
+  to(value) {
+    const to = parseQueryTime('to', value);
+    return {
+      test: req => RequestQuery.getCapturedAt(req) <= to,
+      index: { name: 'time', accepts: bucket => bucket <= to }
+    };
+  },
+
+  text(value) {
+    const search = value.toLowerCase();
+    return { test: req => RequestQuery.matchesText(req, search) };
+  }
+};
+
+/**
+ * Compile one status: a code, a class such as `5xx`, or a comparison such as `>=500`
+ *
+ * @param {string} status - Status text
+ * @returns {Function} `(statusCode) => boolean`
+ * @throws {Error} If the status is invalid
+ */
+function compileStatus(status) {
+  const [, operator, operand] = COMPARISON_PATTERN.exec(status) || [];
+  if (!operator && /^[1-5]xx$/i.test(status)) {
+    return statusCode => RequestQuery.matchesStatus(statusCode, status.toLowerCase());
+  }
+  if (/^\d{3}$/.test(operand || '')) {
+    const code = Number(operand);
+    return statusCode => COMPARE[operator || '='](statusCode, code);
+  }
+  throw new Error(`Invalid status filter: ${status}`);
+}
+
+/**
+ * Compile a `name=value` or `name` term with the predicate syntax of `utils/requestMatcher.js`
+ *
+ * @param {string} field - `header`, `resheader` or `query`
+ * @param {string} value - Term value
+ * @param {Function} source - Selects the object whose `headers` or `query` are tested
+ * @returns {Object} Term
+ * @throws {Error} If the name is missing or the value is an invalid pattern
+ */
+function compileNameValue(field, value, source) {
+  const separator = value.indexOf('=');
+  const name = separator >= 0 ? value.slice(0, separator) : value;
+  if (!name) {
+    throw new Error(`Invalid ${field} filter "${value}": expected name=value or name`);
+  }
+
+  const key = field === 'query' ? 'query' : 'headers';
+  let matcher;
+  try {
+    matcher = compileRequestMatcher({ [key]: { [name]: separator >= 0 ? value.slice(separator + 1) : true } });
+  } catch (error) {
+    throw new Error(`Invalid ${field} filter: ${error.message}`);
+  }
+  return { test: req => matcher({ [key]: source(req)[key] }) };
+}
+
+/**
+ * Parse the time of a `from` or `to` term
+ *
+ * @param {string} field - `from` or `to`, for error messages
+ * @param {string} value - Epoch milliseconds, a date, or an age such as `15m`
+ * @returns {number} Epoch milliseconds
+ * @throws {Error} If the value is not a time
+ */
+function parseQueryTime(field, value) {
+  const age = AGE_PATTERN.exec(value);
+  const time = age ? Date.now() - Number(age[1]) * UNIT_MS[age[2]] : RequestQuery.parseTime(value);
+  if (isNaN(time)) {
+    throw new Error(`Invalid ${field} time: ${value}`);
+  }
+  return time;
+}
+
+/**
+ * RequestQuery Class
+ *
+ * @class RequestQuery
+ * @example
+ * const terms = RequestQuery.parse('status:5xx -method:GET duration:>1s');
+ * const slowFailures = requests.filter(req => RequestQuery.matches(req, terms));
+ */
+class RequestQuery {
+  /**
+   * Compile a query string into terms
+   *
+   * @param {string} [text=''] - Query (see the module documentation)
+   * @returns {Object[]} Terms, each with `field`, `negate`, `test` and an optional `index`
+   * @throws {Error} If the value of a field is invalid
+   */
+  static parse(text = '') {
+    const terms = [];
+    for (const [, minus, field, rawValue] of String(text).matchAll(TERM_PATTERN)) {
+      const value = rawValue.startsWith('"') && rawValue.length > 1 && rawValue.endsWith('"') ?
+        rawValue.slice(1, -1).replace(/\\(.)/g, '$1') :
+        rawValue;
+      const name = field ? field.toLowerCase() : 'text';
+
+      if (!Object.prototype.hasOwnProperty.call(FIELDS, name) || (field && name === 'text')) {
+        // Not a field of the language, so the text was meant literally
+        terms.push(RequestQuery.term('text', `${field}:${value}`, minus === '-'));
+        continue;
+      }
+      terms.push(RequestQuery.term(name, value, minus === '-'));
+    }
+    return terms;
+  }
+
+  /**
+   * Compile filter criteria, including a `q` query string, into terms
+   *
+   * @param {Object} [criteria={}] - Criteria accepted by `RequestStorage.filter()`
+   * @returns {Object[]} Terms
+   * @throws {Error} If a criterion is invalid
+   */
+  static fromCriteria(criteria = {}) {
+    const terms = [];
+    const add = (field, value) => terms.push(RequestQuery.term(field, value instanceof RegExp ? value : String(value), false));
+
+    if (criteria.method) add('method', criteria.method);
+    if (criteria.status) add('status', criteria.status);
+    if (criteria.path) add('path', criteria.path);
+    if (criteria.minResponseTime) add('duration', `>=${criteria.minResponseTime}`);
+    if (criteria.maxResponseTime) add('duration', `<=${criteria.maxResponseTime}`);
+    if (criteria.from) add('from', criteria.from);
+    if (criteria.to) add('to', criteria.to);
+    if (criteria.search) add('text', criteria.search);
+    if (criteria.traceId) add('trace', criteria.traceId);
+
+    return criteria.q ? terms.concat(RequestQuery.parse(criteria.q)) : terms;
+  }
+
+  /**
+   * Compile one term
+   *
+   * @param {string} field - Field name, or `text` for a full-text term
+   * @param {string|RegExp} value - Term value; only `path` accepts a RegExp
+   * @param {boolean} [negate=false] - Whether matching requests are excluded
+   * @returns {Object} Term
+   * @throws {Error} If the value is invalid
+   */
+  static term(field, value, negate = false) {
+    if (value === '') {
+      throw new Error(`Missing value for search field "${field}"`);
+    }
+    return { field, negate, ...FIELDS[field](value) };
+  }
+
+  /**
+   * Whether a request satisfies every term
+   *
+   * @param {Object} req - Stored request object
+   * @param {Object[]} terms - Terms from `parse()` or `fromCriteria()`
+   * @returns {boolean} True if the request matches
+   */
+  static matches(req, terms) {
+    return terms.every(term => term.test(req) !== term.negate);
+  }
+
+  /**
+   * Check a status code against an exact code or a class such as `4xx`
+   *
+   * @param {number} statusCode - Response status code
+   * @param {string} status - Exact code (`404`) or class (`4xx`)
+   * @returns {boolean} True if the status code matches
+   */
+  static matchesStatus(statusCode, status) {
+    const classMatch = /^([1-5])xx$/.exec(status);
+    if (classMatch) {
+      return Math.floor(statusCode / 100) === Number(classMatch[1]);
+    }
+    return String(statusCode) === status;
+  }
+
+  /**
+   * Full-text search in the URL, headers and bodies of a request
+   *
+   * @param {Object} req - Stored request object
+   * @param {string} search - Lower-cased text to find
+   * @returns {boolean} True if the text appears anywhere
+   */
+  static matchesText(req, search) {
+    const headerText = (headers) => Object.entries(headers || {})
+      .map(([name, value]) => `${name}: ${value}`)
+      .join('\n');
+
+    return [
+      req.url,
+      headerText(req.headers),
+      req.body,
+      req.response && headerText(req.response.headers),
+      req.response && req.response.bodyEncoding !== 'base64' ? req.response.body : ''
+    ].some(text => typeof text === 'string' && text.toLowerCase().includes(search));
+  }
+
+  /**
+   * Parse an epoch milliseconds value or a date string
+   *
+   * @param {number|string} value - Time value
+   * @returns {number} Epoch milliseconds (NaN if unparseable)
+   */
+  static parseTime(value) {
+    return /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  }
+
+  /**
+   * Get the capture time of a stored request
+   *
+   * @param {Object} requestData - Stored request object
+   * @returns {number} Epoch milliseconds when the request started
+   */
+  static getCapturedAt(requestData) {
+    return requestData.startTime || Date.parse(requestData.timestamp) || 0;
+  }
+
+  /**
+   * Index keys of a stored request
+   *
+   * @param {Object} req - Stored request object
+   * @returns {Object<string, string|number|undefined>} Key in the `method`, `status`, `route` and `time`
+   *          indexes; `status` is undefined for requests without a response
+   */
+  static indexKeys(req) {
+    return {
+      method: String(req.method).toUpperCase(),
+      status: req.response ? req.response.statusCode : undefined,
+      route: getRouteTemplate(req),
+      time: Math.floor(RequestQuery.getCapturedAt(req) / TIME_BUCKET_MS) * TIME_BUCKET_MS
+    };
+  }
+}
+
+export default RequestQuery;
@@ -2,24 +2,71 @@
  * RequestStorage - In-Memory HTTP Request Data Management
  * 
  * Provides efficient storage and retrieval of HTTP request/response data for monitoring.
- * Implements a circular buffer pattern to maintain memory efficiency by limiting
- * the maximum number of stored requests. Offers comprehensive filtering, pagination,
+ * Implements a ring buffer bounded by both the number of stored requests and
+ * their approximate size in memory. Offers comprehensive filtering, pagination,
  * and statistical analysis capabilities.
  * 
  * Features:
- * - Circular buffer with configurable size limits
+ * - Ring buffer with constant-time inserts and configurable count and byte limits
+ * - Bodies of the oldest requests are dropped before the requests themselves
  * - Real-time request/response data storage
  * - Advanced filtering by method, status, path, and response time
+ * - Query language for the dashboard search box and the `q` API parameter
+ * - Id, method, status, route and capture time indexes
  * - Pagination support for large datasets
  * - Statistical analysis and metrics calculation
  * - Memory-efficient data management
  * 
+ * Storage Interface:
+ * RequestStorage is the default, in-memory storage backend. Alternative
+ * backends (such as FileRequestStorage) implement the same methods -
+ * addRequest, getAll, getById, getPaginated, filter, clear, pruneOlderThan
+ * and getStats - and can be passed to FluxManager through `options.storage`.
+ * 
  * @author Flux Manager Team
  * @version 1.0.0
  * @license MIT
  * @since 1.0.0
  */
 
+import RequestQuery from './RequestQuery.js';
+import { getRouteTemplate } from '../utils/routes.js';
+import { summarizeDurations, toPercentage } from '../utils/statistics.js';
+
+/**
+ * Default approximate memory budget for stored requests, in bytes
+ * @type {number}
+ */
+export const DEFAULT_MAX_STORAGE_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Bytes counted for every object, array and primitive when estimating entry sizes
+ * @type {number}
+ */
+const VALUE_OVERHEAD_BYTES = 16;
+
+/**
+ * Sliding windows for throughput, in milliseconds
+ * @type {Object<string, number>}
+ */
+const THROUGHPUT_WINDOWS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000
+};
+
+/**
+ * Sort orders supported by `query()`
+ * Each entry reads the sort key from a request and sets the key direction.
+ * @type {Object<string, {key: Function, descending: boolean}>}
+ */
+const SORT_ORDERS = {
+  newest: { key: req => RequestStorage.getCapturedAt(req), descending: true },
+  oldest: { key: req => RequestStorage.getCapturedAt(req), descending: false },
+  slowest: { key: req => (req.response ? req.response.responseTime : 0), descending: true },
+  fastest: { key: req => (req.response ? req.response.responseTime : 0), descending: false }
+};
+
 /**
  * RequestStorage Class
  * 
@@ -38,38 +85,118 @@ class RequestStorage {
    * 
    * @param {number} [maxRequests=1000] - Maximum number of requests to store in memory
    *                                      When exceeded, oldest requests are removed (FIFO)
+   * @param {Object} [options={}] - Storage options
+   * @param {number} [options.maxBytes=67108864] - Approximate memory budget in bytes. When exceeded,
+   *                                               bodies of the oldest requests are dropped first,
+   *                                               then the oldest requests themselves
    * 
    * @example
    * // Default storage with 1000 request limit
    * const storage = new RequestStorage();
    * 
    * @example
-   * // Custom storage with 500 request limit
-   * const storage = new RequestStorage(500);
+   * // Custom storage with 500 request limit and a 16 MB budget
+   * const storage = new RequestStorage(500, { maxBytes: 16 * 1024 * 1024 });
    */
-  constructor(maxRequests = 1000) {
+  constructor(maxRequests = 1000, options = {}) {
+    /**
+     * Maximum number of requests to store in memory
+     * @type {number}
+     * @private
+     */
+    this.maxRequests = maxRequests;
+    
     /**
-     * Array storing HTTP request/response data objects
-     * Newest requests are at the beginning (index 0)
-     * @type {Object[]}
+     * Approximate memory budget for stored requests, in bytes
+     * @type {number}
      * @private
      */
-    this.requests = [];
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_STORAGE_BYTES;
     
     /**
-     * Maximum number of requests to store in memory
+     * Ring buffer slots holding stored requests, their estimated sizes and insertion order
+     * @type {Array<{request: Object, bytes: number, sequence: number}|undefined>}
+     * @private
+     */
+    this.slots = new Array(maxRequests);
+    
+    /**
+     * Slot the next request is written to
      * @type {number}
      * @private
      */
-    this.maxRequests = maxRequests;
+    this.head = 0;
+    
+    /**
+     * Number of stored requests
+     * @type {number}
+     * @private
+     */
+    this.size = 0;
+    
+    /**
+     * Estimated size of all stored requests, in bytes
+     * @type {number}
+     * @private
+     */
+    this.bytes = 0;
+    
+    /**
+     * Number of oldest requests whose bodies have already been dropped
+     * @type {number}
+     * @private
+     */
+    this.stripped = 0;
+    
+    /**
+     * Number of requests added so far, used to order index lookups newest first
+     * @type {number}
+     * @private
+     */
+    this.sequence = 0;
+    
+    /**
+     * Slots of the stored requests by id
+     * @type {Map<string, Object>}
+     * @private
+     */
+    this.byId = new Map();
+    
+    /**
+     * Ids of the stored requests by method, status code, route template and capture minute
+     * @type {{method: Map, status: Map, route: Map, time: Map}}
+     * @private
+     */
+    this.indexes = { method: new Map(), status: new Map(), route: new Map(), time: new Map() };
+    
+    /**
+     * Requests dropped so far to stay within the limits
+     * @type {{requests: number, bodies: number}}
+     * @private
+     */
+    this.evicted = { requests: 0, bodies: 0 };
+    
+    /**
+     * Stored requests newest first, rebuilt on the first read after a change
+     * @type {Object[]|null}
+     * @private
+     */
+    this.snapshot = null;
+    
+    /**
+     * Called with each request dropped by the count, byte or age limits; not called by `clear()`
+     * @type {Function|null}
+     */
+    this.onEvict = null;
   }
 
   /**
    * Add a new HTTP request/response data object to storage
    * 
-   * Implements a FIFO (First In, First Out) circular buffer pattern.
-   * New requests are added to the beginning of the array, and when the
-   * maximum limit is exceeded, the oldest requests are automatically removed.
+   * Implements a FIFO (First In, First Out) ring buffer: when the buffer is
+   * full the new request takes the slot of the oldest one. If the memory
+   * budget is then exceeded, the bodies of the oldest requests are dropped,
+   * and after that the oldest requests themselves.
    * 
    * @param {Object} requestData - HTTP request/response data object
    * @param {string} requestData.id - Unique identifier for the request
@@ -93,20 +220,54 @@ class RequestStorage {
    * });
    */
   addRequest(requestData) {
-    // Add to beginning for latest-first ordering
-    this.requests.unshift(requestData);
-    
-    // Maintain memory efficiency by enforcing maximum request limit
-    if (this.requests.length > this.maxRequests) {
-      this.requests = this.requests.slice(0, this.maxRequests);
+    // A full buffer overwrites its oldest request
+    if (this.size === this.maxRequests) {
+      this._removeOldest();
+    }
+
+    const slot = { request: requestData, bytes: RequestStorage.estimateSize(requestData), sequence: this.sequence++ };
+    this.slots[this.head] = slot;
+    this.head = (this.head + 1) % this.maxRequests;
+    this.size++;
+    this.bytes += slot.bytes;
+    this._index(slot);
+    this.snapshot = null;
+
+    this._enforceByteBudget();
+  }
+
+  /**
+   * Add requests captured at any time, such as an imported session
+   * 
+   * Listing, cursors, `pruneOlderThan()` and eviction rely on requests being
+   * stored in capture order. Requests newer than every stored one are simply
+   * appended; otherwise the buffer is rebuilt with all requests in capture
+   * order, and the oldest are evicted as usual.
+   * 
+   * @param {Object[]} requests - Requests to add, in any order
+   * @returns {void}
+   */
+  addRequests(requests) {
+    const byCaptureTime = (a, b) => RequestStorage.getCapturedAt(a) - RequestStorage.getCapturedAt(b);
+    const incoming = requests.slice().sort(byCaptureTime);
+    const newest = this.size > 0 ? RequestStorage.getCapturedAt(this._slotAt(0).request) : -Infinity;
+
+    if (incoming.length === 0 || RequestStorage.getCapturedAt(incoming[0]) >= newest) {
+      incoming.forEach(request => this.addRequest(request));
+      return;
     }
+
+    const merged = this.getAll().slice().reverse().concat(incoming).sort(byCaptureTime);
+    this.clear();
+    merged.forEach(request => this.addRequest(request));
   }
 
   /**
    * Get all stored HTTP request data
    * 
    * Returns the complete array of stored request/response objects,
-   * ordered with the most recent requests first.
+   * ordered with the most recent requests first. The array is shared
+   * until the next change to the storage and must not be modified.
    * 
    * @returns {Object[]} Array of all stored request objects
    * 
@@ -115,7 +276,13 @@ class RequestStorage {
    * console.log(`Total requests: ${allRequests.length}`);
    */
   getAll() {
-    return this.requests;
+    if (!this.snapshot) {
+      this.snapshot = new Array(this.size);
+      for (let index = 0; index < this.size; index++) {
+        this.snapshot[index] = this._slotAt(index).request;
+      }
+    }
+    return this.snapshot;
   }
 
   /**
@@ -131,7 +298,8 @@ class RequestStorage {
    * }
    */
   getById(id) {
-    return this.requests.find(req => req.id === id);
+    const slot = this.byId.get(id);
+    return slot && slot.request;
   }
 
   /**
@@ -161,13 +329,14 @@ class RequestStorage {
   getPaginated(page = 1, limit = 50) {
     const startIndex = (page - 1) * limit;
     const endIndex = startIndex + limit;
+    const requests = this.getAll();
     
     return {
-      requests: this.requests.slice(startIndex, endIndex),
-      total: this.requests.length,
+      requests: requests.slice(startIndex, endIndex),
+      total: requests.length,
       page: page,
       limit: limit,
-      totalPages: Math.ceil(this.requests.length / limit)
+      totalPages: Math.ceil(requests.length / limit)
     };
   }
 
@@ -175,16 +344,25 @@ class RequestStorage {
    * Filter HTTP requests by multiple criteria
    * 
    * Provides advanced filtering capabilities to search and filter requests
-   * based on HTTP method, status code, path patterns, and response time ranges.
+   * based on HTTP method, status code, path patterns, response time ranges,
+   * capture time and full-text search in headers and bodies.
    * All criteria are applied using AND logic (all conditions must match).
+   * Method, status, route and time conditions are looked up in the indexes,
+   * so only the requests they select are scanned.
    * 
    * @param {Object} [criteria={}] - Filter criteria object
-   * @param {string} [criteria.method] - HTTP method to filter by (case-insensitive)
-   * @param {string|number} [criteria.status] - HTTP status code to filter by
-   * @param {string} [criteria.path] - Path substring to search for (case-sensitive)
+   * @param {string} [criteria.method] - HTTP method(s) to filter by, comma-separated (case-insensitive)
+   * @param {string|number} [criteria.status] - Status code(s) or classes such as `4xx`, comma-separated
+   * @param {string|RegExp} [criteria.path] - Path substring, glob (`/api/*`) or regex literal (`/^\/api/`)
    * @param {number} [criteria.minResponseTime] - Minimum response time in milliseconds
    * @param {number} [criteria.maxResponseTime] - Maximum response time in milliseconds
+   * @param {number|string} [criteria.from] - Earliest capture time (epoch milliseconds or ISO date)
+   * @param {number|string} [criteria.to] - Latest capture time (epoch milliseconds or ISO date)
+   * @param {string} [criteria.search] - Case-insensitive text to find in the URL, headers or bodies
+   * @param {string} [criteria.traceId] - W3C trace id shared by the requests of one distributed trace
+   * @param {string} [criteria.q] - Query such as `status:>=500 path:/api/* duration:>200ms` (see RequestQuery.js)
    * @returns {Object[]} Array of filtered request objects
+   * @throws {Error} If a criterion or the query is invalid
    * 
    * @example
    * // Filter POST requests with 200 status
@@ -198,43 +376,171 @@ class RequestStorage {
    * });
    * 
    * @example
-   * // Filter error responses
-   * const errorRequests = storage.filter({ status: 500 });
+   * // Filter server errors on any versioned endpoint
+   * const errorRequests = storage.filter({ status: '5xx', path: '/api/**' });
+   * 
+   * @example
+   * // The same with the query language, for one tenant
+   * const tenantErrors = storage.filter({ q: 'status:5xx path:/api/** header:x-tenant=acme' });
    */
   filter(criteria = {}) {
-    let filtered = this.requests;
+    const terms = RequestQuery.fromCriteria(criteria);
+    const candidates = this._lookup(terms) || this.getAll();
+    return terms.length > 0 ? candidates.filter(req => RequestQuery.matches(req, terms)) : candidates;
+  }
 
-    if (criteria.method) {
-      filtered = filtered.filter(req => 
-        req.method.toLowerCase() === criteria.method.toLowerCase()
-      );
-    }
+  /**
+   * Filter, sort and paginate HTTP requests with a cursor
+   * 
+   * Cursor pagination stays stable while new requests are captured: the cursor
+   * points after the last request of the previous page instead of at an offset.
+   * 
+   * @param {Object} [criteria={}] - Filter criteria (see `filter()`)
+   * @param {Object} [options={}] - Pagination options
+   * @param {string} [options.cursor] - `nextCursor` returned by the previous page
+   * @param {number} [options.limit=50] - Number of requests per page (1-1000)
+   * @param {string} [options.sort='newest'] - newest, oldest, slowest or fastest
+   * @returns {Object} Page of results
+   * @returns {Object[]} returns.requests - Requests on this page
+   * @returns {number} returns.total - Number of requests matching the criteria
+   * @returns {string|null} returns.nextCursor - Cursor for the next page, null on the last page
+   * 
+   * @example
+   * let page = storage.query({ status: '5xx' }, { limit: 20 });
+   * while (page.nextCursor) {
+   *   page = storage.query({ status: '5xx' }, { limit: 20, cursor: page.nextCursor });
+   * }
+   */
+  query(criteria = {}, options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 1000);
+    const order = SORT_ORDERS[options.sort] || SORT_ORDERS.newest;
+    let results = this.filter(criteria);
 
-    if (criteria.status) {
-      filtered = filtered.filter(req => 
-        req.response && req.response.statusCode.toString() === criteria.status.toString()
-      );
+    // Requests are stored newest first, so only other orders need sorting
+    if (order !== SORT_ORDERS.newest) {
+      const direction = order.descending ? -1 : 1;
+      results = results.slice().sort((a, b) => (order.key(a) - order.key(b)) * direction);
     }
 
-    if (criteria.path) {
-      filtered = filtered.filter(req => 
-        req.path.includes(criteria.path)
-      );
+    let start = 0;
+    if (options.cursor) {
+      const cursor = RequestStorage.decodeCursor(options.cursor);
+      const index = results.findIndex(req => req.id === cursor.id);
+
+      if (index >= 0) {
+        start = index + 1;
+      } else {
+        // The cursor request was evicted; continue after its sort key instead
+        const next = results.findIndex(req => 
+          order.descending ? order.key(req) < cursor.key : order.key(req) > cursor.key
+        );
+        start = next >= 0 ? next : results.length;
+      }
     }
 
-    if (criteria.minResponseTime) {
-      filtered = filtered.filter(req => 
-        req.response && req.response.responseTime >= criteria.minResponseTime
-      );
+    const requests = results.slice(start, start + limit);
+    const last = requests[requests.length - 1];
+
+    return {
+      requests,
+      total: results.length,
+      nextCursor: last && start + limit < results.length ?
+        RequestStorage.encodeCursor({ id: last.id, key: order.key(last) }) :
+        null
+    };
+  }
+
+  /**
+   * Check a status code against an exact code or a class such as `4xx`
+   * 
+   * @param {number} statusCode - Response status code
+   * @param {string} status - Exact code (`404`) or class (`4xx`)
+   * @returns {boolean} True if the status code matches
+   */
+  static matchesStatus(statusCode, status) {
+    return RequestQuery.matchesStatus(statusCode, status);
+  }
+
+  /**
+   * Full-text search in the URL, headers and bodies of a request
+   * 
+   * @param {Object} req - Stored request object
+   * @param {string} search - Lower-cased text to find
+   * @returns {boolean} True if the text appears anywhere
+   */
+  static matchesText(req, search) {
+    return RequestQuery.matchesText(req, search);
+  }
+
+  /**
+   * Parse an epoch milliseconds value or a date string
+   * 
+   * @param {number|string} value - Time value
+   * @returns {number} Epoch milliseconds (NaN if unparseable)
+   */
+  static parseTime(value) {
+    return RequestQuery.parseTime(value);
+  }
+
+  /**
+   * Encode a pagination cursor
+   * 
+   * @param {Object} cursor - Cursor data `{ id, key }`
+   * @returns {string} Opaque, URL-safe cursor string
+   */
+  static encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+  }
+
+  /**
+   * Decode a pagination cursor
+   * 
+   * @param {string} cursor - Cursor string from `encodeCursor`
+   * @returns {Object} Cursor data `{ id, key }`
+   * @throws {Error} If the cursor is malformed
+   */
+  static decodeCursor(cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (decoded && typeof decoded === 'object') {
+        return decoded;
+      }
+    } catch (error) {
+      // Reported below
     }
+    throw new Error('Invalid cursor');
+  }
 
-    if (criteria.maxResponseTime) {
-      filtered = filtered.filter(req => 
-        req.response && req.response.responseTime <= criteria.maxResponseTime
-      );
+  /**
+   * Remove requests captured before a point in time
+   * 
+   * Used for age-based retention. Requests are stored in capture order, so
+   * expired entries are always the oldest ones.
+   * 
+   * @param {number} cutoff - Epoch milliseconds; older requests are removed
+   * @returns {number} Number of removed requests
+   * 
+   * @example
+   * // Keep only the last hour of traffic
+   * storage.pruneOlderThan(Date.now() - 60 * 60 * 1000);
+   */
+  pruneOlderThan(cutoff) {
+    let removed = 0;
+    while (this.size > 0 && RequestStorage.getCapturedAt(this._slotAt(this.size - 1).request) < cutoff) {
+      this._removeOldest();
+      removed++;
     }
+    return removed;
+  }
 
-    return filtered;
+  /**
+   * Get the capture time of a stored request
+   * 
+   * @param {Object} requestData - Stored request object
+   * @returns {number} Epoch milliseconds when the request started
+   */
+  static getCapturedAt(requestData) {
+    return RequestQuery.getCapturedAt(requestData);
   }
 
   /**
@@ -251,43 +557,284 @@ class RequestStorage {
    * console.log(`Requests after clear: ${storage.getAll().length}`); // 0
    */
   clear() {
-    this.requests = [];
+    this.slots = new Array(this.maxRequests);
+    this.head = 0;
+    this.size = 0;
+    this.bytes = 0;
+    this.stripped = 0;
+    this.byId.clear();
+    Object.values(this.indexes).forEach(index => index.clear());
+    this.snapshot = null;
+  }
+
+  /**
+   * Approximate memory used by the stored requests
+   * 
+   * @returns {Object} Memory usage
+   * @returns {number} returns.bytes - Estimated size of the stored requests
+   * @returns {number} returns.maxBytes - Memory budget
+   * @returns {number} returns.requests - Number of stored requests
+   * @returns {number} returns.maxRequests - Maximum number of stored requests
+   * @returns {number} returns.withoutBodies - Stored requests whose bodies were dropped for the budget
+   * @returns {Object} returns.evicted - Bodies and requests dropped since startup to stay within the limits
+   * 
+   * @example
+   * const { bytes, maxBytes } = storage.getMemoryUsage();
+   * console.log(`${Math.round(bytes / maxBytes * 100)}% of the request storage budget in use`);
+   */
+  getMemoryUsage() {
+    return {
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      requests: this.size,
+      maxRequests: this.maxRequests,
+      withoutBodies: this.getAll().filter(req => req.bodiesDropped).length,
+      evicted: { ...this.evicted }
+    };
+  }
+
+  /**
+   * Estimate how much memory a value takes
+   * 
+   * Counts one byte per string character and a fixed overhead per value; close
+   * enough to keep the storage within its budget without serializing entries.
+   * 
+   * @param {*} value - Stored request or any part of it
+   * @returns {number} Approximate size in bytes
+   */
+  static estimateSize(value) {
+    if (typeof value === 'string') {
+      return VALUE_OVERHEAD_BYTES + value.length;
+    }
+    if (!value || typeof value !== 'object') {
+      return VALUE_OVERHEAD_BYTES;
+    }
+
+    let bytes = VALUE_OVERHEAD_BYTES;
+    if (Array.isArray(value)) {
+      value.forEach(item => {
+        bytes += RequestStorage.estimateSize(item);
+      });
+    } else {
+      Object.keys(value).forEach(key => {
+        bytes += key.length + RequestStorage.estimateSize(value[key]);
+      });
+    }
+    return bytes;
+  }
+
+  /**
+   * Copy of a stored request without its request and response bodies
+   * 
+   * @param {Object} requestData - Stored request object
+   * @returns {Object} Request flagged with `bodiesDropped`
+   */
+  static withoutBodies(requestData) {
+    const stripped = { ...requestData, body: '', bodiesDropped: true };
+    if (requestData.response) {
+      stripped.response = { ...requestData.response, body: '' };
+    }
+    return stripped;
+  }
+
+  /**
+   * Slot of the request at a position, newest first
+   * 
+   * @private
+   * @param {number} index - Position, 0 for the newest request
+   * @returns {{request: Object, bytes: number}} Slot
+   */
+  _slotAt(index) {
+    return this.slots[(this.head - 1 - index + this.maxRequests) % this.maxRequests];
+  }
+
+  /**
+   * Add a slot to the id map and the secondary indexes
+   * 
+   * @private
+   * @param {Object} slot - Ring buffer slot
+   * @returns {void}
+   */
+  _index(slot) {
+    const { id } = slot.request;
+    const previous = this.byId.get(id);
+    if (previous) {
+      // Only the newest request with an id can be looked up
+      this._unindex(previous);
+    }
+
+    this.byId.set(id, slot);
+    Object.entries(RequestQuery.indexKeys(slot.request)).forEach(([name, key]) => {
+      if (key === undefined) {
+        return;
+      }
+      const index = this.indexes[name];
+      if (!index.has(key)) {
+        index.set(key, new Set());
+      }
+      index.get(key).add(id);
+    });
+  }
+
+  /**
+   * Remove a slot from the id map and the secondary indexes
+   * 
+   * @private
+   * @param {Object} slot - Ring buffer slot
+   * @returns {void}
+   */
+  _unindex(slot) {
+    const { id } = slot.request;
+    if (this.byId.get(id) !== slot) {
+      return;
+    }
+
+    this.byId.delete(id);
+    Object.entries(RequestQuery.indexKeys(slot.request)).forEach(([name, key]) => {
+      const ids = this.indexes[name].get(key);
+      if (ids) {
+        ids.delete(id);
+        if (ids.size === 0) {
+          this.indexes[name].delete(key);
+        }
+      }
+    });
+  }
+
+  /**
+   * Narrow the requests a query has to test with the secondary indexes
+   * 
+   * Uses the indexed term with the fewest candidates; every term is still
+   * tested on them afterwards.
+   * 
+   * @private
+   * @param {Object[]} terms - Compiled query terms
+   * @returns {Object[]|null} Candidate requests newest first, or null if no term is indexed
+   */
+  _lookup(terms) {
+    let best = null;
+
+    terms.forEach(term => {
+      if (!term.index || term.negate) {
+        return;
+      }
+      const ids = [];
+      this.indexes[term.index.name].forEach((keyIds, key) => {
+        if (term.index.accepts(key)) {
+          keyIds.forEach(id => ids.push(id));
+        }
+      });
+      if (!best || ids.length < best.length) {
+        best = ids;
+      }
+    });
+
+    return best && best
+      .map(id => this.byId.get(id))
+      .sort((a, b) => b.sequence - a.sequence)
+      .map(slot => slot.request);
+  }
+
+  /**
+   * Remove the oldest stored request
+   * 
+   * @private
+   * @returns {void}
+   */
+  _removeOldest() {
+    const position = (this.head - this.size + this.maxRequests) % this.maxRequests;
+    const slot = this.slots[position];
+
+    this.slots[position] = undefined;
+    this.size--;
+    this.bytes -= slot.bytes;
+    this.stripped = Math.max(this.stripped - 1, 0);
+    this.evicted.requests++;
+    this._unindex(slot);
+    this.snapshot = null;
+
+    if (this.onEvict) {
+      this.onEvict(slot.request);
+    }
+  }
+
+  /**
+   * Drop bodies, then requests, oldest first, until the memory budget is met
+   * 
+   * @private
+   * @returns {void}
+   */
+  _enforceByteBudget() {
+    while (this.bytes > this.maxBytes && this.stripped < this.size) {
+      const slot = this._slotAt(this.size - 1 - this.stripped);
+      this.stripped++;
+
+      if (slot.request.bodiesDropped || (!slot.request.body && !(slot.request.response && slot.request.response.body))) {
+        continue;
+      }
+
+      const stripped = RequestStorage.withoutBodies(slot.request);
+      const bytes = RequestStorage.estimateSize(stripped);
+      this.bytes -= slot.bytes - bytes;
+      slot.request = stripped;
+      slot.bytes = bytes;
+      this.evicted.bodies++;
+      this.snapshot = null;
+    }
+
+    // Keep the newest request even if it alone exceeds the budget
+    while (this.bytes > this.maxBytes && this.size > 1) {
+      this._removeOldest();
+    }
   }
 
   /**
    * Generate comprehensive statistics from stored HTTP request data
    * 
    * Analyzes all stored requests to provide detailed metrics including
-   * request counts by method and status code, and average response times.
-   * This method is useful for monitoring application performance and usage patterns.
+   * request counts by method and status code, latency percentiles, throughput
+   * and error rates, overall and per route. Routes are grouped by method and
+   * route template, so `/users/123` and `/users/456` count as `GET /users/:id`.
+   * 
+   * Throughput windows only see stored requests; once the buffer starts
+   * evicting, windows longer than the buffer's time span under-count.
    * 
    * @returns {Object} Statistics object containing comprehensive metrics
    * @returns {number} returns.total - Total number of stored requests
    * @returns {Object} returns.methods - Count of requests by HTTP method (GET, POST, etc.)
    * @returns {Object} returns.statusCodes - Count of responses by HTTP status code
    * @returns {number} returns.averageResponseTime - Average response time in milliseconds
+   * @returns {Object} returns.responseTime - `count`, `min`, `max`, `avg`, `p50`, `p90`, `p95` and `p99` in milliseconds
+   * @returns {Object} returns.throughput - Requests per second over the last `1m`, `5m` and `15m`
+   * @returns {Object} returns.statusClasses - Count of responses by status class (`2xx`, `4xx`, ...)
+   * @returns {Object} returns.errorRates - Percentage of responses that are `4xx`, `5xx`, or either (`total`)
+   * @returns {Object[]} returns.routes - The same metrics per route, busiest first, with
+   *                                     `route`, `method` and `path` (the route template)
+   * @returns {Object} returns.memory - Approximate memory usage (see `getMemoryUsage()`)
    * 
    * @example
    * const stats = storage.getStats();
    * console.log(`Total requests: ${stats.total}`);
    * console.log(`GET requests: ${stats.methods.GET || 0}`);
-   * console.log(`Average response time: ${stats.averageResponseTime}ms`);
+   * console.log(`p95 response time: ${stats.responseTime.p95}ms`);
    * 
    * @example
-   * // Monitor error rates
+   * // Find the slowest route
    * const stats = storage.getStats();
-   * const errorCount = (stats.statusCodes['500'] || 0) + (stats.statusCodes['404'] || 0);
-   * const errorRate = (errorCount / stats.total) * 100;
-   * console.log(`Error rate: ${errorRate.toFixed(2)}%`);
+   * const slowest = [...stats.routes].sort((a, b) => b.responseTime.p99 - a.responseTime.p99)[0];
+   * console.log(`${slowest.route}: p99 ${slowest.responseTime.p99}ms, ${slowest.errorRates.total}% errors`);
    */
   getStats() {
-    const total = this.requests.length;
+    const now = Date.now();
+    const requests = this.getAll();
+    const total = requests.length;
     const methods = {};
     const statusCodes = {};
+    const routes = new Map();
     let totalResponseTime = 0;
     let validResponseTimes = 0;
 
-    this.requests.forEach(req => {
+    requests.forEach(req => {
       // Count methods
       methods[req.method] = (methods[req.method] || 0) + 1;
       
@@ -302,13 +849,71 @@ class RequestStorage {
           validResponseTimes++;
         }
       }
+
+      // Group by method and route template
+      const path = getRouteTemplate(req);
+      const key = `${req.method} ${path}`;
+      if (!routes.has(key)) {
+        routes.set(key, { route: key, method: req.method, path, requests: [] });
+      }
+      routes.get(key).requests.push(req);
     });
 
+    // The overall count is already reported as `total`
+    const { count, ...overall } = RequestStorage.summarize(requests, now);
+
     return {
       total,
       methods,
       statusCodes,
-      averageResponseTime: validResponseTimes > 0 ? Math.round(totalResponseTime / validResponseTimes) : 0
+      averageResponseTime: validResponseTimes > 0 ? Math.round(totalResponseTime / validResponseTimes) : 0,
+      ...overall,
+      routes: [...routes.values()]
+        .map(({ requests, ...route }) => ({ ...route, ...RequestStorage.summarize(requests, now) }))
+        .sort((a, b) => b.count - a.count || a.route.localeCompare(b.route)),
+      memory: this.getMemoryUsage()
+    };
+  }
+
+  /**
+   * Latency, throughput and error rates of a group of requests
+   * 
+   * @param {Object[]} requests - Stored requests
+   * @param {number} now - Current time in milliseconds, the end of every throughput window
+   * @returns {Object} `count`, `responseTime`, `throughput`, `statusClasses` and `errorRates`
+   */
+  static summarize(requests, now) {
+    const responseTimes = [];
+    const statusClasses = {};
+    const throughput = {};
+
+    requests.forEach(req => {
+      if (req.response) {
+        responseTimes.push(req.response.responseTime || 0);
+        const statusClass = `${Math.floor(req.response.statusCode / 100)}xx`;
+        statusClasses[statusClass] = (statusClasses[statusClass] || 0) + 1;
+      }
+    });
+
+    Object.entries(THROUGHPUT_WINDOWS).forEach(([name, duration]) => {
+      const count = requests.filter(req => RequestStorage.getCapturedAt(req) > now - duration).length;
+      throughput[name] = Math.round((count / (duration / 1000)) * 1000) / 1000;
+    });
+
+    const completed = responseTimes.length;
+    const clientErrors = statusClasses['4xx'] || 0;
+    const serverErrors = statusClasses['5xx'] || 0;
+
+    return {
+      count: requests.length,
+      responseTime: summarizeDurations(responseTimes),
+      throughput,
+      statusClasses,
+      errorRates: {
+        '4xx': toPercentage(clientErrors, completed),
+        '5xx': toPercentage(serverErrors, completed),
+        total: toPercentage(clientErrors + serverErrors, completed)
+      }
     };
   }
 }
@@ -0,0 +1,352 @@
+/**
+ * OtlpExporter - Export Captured Requests as OpenTelemetry Spans
+ *
+ * Converts each captured request into an OTLP server span and sends batches
+ * to a collector over OTLP/HTTP with JSON encoding, so FluxManager's captures
+ * show up next to the rest of a distributed trace in Jaeger, Tempo, Honeycomb
+ * or any other OTLP backend.
+ *
+ * Spans are sent in the background: a batch goes out when it is full or when
+ * the flush interval elapses. A failed export is reported once per failure
+ * streak and dropped; capture never waits for the collector.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ * @see https://opentelemetry.io/docs/specs/otlp/#otlphttp
+ */
+
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import { UNTRACKED_REQUEST } from '../instrumentation/HttpClientInstrumentation.js';
+
+/**
+ * Package metadata reported as the instrumentation scope
+ * @type {{name: string, version: string}}
+ */
+const PACKAGE = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+/**
+ * OTLP span kind for a request handled by this process
+ * @type {number}
+ */
+const SPAN_KIND_SERVER = 2;
+
+/**
+ * OTLP status code for a failed span
+ * @type {number}
+ */
+const STATUS_CODE_ERROR = 2;
+
+/**
+ * Convert milliseconds since the epoch to the nanosecond string OTLP expects
+ *
+ * @param {number} milliseconds - Time in milliseconds
+ * @returns {string} Nanoseconds since the epoch
+ */
+function toUnixNano(milliseconds) {
+  return (BigInt(Math.round(milliseconds)) * 1000000n).toString();
+}
+
+/**
+ * Build an OTLP key/value attribute
+ *
+ * @param {string} key - Attribute name
+ * @param {string|number} value - Attribute value
+ * @returns {Object} OTLP attribute
+ */
+function attribute(key, value) {
+  return {
+    key,
+    value: typeof value === 'number' ? { intValue: value } : { stringValue: String(value) }
+  };
+}
+
+/**
+ * OtlpExporter Class
+ *
+ * @class OtlpExporter
+ * @example
+ * const exporter = new OtlpExporter({ url: 'http://localhost:4318/v1/traces', serviceName: 'orders-api' });
+ * exporter.export(capturedRequest);
+ * await exporter.flush();
+ */
+class OtlpExporter {
+  /**
+   * Create an OtlpExporter instance
+   *
+   * @param {Object} [options={}] - Exporter options
+   * @param {string} [options.url='http://localhost:4318/v1/traces'] - OTLP/HTTP traces endpoint
+   * @param {Object} [options.headers] - Extra request headers, e.g. an API key
+   * @param {string} [options.serviceName] - `service.name` resource attribute (defaults to the package name)
+   * @param {Object} [options.resource] - Additional resource attributes
+   * @param {number} [options.batchSize=50] - Spans per export request
+   * @param {number} [options.flushInterval=5000] - Milliseconds before a partial batch is sent
+   * @param {number} [options.maxQueueSize=2048] - Spans kept while the collector is slow; newer spans are dropped
+   * @param {number} [options.timeout=10000] - Milliseconds to wait for the collector
+   */
+  constructor(options = {}) {
+    /**
+     * Traces endpoint
+     * @type {URL}
+     * @private
+     */
+    this.url = new URL(options.url || 'http://localhost:4318/v1/traces');
+
+    /**
+     * Extra request headers
+     * @type {Object}
+     * @private
+     */
+    this.headers = options.headers || {};
+
+    /**
+     * Resource attributes describing the monitored service
+     * @type {Object[]}
+     * @private
+     */
+    this.resourceAttributes = Object.entries({
+      'service.name': options.serviceName || process.env.OTEL_SERVICE_NAME || PACKAGE.name,
+      ...options.resource
+    }).map(([key, value]) => attribute(key, value));
+
+    /**
+     * Spans per export request
+     * @type {number}
+     * @private
+     */
+    this.batchSize = options.batchSize || 50;
+
+    /**
+     * Milliseconds before a partial batch is sent
+     * @type {number}
+     * @private
+     */
+    this.flushInterval = options.flushInterval || 5000;
+
+    /**
+     * Maximum number of queued spans
+     * @type {number}
+     * @private
+     */
+    this.maxQueueSize = options.maxQueueSize || 2048;
+
+    /**
+     * Milliseconds to wait for the collector
+     * @type {number}
+     * @private
+     */
+    this.timeout = options.timeout || 10000;
+
+    /**
+     * Spans waiting to be sent
+     * @type {Object[]}
+     * @private
+     */
+    this.queue = [];
+
+    /**
+     * Pending flush timer
+     * @type {NodeJS.Timeout|null}
+     * @private
+     */
+    this.timer = null;
+
+    /**
+     * Exports in flight
+     * @type {Set<Promise>}
+     * @private
+     */
+    this.inFlight = new Set();
+
+    /**
+     * Whether the last export failed, so a failure streak is only reported once
+     * @type {boolean}
+     * @private
+     */
+    this.failing = false;
+  }
+
+  /**
+   * Queue a captured request for export
+   * Requests whose caller did not sample the trace are skipped.
+   *
+   * @param {Object} request - Captured request with a `trace` context
+   * @returns {boolean} True if the span was queued
+   */
+  export(request) {
+    if (!request.trace || !request.trace.sampled || this.queue.length >= this.maxQueueSize) {
+      return false;
+    }
+
+    this.queue.push(OtlpExporter.toSpan(request));
+
+    if (this.queue.length >= this.batchSize) {
+      this._send();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this._send(), this.flushInterval);
+      this.timer.unref();
+    }
+
+    return true;
+  }
+
+  /**
+   * Send every queued span and wait for all exports to finish
+   *
+   * @returns {Promise<void>} Resolves when the collector has answered or failed
+   */
+  async flush() {
+    while (this.queue.length > 0) {
+      this._send();
+    }
+    await Promise.all([...this.inFlight]);
+  }
+
+  /**
+   * Convert a captured request to an OTLP span
+   *
+   * @param {Object} request - Captured request with a `trace` context
+   * @returns {Object} OTLP span
+   */
+  static toSpan(request) {
+    const response = request.response || {};
+    const startTime = request.startTime || Date.parse(request.timestamp);
+    const [path, query] = String(request.url || request.path).split(/\?(.*)/s);
+    const route = request.route || null;
+    const attributes = [
+      attribute('http.request.method', request.method),
+      attribute('url.path', path),
+      attribute('url.scheme', String((request.headers || {})['x-forwarded-proto'] || 'http').split(',')[0].trim())
+    ];
+
+    if (query) {
+      attributes.push(attribute('url.query', query));
+    }
+    if (route) {
+      attributes.push(attribute('http.route', route));
+    }
+    if (response.statusCode) {
+      attributes.push(attribute('http.response.status_code', response.statusCode));
+    }
+    if (request.headers && request.headers.host) {
+      attributes.push(attribute('server.address', String(request.headers.host).split(':')[0]));
+    }
+    if (request.ip) {
+      attributes.push(attribute('client.address', request.ip));
+    }
+    if (request.userAgent) {
+      attributes.push(attribute('user_agent.original', request.userAgent));
+    }
+    attributes.push(attribute('flux_manager.request_id', request.id));
+
+    const span = {
+      traceId: request.trace.traceId,
+      spanId: request.trace.spanId,
+      name: route ? `${request.method} ${route}` : request.method,
+      kind: SPAN_KIND_SERVER,
+      startTimeUnixNano: toUnixNano(startTime),
+      endTimeUnixNano: toUnixNano(startTime + (response.responseTime || 0)),
+      attributes,
+      status: response.statusCode >= 500 ? { code: STATUS_CODE_ERROR } : {}
+    };
+
+    if (request.trace.parentSpanId) {
+      span.parentSpanId = request.trace.parentSpanId;
+    }
+    if (request.trace.tracestate) {
+      span.traceState = request.trace.tracestate;
+    }
+
+    return span;
+  }
+
+  /**
+   * Send one batch of queued spans
+   *
+   * @private
+   * @returns {void}
+   */
+  _send() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const spans = this.queue.splice(0, this.batchSize);
+    if (spans.length === 0) {
+      return;
+    }
+    if (this.queue.length > 0) {
+      this.timer = setTimeout(() => this._send(), this.flushInterval);
+      this.timer.unref();
+    }
+
+    const body = JSON.stringify({
+      resourceSpans: [{
+        resource: { attributes: this.resourceAttributes },
+        scopeSpans: [{
+          scope: { name: PACKAGE.name, version: PACKAGE.version },
+          spans
+        }]
+      }]
+    });
+
+    const exported = this._post(body)
+      .then(() => {
+        this.failing = false;
+      })
+      .catch(error => {
+        if (!this.failing) {
+          console.warn(`FluxManager: OTLP export to ${this.url.href} failed: ${error.message}`);
+        }
+        this.failing = true;
+      })
+      .finally(() => {
+        this.inFlight.delete(exported);
+      });
+
+    this.inFlight.add(exported);
+  }
+
+  /**
+   * POST an export request to the collector
+   *
+   * @private
+   * @param {string} body - OTLP JSON payload
+   * @returns {Promise<void>} Resolves on a 2xx response
+   */
+  _post(body) {
+    const transport = this.url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(this.url, {
+        method: 'POST',
+        headers: {
+          ...this.headers,
+          'content-type': 'application/json',
+          'content-length': Buffer.byteLength(body)
+        },
+        timeout: this.timeout,
+        [UNTRACKED_REQUEST]: true
+      }, (response) => {
+        response.resume();
+        response.on('end', () => {
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve();
+          } else {
+            reject(new Error(`collector responded with ${response.statusCode}`));
+          }
+        });
+      });
+
+      request.on('timeout', () => {
+        request.destroy(new Error(`no response within ${this.timeout}ms`));
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+export default OtlpExporter;
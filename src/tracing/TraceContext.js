@@ -0,0 +1,162 @@
+/**
+ * TraceContext - W3C Trace Context for Captured Requests
+ *
+ * Reads the `traceparent` and `tracestate` headers of an incoming request so a
+ * captured request can be matched with the distributed trace it belongs to.
+ * Every captured request becomes a server span: it keeps the caller's trace
+ * id and uses the caller's span as its parent, or starts a new trace when the
+ * request carries no valid `traceparent`.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ * @see https://www.w3.org/TR/trace-context/
+ */
+
+import crypto from 'crypto';
+
+/**
+ * traceparent layout: version, trace id, parent span id and flags in lower-case hex
+ * @type {RegExp}
+ */
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+
+/**
+ * Sampled bit of the trace flags
+ * @type {number}
+ */
+const SAMPLED_FLAG = 0x01;
+
+/**
+ * TraceContext Class
+ *
+ * @class TraceContext
+ * @example
+ * const trace = TraceContext.fromHeaders(req.headers);
+ * // { traceId, spanId, parentSpanId, traceFlags, sampled, tracestate, propagated }
+ */
+class TraceContext {
+  /**
+   * Build the trace context of a server span from request headers
+   *
+   * @param {Object} headers - Request headers (lower-case names)
+   * @returns {Object} Trace context
+   * @returns {string} returns.traceId - 32 hex characters
+   * @returns {string} returns.spanId - Id of the span for this request, 16 hex characters
+   * @returns {string|null} returns.parentSpanId - Span id from `traceparent`, or null for a new trace
+   * @returns {string} returns.traceFlags - Trace flags as 2 hex characters
+   * @returns {boolean} returns.sampled - Whether the caller sampled the trace
+   * @returns {string|null} returns.tracestate - Vendor data from `tracestate`
+   * @returns {boolean} returns.propagated - Whether the trace came from the caller
+   */
+  static fromHeaders(headers = {}) {
+    const parent = TraceContext.parseTraceparent(headers.traceparent);
+
+    if (!parent) {
+      return {
+        traceId: TraceContext.generateTraceId(),
+        spanId: TraceContext.generateSpanId(),
+        parentSpanId: null,
+        traceFlags: '01',
+        sampled: true,
+        tracestate: null,
+        propagated: false
+      };
+    }
+
+    return {
+      traceId: parent.traceId,
+      spanId: TraceContext.generateSpanId(),
+      parentSpanId: parent.parentSpanId,
+      traceFlags: parent.traceFlags,
+      sampled: parent.sampled,
+      // tracestate is only meaningful together with a valid traceparent
+      tracestate: TraceContext.parseTracestate(headers.tracestate),
+      propagated: true
+    };
+  }
+
+  /**
+   * Parse a traceparent header
+   *
+   * @param {string|string[]} [header] - traceparent header value
+   * @returns {Object|null} `{ version, traceId, parentSpanId, traceFlags, sampled }`, or null if invalid
+   */
+  static parseTraceparent(header) {
+    if (typeof header !== 'string') {
+      return null;
+    }
+
+    const match = TRACEPARENT_PATTERN.exec(header.trim());
+    if (!match) {
+      return null;
+    }
+
+    const [, version, traceId, parentSpanId, traceFlags, rest] = match;
+
+    // Version ff is forbidden, all-zero ids are invalid, and version 00 has no extra fields
+    if (version === 'ff' || /^0+$/.test(traceId) || /^0+$/.test(parentSpanId) || (version === '00' && rest)) {
+      return null;
+    }
+
+    return {
+      version,
+      traceId,
+      parentSpanId,
+      traceFlags,
+      sampled: (parseInt(traceFlags, 16) & SAMPLED_FLAG) === SAMPLED_FLAG
+    };
+  }
+
+  /**
+   * Normalize a tracestate header
+   * Repeated headers are combined and empty list members dropped.
+   *
+   * @param {string|string[]} [header] - tracestate header value(s)
+   * @returns {string|null} Combined tracestate, or null if empty
+   */
+  static parseTracestate(header) {
+    if (!header) {
+      return null;
+    }
+
+    const members = [].concat(header)
+      .join(',')
+      .split(',')
+      .map(member => member.trim())
+      .filter(Boolean);
+
+    return members.length > 0 ? members.join(',') : null;
+  }
+
+  /**
+   * Format a traceparent header for a span
+   *
+   * @param {Object} trace - Trace context with `traceId`, `spanId` and `traceFlags`
+   * @returns {string} traceparent header value
+   */
+  static formatTraceparent(trace) {
+    return `00-${trace.traceId}-${trace.spanId}-${trace.traceFlags || '01'}`;
+  }
+
+  /**
+   * Generate a random trace id
+   *
+   * @returns {string} 32 hex characters
+   */
+  static generateTraceId() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Generate a random span id
+   *
+   * @returns {string} 16 hex characters
+   */
+  static generateSpanId() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+}
+
+export default TraceContext;
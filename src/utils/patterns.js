@@ -0,0 +1,90 @@
+/**
+ * Pattern Utilities - Path Globs and Regular Expressions
+ * 
+ * Shared helpers for every option or filter that matches request paths, so
+ * filters, capture policies and rules all understand the same syntax:
+ * 
+ * - `/^\/api\/v\d+/i` - a regular expression literal (slashes and flags) that
+ *                       uses at least one of `^ $ \ ( ) [ ] | + { }`
+ * - `/api/*`          - a glob: `*` matches within one path segment,
+ *                       `**` matches across segments, `?` one character
+ * - `users`           - anything else is a plain substring match
+ * 
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+/**
+ * Escape a string for literal use in a regular expression
+ * 
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Convert a glob pattern into an anchored regular expression
+ * 
+ * @param {string} glob - Glob pattern such as `/api/*` or `/static/**`
+ * @returns {RegExp} Regular expression matching the whole path
+ * 
+ * @example
+ * globToRegExp('/users/*').test('/users/42'); // true
+ * globToRegExp('/users/*').test('/users/42/posts'); // false
+ */
+export function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compile a path pattern (regex literal, glob or substring) into a RegExp
+ * 
+ * @param {string|RegExp} pattern - Pattern to compile
+ * @returns {RegExp} Compiled pattern
+ * @throws {SyntaxError} If a regular expression literal is invalid
+ * 
+ * @example
+ * compilePathPattern('/^\\/api/').test('/api/users'); // true
+ * compilePathPattern('/api/**').test('/api/users/1'); // true
+ * compilePathPattern('users').test('/api/users'); // true
+ */
+export function compilePathPattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+
+  const text = String(pattern);
+
+  // Paths start and end with slashes too, so a slash-wrapped pattern is only a
+  // regular expression when it uses characters that never appear in a path
+  const literal = /^\/(.+)\/([imsuy]*)$/.exec(text);
+  if (literal && /[\\^$()[\]|+{}]/.test(literal[1])) {
+    return new RegExp(literal[1], literal[2]);
+  }
+
+  if (/[*?]/.test(text)) {
+    return globToRegExp(text);
+  }
+
+  return new RegExp(escapeRegExp(text));
+}
@@ -0,0 +1,131 @@
+/**
+ * Request Matcher - Method, Path, Header and Query Predicates
+ *
+ * Compiles the `match` object of a rule into a predicate over captured
+ * request data, so mock rules and other request rules share one syntax:
+ *
+ * ```javascript
+ * {
+ *   method: 'GET,POST',                  // comma-separated, `*` for any
+ *   path: '/api/users/*',                // regex literal, glob or substring (see patterns.js)
+ *   headers: { 'x-env': 'staging' },     // exact value, /regex/, or true/false for present/absent
+ *   query: { page: '/^\\d+$/' }          // same value syntax as headers
+ * }
+ * ```
+ *
+ * Every given condition must hold; an empty match object matches every request.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import { compilePathPattern } from './patterns.js';
+
+/**
+ * Regular expression literal in a value predicate
+ * @type {RegExp}
+ */
+const REGEX_LITERAL = /^\/(.+)\/([imsuy]*)$/s;
+
+/**
+ * Compile the expected value of a header or query predicate
+ *
+ * @param {string} name - Header or query key, for error messages
+ * @param {string|number|boolean} expected - Exact value, `/regex/` literal, or presence flag
+ * @returns {Function} `(actual) => boolean`, where `actual` may be a string, an array or undefined
+ * @throws {Error} If the expected value is not a string, number or boolean, or the regex is invalid
+ */
+function compileValuePredicate(name, expected) {
+  if (typeof expected === 'boolean') {
+    return actual => (actual !== undefined) === expected;
+  }
+  if (typeof expected !== 'string' && typeof expected !== 'number') {
+    throw new Error(`Invalid predicate for "${name}": expected a string, number or boolean`);
+  }
+
+  const text = String(expected);
+  const literal = REGEX_LITERAL.exec(text);
+  let test = value => value === text;
+  if (literal) {
+    let pattern;
+    try {
+      pattern = new RegExp(literal[1], literal[2]);
+    } catch (error) {
+      throw new Error(`Invalid pattern for "${name}": ${error.message}`);
+    }
+    test = value => pattern.test(value);
+  }
+
+  return actual => actual !== undefined && [].concat(actual).some(value => test(String(value)));
+}
+
+/**
+ * Compile a map of header or query predicates
+ *
+ * @param {string} field - `headers` or `query`, for error messages
+ * @param {Object} predicates - Names mapped to expected values
+ * @param {boolean} caseInsensitiveNames - Compare names case-insensitively (headers)
+ * @returns {Array<{name: string, test: Function}>} Compiled predicates
+ * @throws {Error} If the map or one of its values is invalid
+ */
+function compilePredicates(field, predicates, caseInsensitiveNames) {
+  if (predicates === undefined || predicates === null) {
+    return [];
+  }
+  if (typeof predicates !== 'object' || Array.isArray(predicates)) {
+    throw new Error(`Invalid match.${field}: expected an object`);
+  }
+
+  return Object.entries(predicates).map(([name, expected]) => ({
+    name: caseInsensitiveNames ? name.toLowerCase() : name,
+    test: compileValuePredicate(name, expected)
+  }));
+}
+
+/**
+ * Compile a match object into a request predicate
+ *
+ * @param {Object} [match={}] - Conditions (see the module documentation)
+ * @returns {Function} `(request) => boolean` for objects with `method`, `path`, `headers` and `query`
+ * @throws {Error} If a condition is invalid
+ *
+ * @example
+ * const matches = compileRequestMatcher({ method: 'GET', path: '/api/users/*' });
+ * matches({ method: 'GET', path: '/api/users/42', headers: {}, query: {} }); // true
+ */
+export function compileRequestMatcher(match = {}) {
+  if (match === null || typeof match !== 'object' || Array.isArray(match)) {
+    throw new Error('Invalid match: expected an object');
+  }
+
+  const tests = [];
+
+  if (match.method) {
+    const methods = String(match.method).toUpperCase().split(',').map(method => method.trim()).filter(Boolean);
+    if (!methods.includes('*')) {
+      tests.push(request => methods.includes(String(request.method).toUpperCase()));
+    }
+  }
+
+  if (match.path) {
+    let pattern;
+    try {
+      pattern = compilePathPattern(match.path);
+    } catch (error) {
+      throw new Error(`Invalid path pattern: ${error.message}`);
+    }
+    tests.push(request => pattern.test(request.path));
+  }
+
+  compilePredicates('headers', match.headers, true).forEach(({ name, test }) => {
+    tests.push(request => test((request.headers || {})[name]));
+  });
+
+  compilePredicates('query', match.query, false).forEach(({ name, test }) => {
+    tests.push(request => test((request.query || {})[name]));
+  });
+
+  return request => tests.every(test => test(request));
+}
@@ -0,0 +1,58 @@
+/**
+ * Route Utilities - Route Templates for Aggregation
+ *
+ * Groups concrete request paths under a route template so statistics for
+ * `/users/123` and `/users/456` add up under `/users/:id`. Templates reported
+ * by the framework (Express `req.route`, Koa router, Fastify) are preferred;
+ * otherwise path segments that look like identifiers are replaced:
+ *
+ * - `123`                                  - numbers
+ * - `3f2b9c1e-8d4a-4b6f-9e2d-1a2b3c4d5e6f` - UUIDs
+ * - `64b7f3a2e4b0c1d2e3f4a5b6`             - hex ids and hashes (8+ characters with a digit)
+ * - `AbC123xYz789QwE456`                   - long opaque tokens (16+ letters and digits)
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+/**
+ * Segment shapes replaced by `:id`
+ * @type {RegExp[]}
+ */
+const ID_SEGMENTS = [
+  /^\d+$/,
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  /^(?=.*\d)[0-9a-f]{8,}$/i,
+  /^(?=.*\d)(?=.*[a-z])[\w-]{16,}$/i
+];
+
+/**
+ * Replace identifier-like path segments with `:id`
+ *
+ * @param {string} path - Request path, with or without a query string
+ * @returns {string} Route template
+ *
+ * @example
+ * normalizeRoute('/users/123/orders/9f86d081884c7d65'); // '/users/:id/orders/:id'
+ * normalizeRoute('/api/v2/status'); // '/api/v2/status'
+ */
+export function normalizeRoute(path) {
+  const pathname = String(path || '/').split('?')[0];
+
+  return pathname
+    .split('/')
+    .map(segment => (ID_SEGMENTS.some(pattern => pattern.test(segment)) ? ':id' : segment))
+    .join('/') || '/';
+}
+
+/**
+ * Route template of a stored request
+ *
+ * @param {Object} request - Stored request
+ * @returns {string} Template reported by the framework, or the normalized path
+ */
+export function getRouteTemplate(request) {
+  return request.route || normalizeRoute(request.path || request.url);
+}
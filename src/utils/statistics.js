@@ -0,0 +1,67 @@
+/**
+ * Statistics Utilities - Latency Percentiles and Rates
+ *
+ * Shared helpers for request statistics. Percentiles use the nearest-rank
+ * method, so every reported value is a response time that was observed.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+/**
+ * Percentiles reported for response times
+ * @type {number[]}
+ */
+export const PERCENTILES = [50, 90, 95, 99];
+
+/**
+ * Nearest-rank percentile of sorted values
+ *
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number} Percentile value, or 0 for no values
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return 0;
+  }
+
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * Summarize response times
+ *
+ * @param {number[]} values - Response times in milliseconds, in any order
+ * @returns {Object} Summary with `count`, `min`, `max`, `avg`, `p50`, `p90`, `p95` and `p99`
+ */
+export function summarizeDurations(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  const summary = {
+    count: sorted.length,
+    min: sorted.length > 0 ? sorted[0] : 0,
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : 0,
+    avg: sorted.length > 0 ? Math.round(total / sorted.length) : 0
+  };
+
+  PERCENTILES.forEach(p => {
+    summary[`p${p}`] = percentile(sorted, p);
+  });
+
+  return summary;
+}
+
+/**
+ * Express a part of a total as a percentage
+ *
+ * @param {number} part - Matching count
+ * @param {number} total - Total count
+ * @returns {number} Percentage rounded to two decimals, 0 when the total is 0
+ */
+export function toPercentage(part, total) {
+  return total > 0 ? Math.round((part / total) * 10000) / 100 : 0;
+}
@@ -0,0 +1,199 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BreakpointManager from '../../src/breakpoints/BreakpointManager.js';
+import { startApp } from '../helpers/app.js';
+import { waitFor } from '../helpers/wait.js';
+
+/**
+ * Application that answers with what it received
+ */
+const echo = (req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify({
+      method: req.method,
+      url: req.url,
+      contentLength: req.headers['content-length'],
+      tenant: req.headers['x-tenant'],
+      body: Buffer.concat(chunks).toString('utf8')
+    }));
+  });
+};
+
+const pausedEntry = app => waitFor(() => app.fm.breakpoints.listPaused()[0]);
+
+test('holds a request and resumes it with an edited method and body', async () => {
+  const app = await startApp({ breakpoints: [{ name: 'orders', match: { path: '/orders' }, stage: 'request' }] }, echo);
+  try {
+    const pending = app.fetch('/orders', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-tenant': 'acme', authorization: 'Bearer secret' },
+      body: '{"qty":1}'
+    });
+
+    const entry = await pausedEntry(app);
+    assert.equal(entry.stage, 'request');
+    assert.equal(entry.ruleName, 'orders');
+    assert.equal(entry.request.method, 'POST');
+    assert.equal(entry.request.body, '{"qty":1}');
+    assert.equal(entry.request.bodyTruncated, false);
+    assert.equal(entry.request.headers.authorization, '[REDACTED]');
+
+    const resumed = await app.api(`/api/paused/${entry.id}/resume`, {
+      method: 'POST',
+      body: JSON.stringify({ method: 'put', body: '{"qty":25}', headers: { ...entry.request.headers, 'x-tenant': 'globex' } })
+    });
+    assert.equal(resumed.status, 200);
+
+    const received = await (await pending).json();
+    assert.deepEqual(received, { method: 'PUT', url: '/orders', contentLength: '10', tenant: 'globex', body: '{"qty":25}' });
+
+    const [stored] = app.fm.getRequests();
+    assert.equal(stored.method, 'PUT');
+    assert.equal(stored.body, '{"qty":25}');
+    assert.equal(stored.headers.authorization, '[REDACTED]', 'a redacted value left as shown keeps the original');
+    assert.deepEqual(stored.breakpoints, [{ id: entry.ruleId, name: 'orders', stage: 'request', edited: true }]);
+    assert.deepEqual(app.fm.breakpoints.listPaused(), []);
+  } finally {
+    await app.close();
+  }
+});
+
+test('holds a response and sends the edited status, headers and body', async () => {
+  const app = await startApp({ breakpoints: [{ match: { path: '/report' }, stage: 'response' }] }, (req, res) => {
+    res.setHeader('content-type', 'text/plain');
+    res.setHeader('content-length', 8);
+    res.end('original');
+  });
+  try {
+    const pending = app.fetch('/report');
+
+    const entry = await pausedEntry(app);
+    assert.equal(entry.stage, 'response');
+    assert.equal(entry.response.statusCode, 200);
+    assert.equal(entry.response.body, 'original');
+
+    await app.api(`/api/paused/${entry.id}/resume`, {
+      method: 'POST',
+      body: JSON.stringify({ statusCode: 418, headers: { 'content-type': 'text/plain', 'x-edited': 'yes' }, body: 'edited body' })
+    });
+
+    const response = await pending;
+    assert.equal(response.status, 418);
+    assert.equal(response.headers.get('x-edited'), 'yes');
+    assert.equal(await response.text(), 'edited body');
+
+    const [stored] = app.fm.getRequests();
+    assert.equal(stored.response.statusCode, 418);
+    assert.equal(stored.response.body, 'edited body');
+    assert.equal(stored.breakpoints[0].edited, true);
+  } finally {
+    await app.close();
+  }
+});
+
+test('aborting a paused request drops its connection', async () => {
+  let handled = false;
+  const app = await startApp({ breakpoints: [{ match: { path: '/drop' } }] }, (req, res) => {
+    handled = true;
+    res.end();
+  });
+  try {
+    const pending = app.fetch('/drop');
+    const entry = await pausedEntry(app);
+
+    const aborted = await app.api(`/api/paused/${entry.id}/abort`, { method: 'POST' });
+    assert.equal(aborted.status, 200);
+    await assert.rejects(pending);
+    assert.equal(handled, false);
+
+    const again = await app.api(`/api/paused/${entry.id}/resume`, { method: 'POST' });
+    assert.equal(again.status, 404);
+  } finally {
+    await app.close();
+  }
+});
+
+test('resumes an exchange unchanged when its timeout elapses', t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const resolutions = [];
+  const breakpoints = new BreakpointManager({ onResolve: resolution => resolutions.push(resolution) });
+  const rule = breakpoints.create({ match: {}, timeout: 5000 });
+  const resumed = [];
+
+  const entry = breakpoints.pause(breakpoints.match({ method: 'GET', path: '/', headers: {}, query: {} }, 'request'), 'request',
+    { requestId: 'r-1', request: { method: 'GET', url: '/' } },
+    { resume: edits => resumed.push(edits), abort: () => assert.fail('not aborted') });
+
+  assert.equal(Date.parse(entry.expiresAt) - Date.parse(entry.pausedAt), 5000);
+  t.mock.timers.tick(4999);
+  assert.deepEqual(resumed, []);
+  t.mock.timers.tick(1);
+
+  assert.deepEqual(resumed, [{}]);
+  assert.deepEqual(resolutions, [{ id: entry.id, requestId: 'r-1', stage: 'request', action: 'timeout' }]);
+  assert.deepEqual(breakpoints.listPaused(), []);
+  assert.equal(breakpoints.get(rule.id).hits, 1);
+});
+
+test('rejects edits that cannot be applied', () => {
+  const request = { stage: 'request', request: { body: '{}' } };
+  const response = { stage: 'response', response: { body: 'x' } };
+  const invalid = [
+    [[], request, /JSON object/],
+    [{ statusCode: 200 }, request, /Cannot edit statusCode of a paused request/],
+    [{ method: 'GET' }, response, /Cannot edit method of a paused response/],
+    [{ method: 'GET POST' }, request, /Invalid method/],
+    [{ url: 'http://elsewhere/' }, request, /Invalid url/],
+    [{ statusCode: 600 }, response, /Invalid statusCode/],
+    [{ headers: { 'x-a': { nested: true } } }, request, /Invalid headers/],
+    [{ body: { qty: 1 } }, request, /Invalid body/],
+    [{ bodyEncoding: 'hex' }, response, /Invalid bodyEncoding/],
+    [{ body: '{}' }, { stage: 'request', request: { body: '{"a"', bodyTruncated: true } }, /larger than maxBodyBytes/]
+  ];
+
+  for (const [edits, entry, message] of invalid) {
+    assert.throws(() => BreakpointManager.normalizeEdits(edits, entry), error => message.test(error.message) && error.statusCode === 400, String(message));
+  }
+  assert.deepEqual(BreakpointManager.normalizeEdits({ method: 'patch' }, request), { method: 'PATCH' });
+});
+
+test('a truncated request body can be resumed but not edited', async () => {
+  const app = await startApp({ maxBodyBytes: 16, breakpoints: [{ match: { path: '/upload' } }] }, echo);
+  try {
+    const body = 'x'.repeat(100);
+    const pending = app.fetch('/upload', { method: 'POST', headers: { 'content-type': 'text/plain' }, body });
+    const entry = await pausedEntry(app);
+    assert.equal(entry.request.bodyTruncated, true);
+
+    const edit = await app.api(`/api/paused/${entry.id}/resume`, { method: 'POST', body: JSON.stringify({ body: 'short' }) });
+    assert.equal(edit.status, 400);
+    assert.match(edit.error, /larger than maxBodyBytes/);
+
+    await app.api(`/api/paused/${entry.id}/resume`, { method: 'POST', body: '{}' });
+    assert.equal((await (await pending).json()).body, body, 'the application still receives the whole body');
+  } finally {
+    await app.close();
+  }
+});
+
+test('stopping the manager resumes every paused exchange', async () => {
+  const app = await startApp({
+    breakpoints: [{ match: { path: '/held/1' }, stage: 'request' }, { match: { path: '/held/2' }, stage: 'response' }]
+  }, echo);
+  try {
+    const first = app.fetch('/held/1', { method: 'POST', headers: { 'content-type': 'text/plain' }, body: 'one' });
+    const second = app.fetch('/held/2');
+    await waitFor(() => app.fm.breakpoints.listPaused().length === 2);
+
+    app.fm.stop();
+
+    assert.equal((await (await first).json()).body, 'one');
+    assert.equal((await (await second).json()).url, '/held/2');
+    assert.deepEqual(app.fm.breakpoints.listPaused(), []);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import BodyCapture from '../../src/capture/BodyCapture.js';
+import { startApp } from '../helpers/app.js';
+
+test('keeps the first maxBytes bytes and counts the rest', () => {
+  const capture = new BodyCapture(8);
+  assert.equal(capture.isEmpty, true);
+
+  capture.append('héllo');
+  capture.append(new Uint8Array([0x20, 0x77, 0x6f, 0x72, 0x6c, 0x64]).subarray(1));
+  capture.append('00ff', 'hex');
+  capture.append(null);
+
+  assert.equal(capture.totalBytes, 13);
+  assert.equal(capture.capturedBytes, 8);
+  assert.equal(capture.truncated, true);
+  assert.equal(capture.toText(), 'héllowo');
+
+  capture.reset();
+  capture.append(Buffer.from('ok'));
+  assert.deepEqual([capture.toText(), capture.truncated], ['ok', false]);
+});
+
+test('copies chunks so later changes by the application are not recorded', () => {
+  const capture = new BodyCapture();
+  const chunk = Buffer.from('abc');
+  capture.append(chunk);
+  chunk.write('xyz');
+
+  assert.equal(capture.toText(), 'abc');
+});
+
+test('decodes bodies with the charset of their Content-Type', () => {
+  const latin1 = Buffer.from([0x63, 0x61, 0x66, 0xe9]);
+
+  assert.equal(BodyCapture.getCharset('text/plain; charset="ISO-8859-1"'), 'iso-8859-1');
+  assert.equal(BodyCapture.getCharset('application/json'), 'utf-8');
+  assert.equal(BodyCapture.decode(latin1, 'text/plain; charset=iso-8859-1'), 'café');
+  assert.equal(BodyCapture.decode(Buffer.from('café', 'utf16le'), 'text/plain;charset=UTF-16LE'), 'café');
+  assert.equal(BodyCapture.decode(Buffer.from('café'), 'text/plain; charset=klingon'), 'café', 'unknown charsets fall back to UTF-8');
+});
+
+test('records request bodies without consuming them', async () => {
+  let received;
+  const app = await startApp({ maxBodyBytes: 16 }, (req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received = Buffer.concat(chunks);
+      res.end('ok');
+    });
+  });
+  try {
+    await app.fetch('/form', {
+      method: 'POST',
+      headers: { 'content-type': 'text/plain; charset=iso-8859-1' },
+      body: Buffer.from([0x63, 0x61, 0x66, 0xe9])
+    });
+    const long = 'x'.repeat(40);
+    await app.fetch('/upload', { method: 'POST', headers: { 'content-type': 'text/plain' }, body: long });
+
+    const byPath = Object.fromEntries(app.fm.getRequests().map(item => [item.path, item]));
+    assert.equal(byPath['/form'].body, 'café');
+    assert.equal(byPath['/form'].bodyTruncated, false);
+    assert.equal(byPath['/upload'].body, 'x'.repeat(16));
+    assert.equal(byPath['/upload'].bodySize, 40);
+    assert.equal(byPath['/upload'].bodyTruncated, true);
+    assert.equal(received.toString(), long, 'the application still reads the whole body');
+  } finally {
+    await app.close();
+  }
+});
+
+test('inflates gzip, deflate and brotli bodies for display', () => {
+  const text = JSON.stringify({ items: Array.from({ length: 50 }, (_, i) => ({ id: i })) });
+  const encoded = {
+    gzip: zlib.gzipSync(text),
+    'X-GZIP': zlib.gzipSync(text),
+    deflate: zlib.deflateSync(text),
+    br: zlib.brotliCompressSync(text)
+  };
+
+  for (const [encoding, bytes] of Object.entries(encoded)) {
+    const capture = new BodyCapture();
+    capture.append(bytes);
+    assert.deepEqual(capture.serialize({ contentType: 'application/json', contentEncoding: encoding }), {
+      body: text,
+      bodyEncoding: 'utf8',
+      truncated: false,
+      originalSize: bytes.length,
+      decompressedFrom: encoding.toLowerCase()
+    }, encoding);
+  }
+
+  const raw = BodyCapture.decompress(zlib.deflateRawSync(text), 'deflate', 10000);
+  assert.equal(raw.buffer.toString(), text, 'deflate without the zlib wrapper');
+});
+
+test('caps and truncates inflated bodies', () => {
+  const text = 'abcdefghij'.repeat(100);
+
+  const capped = new BodyCapture(50);
+  capped.append(zlib.gzipSync(text));
+  const serialized = capped.serialize({ contentType: 'text/plain', contentEncoding: 'gzip' });
+  assert.equal(serialized.body, text.slice(0, 50));
+  assert.equal(serialized.truncated, true);
+
+  // The byte cap cut the compressed stream, which is inflated as far as it goes
+  const compressed = zlib.gzipSync(Buffer.from(Array.from({ length: 4000 }, (_, i) => i * 7 % 251)));
+  const partial = BodyCapture.decompress(compressed.subarray(0, compressed.length / 2), 'gzip', 10000);
+  assert.ok(partial.buffer.length > 0 && partial.buffer.length < 4000);
+
+  assert.equal(BodyCapture.decompress(zlib.gzipSync(Buffer.alloc(100000)), 'gzip', 100), null, 'bombs are left compressed');
+});
+
+test('leaves bodies that cannot be inflated compressed', () => {
+  const capture = new BodyCapture();
+  capture.append('not gzip at all');
+  assert.deepEqual(capture.serialize({ contentType: 'application/octet-stream', contentEncoding: 'gzip' }), {
+    body: Buffer.from('not gzip at all').toString('base64'),
+    bodyEncoding: 'base64',
+    truncated: false,
+    originalSize: 15,
+    decompressedFrom: undefined
+  });
+
+  const unknown = new BodyCapture();
+  unknown.append(zlib.gzipSync('hello'));
+  const serialized = unknown.serialize({ contentEncoding: 'zstd' });
+  assert.equal(serialized.bodyEncoding, 'base64');
+  assert.equal(serialized.decompressedFrom, undefined);
+});
+
+test('stores binary bodies as base64', () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+  const capture = new BodyCapture();
+  capture.append(png);
+
+  assert.deepEqual(capture.serialize({ contentType: 'image/png' }).body, png.toString('base64'));
+  assert.equal(capture.serialize().bodyEncoding, 'base64', 'sniffed from the NUL byte');
+
+  assert.equal(BodyCapture.isTextContentType('application/vnd.api+json'), true);
+  assert.equal(BodyCapture.isTextContentType(undefined, Buffer.from('plain ünïcode')), true);
+  assert.equal(BodyCapture.isTextContentType(undefined, Buffer.from([0xc3, 0x28])), false);
+});
+
+test('records compressed responses inflated', async () => {
+  const text = '{"ok":true}';
+  const app = await startApp({}, (req, res) => {
+    res.setHeader('content-type', 'application/json');
+    res.setHeader('content-encoding', 'br');
+    res.end(zlib.brotliCompressSync(text));
+  });
+  try {
+    const response = await app.fetch('/data');
+    assert.equal(response.headers.get('content-encoding'), 'br', 'the client still receives the compressed body');
+    assert.equal(await response.text(), text);
+
+    const [{ response: stored }] = app.fm.getRequests();
+    assert.equal(stored.body, text);
+    assert.equal(stored.decompressedFrom, 'br');
+    assert.equal(stored.originalSize, zlib.brotliCompressSync(text).length);
+  } finally {
+    await app.close();
+  }
+});
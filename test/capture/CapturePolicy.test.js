@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CapturePolicy, { DEFAULT_EXCLUDED_PATHS } from '../../src/capture/CapturePolicy.js';
+import { startApp } from '../helpers/app.js';
+
+const request = (path, { method = 'GET', headers = {} } = {}) => ({ method, path, headers });
+const captures = (policy, statusCode) => policy.shouldCapture({ headers: {} }, { statusCode });
+
+test('redirects are captured along with every other status by default', async () => {
+  const app = await startApp({}, (req, res) => {
+    res.writeHead(req.url === '/old' ? 301 : 304, { location: '/new' });
+    res.end();
+  });
+  try {
+    await app.fetch('/old', { redirect: 'manual' });
+    await app.fetch('/cached', { redirect: 'manual' });
+
+    assert.deepEqual(app.fm.getRequests().map(item => item.response.statusCode).sort(), [301, 304]);
+  } finally {
+    await app.close();
+  }
+});
+
+test('includes and excludes statuses by code and by class', () => {
+  const policy = new CapturePolicy({ include: { status: ['2xx', '3XX', 404] }, exclude: { status: [304] } });
+
+  assert.deepEqual([200, 204, 302, 304, 404, 410, 500].filter(status => captures(policy, status)), [200, 204, 302, 404]);
+  assert.equal(captures(new CapturePolicy({ exclude: { status: ['5xx'] } }), 503), false);
+  assert.throws(() => new CapturePolicy({ include: { status: ['6xx'] } }), /Invalid capture status "6xx"/);
+  assert.throws(() => new CapturePolicy({ exclude: { status: 500 } }), /capture.exclude.status: expected an array/);
+});
+
+test('filters requests by method and path before they are intercepted', () => {
+  const policy = new CapturePolicy({ include: { methods: ['GET', 'POST'], paths: ['/api/**'] }, exclude: { methods: ['POST'] } });
+
+  assert.equal(policy.shouldIntercept(request('/api/users')), true);
+  assert.equal(policy.shouldIntercept(request('/api/users', { method: 'POST' })), false);
+  assert.equal(policy.shouldIntercept(request('/api/users', { method: 'DELETE' })), false);
+  assert.equal(policy.shouldIntercept(request('/home')), false);
+});
+
+test('adds ignorePaths to the default excluded paths', () => {
+  const policy = new CapturePolicy({}, ['/health', '/metrics/**']);
+
+  assert.ok(DEFAULT_EXCLUDED_PATHS.includes('/favicon.ico'));
+  assert.equal(policy.shouldIntercept(request('/favicon.ico')), false);
+  assert.equal(policy.shouldIntercept(request('/static/app.js')), false);
+  assert.equal(policy.shouldIntercept(request('/health')), false);
+  assert.equal(policy.shouldIntercept(request('/metrics/cpu')), false);
+  assert.equal(policy.shouldIntercept(request('/users')), true);
+
+  const withStatus = new CapturePolicy({ exclude: { status: [404] } }, ['/health']);
+  assert.equal(withStatus.shouldIntercept(request('/favicon.ico')), false, 'excluding statuses keeps the default paths');
+  assert.equal(withStatus.shouldIntercept(request('/health')), false);
+});
+
+test('explicit exclude.paths replace the defaults', () => {
+  const policy = new CapturePolicy({ exclude: { paths: ['/internal/**'] } }, ['/health']);
+
+  assert.equal(policy.shouldIntercept(request('/favicon.ico')), true);
+  assert.equal(policy.shouldIntercept(request('/static/app.js')), true);
+  assert.equal(policy.shouldIntercept(request('/internal/jobs')), false);
+  assert.equal(policy.shouldIntercept(request('/health')), false, 'ignorePaths still apply');
+
+  const none = new CapturePolicy({ exclude: { paths: [] } });
+  assert.equal(none.shouldIntercept(request('/favicon.ico')), true);
+});
+
+test('an empty header map matches no request', () => {
+  const policy = new CapturePolicy({ exclude: { paths: [], headers: {} } });
+  assert.equal(policy.shouldIntercept(request('/users', { headers: { 'user-agent': 'curl' } })), true);
+
+  const probes = new CapturePolicy({ exclude: { headers: { 'user-agent': '/kube-probe/' } } });
+  assert.equal(probes.shouldIntercept(request('/users', { headers: { 'user-agent': 'kube-probe/1.29' } })), false);
+  assert.equal(probes.shouldIntercept(request('/users', { headers: { 'user-agent': 'curl' } })), true);
+});
+
+test('a throwing shouldCapture callback keeps the request', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const policy = new CapturePolicy({
+    shouldCapture: req => {
+      if (req.headers['x-fail']) {
+        throw new Error('no such header');
+      }
+      return !req.headers['x-synthetic'];
+    }
+  });
+
+  assert.equal(policy.shouldCapture({ headers: {} }, { statusCode: 200 }), true);
+  assert.equal(policy.shouldCapture({ headers: { 'x-synthetic': '1' } }, { statusCode: 200 }), false);
+  assert.equal(policy.shouldCapture({ headers: { 'x-fail': '1' } }, { statusCode: 200 }), true);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /shouldCapture threw, capturing the request anyway: no such header/);
+
+  assert.throws(() => new CapturePolicy({ shouldCapture: true }), /expected a function/);
+});
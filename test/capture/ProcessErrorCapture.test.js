@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import FluxManager from '../../src/FluxManager.js';
+
+const FLUX_MANAGER = fileURLToPath(new URL('../../src/FluxManager.js', import.meta.url));
+
+/**
+ * Run a script with two FluxManager instances in a child process
+ * The script's `exit` listener prints what each instance recorded.
+ */
+function run(body, { flags = [], env = {} } = {}) {
+  const script = `
+    import FluxManager from ${JSON.stringify(FLUX_MANAGER)};
+    console.log = () => {};
+    const managers = [1, 2].map(() => new FluxManager({ autoStart: false }));
+    process.on('exit', () => {
+      process.stdout.write(JSON.stringify(managers.map(fm => fm.getExceptions().map(item => item.source))));
+    });
+    ${body}
+  `;
+  return new Promise(resolve => {
+    execFile(process.execPath, [...flags, '--input-type=module', '-e', script], {
+      env: { ...process.env, NODE_OPTIONS: '', ...env },
+      timeout: 10000
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, recorded: JSON.parse(stdout || 'null'), stderr });
+    });
+  });
+}
+
+test('unhandled rejections are recorded by every instance and still crash the process', async () => {
+  const { code, recorded, stderr } = await run(`Promise.reject(new Error('boom'));`);
+
+  assert.equal(code, 1);
+  assert.deepEqual(recorded, [['unhandledRejection'], ['unhandledRejection']]);
+  assert.match(stderr, /Error: boom/);
+});
+
+test('the --unhandled-rejections mode is respected', async () => {
+  const warn = await run(`Promise.reject(new Error('boom'));`, { flags: ['--unhandled-rejections=warn'] });
+  assert.equal(warn.code, 0);
+  assert.deepEqual(warn.recorded, [['unhandledRejection'], ['unhandledRejection']]);
+
+  const none = await run(`Promise.reject(new Error('boom'));`, { env: { NODE_OPTIONS: '--unhandled-rejections=none' } });
+  assert.equal(none.code, 0);
+  assert.doesNotMatch(none.stderr, /boom/);
+
+  const withCode = await run(`Promise.reject(new Error('boom'));`, { flags: ['--unhandled-rejections=warn-with-error-code'] });
+  assert.equal(withCode.code, 1);
+  assert.match(withCode.stderr, /UnhandledPromiseRejectionWarning: Unhandled promise rejection: Error: boom/);
+  assert.deepEqual(withCode.recorded, [['unhandledRejection'], ['unhandledRejection']]);
+});
+
+test('rejections handled by the application do not crash the process', async () => {
+  const { code, recorded } = await run(`
+    process.on('unhandledRejection', () => {});
+    Promise.reject(new Error('boom'));
+  `);
+
+  assert.equal(code, 0);
+  assert.deepEqual(recorded, [['unhandledRejection'], ['unhandledRejection']]);
+});
+
+test('uncaught exceptions are recorded once and crash the process', async () => {
+  const { code, recorded } = await run(`setTimeout(() => { throw new Error('boom'); });`);
+
+  assert.equal(code, 1);
+  assert.deepEqual(recorded, [['uncaughtException'], ['uncaughtException']]);
+});
+
+test('stopped instances remove their process listeners', async () => {
+  const count = () => process.listenerCount('unhandledRejection') + process.listenerCount('uncaughtExceptionMonitor');
+  const before = count();
+
+  const managers = Array.from({ length: 12 }, () => new FluxManager({ autoStart: false }));
+  assert.equal(count(), before + 24);
+
+  managers.forEach(fm => fm.stop());
+  assert.equal(count(), before);
+
+  const { recorded } = await run(`
+    managers[0].stop();
+    Promise.reject(new Error('boom'));
+  `, { flags: ['--unhandled-rejections=warn'] });
+  assert.deepEqual(recorded, [[], ['unhandledRejection']]);
+});
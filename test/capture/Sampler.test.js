@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Sampler from '../../src/capture/Sampler.js';
+
+const finished = (path, { statusCode = 200, responseTime = 10, ...rest } = {}) => ({
+  method: 'GET',
+  path,
+  response: { statusCode, responseTime },
+  ...rest
+});
+
+test('draws when the request arrives when only the rate applies', t => {
+  const draws = [0.05, 0.5];
+  t.mock.method(Math, 'random', () => draws.shift());
+  const sampler = new Sampler({ rate: 0.1 });
+
+  assert.equal(sampler.head(finished('/a')), null, 'kept requests are decided when they end');
+  assert.deepEqual(sampler.tail(finished('/a')), { keep: true, record: { reason: 'sampled', rate: 0.1 } });
+  assert.deepEqual(sampler.head(finished('/b')), { keep: false, record: { reason: 'rate', rate: 1 } });
+  assert.equal(sampler.head(finished('/c', { replayOf: 'r-1' })), null);
+  assert.equal(Math.random.mock.callCount(), 2, 'replays and the tail decision draw nothing');
+
+  assert.equal(new Sampler({ rate: 0.1, always: { errors: true } }).head(finished('/a')), null);
+  assert.equal(new Sampler().head(finished('/a')), null);
+});
+
+test('draws when the request ends when the response can keep it', t => {
+  t.mock.method(Math, 'random', () => 0.99);
+  const sampler = new Sampler({ rate: 0.1, always: { errors: true, slowerThan: 500 } });
+
+  assert.equal(sampler.head(finished('/a')), null);
+  assert.deepEqual(sampler.tail(finished('/a', { statusCode: 502 })), { keep: true, record: { reason: 'error', rate: 1 } });
+  assert.deepEqual(sampler.tail(finished('/a', { responseTime: 500 })), { keep: true, record: { reason: 'slow', rate: 1 } });
+  assert.deepEqual(sampler.tail(finished('/a', { statusCode: 404, responseTime: 20 })), { keep: false, record: { reason: 'rate', rate: 1 } });
+  assert.deepEqual(sampler.tail(finished('/a', { replayOf: 'r-1' })), { keep: true, record: { reason: 'replay', rate: 1 } });
+
+  assert.deepEqual(sampler.getStats(), {
+    rate: 0.1,
+    perRoute: null,
+    kept: 3,
+    dropped: 1,
+    byReason: { kept: { error: 1, slow: 1, replay: 1 }, dropped: { rate: 1 } }
+  });
+});
+
+test('lets decide keep or drop a request, or leave it to the rate', t => {
+  t.mock.method(Math, 'random', () => 0.99);
+  const warn = t.mock.method(console, 'warn', () => {});
+  const sampler = new Sampler({
+    rate: 0.5,
+    always: { errors: true },
+    decide: request => {
+      if (request.path === '/broken') {
+        throw new Error('bad rule');
+      }
+      return request.path === '/checkout' ? true : request.path === '/health' ? false : undefined;
+    }
+  });
+
+  assert.deepEqual(sampler.tail(finished('/checkout')), { keep: true, record: { reason: 'custom', rate: 1 } });
+  assert.deepEqual(sampler.tail(finished('/health')), { keep: false, record: { reason: 'custom', rate: 1 } });
+  assert.equal(sampler.tail(finished('/health', { statusCode: 500 })).keep, true, 'always comes first');
+  assert.deepEqual(sampler.tail(finished('/users')), { keep: false, record: { reason: 'rate', rate: 1 } });
+  assert.deepEqual(sampler.tail(finished('/broken')), { keep: false, record: { reason: 'rate', rate: 1 } });
+  assert.match(warn.mock.calls[0].arguments[0], /sampling.decide threw, sampling the request by rate: bad rule/);
+  assert.equal(sampler.enabled, true);
+});
+
+test('limits the requests kept per route each second', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 10000 });
+  const sampler = new Sampler({ perRoute: 2 });
+  const decide = (path, route) => sampler.tail(finished(path, { route }));
+
+  assert.equal(decide('/users/1', '/users/:id').keep, true);
+  assert.equal(decide('/users/2', '/users/:id').keep, true);
+  assert.deepEqual(decide('/users/3', '/users/:id'), { keep: false, record: { reason: 'limit', rate: 1 } });
+  assert.equal(decide('/orders').keep, true, 'each route has its own limit');
+  assert.equal(sampler.tail({ ...finished('/users/4', { route: '/users/:id' }), method: 'POST' }).keep, true, 'and each method');
+
+  t.mock.timers.tick(1000);
+  assert.equal(decide('/users/5', '/users/:id').keep, true, 'the limit starts over every second');
+  assert.deepEqual(sampler.getStats().byReason, { kept: { sampled: 5 }, dropped: { limit: 1 } });
+});
+
+test('lowers the rate of the requests already kept when later ones are dropped', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 10000 });
+  t.mock.method(Math, 'random', () => 0);
+  const sampler = new Sampler({ rate: 0.5, perRoute: 2, always: { errors: true } });
+
+  const kept = [sampler.tail(finished('/a')), sampler.tail(finished('/a'))];
+  assert.deepEqual(kept.map(decision => decision.record.rate), [0.5, 0.5]);
+
+  sampler.tail(finished('/a'));
+  sampler.tail(finished('/a'));
+  // 2 of the 4 requests reaching the limit were kept, of the half let through by the draw
+  assert.deepEqual(kept.map(decision => decision.record), [{ reason: 'sampled', rate: 0.25 }, { reason: 'sampled', rate: 0.25 }]);
+
+  t.mock.timers.tick(1000);
+  sampler.tail(finished('/a'));
+  sampler.tail(finished('/a'));
+  sampler.tail(finished('/a'));
+  assert.equal(kept[0].record.rate, 0.25, 'records of earlier seconds are left alone');
+});
+
+test('tracks a bounded number of routes', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 10000 });
+  const sampler = new Sampler({ perRoute: 1 });
+
+  sampler.tail(finished('/hot'));
+  for (let i = 0; i < 999; i++) {
+    sampler.tail(finished(`/route/${i}`));
+  }
+  assert.equal(sampler.windows.size, 1000);
+
+  // All windows are from the current second, so the oldest one goes
+  sampler.tail(finished('/new'));
+  assert.equal(sampler.windows.size, 1000);
+  assert.equal(sampler.windows.has('GET /hot'), false);
+  assert.equal(sampler.windows.has('GET /new'), true);
+
+  t.mock.timers.tick(1000);
+  sampler.tail(finished('/route/0'));
+  for (let i = 0; i < 2000; i++) {
+    sampler.tail(finished(`/other/${i}`));
+  }
+  assert.equal(sampler.windows.size, 1000);
+  assert.equal(sampler.windows.has('GET /route/0'), false);
+  assert.equal(sampler.windows.has('GET /other/1999'), true);
+});
+
+test('rejects invalid options', () => {
+  assert.throws(() => new Sampler({ rate: 2 }), /sampling.rate/);
+  assert.throws(() => new Sampler({ perRoute: 0.5 }), /sampling.perRoute/);
+  assert.throws(() => new Sampler({ always: [] }), /sampling.always: expected an object/);
+  assert.throws(() => new Sampler({ always: { slowerThan: -1 } }), /sampling.always.slowerThan/);
+  assert.throws(() => new Sampler({ decide: 'yes' }), /sampling.decide/);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RequestDiff from '../../src/diff/RequestDiff.js';
+import { makeRequest } from '../helpers/requests.js';
+
+test('compares JSON bodies key by key, ignoring order and formatting', () => {
+  const { format, changes } = RequestDiff.compareBodies(
+    '{"id":1,"items":[{"sku":"a"},{"sku":"b"}],"note":"x"}',
+    '{\n  "items": [{"sku": "a"}, {"sku": "c"}, {"sku": "d"}],\n  "id": 1,\n  "extra-field": true\n}'
+  );
+
+  assert.equal(format, 'json');
+  assert.deepEqual(changes, [
+    { path: 'items[1].sku', type: 'changed', a: 'b', b: 'c' },
+    { path: 'items[2]', type: 'added', b: { sku: 'd' } },
+    { path: 'note', type: 'removed', a: 'x' },
+    { path: 'extra-field', type: 'added', b: true }
+  ]);
+});
+
+test('treats keys named like Object.prototype members as ordinary keys', () => {
+  assert.deepEqual(RequestDiff.compareJson({}, { constructor: 1 }), [{ path: 'constructor', type: 'added', b: 1 }]);
+  assert.deepEqual(RequestDiff.compareJson({ toString: 'x' }, {}), [{ path: 'toString', type: 'removed', a: 'x' }]);
+  assert.deepEqual(RequestDiff.compareJson({ hasOwnProperty: 1 }, { hasOwnProperty: 1 }), []);
+
+  const { changes } = RequestDiff.compareBodies('{"user":{}}', '{"user":{"__proto__":{"admin":true}}}');
+  assert.deepEqual(changes, [{ path: 'user.__proto__', type: 'added', b: { admin: true } }]);
+});
+
+test('compares text and binary bodies as a whole', () => {
+  assert.deepEqual(RequestDiff.compareBodies('plain', 'plain'), { format: 'text', changes: [] });
+  assert.deepEqual(RequestDiff.compareBodies('', 'new').changes, [{ path: '', type: 'added', b: 'new' }]);
+
+  const binary = RequestDiff.compareBodies(Buffer.from([1, 2, 3]).toString('base64'), 'abc', { binaryA: true });
+  assert.equal(binary.format, 'binary');
+  assert.deepEqual(binary.changes, [{ path: '', type: 'changed', a: '3 bytes, sha256 039058c6', b: '3 bytes, sha256 ba7816bf' }]);
+  assert.deepEqual(RequestDiff.compareBodies(Buffer.from('abc').toString('base64'), 'abc', { binaryA: true }).changes, []);
+});
+
+test('compares two captured requests', () => {
+  const a = makeRequest({ url: '/api/users?page=1', headers: { accept: 'json' }, response: { statusCode: 200, responseTime: 20 } });
+  const b = makeRequest({
+    url: '/api/users?page=2',
+    headers: { accept: 'json', constructor: 'x' },
+    response: { statusCode: 500, responseTime: 35, body: '{"ok":false}' }
+  });
+
+  const diff = RequestDiff.compare(a, b);
+
+  assert.deepEqual(diff.status, { a: 200, b: 500, changed: true });
+  assert.equal(diff.timing.delta, 15);
+  assert.deepEqual(diff.request.query, [{ path: 'page', type: 'changed', a: '1', b: '2' }]);
+  assert.deepEqual(diff.request.headers, [{ path: 'constructor', type: 'added', b: 'x' }]);
+  assert.deepEqual(diff.response.body.changes, [{ path: 'ok', type: 'changed', a: true, b: false }]);
+  assert.equal(diff.identical, false);
+  assert.equal(RequestDiff.compare(a, { ...a, response: { ...a.response, responseTime: 99 } }).identical, true);
+});
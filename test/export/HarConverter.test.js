@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HarConverter from '../../src/export/HarConverter.js';
+import RequestStorage from '../../src/storage/RequestStorage.js';
+import { makeRequest } from '../helpers/requests.js';
+import { startApp } from '../helpers/app.js';
+
+const post = makeRequest({
+  method: 'POST',
+  url: '/api/orders?expand=items&tag=a&tag=b',
+  headers: { host: 'shop.test', 'content-type': 'application/json' },
+  body: '{"item":1}',
+  bodySize: 10,
+  startTime: Date.parse('2024-05-01T10:00:05Z'),
+  response: {
+    statusCode: 201,
+    statusMessage: 'Created',
+    headers: { 'content-type': 'application/json', 'set-cookie': ['a=1', 'b=2'], location: '/api/orders/7' },
+    body: '{"id":7}',
+    originalSize: 8,
+    responseTime: 42
+  }
+});
+
+test('converts requests to a HAR 1.2 log ordered by start time', () => {
+  const earlier = makeRequest({ startTime: Date.parse('2024-05-01T09:00:00Z') });
+  const har = HarConverter.toHar([post, earlier]);
+
+  assert.equal(har.log.version, '1.2');
+  assert.equal(har.log.creator.name, 'flux-manager');
+  assert.deepEqual(har.log.entries.map(entry => entry._fluxManager.id), [earlier.id, post.id]);
+
+  const entry = har.log.entries[1];
+  assert.equal(entry.startedDateTime, '2024-05-01T10:00:05.000Z');
+  assert.equal(entry.time, 42);
+  assert.equal(entry.request.url, 'http://shop.test/api/orders?expand=items&tag=a&tag=b');
+  assert.deepEqual(entry.request.queryString, [
+    { name: 'expand', value: 'items' }, { name: 'tag', value: 'a' }, { name: 'tag', value: 'b' }
+  ]);
+  assert.deepEqual(entry.request.postData, { mimeType: 'application/json', text: '{"item":1}' });
+  assert.equal(entry.response.status, 201);
+  assert.equal(entry.response.redirectURL, '/api/orders/7');
+  assert.deepEqual(entry.response.headers.filter(header => header.name === 'set-cookie').map(header => header.value), ['a=1', 'b=2']);
+  assert.deepEqual(entry.response.content, { size: 8, mimeType: 'application/json', text: '{"id":7}' });
+});
+
+test('reads its own export back with new ids', () => {
+  const [restored] = HarConverter.fromHar(HarConverter.toHar([post]));
+
+  assert.notEqual(restored.id, post.id);
+  assert.equal(restored.importedFrom, post.id);
+  for (const field of ['method', 'path', 'url', 'body', 'bodySize', 'startTime', 'timestamp', 'ip']) {
+    assert.deepEqual(restored[field], post[field], field);
+  }
+  assert.deepEqual(restored.query, { expand: 'items', tag: ['a', 'b'] });
+  assert.deepEqual(restored.headers, post.headers);
+  for (const field of ['statusCode', 'statusMessage', 'headers', 'body', 'bodyEncoding', 'originalSize', 'responseTime']) {
+    assert.deepEqual(restored.response[field], post.response[field], field);
+  }
+});
+
+test('reports the decoded content size separately from the wire size', () => {
+  const compressed = makeRequest({
+    response: { body: 'x'.repeat(1000), originalSize: 40, decompressedFrom: 'gzip' }
+  });
+  const entry = HarConverter.toEntry(compressed);
+
+  assert.equal(entry.response.content.size, 1000);
+  assert.equal(entry.response.bodySize, 40);
+  assert.equal(HarConverter.fromEntry(entry).response.originalSize, 40);
+
+  const truncated = makeRequest({ response: { body: 'x'.repeat(10), truncated: true, originalSize: 40, decompressedFrom: 'gzip' } });
+  assert.equal(HarConverter.toEntry(truncated).response.content.size, -1);
+  const plainTruncated = makeRequest({ response: { body: 'x'.repeat(10), truncated: true, originalSize: 40 } });
+  assert.equal(HarConverter.toEntry(plainTruncated).response.content.size, 40);
+});
+
+test('keeps base64 bodies encoded', () => {
+  const image = makeRequest({
+    response: { headers: { 'content-type': 'image/png' }, body: Buffer.from([0, 1, 2, 255]).toString('base64'), bodyEncoding: 'base64', originalSize: 4 }
+  });
+  const entry = HarConverter.toEntry(image);
+
+  assert.equal(entry.response.content.encoding, 'base64');
+  assert.equal(entry.response.content.size, 4);
+
+  const restored = HarConverter.fromEntry(entry);
+  assert.equal(restored.response.bodyEncoding, 'base64');
+  assert.equal(restored.response.body, image.response.body);
+});
+
+test('imports HAR files from other tools', () => {
+  const [request] = HarConverter.fromHar({
+    log: {
+      entries: [{
+        startedDateTime: '2024-05-01T08:00:00.000Z',
+        time: 12.6,
+        serverIPAddress: '10.0.0.1',
+        request: {
+          method: 'post',
+          url: 'https://example.com/login',
+          headers: [{ name: 'Content-Type', value: 'application/x-www-form-urlencoded' }],
+          postData: { mimeType: 'application/x-www-form-urlencoded', params: [{ name: 'user', value: 'ann' }] },
+          bodySize: -1
+        },
+        response: { status: 200, headers: [], content: { size: 5, mimeType: 'text/plain', text: 'hello' }, bodySize: -1 }
+      }]
+    }
+  });
+
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, '/login');
+  assert.equal(request.headers['content-type'], 'application/x-www-form-urlencoded');
+  assert.equal(request.body, 'user=ann');
+  assert.equal(request.bodySize, 8);
+  assert.equal(request.ip, '10.0.0.1');
+  assert.equal(request.response.responseTime, 13);
+  assert.equal(request.response.originalSize, 5);
+});
+
+test('rejects documents that are not HAR logs', () => {
+  assert.throws(() => HarConverter.fromHar({}), /missing log.entries/);
+  assert.throws(() => HarConverter.fromHar({ log: { entries: [{ request: { url: '/' } }] } }), /index 0/);
+});
+
+test('storage merges imported requests by capture time', () => {
+  const storage = new RequestStorage(3);
+  const at = minute => makeRequest({ startTime: Date.parse('2024-05-01T10:00:00Z') + minute * 60 * 1000 });
+  [at(2), at(4)].forEach(request => storage.addRequest(request));
+
+  storage.addRequests([at(5), at(1), at(3)]);
+
+  assert.deepEqual(storage.getAll().map(request => new Date(request.startTime).getUTCMinutes()), [5, 4, 3]);
+
+  storage.addRequests([at(6), at(7)]);
+  assert.deepEqual(storage.getAll().map(request => new Date(request.startTime).getUTCMinutes()), [7, 6, 5]);
+});
+
+test('the export and import API round-trip captured requests', async () => {
+  const app = await startApp({}, (req, res) => {
+    res.statusCode = req.url === '/fail' ? 500 : 200;
+    res.end('done');
+  });
+  try {
+    await app.fetch('/ok');
+    await app.fetch('/fail');
+
+    const response = await app.fetch(`${app.fm.options.route}/api/export?status=5xx`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="flux-manager-.*\.har"/);
+    const har = await response.json();
+    assert.deepEqual(har.log.entries.map(entry => new URL(entry.request.url).pathname), ['/fail']);
+
+    const imported = await app.api('/api/import', { method: 'POST', body: JSON.stringify(har) });
+    assert.deepEqual(imported, { status: 200, success: true, data: { imported: 1 } });
+    assert.equal(app.fm.getRequests().filter(request => request.path === '/fail').length, 2);
+
+    const invalid = await app.api('/api/import', { method: 'POST', body: '{"log":{}}' });
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.error, /missing log.entries/);
+
+    const unsupported = await app.api('/api/export?format=csv');
+    assert.equal(unsupported.status, 400);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,60 @@
+/**
+ * Test Application
+ *
+ * Starts a native HTTP server monitored by a FluxManager on a free port, with
+ * the dashboard routes and the WebSocket on the same server, the way
+ * `attachTo()` serves them in an application.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import http from 'http';
+import FluxManager from '../../src/FluxManager.js';
+
+/**
+ * Start a monitored application
+ *
+ * @param {Object} [options={}] - FluxManager options; the built-in server and process error capture are off
+ * @param {Function} [handler] - `(req, res)` application handler; answers `ok` by default
+ * @returns {Promise<Object>} `{ fm, baseUrl, fetch(path, init), api(path, init), close() }`; `api` sends bodies as JSON
+ */
+export async function startApp(options = {}, handler = (req, res) => res.end('ok')) {
+  const fm = new FluxManager({ autoStart: false, captureProcessErrors: false, ...options });
+  const route = fm.options.route;
+
+  const server = http.createServer((req, res) => {
+    if (req.url.startsWith(route)) {
+      fm._handleRequest(req, res);
+    } else {
+      fm.intercept(req, res, () => handler(req, res));
+    }
+  });
+  fm.setupWebSocket(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    fm,
+    baseUrl,
+    fetch: (path, init) => fetch(`${baseUrl}${path}`, init),
+    api: async (path, init = {}) => {
+      // Bodies are sent the way the dashboard sends them
+      const headers = init.body !== undefined ? { 'content-type': 'application/json', ...init.headers } : init.headers;
+      const response = await fetch(`${baseUrl}${route}${path}`, { ...init, headers });
+      return { status: response.status, ...(await response.json()) };
+    },
+    close: () => {
+      // Upgraded WebSocket connections are not HTTP connections, so they are closed separately
+      if (fm.wss) {
+        fm.wss.clients.forEach(ws => ws.terminate());
+      }
+      fm.stop();
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Stand-in OTLP Collector
+ *
+ * Receives OTLP/HTTP JSON exports on `POST /v1/traces` and keeps the spans,
+ * so the tracing export can be checked without a real collector. Run it on
+ * its own to watch what an application exports:
+ *
+ * ```bash
+ * node test/helpers/otlpCollector.js   # listens on http://localhost:4318/v1/traces
+ * ```
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+/**
+ * Start a collector
+ *
+ * @param {Object} [options={}] - Collector options
+ * @param {number} [options.port=0] - Port to listen on; 0 picks a free one
+ * @param {number} [options.status=200] - Status code answered to exports
+ * @param {Function} [options.onExport] - Called with each decoded export request
+ * @returns {Promise<Object>} `{ url, exports, spans(), close() }`
+ */
+export async function startCollector({ port = 0, status = 200, onExport } = {}) {
+  const exports = [];
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST' || req.url !== '/v1/traces') {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      let payload;
+      try {
+        payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (error) {
+        res.writeHead(400);
+        return res.end();
+      }
+
+      const entry = { headers: req.headers, payload };
+      exports.push(entry);
+      if (onExport) {
+        onExport(entry);
+      }
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end('{}');
+    });
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1/traces`,
+    exports,
+    spans: () => exports.flatMap(({ payload }) => payload.resourceSpans
+      .flatMap(resourceSpans => resourceSpans.scopeSpans)
+      .flatMap(scopeSpans => scopeSpans.spans)),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const collector = await startCollector({
+    port: Number(process.env.PORT) || 4318,
+    onExport: ({ payload }) => console.log(JSON.stringify(payload, null, 2))
+  });
+  console.log(`OTLP stand-in collector listening on ${collector.url}`);
+}
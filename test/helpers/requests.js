@@ -0,0 +1,53 @@
+/**
+ * Captured Request Fixtures
+ *
+ * Builds requests in the shape `FluxManager.intercept()` stores, for tests
+ * that exercise storage, search and conversions without a server.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+/**
+ * Sequence number used for default ids and capture times
+ * @type {number}
+ */
+let sequence = 0;
+
+/**
+ * Build a captured request
+ *
+ * @param {Object} [overrides={}] - Fields replacing the defaults; `response` is merged
+ * @returns {Object} Captured request
+ */
+export function makeRequest(overrides = {}) {
+  sequence++;
+  const startTime = overrides.startTime || Date.parse('2024-05-01T10:00:00Z') + sequence * 1000;
+  const url = overrides.url || overrides.path || '/api/users';
+  const [path, search = ''] = url.split('?');
+
+  return {
+    id: `request-${sequence}`,
+    method: 'GET',
+    path,
+    url,
+    headers: { host: 'localhost:3000', 'user-agent': 'test-agent' },
+    query: Object.fromEntries(new URLSearchParams(search)),
+    ip: '127.0.0.1',
+    timestamp: new Date(startTime).toISOString(),
+    startTime,
+    body: '',
+    ...overrides,
+    response: {
+      statusCode: 200,
+      headers: { 'content-type': 'application/json' },
+      body: '{"ok":true}',
+      bodyEncoding: 'utf8',
+      responseTime: 20,
+      originalSize: 11,
+      ...overrides.response
+    }
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * Polling Helper
+ *
+ * Waits for state that changes outside the test's control, such as a request
+ * reaching a breakpoint or a WebSocket client being dropped.
+ *
+ * @author Flux Manager Team
+ * @version 1.0.0
+ * @license MIT
+ * @since 1.0.3
+ */
+
+/**
+ * Wait until a condition holds
+ *
+ * @param {Function} condition - Returns a truthy value once the wait is over
+ * @param {number} [timeout=2000] - Milliseconds before giving up
+ * @returns {Promise<*>} The condition's truthy value
+ * @throws {Error} If the condition does not hold in time
+ */
+export async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  let value;
+  while (!(value = condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return value;
+}
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FluxManager from '../../src/FluxManager.js';
+
+/**
+ * Stand-in driver connection that answers queries when `flush()` is called,
+ * the way a driver answers from its socket's data handler rather than from the
+ * code that issued the query
+ */
+class FakeConnection {
+  constructor() {
+    this.pending = [];
+  }
+
+  query(sql, values, callback) {
+    const done = typeof values === 'function' ? values : callback;
+    if (done) {
+      this.pending.push({ sql, done });
+      return undefined;
+    }
+    return new Promise((resolve, reject) => {
+      this.pending.push({ sql, done: (error, result) => (error ? reject(error) : resolve(result)) });
+    });
+  }
+
+  flush() {
+    this.pending.splice(0).forEach(({ sql, done }) => {
+      if (sql.startsWith('FAIL')) {
+        done(new Error('syntax error'));
+      } else {
+        done(null, { rowCount: 2, affectedRows: 3 });
+      }
+    });
+  }
+}
+
+const createFluxManager = () => new FluxManager({ autoStart: false, captureProcessErrors: false });
+
+test('links pg callback and promise queries to the request that issued them', async () => {
+  const fm = createFluxManager();
+  class Client extends FakeConnection {}
+  fm.instrumentPg({ Client });
+  const client = new Client();
+
+  let promise;
+  fm.context.run({ requestId: 'REQ-A', method: 'GET', path: '/users' }, () => {
+    client.query('SELECT 1', [], () => {});
+    promise = client.query('SELECT 2');
+  });
+  fm.context.run({ requestId: 'REQ-B' }, () => client.query('FAIL 3', () => {}));
+
+  // The driver answers outside of any request
+  client.flush();
+  await promise;
+
+  const queries = Object.fromEntries(fm.queries.getAll().map(query => [query.sql, query]));
+  assert.equal(queries['SELECT 1'].requestId, 'REQ-A');
+  assert.equal(queries['SELECT 1'].path, '/users');
+  assert.equal(queries['SELECT 1'].rowCount, 2);
+  assert.equal(queries['SELECT 2'].requestId, 'REQ-A');
+  assert.equal(queries['FAIL 3'].requestId, 'REQ-B');
+  assert.equal(queries['FAIL 3'].error, 'syntax error');
+  fm.stop();
+});
+
+test('links mysql2 queries answered on a pooled connection to their own request', () => {
+  const fm = createFluxManager();
+  class Connection extends FakeConnection {
+    execute(sql, values, callback) {
+      return this.query(sql, values, callback);
+    }
+  }
+  fm.instrumentMysql2({ Connection });
+
+  // The pooled connection was opened while another request was handled
+  const connection = fm.context.run({ requestId: 'REQ-OPENER' }, () => new Connection());
+  fm.context.run({ requestId: 'REQ-A' }, () => connection.execute('UPDATE users SET active = 1', [], () => {}));
+  fm.context.run({ requestId: 'REQ-OPENER' }, () => connection.flush());
+
+  const [query] = fm.queries.getAll();
+  assert.equal(query.requestId, 'REQ-A');
+  assert.equal(query.db, 'mysql');
+  assert.equal(query.rowCount, 3);
+  fm.stop();
+});
+
+test('records queries made outside of a request without a request id', () => {
+  const fm = createFluxManager();
+  class Client extends FakeConnection {}
+  fm.instrumentPg({ Client });
+  const client = new Client();
+
+  client.query('SELECT now()', () => {});
+  fm.context.run({ requestId: 'REQ-A' }, () => client.flush());
+
+  assert.equal(fm.queries.getAll()[0].requestId, null);
+  fm.stop();
+});
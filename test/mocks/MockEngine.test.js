@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MockEngine, { MOCK_HEADER } from '../../src/mocks/MockEngine.js';
+import { REDACTED } from '../../src/redaction/Redactor.js';
+import { makeRequest } from '../helpers/requests.js';
+import { startApp } from '../helpers/app.js';
+
+const request = (method, url, headers = {}) => makeRequest({ method, url, headers });
+
+test('matches the first enabled rule and counts hits', () => {
+  const mocks = new MockEngine([
+    { name: 'off', enabled: false, match: { path: '/api/**' }, response: { status: 500 } },
+    { name: 'flags', match: { method: 'GET', path: '/api/flags', headers: { 'x-env': 'staging' } }, response: { body: { beta: true } } },
+    { name: 'slow', match: { path: '/api/**' }, delay: 100 }
+  ]);
+
+  assert.equal(mocks.match(request('GET', '/api/flags', { 'x-env': 'staging' })).name, 'flags');
+  assert.equal(mocks.match(request('GET', '/api/flags')).name, 'slow');
+  assert.equal(mocks.match(request('GET', '/health')), null);
+
+  const [, flags] = mocks.list();
+  assert.equal(flags.hits, 1);
+  assert.ok(flags.lastHitAt);
+});
+
+test('applies probabilistic rules to a share of the matching requests', t => {
+  const mocks = new MockEngine([{ match: {}, response: { status: 503 }, probability: 0.25 }]);
+  const random = t.mock.method(Math, 'random', () => 0.3);
+
+  assert.equal(mocks.match(request('GET', '/')), null);
+  random.mock.mockImplementation(() => 0.1);
+  assert.ok(mocks.match(request('GET', '/')));
+});
+
+test('validates rule definitions', () => {
+  const invalid = [
+    [null, /JSON object/],
+    [{ match: {} }, /needs a response, a delay or a fault/],
+    [{ delay: -1 }, /Invalid delay/],
+    [{ fault: 'timeout' }, /Invalid fault/],
+    [{ probability: 0, delay: 1 }, /Invalid probability/],
+    [{ response: { status: 99 } }, /Invalid response status/],
+    [{ response: { headers: { 'x-a': {} } } }, /Invalid response headers/],
+    [{ response: { headers: { 'bad header': 'x' } } }, /Invalid response header "bad header"/],
+    [{ response: { headers: { 'x-a': 'line\nbreak' } } }, /Invalid response header "x-a"/],
+    [{ response: { bodyEncoding: 'hex' } }, /Invalid bodyEncoding/],
+    [{ match: { path: '/(/' }, delay: 1 }, /./]
+  ];
+
+  for (const [definition, message] of invalid) {
+    assert.throws(() => MockEngine.normalize(definition), error => message.test(error.message) && error.statusCode === 400, String(message));
+  }
+});
+
+test('updates and removes rules by id', () => {
+  const mocks = new MockEngine();
+  const rule = mocks.create({ name: 'a', response: { status: 201 } });
+
+  assert.equal(mocks.update(rule.id, { enabled: false }, { partial: true }).response.status, 201);
+  assert.equal(mocks.get(rule.id).enabled, false);
+  assert.throws(() => mocks.update('missing', { delay: 1 }), error => error.statusCode === 404);
+  assert.ok(mocks.remove(rule.id));
+  assert.deepEqual(mocks.list(), []);
+});
+
+test('builds a rule from a captured request without redacted values', () => {
+  const captured = makeRequest({
+    method: 'POST',
+    url: '/api/login?next=/home',
+    response: {
+      statusCode: 201,
+      headers: { 'content-type': 'application/json', 'set-cookie': [REDACTED], 'content-length': '40', 'x-request-id': 'r-1' },
+      body: `{"token":"${REDACTED}","user":"ann"}`
+    }
+  });
+
+  const definition = MockEngine.fromCapturedRequest(captured);
+
+  assert.equal(definition.source, captured.id);
+  assert.deepEqual(definition.match, { method: 'POST', path: '/^/api/login$/' });
+  assert.deepEqual(definition.response.headers, { 'content-type': 'application/json', 'x-request-id': 'r-1' });
+  assert.equal(definition.redactedBody, true);
+  assert.equal(new MockEngine([definition]).list()[0].redactedBody, true);
+
+  const clean = MockEngine.fromCapturedRequest(makeRequest({ response: { body: '{"ok":true}' } }));
+  assert.equal(clean.redactedBody, undefined);
+
+  assert.throws(() => MockEngine.fromCapturedRequest(makeRequest({ response: { truncated: true } })), /truncated/);
+});
+
+test('mocked requests are answered without reaching the application', async () => {
+  let handled = 0;
+  const app = await startApp({
+    mocks: [{ name: 'flags', match: { path: '/api/flags' }, response: { status: 202, headers: { 'x-source': 'mock' }, body: { beta: true } } }]
+  }, (req, res) => {
+    handled++;
+    res.end('app');
+  });
+  try {
+    const response = await app.fetch('/api/flags');
+    const [rule] = app.fm.mocks.list();
+
+    assert.equal(response.status, 202);
+    assert.equal(response.headers.get('x-source'), 'mock');
+    assert.equal(response.headers.get(MOCK_HEADER), rule.id);
+    assert.equal(response.headers.get('content-type'), 'application/json');
+    assert.deepEqual(await response.json(), { beta: true });
+    assert.equal(handled, 0);
+
+    const [stored] = app.fm.getRequests();
+    assert.deepEqual(stored.mock, { id: rule.id, name: 'flags' });
+    assert.equal(stored.response.statusCode, 202);
+
+    assert.equal(await (await app.fetch('/other')).text(), 'app');
+    assert.equal(handled, 1);
+  } finally {
+    await app.close();
+  }
+});
+
+test('the mocks API refuses invalid headers and mocks captured requests', async () => {
+  const app = await startApp({}, (req, res) => {
+    res.setHeader('content-type', 'text/plain');
+    res.end('captured');
+  });
+  try {
+    const invalid = await app.api('/api/mocks', {
+      method: 'POST',
+      body: JSON.stringify({ match: { path: '/x' }, response: { headers: { 'x-a': 'line\r\nbreak' } } })
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.success, false);
+    assert.match(invalid.error, /Invalid response header "x-a"/);
+
+    await app.fetch('/report');
+    const [captured] = app.fm.getRequests();
+    const created = await app.api(`/api/requests/${captured.id}/mock`, { method: 'POST' });
+    assert.equal(created.status, 201);
+    assert.equal(created.data.source, captured.id);
+
+    const replayed = await app.fetch('/report');
+    assert.equal(replayed.headers.get(MOCK_HEADER), created.data.id);
+    assert.equal(await replayed.text(), 'captured');
+  } finally {
+    await app.close();
+  }
+});
+
+test('a delayed rule that fails to respond ends the request instead of crashing', async t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const app = await startApp();
+  try {
+    const body = {};
+    body.self = body;
+    app.fm.mocks.create({ match: { path: '/loop' }, delay: 10, response: { body } });
+
+    const response = await app.fetch('/loop');
+
+    assert.equal(response.status, 500);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /could not respond/);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,206 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import RealtimeHub, { PROTOCOL_VERSION, TOPICS } from '../../src/realtime/RealtimeHub.js';
+import { startApp } from '../helpers/app.js';
+import { waitFor } from '../helpers/wait.js';
+
+/**
+ * Connect to the dashboard WebSocket of a test application
+ * `next(type)` resolves with the next message of that type, in arrival order.
+ */
+async function connect(app) {
+  const ws = new WebSocket(`${app.baseUrl.replace('http', 'ws')}${app.fm.options.route}/ws`);
+  const received = [];
+  const waiting = [];
+
+  ws.on('message', raw => {
+    const message = JSON.parse(String(raw));
+    const index = waiting.findIndex(waiter => waiter.type === message.type);
+    if (index === -1) {
+      received.push(message);
+    } else {
+      waiting.splice(index, 1)[0].resolve(message);
+    }
+  });
+  await new Promise((resolve, reject) => ws.once('open', resolve).once('error', reject));
+
+  return {
+    ws,
+    send: message => ws.send(typeof message === 'string' ? message : JSON.stringify(message)),
+    next: type => {
+      const index = received.findIndex(message => message.type === type);
+      if (index !== -1) {
+        return Promise.resolve(received.splice(index, 1)[0]);
+      }
+      return new Promise(resolve => waiting.push({ type, resolve }));
+    },
+    pending: type => received.filter(message => message.type === type)
+  };
+}
+
+test('greets clients with the protocol version, topics and heartbeat interval', async t => {
+  t.mock.method(console, 'log', () => {});
+  const app = await startApp({ webSocket: { heartbeatInterval: 5000 } });
+  try {
+    const client = await connect(app);
+    const hello = await client.next('hello');
+
+    assert.deepEqual(hello, { v: PROTOCOL_VERSION, type: 'hello', data: { protocol: 1, topics: TOPICS, heartbeatInterval: 5000 } });
+    assert.equal(app.fm.realtime.size, 1);
+  } finally {
+    await app.close();
+  }
+});
+
+test('sends new requests through each client subscription', async t => {
+  t.mock.method(console, 'log', () => {});
+  const app = await startApp({}, (req, res) => {
+    res.statusCode = req.url === '/fail' ? 500 : 200;
+    res.end();
+  });
+  try {
+    const everything = await connect(app);
+    const errors = await connect(app);
+
+    errors.send({ type: 'subscribe', protocol: 1, topics: ['requests'], filter: 'status:5xx', summary: true, ref: 'sub' });
+    const subscribed = await errors.next('subscribed');
+    assert.equal(subscribed.ref, 'sub');
+    assert.deepEqual(subscribed.data, { topics: ['requests'], filter: 'status:5xx', summary: true });
+
+    await app.fetch('/ok');
+    await app.fetch('/fail');
+
+    const first = await everything.next('new_request');
+    const second = await everything.next('new_request');
+    assert.deepEqual([first.data.path, second.data.path], ['/ok', '/fail']);
+    assert.ok(first.data.headers, 'unsubscribed clients get full requests');
+
+    const failed = await errors.next('new_request');
+    assert.equal(failed.data.path, '/fail');
+    assert.equal(failed.data.summary, true);
+    assert.equal(failed.data.headers, undefined);
+    assert.equal(failed.data.response.statusCode, 500);
+
+    errors.send({ type: 'get_request', id: failed.data.id, ref: 7 });
+    const full = await errors.next('request');
+    assert.equal(full.ref, 7);
+    assert.equal(full.data.id, failed.data.id);
+    assert.ok(full.data.headers);
+
+    errors.send({ type: 'get_request', id: 'missing' });
+    assert.equal((await errors.next('request')).data, null);
+
+    errors.send({ type: 'unsubscribe', topics: ['requests'] });
+    assert.deepEqual((await errors.next('subscribed')).data.topics, []);
+    await app.fetch('/fail');
+    await everything.next('new_request');
+    errors.send({ type: 'ping' });
+    await errors.next('pong');
+    assert.deepEqual(errors.pending('new_request'), []);
+  } finally {
+    await app.close();
+  }
+});
+
+test('answers invalid messages with errors and keeps the subscription', async t => {
+  t.mock.method(console, 'log', () => {});
+  const app = await startApp();
+  try {
+    const client = await connect(app);
+    const expectError = async (message, pattern) => {
+      client.send(message);
+      assert.match((await client.next('error')).data.message, pattern);
+    };
+
+    await expectError('not json', /Messages must be JSON/);
+    await expectError('42', /JSON objects/);
+    await expectError({ type: 'shout' }, /Unknown message type "shout"/);
+    await expectError({ type: 'subscribe', protocol: 2 }, /Unsupported protocol version 2; this server speaks 1/);
+    await expectError({ type: 'subscribe', topics: ['requests', 'weather'] }, /Unknown topic "weather"/);
+    await expectError({ type: 'subscribe', filter: 'status:abc' }, /status/);
+    await expectError({ type: 'unsubscribe', topics: 'stats' }, /topics must be an array/);
+
+    client.send({ type: 'ping', ref: 1 });
+    const pong = await client.next('pong');
+    assert.equal(pong.ref, 1);
+    assert.equal(typeof pong.data.time, 'number');
+
+    await app.fetch('/still-subscribed');
+    assert.equal((await client.next('new_request')).data.path, '/still-subscribed');
+  } finally {
+    await app.close();
+  }
+});
+
+test('tells clients about cleared and evicted requests and fresh statistics', async t => {
+  t.mock.method(console, 'log', () => {});
+  const app = await startApp({ maxRequests: 2 });
+  try {
+    const client = await connect(app);
+    client.send({ type: 'subscribe', topics: ['requests', 'stats'], summary: true });
+    await client.next('subscribed');
+
+    for (const path of ['/a', '/b', '/c', '/d']) {
+      await app.fetch(path);
+    }
+    const sent = [];
+    for (let index = 0; index < 4; index++) {
+      sent.push((await client.next('new_request')).data.id);
+    }
+
+    const evicted = await client.next('evicted');
+    assert.deepEqual(evicted.data.ids, sent.slice(0, 2));
+
+    const stats = await client.next('stats');
+    assert.equal(stats.data.total, 2);
+
+    const cleared = await app.api('/api/requests', { method: 'DELETE' });
+    assert.equal(cleared.success, true);
+    assert.deepEqual((await client.next('cleared')).data, {});
+  } finally {
+    await app.close();
+  }
+});
+
+test('terminates clients that stop answering pings', async t => {
+  t.mock.method(console, 'log', () => {});
+  const app = await startApp({ webSocket: { heartbeatInterval: 50 } });
+  try {
+    const healthy = await connect(app);
+    const dead = await connect(app);
+    await waitFor(() => app.fm.realtime.size === 2);
+
+    // A paused socket reads no ping frames, so it never sends a pong
+    dead.ws._socket.pause();
+    await waitFor(() => app.fm.realtime.size === 1);
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.equal(app.fm.realtime.size, 1);
+    assert.equal(healthy.ws.readyState, WebSocket.OPEN);
+  } finally {
+    await app.close();
+  }
+});
+
+test('drops messages for clients that fall behind and asks them to resync', () => {
+  const hub = new RealtimeHub({ maxBufferedBytes: 100 });
+  const wss = new EventEmitter();
+  const ws = new EventEmitter();
+  const sent = [];
+  Object.assign(ws, { readyState: WebSocket.OPEN, bufferedAmount: 0, send: message => sent.push(JSON.parse(message)) });
+
+  hub.attach(wss);
+  wss.emit('connection', ws);
+  ws.bufferedAmount = 500;
+  hub.publish('new_log', { message: 'one' });
+  hub.publish('new_log', { message: 'two' });
+  ws.bufferedAmount = 0;
+  hub.publish('new_log', { message: 'three' });
+  hub.close();
+
+  assert.deepEqual(sent.map(message => message.type), ['hello', 'resync', 'new_log']);
+  assert.deepEqual(sent[1].data, { dropped: 2 });
+  assert.equal(sent[2].data.message, 'three');
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import RequestReplayer, { REPLAY_TOKEN_HEADER } from '../../src/replay/RequestReplayer.js';
+import { startApp } from '../helpers/app.js';
+
+test('replays a request to the application and links the new capture to it', async () => {
+  const received = [];
+  const app = await startApp({}, (req, res) => {
+    received.push({ method: req.method, url: req.url, headers: req.headers });
+    res.statusCode = req.headers['x-attempt'] === '2' ? 202 : 200;
+    res.end('ok');
+  });
+  try {
+    await app.fetch('/orders?page=1', { headers: { 'x-attempt': '1' } });
+    const [original] = app.fm.getRequests();
+
+    const { status, data } = await app.api(`/api/requests/${original.id}/replay`, {
+      method: 'POST',
+      body: JSON.stringify({ method: 'delete', headers: { ...original.headers, 'x-attempt': '2' } })
+    });
+    assert.equal(status, 200);
+    assert.equal(data.replayOf, original.id);
+    assert.equal(data.statusCode, 202);
+
+    const token = received[1].headers[REPLAY_TOKEN_HEADER];
+    assert.match(token, /^[0-9a-f]{32}$/);
+    assert.equal(received[1].method, 'DELETE');
+    assert.equal(received[1].url, '/orders?page=1');
+    assert.equal(received[0].headers[REPLAY_TOKEN_HEADER], undefined);
+
+    const replay = app.fm.getRequests().find(item => item.id === data.requestId);
+    assert.equal(replay.replayOf, original.id);
+    assert.equal(replay.headers[REPLAY_TOKEN_HEADER], undefined, 'the token is not stored');
+
+    // The token was used up by the replay
+    await app.fetch('/orders', { headers: { [REPLAY_TOKEN_HEADER]: token } });
+    const reused = app.fm.getRequests().find(item => item.id !== original.id && item.id !== replay.id);
+    assert.equal(reused.replayOf, undefined);
+    assert.equal(reused.headers[REPLAY_TOKEN_HEADER], undefined);
+  } finally {
+    await app.close();
+  }
+});
+
+test('fails when the connection closes partway through the response', async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'content-length': 100 });
+    res.write('partial');
+    setTimeout(() => res.destroy(), 20);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const replayer = new RequestReplayer({ target: `http://127.0.0.1:${server.address().port}` });
+  try {
+    await assert.rejects(
+      replayer.replay({ id: 'r-1', method: 'GET', url: '/download', headers: {} }),
+      error => /^Replay failed: /.test(error.message) && error.statusCode === 502
+    );
+    assert.equal(replayer.pending.size, 0);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
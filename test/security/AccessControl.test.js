@@ -0,0 +1,187 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import AccessControl from '../../src/security/AccessControl.js';
+import { startApp } from '../helpers/app.js';
+
+const MOCK = JSON.stringify({ match: { path: '/checkout' }, response: { status: 503 } });
+
+test('refuses state-changing API calls from foreign origins', async () => {
+  const app = await startApp({ auth: { username: 'admin', password: 'secret' }, cors: { origins: ['https://admin.example.com'] } });
+  const authorization = `Basic ${Buffer.from('admin:secret').toString('base64')}`;
+  const post = origin => app.fetch(`${app.fm.options.route}/api/mocks`, {
+    method: 'POST',
+    headers: { authorization, origin, 'content-type': 'application/json' },
+    body: MOCK
+  });
+  try {
+    const foreign = await post('https://evil.example');
+    assert.equal(foreign.status, 403);
+    assert.match(await foreign.text(), /cross-origin/);
+    assert.deepEqual(app.fm.mocks.list(), []);
+
+    const read = await app.fetch(`${app.fm.options.route}/api/mocks`, { headers: { authorization, origin: 'https://evil.example' } });
+    assert.equal(read.status, 200);
+
+    assert.equal((await post('https://admin.example.com')).status, 201);
+    assert.equal((await post(app.baseUrl)).status, 201, 'the dashboard itself is same-origin');
+    assert.equal(app.fm.mocks.list().length, 2);
+  } finally {
+    await app.close();
+  }
+});
+
+test('refuses API bodies that are not sent as JSON', async () => {
+  const app = await startApp();
+  const post = (path, init) => app.fetch(`${app.fm.options.route}${path}`, { method: 'POST', ...init });
+  try {
+    // What a cross-site <form enctype="text/plain"> can send
+    const form = await post('/api/mocks', { headers: { 'content-type': 'text/plain' }, body: MOCK });
+    assert.equal(form.status, 415);
+    assert.deepEqual(await form.json(), { success: false, error: 'Request body must be sent as application/json' });
+
+    assert.equal((await post('/api/import', { headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: '{"log":{"entries":[]}}' })).status, 415);
+    assert.equal((await post('/api/mocks', { body: MOCK })).status, 415, 'fetch sends strings as text/plain');
+    assert.deepEqual(app.fm.mocks.list(), []);
+
+    const json = await post('/api/mocks', { headers: { 'content-type': 'application/json; charset=utf-8' }, body: MOCK });
+    assert.equal(json.status, 201);
+
+    await app.fetch('/checkout');
+    const [captured] = app.fm.getRequests();
+    const replay = await post(`/api/requests/${captured.id}/replay`);
+    assert.equal(replay.status, 200, 'optional bodies may be left out');
+  } finally {
+    await app.close();
+  }
+});
+
+test('accepts basic auth credentials', async () => {
+  const app = await startApp({ auth: { username: 'admin', password: 'p:ss' } });
+  const get = credentials => app.fetch(`${app.fm.options.route}/api/stats`, {
+    headers: credentials ? { authorization: `Basic ${Buffer.from(credentials).toString('base64')}` } : {}
+  });
+  try {
+    const anonymous = await get();
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.headers.get('www-authenticate'), 'Basic realm="Flux Manager", charset="UTF-8"');
+
+    assert.equal((await get('admin:wrong')).status, 401);
+    assert.equal((await get('admin')).status, 401);
+    assert.equal((await get('admin:p:ss')).status, 200);
+  } finally {
+    await app.close();
+  }
+});
+
+test('accepts a bearer token from the header, the cookie or ?token=', async () => {
+  const app = await startApp({ auth: { token: ['first', 'second'] } });
+  const route = app.fm.options.route;
+  try {
+    const anonymous = await app.fetch(`${route}/api/stats`);
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer realm="Flux Manager"');
+    assert.equal((await app.fetch(`${route}/api/stats`, { headers: { authorization: 'Bearer wrong' } })).status, 401);
+
+    assert.equal((await app.fetch(`${route}/api/stats`, { headers: { authorization: 'Bearer second' } })).status, 200);
+    assert.equal((await app.fetch(`${route}/api/stats`, { headers: { cookie: 'theme=dark; flux_manager_token=first' } })).status, 200);
+
+    const query = await app.fetch(`${route}/api/stats?token=first`);
+    assert.equal(query.status, 200);
+    assert.equal(query.headers.get('set-cookie'), `flux_manager_token=first; Path=${route}; HttpOnly; SameSite=Strict`);
+
+    // Page loads drop the token from the address bar
+    const page = await app.fetch(`${route}/?view=logs&token=first`, { headers: { accept: 'text/html' }, redirect: 'manual' });
+    assert.equal(page.status, 302);
+    assert.equal(page.headers.get('location'), `${route}/?view=logs`);
+    assert.match(page.headers.get('set-cookie'), /^flux_manager_token=first;/);
+  } finally {
+    await app.close();
+  }
+});
+
+test('allowlists addresses and CIDR ranges', async () => {
+  const access = new AccessControl({ allowedIps: ['10.0.0.0/8', '192.168.1.5', 'fd00::/8'] });
+
+  assert.equal(access.isAllowedAddress('10.20.30.40'), true);
+  assert.equal(access.isAllowedAddress('11.0.0.1'), false);
+  assert.equal(access.isAllowedAddress('192.168.1.5'), true);
+  assert.equal(access.isAllowedAddress('192.168.1.6'), false);
+  assert.equal(access.isAllowedAddress('fd12::1'), true);
+  assert.equal(access.isAllowedAddress('fe80::1'), false);
+  assert.equal(access.isAllowedAddress('::ffff:10.1.2.3'), true, 'IPv4-mapped addresses are checked as IPv4');
+  assert.equal(access.isAllowedAddress('::FFFF:11.0.0.1'), false);
+  assert.equal(access.isAllowedAddress(undefined), false);
+  assert.throws(() => new AccessControl({ allowedIps: ['10.0.0.0/x'] }), TypeError);
+  assert.throws(() => new AccessControl({ allowedIps: ['localhost'] }), /Invalid allowedIps entry: localhost/);
+
+  const denied = await startApp({ allowedIps: ['10.0.0.0/8'] });
+  const allowed = await startApp({ allowedIps: ['127.0.0.0/8'] });
+  try {
+    assert.equal((await denied.fetch(`${denied.fm.options.route}/api/stats`)).status, 403);
+    assert.equal((await allowed.fetch(`${allowed.fm.options.route}/api/stats`)).status, 200);
+  } finally {
+    await denied.close();
+    await allowed.close();
+  }
+});
+
+test('sends CORS headers to allowed origins only', async () => {
+  const app = await startApp({ auth: { token: 'secret' }, cors: { origins: ['https://admin.example.com'] } });
+  const url = `${app.fm.options.route}/api/stats`;
+  try {
+    const preflight = await app.fetch(url, {
+      method: 'OPTIONS',
+      headers: { origin: 'https://admin.example.com', 'access-control-request-method': 'GET' }
+    });
+    assert.equal(preflight.status, 204, 'preflights carry no credentials');
+    assert.equal(preflight.headers.get('access-control-allow-origin'), 'https://admin.example.com');
+    assert.equal(preflight.headers.get('access-control-allow-credentials'), 'true');
+    assert.equal(preflight.headers.get('access-control-allow-headers'), 'Content-Type, Authorization');
+    assert.equal(preflight.headers.get('vary'), 'Origin');
+
+    const read = await app.fetch(url, { headers: { origin: 'https://admin.example.com', authorization: 'Bearer secret' } });
+    assert.equal(read.headers.get('access-control-allow-origin'), 'https://admin.example.com');
+
+    const foreign = await app.fetch(url, { headers: { origin: 'https://evil.example', authorization: 'Bearer secret' } });
+    assert.equal(foreign.status, 200);
+    assert.equal(foreign.headers.get('access-control-allow-origin'), null);
+  } finally {
+    await app.close();
+  }
+
+  const headers = {};
+  new AccessControl({ cors: { origins: '*' } }).applyCors({ headers: { origin: 'https://any.example' } }, {
+    setHeader: (name, value) => {
+      headers[name] = value;
+    }
+  });
+  assert.equal(headers['Access-Control-Allow-Origin'], '*');
+  assert.equal(headers['Access-Control-Allow-Credentials'], undefined, 'credentials are never shared with any origin');
+});
+
+test('checks the origin and credentials of WebSocket upgrades', async () => {
+  const app = await startApp({ auth: { token: 'secret' }, cors: { origins: ['https://admin.example.com'] } });
+  const connect = options => new Promise(resolve => {
+    const ws = new WebSocket(`${app.baseUrl.replace('http', 'ws')}${app.fm.options.route}/ws`, options);
+    ws.once('open', () => {
+      ws.terminate();
+      resolve('open');
+    });
+    ws.once('unexpected-response', (req, res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+  });
+  const authorization = 'Bearer secret';
+  try {
+    assert.equal(await connect({ headers: { authorization }, origin: 'https://evil.example' }), 403);
+    assert.equal(await connect({ origin: app.baseUrl }), 401);
+
+    assert.equal(await connect({ headers: { authorization }, origin: app.baseUrl }), 'open', 'same origin');
+    assert.equal(await connect({ headers: { authorization }, origin: 'https://admin.example.com' }), 'open');
+    assert.equal(await connect({ headers: { cookie: 'flux_manager_token=secret' } }), 'open', 'non-browser client');
+  } finally {
+    await app.close();
+  }
+});
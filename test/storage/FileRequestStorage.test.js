@@ -0,0 +1,130 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FileRequestStorage from '../../src/storage/FileRequestStorage.js';
+import { makeRequest } from '../helpers/requests.js';
+
+let directory;
+let filePath;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'flux-manager-'));
+  filePath = path.join(directory, 'history', 'requests.jsonl');
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const ids = storage => storage.getAll().map(request => request.id);
+const fileIds = () => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line).id);
+const nextTurn = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Wait for the appends of this turn and any compaction they start
+ */
+async function settle(storage) {
+  await nextTurn();
+  while (storage.compaction) {
+    await storage.compaction;
+  }
+}
+
+test('appends captured requests and loads them back', async () => {
+  const storage = new FileRequestStorage({ path: filePath });
+  const requests = [makeRequest(), makeRequest(), makeRequest()];
+  requests.forEach(request => storage.addRequest(request));
+
+  assert.equal(fs.existsSync(filePath), false, 'appends wait for the end of the turn');
+  await settle(storage);
+  assert.deepEqual(fileIds(), requests.map(request => request.id));
+
+  const reloaded = new FileRequestStorage({ path: filePath });
+  assert.deepEqual(ids(reloaded), ids(storage));
+  assert.deepEqual(reloaded.getById(requests[1].id), requests[1]);
+  await settle(reloaded);
+});
+
+test('applies retention when loading and skips damaged lines', async () => {
+  const now = Date.now();
+  const requests = [
+    makeRequest({ startTime: now - 60000 }),
+    makeRequest({ startTime: now - 3000 }),
+    makeRequest({ startTime: now - 2000 }),
+    makeRequest({ startTime: now - 1000 })
+  ];
+  fs.mkdirSync(path.dirname(filePath));
+  fs.writeFileSync(filePath, [
+    ...requests.map(request => JSON.stringify(request)),
+    '',
+    '{"id":"partial","meth'
+  ].join('\n'));
+
+  const storage = new FileRequestStorage({ path: filePath, maxRequests: 2, maxAge: 30000 });
+  assert.deepEqual(ids(storage), [requests[3].id, requests[2].id]);
+
+  await settle(storage);
+  assert.deepEqual(fileIds(), [requests[2].id, requests[3].id], 'the file is compacted to what was kept');
+});
+
+test('compacts the file once it holds twice the retained requests', async () => {
+  const storage = new FileRequestStorage({ path: filePath, maxRequests: 3 });
+  const requests = Array.from({ length: 6 }, () => makeRequest());
+
+  requests.slice(0, 5).forEach(request => storage.addRequest(request));
+  await settle(storage);
+  assert.equal(fileIds().length, 5);
+
+  storage.addRequest(requests[5]);
+  await nextTurn();
+  storage.addRequest(makeRequest({ id: 'during-compaction' }));
+  await settle(storage);
+
+  assert.deepEqual(fileIds(), [...requests.slice(3).map(request => request.id), 'during-compaction']);
+  assert.equal(storage.lineCount, 4);
+  assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+});
+
+test('keeps pending requests when a compaction fails', async t => {
+  const error = t.mock.method(console, 'error', () => {});
+  const storage = new FileRequestStorage({ path: filePath, maxRequests: 2 });
+  const requests = Array.from({ length: 4 }, () => makeRequest());
+
+  storage.addRequest(requests[0]);
+  await settle(storage);
+
+  t.mock.method(fs.promises, 'rename', async () => {
+    throw new Error('disk full');
+  });
+  requests.slice(1).forEach(request => storage.addRequest(request));
+  await settle(storage);
+
+  assert.match(error.mock.calls[0].arguments[1], /disk full/);
+  assert.deepEqual(fileIds(), requests.map(request => request.id), 'the old file gets the pending requests appended');
+  assert.deepEqual(storage.pendingLines, []);
+  assert.equal(storage.lineCount, 4);
+
+  fs.promises.rename.mock.restore();
+  storage.addRequest(makeRequest({ id: 'after-recovery' }));
+  await settle(storage);
+  assert.deepEqual(fileIds(), [requests[3].id, 'after-recovery']);
+});
+
+test('clears the file and ignores a compaction that started before', async () => {
+  const storage = new FileRequestStorage({ path: filePath, maxRequests: 1 });
+  storage.addRequest(makeRequest());
+  storage.addRequest(makeRequest());
+  await nextTurn();
+  assert.ok(storage.compaction);
+
+  storage.clear();
+  storage.addRequest(makeRequest({ id: 'after-clear' }));
+  await settle(storage);
+
+  assert.deepEqual(fileIds(), ['after-clear']);
+  const reloaded = new FileRequestStorage({ path: filePath });
+  assert.deepEqual(ids(reloaded), ['after-clear']);
+  await settle(reloaded);
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RequestQuery from '../../src/storage/RequestQuery.js';
+import RequestStorage from '../../src/storage/RequestStorage.js';
+import { makeRequest } from '../helpers/requests.js';
+import { startApp } from '../helpers/app.js';
+
+const matches = (query, request) => RequestQuery.matches(request, RequestQuery.parse(query));
+
+const slowPost = makeRequest({
+  method: 'POST',
+  url: '/api/orders/42?page=2',
+  headers: { host: 'localhost', 'x-tenant': 'acme' },
+  body: '{"item":"connection reset"}',
+  trace: { traceId: '4bf92f3577b34da6a3ce929d0e0e4736' },
+  response: { statusCode: 503, responseTime: 1500, headers: { 'x-cache': 'MISS' } }
+});
+const fastGet = makeRequest({ url: '/health', response: { statusCode: 200, responseTime: 3 } });
+
+test('matches each field', () => {
+  assert.ok(matches('method:POST,PUT', slowPost));
+  assert.ok(!matches('method:GET', slowPost));
+  assert.ok(matches('status:5xx', slowPost));
+  assert.ok(matches('status:404,503', slowPost));
+  assert.ok(matches('status:>=500', slowPost));
+  assert.ok(!matches('status:<500', slowPost));
+  assert.ok(matches('path:/api/**', slowPost));
+  assert.ok(matches('route:/api/orders/:id', slowPost));
+  assert.ok(matches('duration:>1s', slowPost));
+  assert.ok(matches('duration:<=1500ms', slowPost));
+  assert.ok(!matches('duration:>1.5s', slowPost));
+  assert.ok(matches('header:x-tenant=acme', slowPost));
+  assert.ok(matches('header:x-tenant=/^ac/', slowPost));
+  assert.ok(matches('header:x-tenant', slowPost));
+  assert.ok(!matches('header:x-missing', slowPost));
+  assert.ok(matches('resheader:x-cache=MISS', slowPost));
+  assert.ok(matches('query:page=2', slowPost));
+  assert.ok(matches('trace:4BF92F3577B34DA6A3CE929D0E0E4736', slowPost));
+});
+
+test('requires every term and negates terms prefixed with -', () => {
+  assert.ok(matches('method:POST status:5xx', slowPost));
+  assert.ok(!matches('method:POST status:2xx', slowPost));
+  assert.ok(matches('-method:GET', slowPost));
+  assert.ok(!matches('-method:GET', fastGet));
+});
+
+test('searches plain and quoted text in the URL, headers and bodies', () => {
+  assert.ok(matches('ORDERS', slowPost));
+  assert.ok(matches('"connection reset"', slowPost));
+  assert.ok(!matches('connection reset', fastGet));
+  assert.ok(matches('header:"x-tenant=acme"', slowPost));
+});
+
+test('searches terms with an unknown field as plain text', () => {
+  const request = makeRequest({ url: '/login?next=https://example.com/home', headers: { 'x-user': 'user:bob' } });
+
+  assert.ok(matches('user:bob', request));
+  assert.ok(matches('https://example.com/home', request));
+  assert.ok(!matches('user:alice', request));
+  assert.ok(!matches('-user:bob', request));
+});
+
+test('filters by capture time, absolute or relative', () => {
+  const recent = makeRequest({ startTime: Date.now() - 5 * 60 * 1000 });
+
+  assert.ok(matches('from:15m', recent));
+  assert.ok(!matches('from:1m', recent));
+  assert.ok(matches(`to:${new Date().toISOString()}`, recent));
+  assert.ok(matches(`from:${recent.startTime}`, recent));
+});
+
+test('rejects invalid values of known fields', () => {
+  for (const query of ['status:abc', 'duration:fast', 'trace:123', 'from:yesterday', 'method:,', 'header:=x', 'path:/(/']) {
+    assert.throws(() => RequestQuery.parse(query), Error, query);
+  }
+  assert.throws(() => RequestQuery.parse('status:""'), /Missing value/);
+});
+
+test('compiles the legacy filter criteria together with q', () => {
+  const terms = RequestQuery.fromCriteria({ method: 'post', status: '5xx', minResponseTime: '1000', search: 'orders', q: '-header:x-debug' });
+
+  assert.equal(terms.length, 5);
+  assert.ok(RequestQuery.matches(slowPost, terms));
+  assert.ok(!RequestQuery.matches(fastGet, terms));
+  assert.ok(RequestQuery.matches(slowPost, RequestQuery.fromCriteria({ path: /orders/ })));
+});
+
+test('storage answers indexed queries like a full scan', () => {
+  const storage = new RequestStorage(50);
+  const methods = ['GET', 'POST', 'DELETE'];
+  const statuses = [200, 404, 500];
+  const all = [];
+  for (let index = 0; index < 80; index++) {
+    const request = makeRequest({
+      method: methods[index % 3],
+      url: `/api/items/${index}`,
+      startTime: Date.parse('2024-05-01T10:00:00Z') + index * 20 * 1000,
+      response: { statusCode: statuses[index % 4 % 3] }
+    });
+    all.push(request);
+    storage.addRequest(request);
+  }
+  const stored = all.slice(-50).reverse();
+
+  for (const q of ['method:POST', 'status:5xx method:GET,DELETE', 'route:/api/items/:id -status:404',
+    'from:2024-05-01T10:20:00Z to:2024-05-01T10:25:00Z', 'status:>=400 items']) {
+    const expected = stored.filter(request => matches(q, request)).map(request => request.id);
+    assert.ok(expected.length > 0, q);
+    assert.deepEqual(storage.filter({ q }).map(request => request.id), expected, q);
+  }
+});
+
+test('the requests API filters with q and reports invalid queries', async () => {
+  const app = await startApp({}, (req, res) => {
+    res.statusCode = req.url.startsWith('/fail') ? 500 : 200;
+    res.end();
+  });
+  try {
+    await app.fetch('/fail', { headers: { 'x-user': 'user:bob' } });
+    await app.fetch('/ok');
+
+    const failed = await app.api('/api/requests?q=status:5xx');
+    assert.deepEqual(failed.data.requests.map(request => request.path), ['/fail']);
+
+    const text = await app.api(`/api/requests?q=${encodeURIComponent('user:bob')}`);
+    assert.equal(text.status, 200);
+    assert.equal(text.data.total, 1);
+
+    const invalid = await app.api('/api/requests?q=status:abc');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.success, false);
+    assert.match(invalid.error, /status/);
+  } finally {
+    await app.close();
+  }
+});
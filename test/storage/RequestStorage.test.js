@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RequestStorage from '../../src/storage/RequestStorage.js';
+import { makeRequest } from '../helpers/requests.js';
+
+const ids = storage => storage.getAll().map(request => request.id);
+
+test('keeps the newest requests up to the count limit', () => {
+  const storage = new RequestStorage(3);
+  const evicted = [];
+  storage.onEvict = request => evicted.push(request.id);
+  const requests = Array.from({ length: 5 }, () => makeRequest());
+
+  requests.forEach(request => storage.addRequest(request));
+
+  assert.deepEqual(ids(storage), requests.slice(2).reverse().map(request => request.id));
+  assert.deepEqual(evicted, requests.slice(0, 2).map(request => request.id));
+  assert.equal(storage.getById(requests[0].id), undefined);
+  assert.equal(storage.getById(requests[4].id), requests[4]);
+  assert.equal(storage.getMemoryUsage().evicted.requests, 2);
+  assert.deepEqual(ids(storage), storage.getPaginated(1, 10).requests.map(request => request.id));
+});
+
+test('drops the bodies of old requests before dropping requests', () => {
+  const body = 'x'.repeat(10000);
+  const entry = () => makeRequest({ body, response: { body } });
+  const one = RequestStorage.estimateSize(entry());
+  const storage = new RequestStorage(10, { maxBytes: one * 2.5 });
+  const requests = [entry(), entry(), entry()];
+
+  requests.forEach(request => storage.addRequest(request));
+
+  const [newest, middle, oldest] = storage.getAll();
+  assert.equal(storage.size, 3);
+  assert.equal(newest.body, body);
+  assert.equal(middle.body, body);
+  assert.equal(oldest.body, '');
+  assert.equal(oldest.response.body, '');
+  assert.equal(oldest.bodiesDropped, true);
+  assert.equal(requests[0].body, body, 'the caller keeps its own copy');
+
+  const memory = storage.getMemoryUsage();
+  assert.ok(memory.bytes <= memory.maxBytes);
+  assert.equal(memory.withoutBodies, 1);
+  assert.deepEqual(memory.evicted, { requests: 0, bodies: 1 });
+  assert.deepEqual(storage.getStats().memory, memory);
+});
+
+test('evicts whole requests when dropping bodies is not enough', () => {
+  const storage = new RequestStorage(10, { maxBytes: 1 });
+  const first = makeRequest();
+  const second = makeRequest();
+
+  storage.addRequest(first);
+  storage.addRequest(second);
+
+  assert.deepEqual(ids(storage), [second.id], 'the newest request is kept even above the budget');
+  assert.equal(storage.getMemoryUsage().evicted.requests, 1);
+});
+
+test('prunes requests older than a cutoff and clears everything', () => {
+  const storage = new RequestStorage(10);
+  const base = Date.parse('2024-05-01T10:00:00Z');
+  [0, 1, 2, 3].forEach(minute => storage.addRequest(makeRequest({ startTime: base + minute * 60 * 1000 })));
+
+  assert.equal(storage.pruneOlderThan(base + 2 * 60 * 1000), 2);
+  assert.equal(storage.size, 2);
+
+  storage.clear();
+  assert.deepEqual(storage.getAll(), []);
+  assert.equal(storage.getMemoryUsage().bytes, 0);
+});
@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startCollector } from '../helpers/otlpCollector.js';
+import { startApp } from '../helpers/app.js';
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_SPAN_ID = '00f067aa0ba902b7';
+
+let collector;
+let app;
+
+before(async () => {
+  collector = await startCollector();
+  app = await startApp({ tracing: { url: collector.url, serviceName: 'orders-api' } }, (req, res) => {
+    res.statusCode = req.url === '/fail' ? 503 : 200;
+    res.end();
+  });
+});
+
+after(async () => {
+  await app.close();
+  await collector.close();
+});
+
+const attributes = span => Object.fromEntries(span.attributes.map(({ key, value }) => [key, Object.values(value)[0]]));
+
+test('exports a server span continuing the caller trace', async () => {
+  await app.fetch('/orders/42?expand=items', {
+    headers: { traceparent: `00-${TRACE_ID}-${PARENT_SPAN_ID}-01`, tracestate: 'vendor=1' }
+  });
+  await app.fm.spanExporter.flush();
+
+  const span = collector.spans().find(item => attributes(item)['url.path'] === '/orders/42');
+  assert.ok(span, 'the span reached the collector');
+  assert.equal(span.traceId, TRACE_ID);
+  assert.equal(span.parentSpanId, PARENT_SPAN_ID);
+  assert.match(span.spanId, /^[0-9a-f]{16}$/);
+  assert.notEqual(span.spanId, PARENT_SPAN_ID);
+  assert.equal(span.traceState, 'vendor=1');
+  assert.equal(span.kind, 2);
+  assert.deepEqual(span.status, {});
+  assert.ok(BigInt(span.endTimeUnixNano) >= BigInt(span.startTimeUnixNano));
+
+  const attrs = attributes(span);
+  assert.equal(attrs['http.request.method'], 'GET');
+  assert.equal(attrs['url.query'], 'expand=items');
+  assert.equal(attrs['url.scheme'], 'http');
+  assert.equal(attrs['http.response.status_code'], 200);
+  assert.equal(attrs['server.address'], '127.0.0.1');
+
+  const captured = app.fm.getRequests().find(request => request.path === '/orders/42');
+  assert.equal(attrs['flux_manager.request_id'], captured.id);
+  assert.equal(span.spanId, captured.trace.spanId);
+});
+
+test('marks 5xx responses as errors', async () => {
+  await app.fetch('/fail');
+  await app.fm.spanExporter.flush();
+
+  const span = collector.spans().find(item => attributes(item)['url.path'] === '/fail');
+  assert.deepEqual(span.status, { code: 2 });
+  assert.equal(attributes(span)['http.response.status_code'], 503);
+});
+
+test('reports the service as a resource attribute', async () => {
+  const { resource } = collector.exports[0].payload.resourceSpans[0];
+  assert.deepEqual(resource.attributes, [{ key: 'service.name', value: { stringValue: 'orders-api' } }]);
+  assert.equal(collector.exports[0].headers['content-type'], 'application/json');
+});
+
+test('skips requests whose caller did not sample the trace', async () => {
+  const before = collector.spans().length;
+  await app.fetch('/unsampled', { headers: { traceparent: `00-${TRACE_ID}-${PARENT_SPAN_ID}-00` } });
+  await app.fm.spanExporter.flush();
+
+  assert.equal(collector.spans().length, before);
+});